@@ -0,0 +1,470 @@
+import { supabase } from '../config/supabase.js';
+import { hasFeatureAccess, getUserAccessiblePlanIds } from '../middleware/planAccess.js';
+import crypto from 'crypto';
+import { loadStudentQuestions } from '../services/questionService.js';
+import { gradeStandaloneAnswer, validateStandaloneAnswer } from '../services/attemptService.js';
+import { isRowId } from '../services/gradingService.js';
+import { loadCustomTestCandidates } from '../services/customTestService.js';
+import {
+  DEFAULT_MASTERY,
+  getAnswerScore,
+  applyAnswerToMastery,
+  getMasteryLevel,
+  chooseNextQuestion,
+  syncChapterMastery,
+  saveChapterMastery
+} from '../services/adaptivePracticeService.js';
+
+const DEFAULT_QUESTION_COUNT = 20;
+const MAX_QUESTION_COUNT = 100;
+
+/**
+ * Load a student's adaptive session by token
+ * @returns {Promise<object|null>} adaptive_sessions row, or null when not found / not theirs
+ */
+const loadAdaptiveSession = async (sessionToken, userId) => {
+  const { data: session } = await supabase
+    .from('adaptive_sessions')
+    .select('*')
+    .eq('session_token', sessionToken)
+    .single();
+
+  return session && session.user_id === userId ? session : null;
+};
+
+/**
+ * Released questions of the session's subject / chapters that haven't been asked yet
+ * Same pool as custom tests: questions from published, started tests the
+ * student's plan can access, so practice never reveals an unreleased paper.
+ */
+const loadCandidateQuestions = async (session, askedIds = new Set()) => {
+  const { accessiblePlanIds } = await getUserAccessiblePlanIds(session.user_id);
+  const candidates = await loadCustomTestCandidates({
+    subjectIds: [session.subject_id],
+    chapters: session.chapters || [],
+    accessiblePlanIds
+  });
+
+  return candidates.filter(q => q.metadata?.chapter && !askedIds.has(q.question_id));
+};
+
+/**
+ * Current mastery for the chapters a session covers
+ * @returns {Promise<Map<string, object>>} chapter -> { mastery, questionsAnswered, correctAnswers, syncedThrough }
+ */
+const loadSessionMastery = async (session) => {
+  const { data: rows = [] } = await supabase
+    .from('chapter_mastery')
+    .select('chapter, mastery, questions_answered, correct_answers, synced_through')
+    .eq('user_id', session.user_id)
+    .eq('subject_id', session.subject_id);
+
+  return new Map((rows || []).map(row => [row.chapter, {
+    mastery: Number(row.mastery),
+    questionsAnswered: row.questions_answered,
+    correctAnswers: row.correct_answers,
+    syncedThrough: row.synced_through
+  }]));
+};
+
+/**
+ * Question payload for the student (no answer key)
+ */
+const loadPracticeQuestion = async (questionId) =>
+  (await loadStudentQuestions([questionId])).get(questionId) || null;
+
+/**
+ * Per-chapter mastery report for a session
+ */
+const buildSessionReport = async (session) => {
+  const { data: answers = [] } = await supabase
+    .from('adaptive_session_answers')
+    .select('chapter, status, time_spent_seconds')
+    .eq('adaptive_session_id', session.adaptive_session_id);
+
+  const masteryByChapter = await loadSessionMastery(session);
+  const startingMastery = session.starting_mastery || {};
+  const chapters = [...new Set([
+    ...Object.keys(startingMastery),
+    ...(answers || []).map(a => a.chapter)
+  ])];
+
+  const chapterReports = chapters.map(chapter => {
+    const chapterAnswers = (answers || []).filter(a => a.chapter === chapter);
+    const count = (status) => chapterAnswers.filter(a => a.status === status).length;
+    const before = Number(startingMastery[chapter] ?? DEFAULT_MASTERY);
+    const after = masteryByChapter.get(chapter)?.mastery ?? before;
+    const attempted = chapterAnswers.length - count('skipped');
+    return {
+      chapter,
+      startingMastery: before,
+      mastery: after,
+      change: Number((after - before).toFixed(4)),
+      level: getMasteryLevel(after),
+      questionsAsked: chapterAnswers.length,
+      correct: count('correct'),
+      partial: count('partial'),
+      incorrect: count('incorrect'),
+      skipped: count('skipped'),
+      accuracy: attempted > 0 ? Number(((count('correct') / attempted) * 100).toFixed(1)) : null,
+      timeSpentSeconds: chapterAnswers.reduce((sum, a) => sum + (a.time_spent_seconds || 0), 0)
+    };
+  }).sort((a, b) => a.mastery - b.mastery);
+
+  const attempted = (answers || []).filter(a => a.status !== 'skipped');
+  const correct = attempted.filter(a => a.status === 'correct').length;
+
+  return {
+    sessionToken: session.session_token,
+    subjectId: session.subject_id,
+    status: session.status,
+    startedAt: session.started_at,
+    completedAt: session.completed_at,
+    questionsAsked: (answers || []).length,
+    questionTarget: session.question_target,
+    correct,
+    accuracy: attempted.length > 0 ? Number(((correct / attempted.length) * 100).toFixed(1)) : null,
+    chapters: chapterReports,
+    // Weakest practised chapters first
+    focusChapters: chapterReports
+      .filter(c => c.questionsAsked > 0 && c.level !== 'strong')
+      .slice(0, 3)
+      .map(c => c.chapter)
+  };
+};
+
+const completeSession = async (session) => {
+  const completedAt = new Date().toISOString();
+  await supabase
+    .from('adaptive_sessions')
+    .update({ status: 'completed', completed_at: completedAt, current_question_id: null })
+    .eq('adaptive_session_id', session.adaptive_session_id);
+  return { ...session, status: 'completed', completed_at: completedAt, current_question_id: null };
+};
+
+/**
+ * POST /api/sessions/adaptive
+ * Body: { subjectId, chapters?, questionCount? }
+ * Starts an adaptive practice session (or resumes the student's live one for the subject)
+ * and returns the first question with the student's current chapter mastery.
+ */
+export const startAdaptiveSession = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { chapters = [] } = req.body;
+    const subjectId = Number(req.body.subjectId);
+    const questionCount = req.body.questionCount === undefined
+      ? DEFAULT_QUESTION_COUNT
+      : parseInt(req.body.questionCount);
+
+    if (!isRowId(req.body.subjectId)) {
+      return res.status(400).json({ success: false, message: 'subjectId must be a subject ID' });
+    }
+    if (!Array.isArray(chapters) || chapters.some(c => typeof c !== 'string' || !c.trim())) {
+      return res.status(400).json({ success: false, message: 'chapters must be an array of chapter names' });
+    }
+    if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_QUESTION_COUNT) {
+      return res.status(400).json({
+        success: false,
+        message: `questionCount must be between 1 and ${MAX_QUESTION_COUNT}`
+      });
+    }
+
+    // Resume instead of starting a second session for the same subject
+    const { data: liveSession } = await supabase
+      .from('adaptive_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('subject_id', subjectId)
+      .eq('status', 'in_progress')
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (liveSession?.current_question_id) {
+      const { count: answered } = await supabase
+        .from('adaptive_session_answers')
+        .select('answer_id', { count: 'exact', head: true })
+        .eq('adaptive_session_id', liveSession.adaptive_session_id);
+
+      const masteryByChapter = await loadSessionMastery(liveSession);
+      return res.status(200).json({
+        success: true,
+        data: {
+          resumed: true,
+          sessionToken: liveSession.session_token,
+          subjectId: liveSession.subject_id,
+          chapters: liveSession.chapters,
+          progress: { answered: answered || 0, target: liveSession.question_target },
+          mastery: Object.keys(liveSession.starting_mastery || {}).map(chapter => ({
+            chapter,
+            mastery: masteryByChapter.get(chapter)?.mastery ?? DEFAULT_MASTERY
+          })),
+          question: await loadPracticeQuestion(liveSession.current_question_id)
+        }
+      });
+    }
+
+    // Its current question was deleted from the bank; nothing left to resume
+    if (liveSession) await completeSession(liveSession);
+
+    const masteryByChapter = await syncChapterMastery(userId, subjectId);
+
+    const draft = {
+      user_id: userId,
+      subject_id: subjectId,
+      chapters: [...new Set(chapters.map(c => c.trim()))]
+    };
+    const candidates = await loadCandidateQuestions(draft);
+    const first = chooseNextQuestion(candidates, masteryByChapter, new Map());
+
+    if (!first) {
+      return res.status(404).json({
+        success: false,
+        message: 'No practice questions found for the selected subject and chapters'
+      });
+    }
+
+    const practisedChapters = [...new Set(candidates.map(q => q.metadata.chapter))].sort();
+    const startingMastery = Object.fromEntries(practisedChapters.map(chapter => [
+      chapter,
+      masteryByChapter.get(chapter)?.mastery ?? DEFAULT_MASTERY
+    ]));
+
+    const { data: session, error: sessionError } = await supabase
+      .from('adaptive_sessions')
+      .insert([{
+        ...draft,
+        session_token: crypto.randomBytes(24).toString('hex'),
+        question_target: Math.min(questionCount, candidates.length),
+        current_question_id: first.question_id,
+        starting_mastery: startingMastery
+      }])
+      .select()
+      .single();
+
+    if (sessionError) throw sessionError;
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        resumed: false,
+        sessionToken: session.session_token,
+        subjectId: session.subject_id,
+        chapters: session.chapters,
+        progress: { answered: 0, target: session.question_target },
+        mastery: practisedChapters.map(chapter => ({
+          chapter,
+          mastery: startingMastery[chapter],
+          level: getMasteryLevel(startingMastery[chapter]),
+          questionsAnswered: masteryByChapter.get(chapter)?.questionsAnswered || 0
+        })),
+        question: await loadPracticeQuestion(first.question_id)
+      }
+    });
+  } catch (error) {
+    console.error('startAdaptiveSession error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error starting adaptive practice'
+    });
+  }
+};
+
+/**
+ * POST /api/sessions/adaptive/:sessionToken/answers
+ * Body: { questionId, selectedOptionId?, selectedOptionIds?, numericAnswer?, timeSpentSeconds?, skip? }
+ * Grades the current question, updates the chapter's mastery and returns the next question
+ * (or the report once the session is complete). An empty answer counts as skipped and
+ * leaves mastery unchanged.
+ */
+export const submitAdaptiveAnswer = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionToken } = req.params;
+    const questionId = Number(req.body.questionId);
+
+    const session = await loadAdaptiveSession(sessionToken, userId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    if (session.status !== 'in_progress') {
+      return res.status(400).json({ success: false, message: 'Practice session already completed' });
+    }
+    if (questionId !== session.current_question_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'Answer the current question first',
+        currentQuestionId: session.current_question_id
+      });
+    }
+
+    const inputError = validateStandaloneAnswer(req.body);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    const graded = await gradeStandaloneAnswer(questionId, req.body, {
+      withSolution: await hasFeatureAccess(userId, 'detailed_solutions')
+    });
+    const chapter = graded?.question.metadata?.chapter;
+    if (!graded || !chapter) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const { question, answer, status } = graded;
+    const score = getAnswerScore(status);
+
+    // The chapter's mastery with this answer applied
+    const masteryByChapter = await loadSessionMastery(session);
+    const before = masteryByChapter.get(chapter) || {
+      mastery: DEFAULT_MASTERY,
+      questionsAnswered: 0,
+      correctAnswers: 0,
+      syncedThrough: null
+    };
+    const after = score === null
+      ? before
+      : { ...before, ...applyAnswerToMastery(before, question.difficulty_level, score) };
+
+    // The answer row goes in first: its unique (session, question) key is what
+    // stops a double-posted answer from moving mastery twice
+    const timeSpent = Math.floor(Number(req.body.timeSpentSeconds));
+    const { error: answerError } = await supabase
+      .from('adaptive_session_answers')
+      .insert([{
+        adaptive_session_id: session.adaptive_session_id,
+        question_id: questionId,
+        chapter,
+        difficulty_level: question.difficulty_level,
+        selected_option_id: answer?.selected_option_id ?? null,
+        selected_option_ids: answer?.selected_option_ids ?? null,
+        numeric_response: answer?.numeric_response ?? null,
+        status,
+        mastery_before: before.mastery,
+        mastery_after: after.mastery,
+        time_spent_seconds: Number.isFinite(timeSpent) && timeSpent > 0 ? timeSpent : 0
+      }]);
+
+    if (answerError) {
+      // Unique (session, question): the same answer was posted twice
+      if (answerError.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Question already answered' });
+      }
+      throw answerError;
+    }
+
+    if (score !== null) {
+      await saveChapterMastery(userId, session.subject_id, chapter, after);
+      masteryByChapter.set(chapter, after);
+    }
+
+    // Pick the next question from the updated estimates
+    const { data: asked = [] } = await supabase
+      .from('adaptive_session_answers')
+      .select('question_id, chapter')
+      .eq('adaptive_session_id', session.adaptive_session_id);
+
+    const askedByChapter = new Map();
+    (asked || []).forEach(a => askedByChapter.set(a.chapter, (askedByChapter.get(a.chapter) || 0) + 1));
+
+    let next = null;
+    if ((asked || []).length < session.question_target) {
+      const candidates = await loadCandidateQuestions(
+        session,
+        new Set((asked || []).map(a => a.question_id))
+      );
+      next = chooseNextQuestion(candidates, masteryByChapter, askedByChapter);
+    }
+
+    let updatedSession;
+    if (next) {
+      await supabase
+        .from('adaptive_sessions')
+        .update({ current_question_id: next.question_id })
+        .eq('adaptive_session_id', session.adaptive_session_id);
+    } else {
+      updatedSession = await completeSession(session);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        result: graded.result, // status: 'correct' | 'partial' | 'incorrect' | 'skipped'
+        mastery: {
+          chapter,
+          before: before.mastery,
+          after: after.mastery,
+          level: getMasteryLevel(after.mastery)
+        },
+        progress: { answered: (asked || []).length, target: session.question_target },
+        completed: !next,
+        nextQuestion: next ? await loadPracticeQuestion(next.question_id) : null,
+        report: next ? null : await buildSessionReport(updatedSession)
+      }
+    });
+  } catch (error) {
+    console.error('submitAdaptiveAnswer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error saving practice answer'
+    });
+  }
+};
+
+/**
+ * POST /api/sessions/adaptive/:sessionToken/end
+ * Ends a session early and returns the mastery report
+ */
+export const endAdaptiveSession = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionToken } = req.params;
+
+    let session = await loadAdaptiveSession(sessionToken, userId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    if (session.status === 'in_progress') {
+      session = await completeSession(session);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await buildSessionReport(session)
+    });
+  } catch (error) {
+    console.error('endAdaptiveSession error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error ending practice session'
+    });
+  }
+};
+
+/**
+ * GET /api/sessions/adaptive/:sessionToken/report
+ * Per-chapter mastery at the start and now, with results for each chapter practised
+ */
+export const getAdaptiveReport = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionToken } = req.params;
+
+    const session = await loadAdaptiveSession(sessionToken, userId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await buildSessionReport(session)
+    });
+  } catch (error) {
+    console.error('getAdaptiveReport error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching practice report'
+    });
+  }
+};
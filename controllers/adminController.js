@@ -29,10 +29,11 @@ export const getAdminStats = async (req, res) => {
 
     if (studentsError) throw studentsError;
 
-    // Get total tests count
+    // Get total tests count (student-generated custom tests excluded)
     const { count: totalTests, error: testsError } = await supabase
       .from('tests')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .is('custom_for_user_id', null);
 
     if (testsError) throw testsError;
 
@@ -110,6 +111,7 @@ export const getRecentTests = async (req, res) => {
         is_published,
         created_at
       `)
+      .is('custom_for_user_id', null)
       .order('created_at', { ascending: false })
       .limit(limit);
 
@@ -501,10 +503,11 @@ export const getAllTests = async (req, res) => {
       });
     }
 
-    // Get all tests
+    // Get all tests (student-generated custom tests are not managed here)
     const { data: tests, error: testsError } = await supabase
       .from('tests')
       .select('*')
+      .is('custom_for_user_id', null)
       .order('created_at', { ascending: false });
 
     if (testsError) throw testsError;
@@ -1,4 +1,9 @@
 import { supabase } from '../config/supabase.js';
+import { parseMarkingScheme } from '../services/gradingService.js';
+import { SHUFFLE_MODES } from '../utils/shuffle.js';
+import { loadTestSections } from '../services/sectionService.js';
+import { LEADERBOARD_MODES, recomputeTestLeaderboard } from '../services/leaderboardService.js';
+import { DEFAULT_LANGUAGE, parseTestLanguages } from '../services/translationService.js';
 
 /**
  * Create a new test
@@ -19,6 +24,10 @@ export const createTest = async (req, res) => {
       startTime,
       endTime,
       isPublished,
+      markingScheme,
+      shuffleMode,
+      leaderboardMode,
+      languages,
       templateData
     } = req.body;
 
@@ -45,6 +54,44 @@ export const createTest = async (req, res) => {
       });
     }
 
+    // Marking scheme for multiple-correct questions (defaults to all-or-nothing)
+    const { scheme, error: schemeError } = parseMarkingScheme(markingScheme);
+    if (schemeError) {
+      return res.status(400).json({
+        success: false,
+        message: schemeError
+      });
+    }
+
+    // Per-student question/option shuffling (defaults to none)
+    if (shuffleMode !== undefined && !SHUFFLE_MODES.includes(shuffleMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `shuffleMode must be one of: ${SHUFFLE_MODES.join(', ')}`
+      });
+    }
+
+    // Which attempt ranks a student on the leaderboard (defaults to best)
+    if (leaderboardMode !== undefined && !LEADERBOARD_MODES.includes(leaderboardMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `leaderboardMode must be one of: ${LEADERBOARD_MODES.join(', ')}`
+      });
+    }
+
+    // Languages the paper is offered in (English is always included)
+    let testLanguages = [DEFAULT_LANGUAGE];
+    if (languages !== undefined) {
+      const { languages: parsed, error: languageError } = parseTestLanguages(languages);
+      if (languageError) {
+        return res.status(400).json({
+          success: false,
+          message: languageError
+        });
+      }
+      testLanguages = parsed;
+    }
+
     // Prepare metadata if template is provided
     const metadata = templateData ? {
       templateId: templateData.templateId,
@@ -73,6 +120,10 @@ export const createTest = async (req, res) => {
         end_time: endTime || null,
         test_type: testType,
         is_published: isPublished,
+        marking_scheme: scheme,
+        shuffle_mode: shuffleMode || 'none',
+        leaderboard_mode: leaderboardMode || 'best',
+        languages: testLanguages,
         metadata: metadata
       }])
       .select('test_id')
@@ -156,6 +207,10 @@ export const getTestById = async (req, res) => {
         startTime: test.start_time,
         endTime: test.end_time,
         isPublished: test.is_published,
+        markingScheme: test.marking_scheme,
+        shuffleMode: test.shuffle_mode || 'none',
+        leaderboardMode: test.leaderboard_mode || 'best',
+        languages: test.languages || [DEFAULT_LANGUAGE],
         createdAt: test.created_at,
         updatedAt: test.updated_at,
         metadata: test.metadata
@@ -231,6 +286,44 @@ export const updateTest = async (req, res) => {
     if (updateData.startTime !== undefined) dbUpdateData.start_time = updateData.startTime || null;
     if (updateData.endTime !== undefined) dbUpdateData.end_time = updateData.endTime || null;
     if (updateData.isPublished !== undefined) dbUpdateData.is_published = updateData.isPublished;
+    if (updateData.markingScheme !== undefined) {
+      const { scheme, error: schemeError } = parseMarkingScheme(updateData.markingScheme);
+      if (schemeError) {
+        return res.status(400).json({
+          success: false,
+          message: schemeError
+        });
+      }
+      dbUpdateData.marking_scheme = scheme;
+    }
+    if (updateData.shuffleMode !== undefined) {
+      if (!SHUFFLE_MODES.includes(updateData.shuffleMode)) {
+        return res.status(400).json({
+          success: false,
+          message: `shuffleMode must be one of: ${SHUFFLE_MODES.join(', ')}`
+        });
+      }
+      dbUpdateData.shuffle_mode = updateData.shuffleMode;
+    }
+    if (updateData.leaderboardMode !== undefined) {
+      if (!LEADERBOARD_MODES.includes(updateData.leaderboardMode)) {
+        return res.status(400).json({
+          success: false,
+          message: `leaderboardMode must be one of: ${LEADERBOARD_MODES.join(', ')}`
+        });
+      }
+      dbUpdateData.leaderboard_mode = updateData.leaderboardMode;
+    }
+    if (updateData.languages !== undefined) {
+      const { languages, error: languageError } = parseTestLanguages(updateData.languages);
+      if (languageError) {
+        return res.status(400).json({
+          success: false,
+          message: languageError
+        });
+      }
+      dbUpdateData.languages = languages;
+    }
 
     dbUpdateData.updated_at = new Date().toISOString();
 
@@ -241,6 +334,11 @@ export const updateTest = async (req, res) => {
 
     if (updateError) throw updateError;
 
+    // Switching first/best changes which attempts are ranked
+    if (dbUpdateData.leaderboard_mode) {
+      await recomputeTestLeaderboard(testId);
+    }
+
     res.json({
       success: true,
       message: 'Test updated successfully'
@@ -278,47 +376,14 @@ export const deleteTest = async (req, res) => {
       });
     }
 
-    // Get all question IDs associated with this test
-    const { data: testQuestions } = await supabase
-      .from('test_questions')
-      .select('question_id')
-      .eq('test_id', testId);
-
-    const questionIds = testQuestions?.map(tq => tq.question_id) || [];
-
-    // Delete in proper order to respect foreign key constraints:
-
-    // 1. Delete question media (images, etc.)
-    if (questionIds.length > 0) {
-      await supabase
-        .from('question_media')
-        .delete()
-        .in('question_id', questionIds);
-    }
-
-    // 2. Delete question options
-    if (questionIds.length > 0) {
-      await supabase
-        .from('question_options')
-        .delete()
-        .in('question_id', questionIds);
-    }
-
-    // 3. Delete test_questions junction table entries
+    // Questions belong to the question bank and may be used by other tests,
+    // so only the test's links to them are removed
     await supabase
       .from('test_questions')
       .delete()
       .eq('test_id', testId);
 
-    // 4. Delete the actual questions
-    if (questionIds.length > 0) {
-      await supabase
-        .from('questions')
-        .delete()
-        .in('question_id', questionIds);
-    }
-
-    // 5. Finally delete the test itself
+    // Delete the test itself
     const { error: deleteError } = await supabase
       .from('tests')
       .delete()
@@ -328,7 +393,7 @@ export const deleteTest = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Test deleted successfully (including all questions and media)'
+      message: 'Test deleted successfully (questions remain in the question bank)'
     });
 
   } catch (error) {
@@ -389,6 +454,211 @@ export const toggleTestStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get sections of a test
+ */
+export const getTestSections = async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    const sections = await loadTestSections(testId);
+
+    res.json({
+      success: true,
+      data: sections
+    });
+
+  } catch (error) {
+    console.error('Error fetching test sections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch test sections',
+      error: error.message
+    });
+  }
+};
+
+const toPositiveIntOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : NaN;
+};
+
+/**
+ * Replace the sections of a test
+ * Body: { sections: [{ sectionId?, name, durationMinutes?, maxAttempts?, questionIds }] }
+ * Sections missing from the list are deleted; their questions become unsectioned
+ */
+export const saveTestSections = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+    const { sections } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!Array.isArray(sections)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sections must be an array'
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, duration_minutes')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const { data: testQuestions = [] } = await supabase
+      .from('test_questions')
+      .select('question_id')
+      .eq('test_id', testId);
+    const testQuestionIds = new Set((testQuestions || []).map(tq => tq.question_id));
+
+    // Validate
+    const assigned = new Set();
+    let timedMinutes = 0;
+    const parsed = [];
+    for (const [index, section] of sections.entries()) {
+      const label = `sections[${index}]`;
+      const name = typeof section?.name === 'string' ? section.name.trim() : '';
+      const durationMinutes = toPositiveIntOrNull(section?.durationMinutes);
+      const maxAttempts = toPositiveIntOrNull(section?.maxAttempts);
+      const questionIds = Array.isArray(section?.questionIds)
+        ? section.questionIds.map(Number)
+        : [];
+
+      let message = null;
+      if (!name) message = `${label}.name is required`;
+      else if (Number.isNaN(durationMinutes)) message = `${label}.durationMinutes must be a positive integer`;
+      else if (Number.isNaN(maxAttempts)) message = `${label}.maxAttempts must be a positive integer`;
+      else if (maxAttempts && maxAttempts > questionIds.length) message = `${label}.maxAttempts cannot exceed the number of questions in the section`;
+      else {
+        const foreign = questionIds.find(qid => !testQuestionIds.has(qid));
+        const duplicate = questionIds.find(qid => assigned.has(qid));
+        if (foreign !== undefined) message = `Question ${foreign} does not belong to this test`;
+        else if (duplicate !== undefined) message = `Question ${duplicate} is assigned to more than one section`;
+      }
+
+      if (message) {
+        return res.status(400).json({ success: false, message });
+      }
+
+      questionIds.forEach(qid => assigned.add(qid));
+      timedMinutes += durationMinutes || 0;
+      parsed.push({
+        sectionId: section.sectionId ? Number(section.sectionId) : null,
+        name,
+        order: index + 1,
+        durationMinutes,
+        maxAttempts,
+        questionIds
+      });
+    }
+
+    if (test.duration_minutes && timedMinutes > test.duration_minutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Section time limits (${timedMinutes} min) exceed the test duration (${test.duration_minutes} min)`
+      });
+    }
+
+    const { data: existing = [] } = await supabase
+      .from('test_sections')
+      .select('section_id')
+      .eq('test_id', testId);
+    const existingIds = new Set((existing || []).map(s => s.section_id));
+
+    // Upsert sections in order
+    const keptIds = [];
+    for (const section of parsed) {
+      const row = {
+        section_name: section.name,
+        section_order: section.order,
+        duration_minutes: section.durationMinutes,
+        max_attempts: section.maxAttempts,
+        updated_at: new Date().toISOString()
+      };
+
+      if (section.sectionId && existingIds.has(section.sectionId)) {
+        const { error } = await supabase
+          .from('test_sections')
+          .update(row)
+          .eq('section_id', section.sectionId);
+        if (error) throw error;
+      } else {
+        const { data: inserted, error } = await supabase
+          .from('test_sections')
+          .insert([{ ...row, test_id: testId }])
+          .select('section_id')
+          .single();
+        if (error) throw error;
+        section.sectionId = inserted.section_id;
+      }
+      keptIds.push(section.sectionId);
+    }
+
+    const removedIds = [...existingIds].filter(id => !keptIds.includes(id));
+    if (removedIds.length > 0) {
+      const { error } = await supabase
+        .from('test_sections')
+        .delete()
+        .in('section_id', removedIds);
+      if (error) throw error;
+    }
+
+    // Re-assign questions
+    await supabase
+      .from('test_questions')
+      .update({ section_id: null })
+      .eq('test_id', testId);
+
+    for (const section of parsed) {
+      if (section.questionIds.length === 0) continue;
+      const { error } = await supabase
+        .from('test_questions')
+        .update({ section_id: section.sectionId })
+        .eq('test_id', testId)
+        .in('question_id', section.questionIds);
+      if (error) throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Test sections saved successfully',
+      data: await loadTestSections(testId)
+    });
+
+  } catch (error) {
+    console.error('Error saving test sections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save test sections',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get subjects
  */
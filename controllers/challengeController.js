@@ -0,0 +1,484 @@
+import { supabase } from '../config/supabase.js';
+import { sendChallengeOutcomeEmail } from '../services/resendService.js';
+import { getShuffledOrder } from '../utils/shuffle.js';
+
+const CHALLENGE_TYPES = ['wrong_key', 'wrong_question', 'ambiguous', 'other'];
+const CHALLENGE_STATUSES = ['pending', 'accepted', 'rejected'];
+const MAX_REASON_LENGTH = 2000;
+
+// Evidence images share the question image bucket, under their own prefix
+const EVIDENCE_BUCKET = 'question-images';
+
+const evidenceUrl = (filePath) => {
+  if (!filePath) return null;
+  const { data } = supabase.storage.from(EVIDENCE_BUCKET).getPublicUrl(filePath);
+  return data?.publicUrl || null;
+};
+
+const formatChallenge = (row) => ({
+  challengeId: row.challenge_id,
+  attemptId: row.attempt_id,
+  testId: row.test_id,
+  questionId: row.question_id,
+  questionVersionId: row.question_version_id,
+  challengeType: row.challenge_type,
+  reason: row.reason,
+  evidenceText: row.evidence_text,
+  evidenceUrl: evidenceUrl(row.evidence_file_path),
+  status: row.status,
+  resolutionNote: row.resolution_note,
+  reviewedAt: row.reviewed_at,
+  createdAt: row.created_at
+});
+
+/**
+ * Challenge a question from a completed attempt
+ * Multipart or JSON body: { questionId, reason, challengeType?, evidence? }
+ * plus an optional image file (field "evidenceImage")
+ */
+export const createChallenge = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { attemptId } = req.params;
+    const questionId = Number(req.body.questionId);
+    const { challengeType = 'wrong_key', evidence } = req.body;
+    const reason = (req.body.reason || '').trim();
+
+    const { data: attempt, error: attemptError } = await supabase
+      .from('test_attempts')
+      .select('attempt_id, test_id, attempt_status')
+      .eq('attempt_id', attemptId)
+      .eq('user_id', userId)
+      .single();
+
+    if (attemptError || !attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test attempt not found'
+      });
+    }
+
+    if (attempt.attempt_status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions can be challenged after the test is submitted'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please explain why the question or answer key is wrong'
+      });
+    }
+
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be at most ${MAX_REASON_LENGTH} characters`
+      });
+    }
+
+    if (!CHALLENGE_TYPES.includes(challengeType)) {
+      return res.status(400).json({
+        success: false,
+        message: `challengeType must be one of: ${CHALLENGE_TYPES.join(', ')}`
+      });
+    }
+
+    const { data: link } = await supabase
+      .from('test_questions')
+      .select('question_id')
+      .eq('test_id', attempt.test_id)
+      .eq('question_id', questionId)
+      .single();
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this test'
+      });
+    }
+
+    const { data: existing } = await supabase
+      .from('question_challenges')
+      .select('challenge_id')
+      .eq('attempt_id', attempt.attempt_id)
+      .eq('question_id', questionId)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already challenged this question'
+      });
+    }
+
+    // Record the version the student answered, so reviewers see what they saw
+    const { data: answer } = await supabase
+      .from('attempt_answers')
+      .select('question_version_id')
+      .eq('attempt_id', attempt.attempt_id)
+      .eq('question_id', questionId)
+      .maybeSingle();
+
+    let evidenceFilePath = null;
+    if (req.file) {
+      const ext = req.file.originalname.split('.').pop();
+      evidenceFilePath = `challenges/attempt_${attempt.attempt_id}_question_${questionId}_${Date.now()}.${ext}`;
+
+      const { error: uploadError } = await supabase.storage
+        .from(EVIDENCE_BUCKET)
+        .upload(evidenceFilePath, req.file.buffer, {
+          contentType: req.file.mimetype,
+          cacheControl: '3600',
+          upsert: false
+        });
+
+      if (uploadError) throw uploadError;
+    }
+
+    const { data: challenge, error: insertError } = await supabase
+      .from('question_challenges')
+      .insert([{
+        attempt_id: attempt.attempt_id,
+        test_id: attempt.test_id,
+        question_id: questionId,
+        user_id: userId,
+        question_version_id: answer?.question_version_id || null,
+        challenge_type: challengeType,
+        reason,
+        evidence_text: evidence ? String(evidence).trim() || null : null,
+        evidence_file_path: evidenceFilePath
+      }])
+      .select('*')
+      .single();
+
+    if (insertError) throw insertError;
+
+    res.status(201).json({
+      success: true,
+      message: 'Challenge submitted. You will be emailed when it has been reviewed.',
+      data: formatChallenge(challenge)
+    });
+
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit challenge',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * The student's challenges for one attempt
+ */
+export const getAttemptChallenges = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { attemptId } = req.params;
+
+    const { data: challenges, error } = await supabase
+      .from('question_challenges')
+      .select('*')
+      .eq('attempt_id', attemptId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: (challenges || []).map(formatChallenge)
+    });
+
+  } catch (error) {
+    console.error('Get attempt challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenges',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Admin review queue
+ * Query: status (default pending), testId, questionId, page, limit
+ * Pending challenges are listed oldest first; each entry carries how many
+ * pending challenges its question has in total.
+ */
+export const listChallenges = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { status = 'pending', testId, questionId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    if (status !== 'all' && !CHALLENGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${CHALLENGE_STATUSES.join(', ')}, all`
+      });
+    }
+
+    let query = supabase
+      .from('question_challenges')
+      .select(`
+        *,
+        student:user_id (first_name, last_name, email),
+        tests (test_name),
+        questions (question_text, question_type, numerical_answer)
+      `, { count: 'exact' });
+
+    if (status !== 'all') query = query.eq('status', status);
+    if (testId) query = query.eq('test_id', testId);
+    if (questionId) query = query.eq('question_id', questionId);
+
+    const { data: challenges, error, count } = await query
+      .order('created_at', { ascending: status === 'pending' })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const questionIds = [...new Set((challenges || []).map(c => c.question_id))];
+
+    const { data: options = [] } = questionIds.length > 0
+      ? await supabase
+        .from('question_options')
+        .select('option_id, question_id, option_text, is_correct, option_order')
+        .in('question_id', questionIds)
+        .order('option_order')
+      : { data: [] };
+
+    const { data: pendingRows = [] } = questionIds.length > 0
+      ? await supabase
+        .from('question_challenges')
+        .select('test_id, question_id')
+        .eq('status', 'pending')
+        .in('question_id', questionIds)
+      : { data: [] };
+
+    const pendingCounts = new Map();
+    (pendingRows || []).forEach(row => {
+      const key = `${row.test_id}:${row.question_id}`;
+      pendingCounts.set(key, (pendingCounts.get(key) || 0) + 1);
+    });
+
+    res.json({
+      success: true,
+      data: (challenges || []).map(c => ({
+        ...formatChallenge(c),
+        testName: c.tests?.test_name || null,
+        student: {
+          userId: c.user_id,
+          name: [c.student?.first_name, c.student?.last_name].filter(Boolean).join(' ') || null,
+          email: c.student?.email || null
+        },
+        question: {
+          questionText: c.questions?.question_text || '',
+          questionType: c.questions?.question_type || null,
+          numericalAnswer: c.questions?.numerical_answer || null,
+          options: (options || [])
+            .filter(o => o.question_id === c.question_id)
+            .map(o => ({ optionId: o.option_id, text: o.option_text, isCorrect: o.is_correct }))
+        },
+        pendingForQuestion: pendingCounts.get(`${c.test_id}:${c.question_id}`) || 0
+      })),
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenges',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept or reject a challenge and email the student(s)
+ * Body: { status: 'accepted' | 'rejected', resolutionNote, resolveSimilar? }
+ * resolveSimilar applies the same outcome to every pending challenge on the
+ * same question in the same test. Correcting the key itself is done with the
+ * re-grade endpoints.
+ */
+export const resolveChallenge = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { challengeId } = req.params;
+    const { status, resolveSimilar = false } = req.body;
+    const resolutionNote = (req.body.resolutionNote || '').trim() || null;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "status must be 'accepted' or 'rejected'"
+      });
+    }
+
+    if (status === 'rejected' && !resolutionNote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please explain to the student why the challenge was rejected'
+      });
+    }
+
+    const { data: challenge, error: findError } = await supabase
+      .from('question_challenges')
+      .select('challenge_id, test_id, question_id, status')
+      .eq('challenge_id', challengeId)
+      .single();
+
+    if (findError || !challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    if (challenge.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Challenge was already ${challenge.status}`
+      });
+    }
+
+    // Only pending rows are updated, so two reviewers can't both resolve one
+    let update = supabase
+      .from('question_challenges')
+      .update({
+        status,
+        resolution_note: resolutionNote,
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('status', 'pending');
+
+    update = resolveSimilar
+      ? update.eq('test_id', challenge.test_id).eq('question_id', challenge.question_id)
+      : update.eq('challenge_id', challenge.challenge_id);
+
+    const { data: resolved, error: updateError } = await update
+      .select('challenge_id, user_id, attempt_id, student:user_id (first_name, email)');
+
+    if (updateError) throw updateError;
+
+    if (!resolved || resolved.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Challenge was already resolved'
+      });
+    }
+
+    // Question number as each student saw it: shuffled tests are reordered
+    // per session, so replay the session's seed over the canonical order
+    const { data: testQuestions = [] } = await supabase
+      .from('test_questions')
+      .select('question_id')
+      .eq('test_id', challenge.test_id)
+      .order('question_order', { ascending: true });
+
+    const { data: sessions = [] } = await supabase
+      .from('test_sessions')
+      .select('attempt_id, shuffle_mode, shuffle_seed')
+      .in('attempt_id', resolved.map(r => r.attempt_id));
+    const sessionByAttempt = new Map((sessions || []).map(s => [s.attempt_id, s]));
+
+    const { data: test } = await supabase
+      .from('tests')
+      .select('test_name')
+      .eq('test_id', challenge.test_id)
+      .single();
+
+    const questionIds = (testQuestions || []).map(tq => tq.question_id);
+    const questionNumberFor = (attemptId) => {
+      const session = sessionByAttempt.get(attemptId);
+      const { questionIds: displayed } = getShuffledOrder(
+        questionIds,
+        new Map(),
+        session?.shuffle_mode,
+        session?.shuffle_seed
+      );
+      const position = displayed.indexOf(challenge.question_id);
+      return position >= 0 ? position + 1 : null;
+    };
+
+    // Email failures don't undo the decision; notified_at stays empty instead
+    const notifiedIds = [];
+    for (const row of resolved) {
+      if (!row.student?.email) continue;
+      const result = await sendChallengeOutcomeEmail(row.student.email, row.student.first_name || 'there', {
+        testName: test?.test_name || 'your test',
+        questionNumber: questionNumberFor(row.attempt_id),
+        status,
+        resolutionNote
+      });
+      if (result.success) notifiedIds.push(row.challenge_id);
+    }
+
+    if (notifiedIds.length > 0) {
+      await supabase
+        .from('question_challenges')
+        .update({ notified_at: new Date().toISOString() })
+        .in('challenge_id', notifiedIds);
+    }
+
+    res.json({
+      success: true,
+      message: `${resolved.length} challenge${resolved.length === 1 ? '' : 's'} ${status}`,
+      data: {
+        status,
+        resolvedChallengeIds: resolved.map(r => r.challenge_id),
+        studentsNotified: notifiedIds.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve challenge',
+      error: error.message
+    });
+  }
+};
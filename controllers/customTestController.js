@@ -0,0 +1,258 @@
+import { supabase } from '../config/supabase.js';
+import { getUserAccessiblePlanIds } from '../middleware/planAccess.js';
+import { linkQuestionsToTest } from '../services/questionService.js';
+import {
+  CUSTOM_TEST_DIFFICULTIES,
+  MAX_CUSTOM_TEST_QUESTIONS,
+  MAX_CUSTOM_TEST_MINUTES,
+  getDifficultyMix,
+  loadCustomTestCandidates,
+  selectCustomTestQuestions
+} from '../services/customTestService.js';
+
+/**
+ * Generate a custom test from the question bank (Elite)
+ * Body: { subjectIds, chapters?, difficulty?, questionCount, durationMinutes, testName? }
+ * The test is private to the student; start it like any other test with POST /api/sessions.
+ */
+export const generateCustomTest = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const {
+      subjectIds,
+      chapters = [],
+      difficulty = 'mixed',
+      testName
+    } = req.body;
+    const questionCount = parseInt(req.body.questionCount);
+    const durationMinutes = parseInt(req.body.durationMinutes);
+
+    if (!Array.isArray(subjectIds) || subjectIds.length === 0 || subjectIds.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'subjectIds must be a non-empty array of subject IDs'
+      });
+    }
+
+    if (!Array.isArray(chapters) || chapters.some(c => typeof c !== 'string' || !c.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'chapters must be an array of chapter names'
+      });
+    }
+
+    if (!CUSTOM_TEST_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: `difficulty must be one of: ${CUSTOM_TEST_DIFFICULTIES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_CUSTOM_TEST_QUESTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `questionCount must be between 1 and ${MAX_CUSTOM_TEST_QUESTIONS}`
+      });
+    }
+
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_CUSTOM_TEST_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        message: `durationMinutes must be between 1 and ${MAX_CUSTOM_TEST_MINUTES}`
+      });
+    }
+
+    // Custom tests have their own attempt limit
+    const { data: limitsData, error: limitsError } = await supabase
+      .rpc('get_user_test_limits', { p_user_id: userId });
+
+    if (limitsError) throw limitsError;
+
+    const limit = (limitsData || []).find(l => l.test_type === 'custom');
+    if (!limit || (limit.limit_value !== -1 && limit.remaining <= 0)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You have reached your limit for custom tests.',
+        limitReached: true,
+        testType: 'custom',
+        limit: limit?.limit_value ?? 0,
+        used: limit?.current_usage ?? 0
+      });
+    }
+
+    const { planId, accessiblePlanIds } = await getUserAccessiblePlanIds(userId);
+    const chapterNames = [...new Set(chapters.map(c => c.trim()))];
+    const subjectIdList = [...new Set(subjectIds.map(Number))];
+
+    const candidates = await loadCustomTestCandidates({
+      subjectIds: subjectIdList,
+      chapters: chapterNames,
+      accessiblePlanIds
+    });
+
+    if (candidates.length < questionCount) {
+      return res.status(400).json({
+        success: false,
+        message: candidates.length === 0
+          ? 'No questions are available for the selected subjects and chapters'
+          : `Only ${candidates.length} questions are available for the selected subjects and chapters`,
+        available: candidates.length
+      });
+    }
+
+    const { selected, byChapter, byDifficulty } = selectCustomTestQuestions(
+      candidates,
+      questionCount,
+      getDifficultyMix(difficulty)
+    );
+
+    const { data: subjects = [] } = await supabase
+      .from('subjects')
+      .select('subject_id, name')
+      .in('subject_id', subjectIdList);
+    const subjectNames = (subjects || []).map(s => s.name);
+
+    const totalMarks = selected.reduce((sum, q) => sum + q.marks, 0);
+
+    // Unpublished and owned by the student, so it stays out of the catalogue
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .insert([{
+        created_by: userId,
+        custom_for_user_id: userId,
+        subject_ids: subjectIdList,
+        test_name: testName && testName.trim()
+          ? testName.trim().slice(0, 200)
+          : `Custom Test - ${subjectNames.join(', ') || 'Mixed'}`,
+        description: chapterNames.length > 0 ? chapterNames.join(', ') : null,
+        required_plan_id: planId,
+        duration_minutes: durationMinutes,
+        total_questions: 0, // Updated when questions are linked
+        total_marks: totalMarks,
+        negative_marking: selected.some(q => q.negative_marks > 0),
+        test_type: 'practice',
+        is_published: false,
+        is_free: true,
+        shuffle_mode: 'none',
+        leaderboard_mode: 'best',
+        metadata: {
+          test_category: 'custom',
+          customTest: {
+            subjectIds: subjectIdList,
+            chapters: chapterNames,
+            difficulty,
+            questionCount
+          }
+        }
+      }])
+      .select('test_id, test_name')
+      .single();
+
+    if (testError) throw testError;
+
+    await linkQuestionsToTest(test.test_id, selected.map(q => ({
+      questionId: q.question_id,
+      marks: q.marks,
+      negativeMarks: q.negative_marks
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom test created',
+      data: {
+        testId: test.test_id,
+        testName: test.test_name,
+        durationMinutes,
+        totalQuestions: selected.length,
+        totalMarks,
+        difficulty,
+        byChapter: byChapter.map(c => ({
+          subjectId: c.subjectId,
+          chapter: c.chapter,
+          questions: c.count
+        })),
+        byDifficulty,
+        remainingCustomTests: limit.limit_value === -1 ? -1 : limit.remaining
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate custom test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating custom test',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the student's custom tests with their latest result
+ * Query: page, limit
+ */
+export const getCustomTests = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const from = (page - 1) * limit;
+
+    const { data: tests, error, count } = await supabase
+      .from('tests')
+      .select('test_id, test_name, description, duration_minutes, total_questions, total_marks, metadata, created_at', { count: 'exact' })
+      .eq('custom_for_user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) throw error;
+
+    const testIds = (tests || []).map(t => t.test_id);
+    const { data: attempts = [] } = testIds.length > 0
+      ? await supabase
+        .from('test_attempts')
+        .select('attempt_id, test_id, attempt_status, total_marks_obtained, percentage, submit_time')
+        .eq('user_id', userId)
+        .in('test_id', testIds)
+        .order('start_time', { ascending: false })
+      : { data: [] };
+
+    res.status(200).json({
+      success: true,
+      data: (tests || []).map(test => {
+        const latest = (attempts || []).find(a => a.test_id === test.test_id);
+        return {
+          testId: test.test_id,
+          testName: test.test_name,
+          description: test.description,
+          durationMinutes: test.duration_minutes,
+          totalQuestions: test.total_questions,
+          totalMarks: test.total_marks,
+          settings: test.metadata?.customTest || null,
+          createdAt: test.created_at,
+          latestAttempt: latest
+            ? {
+              attemptId: latest.attempt_id,
+              status: latest.attempt_status,
+              score: latest.total_marks_obtained,
+              percentage: latest.percentage,
+              submitTime: latest.submit_time
+            }
+            : null
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get custom tests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching custom tests'
+    });
+  }
+};
@@ -275,31 +275,58 @@ export const getUserRank = async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Get user's best scores
+    // Ranks are per test; report the student's standing in recent tests
+    const { data: standings = [] } = await supabase
+      .from('leaderboards')
+      .select(`
+        test_id,
+        rank_position,
+        percentile,
+        total_participants,
+        score,
+        attempt_date,
+        tests (
+          test_name
+        )
+      `)
+      .eq('user_id', userId)
+      .not('rank_position', 'is', null)
+      .order('attempt_date', { ascending: false })
+      .limit(10);
+
     const { data: userAttempts } = await supabase
       .from('test_attempts')
-      .select('percentage, total_marks_obtained')
+      .select('percentage')
       .eq('user_id', userId)
       .eq('attempt_status', 'completed')
       .order('percentage', { ascending: false })
       .limit(1);
 
     const userBestScore = userAttempts?.[0]?.percentage || 0;
-
-    // Get count of users with better scores
-    const { count: betterScoresCount } = await supabase
-      .from('test_attempts')
-      .select('user_id', { count: 'exact', head: true })
-      .eq('attempt_status', 'completed')
-      .gt('percentage', userBestScore);
-
-    const rank = (betterScoresCount || 0) + 1;
+    const latest = standings?.[0];
+    const bestPercentile = (standings || []).reduce(
+      (best, s) => Math.max(best, Number(s.percentile || 0)),
+      0
+    );
 
     res.status(200).json({
       success: true,
       data: {
-        rank,
-        bestScore: parseFloat(userBestScore).toFixed(1)
+        // Rank in the most recent ranked test
+        rank: latest?.rank_position ?? null,
+        totalParticipants: latest?.total_participants ?? null,
+        percentile: latest?.percentile != null ? Number(latest.percentile) : null,
+        bestPercentile: standings?.length ? bestPercentile : null,
+        bestScore: parseFloat(userBestScore).toFixed(1),
+        recentTests: (standings || []).map(s => ({
+          testId: s.test_id,
+          testName: s.tests?.test_name || 'Test',
+          rank: s.rank_position,
+          totalParticipants: s.total_participants,
+          percentile: s.percentile != null ? Number(s.percentile) : null,
+          score: Number(s.score || 0),
+          attemptDate: s.attempt_date
+        }))
       }
     });
   } catch (error) {
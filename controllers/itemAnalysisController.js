@@ -0,0 +1,199 @@
+import { supabase } from '../config/supabase.js';
+import {
+  MIN_ITEM_RESPONSES,
+  analyzeItem,
+  loadTestResponses,
+  loadItemQuestions
+} from '../services/itemAnalysisService.js';
+
+const previewText = (text) => {
+  const plain = String(text || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  return plain.length > 120 ? `${plain.slice(0, 117)}...` : plain;
+};
+
+const average = (values) => {
+  const present = values.filter(v => v !== null);
+  return present.length > 0
+    ? Number((present.reduce((sum, v) => sum + v, 0) / present.length).toFixed(3))
+    : null;
+};
+
+/**
+ * Item analysis for every question of a test
+ * Query: flaggedOnly=true to return only flagged questions
+ */
+export const getTestItemAnalysis = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+    const flaggedOnly = req.query.flaggedOnly === 'true';
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, test_name')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const { context, examinees, responsesByQuestion } = await loadTestResponses(test.test_id);
+
+    const { data: order = [] } = await supabase
+      .from('test_questions')
+      .select('question_id, question_order')
+      .eq('test_id', test.test_id)
+      .order('question_order', { ascending: true });
+
+    const questionIds = (order || []).map(tq => tq.question_id);
+    const { questionsById, optionsByQuestion } = await loadItemQuestions(questionIds);
+
+    const items = (order || [])
+      .filter(tq => questionsById.has(tq.question_id))
+      .map(tq => {
+        const question = questionsById.get(tq.question_id);
+        return {
+          questionOrder: tq.question_order,
+          questionText: previewText(question.question_text),
+          chapter: question.metadata?.chapter || null,
+          authorDifficulty: question.difficulty_level || null,
+          gradingDecision: context.decisions.get(tq.question_id) || null,
+          ...analyzeItem({
+            question,
+            options: optionsByQuestion.get(tq.question_id),
+            responses: responsesByQuestion.get(tq.question_id) || []
+          })
+        };
+      });
+
+    const flagCounts = {};
+    for (const item of items) {
+      for (const flag of item.flags) flagCounts[flag] = (flagCounts[flag] || 0) + 1;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        testId: test.test_id,
+        testName: test.test_name,
+        summary: {
+          examinees,
+          groupSize: items[0]?.groupSize || 0,
+          // Too few attempts for the flags to mean anything
+          flagsEnabled: examinees >= MIN_ITEM_RESPONSES,
+          minimumExaminees: MIN_ITEM_RESPONSES,
+          averageDifficultyIndex: average(items.map(i => i.difficultyIndex)),
+          averageDiscriminationIndex: average(items.map(i => i.discriminationIndex)),
+          flaggedQuestions: items.filter(i => i.flags.length > 0).length,
+          flagCounts
+        },
+        items: flaggedOnly ? items.filter(i => i.flags.length > 0) : items
+      }
+    });
+
+  } catch (error) {
+    console.error('Get test item analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while analysing test questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Item analysis for one bank question, per test that uses it and pooled
+ * Score groups are formed within each test, since totals aren't comparable across tests.
+ */
+export const getQuestionItemAnalysis = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const questionId = parseInt(req.params.questionId);
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { questionsById, optionsByQuestion } = await loadItemQuestions([questionId]);
+    const question = questionsById.get(questionId);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { data: usages = [] } = await supabase
+      .from('test_questions')
+      .select('test_id, question_order, tests(test_name)')
+      .eq('question_id', questionId)
+      .order('test_id', { ascending: true });
+
+    const options = optionsByQuestion.get(questionId);
+    const pooled = [];
+    const tests = [];
+    for (const usage of usages || []) {
+      const { context, responsesByQuestion } = await loadTestResponses(usage.test_id);
+      const responses = responsesByQuestion.get(questionId) || [];
+      if (responses.length === 0) continue;
+
+      pooled.push(...responses);
+      tests.push({
+        testId: usage.test_id,
+        testName: usage.tests?.test_name || null,
+        questionOrder: usage.question_order,
+        gradingDecision: context.decisions.get(questionId) || null,
+        ...analyzeItem({ question, options, responses })
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        questionText: previewText(question.question_text),
+        chapter: question.metadata?.chapter || null,
+        authorDifficulty: question.difficulty_level || null,
+        minimumExaminees: MIN_ITEM_RESPONSES,
+        overall: analyzeItem({ question, options, responses: pooled }),
+        tests
+      }
+    });
+
+  } catch (error) {
+    console.error('Get question item analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while analysing question',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,621 @@
+import { supabase } from '../config/supabase.js';
+import { hasFeatureAccess } from '../middleware/planAccess.js';
+import crypto from 'crypto';
+import { loadStudentQuestions } from '../services/questionService.js';
+import { gradeStandaloneAnswer, validateStandaloneAnswer } from '../services/attemptService.js';
+import {
+  MASTERED_INTERVAL_DAYS,
+  DEFAULT_REVISION_SIZE,
+  MAX_REVISION_SIZE,
+  getReviewQuality,
+  scheduleReview,
+  formatNotebookEntry
+} from '../services/mistakeNotebookService.js';
+
+const NOTEBOOK_FILTERS = ['all', 'due', 'bookmarked', 'mistakes'];
+const CONFIDENCE_LEVELS = ['low', 'high'];
+
+/**
+ * Whether a student has been shown a question (in a test attempt or adaptive practice)
+ * Bookmarks are limited to these so the notebook can't be used to browse the bank.
+ */
+const hasSeenQuestion = async (userId, questionId) => {
+  const { count: attempted } = await supabase
+    .from('attempt_answers')
+    .select('answer_id, test_attempts!inner(user_id)', { count: 'exact', head: true })
+    .eq('question_id', questionId)
+    .eq('test_attempts.user_id', userId);
+
+  if (attempted > 0) return true;
+
+  const { count: practised } = await supabase
+    .from('adaptive_session_answers')
+    .select('answer_id, adaptive_sessions!inner(user_id)', { count: 'exact', head: true })
+    .eq('question_id', questionId)
+    .eq('adaptive_sessions.user_id', userId);
+
+  return practised > 0;
+};
+
+/**
+ * Load a student's revision session by token
+ * @returns {Promise<object|null>} revision_sessions row, or null when not found / not theirs
+ */
+const loadRevisionSession = async (sessionToken, userId) => {
+  const { data: session } = await supabase
+    .from('revision_sessions')
+    .select('*')
+    .eq('session_token', sessionToken)
+    .single();
+
+  return session && session.user_id === userId ? session : null;
+};
+
+/**
+ * Entries still in a revision session (deleted entries drop out) and the reviews so far
+ * @returns {Promise<{ entries: Array, reviews: Array }>} entries in session order
+ */
+const loadRevisionProgress = async (session) => {
+  const { data: entries = [] } = await supabase
+    .from('notebook_entries')
+    .select('*')
+    .in('entry_id', session.entry_ids);
+
+  const { data: reviews = [] } = await supabase
+    .from('notebook_reviews')
+    .select('entry_id, question_id, status, quality, interval_after, reviewed_at')
+    .eq('revision_session_id', session.revision_session_id);
+
+  const byId = new Map((entries || []).map(e => [e.entry_id, e]));
+  return {
+    entries: session.entry_ids.map(id => byId.get(id)).filter(Boolean),
+    reviews: reviews || []
+  };
+};
+
+/**
+ * Session payload: progress plus the questions still to review
+ */
+const buildRevisionPayload = async (session, { entries, reviews }) => {
+  const reviewedIds = new Set(reviews.map(r => r.entry_id));
+  const pending = entries.filter(e => !reviewedIds.has(e.entry_id));
+  const questionsById = await loadStudentQuestions(pending.map(e => e.question_id));
+  const count = (status) => reviews.filter(r => r.status === status).length;
+
+  return {
+    sessionToken: session.session_token,
+    status: session.status,
+    startedAt: session.started_at,
+    completedAt: session.completed_at,
+    progress: { reviewed: reviews.length, total: entries.length },
+    summary: {
+      correct: count('correct'),
+      partial: count('partial'),
+      incorrect: count('incorrect'),
+      skipped: count('skipped')
+    },
+    questions: pending
+      .filter(e => questionsById.has(e.question_id))
+      .map(e => ({
+        entryId: e.entry_id,
+        lastMistakeType: e.last_mistake_type,
+        mistakeCount: e.mistake_count,
+        note: e.note,
+        question: questionsById.get(e.question_id)
+      }))
+  };
+};
+
+/**
+ * GET /api/notebook
+ * Query: filter (all | due | bookmarked | mistakes), subjectId, chapter, page, limit
+ * Lists the student's notebook with a question preview and overall counts
+ */
+export const getNotebook = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const filter = req.query.filter || 'all';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const from = (page - 1) * limit;
+    const now = new Date();
+
+    if (!NOTEBOOK_FILTERS.includes(filter)) {
+      return res.status(400).json({
+        success: false,
+        message: `filter must be one of: ${NOTEBOOK_FILTERS.join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from('notebook_entries')
+      .select('*, questions!inner(subject_id, metadata)', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (filter === 'due') query = query.lte('due_at', now.toISOString());
+    if (filter === 'bookmarked') query = query.eq('is_bookmarked', true);
+    if (filter === 'mistakes') query = query.gt('mistake_count', 0);
+    if (req.query.subjectId) query = query.eq('questions.subject_id', parseInt(req.query.subjectId));
+    if (req.query.chapter) query = query.eq('questions.metadata->>chapter', req.query.chapter);
+
+    const { data: entries, error, count } = await query
+      .order(filter === 'due' ? 'due_at' : 'updated_at', { ascending: filter === 'due' })
+      .range(from, from + limit - 1);
+
+    if (error) throw error;
+
+    const countEntries = async (apply) => {
+      const { count: total } = await apply(
+        supabase
+          .from('notebook_entries')
+          .select('entry_id', { count: 'exact', head: true })
+          .eq('user_id', userId)
+      );
+      return total || 0;
+    };
+
+    const [total, due, bookmarked, mastered] = await Promise.all([
+      countEntries(q => q),
+      countEntries(q => q.lte('due_at', now.toISOString())),
+      countEntries(q => q.eq('is_bookmarked', true)),
+      countEntries(q => q.gte('interval_days', MASTERED_INTERVAL_DAYS))
+    ]);
+
+    const questionsById = await loadStudentQuestions((entries || []).map(e => e.question_id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: { total, due, bookmarked, mastered },
+        entries: (entries || []).map(entry => ({
+          ...formatNotebookEntry(entry, now),
+          subjectId: entry.questions.subject_id,
+          question: questionsById.get(entry.question_id) || null
+        }))
+      },
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notebook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notebook'
+    });
+  }
+};
+
+/**
+ * POST /api/notebook/bookmarks
+ * Body: { questionId, note? }
+ * Bookmarks a question the student has seen; bookmarking again updates the note
+ */
+export const addBookmark = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const questionId = parseInt(req.body.questionId);
+    const { note } = req.body;
+
+    if (!Number.isInteger(questionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionId is required'
+      });
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+
+    if (!(await hasSeenQuestion(userId, questionId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const row = {
+      user_id: userId,
+      question_id: questionId,
+      is_bookmarked: true,
+      updated_at: new Date().toISOString()
+    };
+    if (note !== undefined) row.note = note ? note.trim().slice(0, 2000) : null;
+
+    const { data: entry, error } = await supabase
+      .from('notebook_entries')
+      .upsert(row, { onConflict: 'user_id,question_id' })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    res.status(200).json({
+      success: true,
+      message: 'Question bookmarked',
+      data: formatNotebookEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while bookmarking question'
+    });
+  }
+};
+
+/**
+ * DELETE /api/notebook/bookmarks/:questionId
+ * Removes a bookmark; the entry stays in the notebook if it also records mistakes
+ */
+export const removeBookmark = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const questionId = parseInt(req.params.questionId);
+
+    const { data: entry } = await supabase
+      .from('notebook_entries')
+      .select('entry_id, is_bookmarked, mistake_count')
+      .eq('user_id', userId)
+      .eq('question_id', questionId)
+      .single();
+
+    if (!entry || !entry.is_bookmarked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bookmark not found'
+      });
+    }
+
+    const { error } = entry.mistake_count > 0
+      ? await supabase
+        .from('notebook_entries')
+        .update({ is_bookmarked: false, updated_at: new Date().toISOString() })
+        .eq('entry_id', entry.entry_id)
+      : await supabase
+        .from('notebook_entries')
+        .delete()
+        .eq('entry_id', entry.entry_id);
+
+    if (error) throw error;
+
+    res.status(200).json({
+      success: true,
+      message: 'Bookmark removed',
+      data: { entryId: entry.entry_id, removedFromNotebook: entry.mistake_count === 0 }
+    });
+
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing bookmark'
+    });
+  }
+};
+
+/**
+ * DELETE /api/notebook/:entryId
+ * Removes an entry (and its review history) from the notebook
+ * A later mistake on the same question adds it back.
+ */
+export const deleteNotebookEntry = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const entryId = parseInt(req.params.entryId);
+
+    const { data: deleted, error } = await supabase
+      .from('notebook_entries')
+      .delete()
+      .eq('entry_id', entryId)
+      .eq('user_id', userId)
+      .select('entry_id');
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notebook entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from notebook'
+    });
+
+  } catch (error) {
+    console.error('Delete notebook entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing notebook entry'
+    });
+  }
+};
+
+/**
+ * POST /api/sessions/revision
+ * Body: { size?, subjectId? }
+ * Starts a revision session over the entries that are due, oldest first.
+ * An unfinished session is resumed instead.
+ */
+export const startRevisionSession = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const size = req.body.size === undefined ? DEFAULT_REVISION_SIZE : parseInt(req.body.size);
+    const subjectId = req.body.subjectId === undefined ? null : parseInt(req.body.subjectId);
+
+    if (!Number.isInteger(size) || size < 1 || size > MAX_REVISION_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `size must be between 1 and ${MAX_REVISION_SIZE}`
+      });
+    }
+
+    if (req.body.subjectId !== undefined && !Number.isInteger(subjectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'subjectId must be a subject ID'
+      });
+    }
+
+    const { data: liveSession } = await supabase
+      .from('revision_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('status', 'in_progress')
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (liveSession) {
+      const progress = await loadRevisionProgress(liveSession);
+      if (progress.reviews.length < progress.entries.length) {
+        return res.status(200).json({
+          success: true,
+          data: { resumed: true, ...(await buildRevisionPayload(liveSession, progress)) }
+        });
+      }
+      // Everything left in it was deleted from the notebook
+      await supabase
+        .from('revision_sessions')
+        .update({ status: 'completed', completed_at: new Date().toISOString() })
+        .eq('revision_session_id', liveSession.revision_session_id);
+    }
+
+    const now = new Date().toISOString();
+    let dueQuery = supabase
+      .from('notebook_entries')
+      .select('entry_id, questions!inner(subject_id, is_active)')
+      .eq('user_id', userId)
+      .eq('questions.is_active', true)
+      .lte('due_at', now)
+      .order('due_at', { ascending: true })
+      .limit(size);
+
+    if (subjectId) dueQuery = dueQuery.eq('questions.subject_id', subjectId);
+
+    const { data: dueEntries, error: dueError } = await dueQuery;
+    if (dueError) throw dueError;
+
+    if (!dueEntries || dueEntries.length === 0) {
+      let nextQuery = supabase
+        .from('notebook_entries')
+        .select('due_at, questions!inner(subject_id)')
+        .eq('user_id', userId)
+        .order('due_at', { ascending: true })
+        .limit(1);
+
+      if (subjectId) nextQuery = nextQuery.eq('questions.subject_id', subjectId);
+
+      const { data: next = [] } = await nextQuery;
+      return res.status(200).json({
+        success: true,
+        message: 'Nothing is due for revision',
+        data: {
+          sessionToken: null,
+          nextDueAt: next?.[0]?.due_at || null
+        }
+      });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('revision_sessions')
+      .insert([{
+        user_id: userId,
+        session_token: crypto.randomBytes(24).toString('hex'),
+        entry_ids: dueEntries.map(e => e.entry_id)
+      }])
+      .select('*')
+      .single();
+
+    if (sessionError) throw sessionError;
+
+    const progress = await loadRevisionProgress(session);
+    return res.status(201).json({
+      success: true,
+      data: { resumed: false, ...(await buildRevisionPayload(session, progress)) }
+    });
+  } catch (error) {
+    console.error('startRevisionSession error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error starting revision'
+    });
+  }
+};
+
+/**
+ * POST /api/sessions/revision/:sessionToken/reviews
+ * Body: { entryId, selectedOptionId?, selectedOptionIds?, numericAnswer?, timeSpentSeconds?,
+ *         confidence? ('low' | 'high'), skip? }
+ * Grades one notebook question and reschedules its entry with SM-2.
+ * The session completes once every entry has been reviewed.
+ */
+export const submitRevisionReview = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionToken } = req.params;
+    const entryId = Number(req.body.entryId);
+    const { confidence } = req.body;
+
+    if (confidence !== undefined && !CONFIDENCE_LEVELS.includes(confidence)) {
+      return res.status(400).json({
+        success: false,
+        message: `confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`
+      });
+    }
+
+    const inputError = validateStandaloneAnswer(req.body);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    const session = await loadRevisionSession(sessionToken, userId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    if (session.status !== 'in_progress') {
+      return res.status(400).json({ success: false, message: 'Revision session already completed' });
+    }
+    if (!session.entry_ids.includes(entryId)) {
+      return res.status(404).json({ success: false, message: 'Entry is not part of this session' });
+    }
+
+    const { data: entry } = await supabase
+      .from('notebook_entries')
+      .select('*')
+      .eq('entry_id', entryId)
+      .single();
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Notebook entry not found' });
+    }
+
+    const graded = await gradeStandaloneAnswer(entry.question_id, req.body, {
+      withSolution: await hasFeatureAccess(userId, 'detailed_solutions')
+    });
+    if (!graded) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const { answer, status } = graded;
+    const quality = getReviewQuality(status, confidence);
+    const now = new Date();
+    const before = {
+      easeFactor: Number(entry.ease_factor),
+      intervalDays: entry.interval_days,
+      repetitions: entry.repetitions
+    };
+    const after = scheduleReview(before, quality, now);
+
+    const timeSpent = Math.floor(Number(req.body.timeSpentSeconds));
+    const { error: reviewError } = await supabase
+      .from('notebook_reviews')
+      .insert([{
+        entry_id: entryId,
+        revision_session_id: session.revision_session_id,
+        question_id: entry.question_id,
+        status,
+        quality,
+        selected_option_id: answer?.selected_option_id ?? null,
+        selected_option_ids: answer?.selected_option_ids ?? null,
+        numeric_response: answer?.numeric_response ?? null,
+        time_spent_seconds: Number.isFinite(timeSpent) && timeSpent > 0 ? timeSpent : 0,
+        interval_before: before.intervalDays,
+        interval_after: after.intervalDays,
+        ease_before: before.easeFactor,
+        ease_after: after.easeFactor,
+        reviewed_at: now.toISOString()
+      }]);
+
+    if (reviewError) {
+      // Unique (session, entry): the same review was posted twice
+      if (reviewError.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Question already reviewed' });
+      }
+      throw reviewError;
+    }
+
+    const { data: updatedEntry, error: entryError } = await supabase
+      .from('notebook_entries')
+      .update({
+        ease_factor: after.easeFactor,
+        interval_days: after.intervalDays,
+        repetitions: after.repetitions,
+        due_at: after.dueAt,
+        review_count: entry.review_count + 1,
+        last_reviewed_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('entry_id', entryId)
+      .select('*')
+      .single();
+
+    if (entryError) throw entryError;
+
+    const progress = await loadRevisionProgress(session);
+    let currentSession = session;
+    if (progress.reviews.length >= progress.entries.length) {
+      const { data: completed } = await supabase
+        .from('revision_sessions')
+        .update({ status: 'completed', completed_at: now.toISOString() })
+        .eq('revision_session_id', session.revision_session_id)
+        .select('*')
+        .single();
+      currentSession = completed || session;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        result: graded.result, // status: 'correct' | 'partial' | 'incorrect' | 'skipped'
+        quality,
+        entry: formatNotebookEntry(updatedEntry, now),
+        progress: { reviewed: progress.reviews.length, total: progress.entries.length },
+        completed: currentSession.status === 'completed'
+      }
+    });
+  } catch (error) {
+    console.error('submitRevisionReview error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error saving review'
+    });
+  }
+};
+
+/**
+ * GET /api/sessions/revision/:sessionToken
+ * Progress of a revision session and the questions still to review
+ */
+export const getRevisionSession = async (req, res) => {
+  try {
+    const session = await loadRevisionSession(req.params.sessionToken, req.user.userId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const progress = await loadRevisionProgress(session);
+    return res.status(200).json({
+      success: true,
+      data: await buildRevisionPayload(session, progress)
+    });
+  } catch (error) {
+    console.error('getRevisionSession error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching revision session'
+    });
+  }
+};
@@ -0,0 +1,536 @@
+import { supabase } from '../config/supabase.js';
+import { loadTestQuestions } from '../services/questionService.js';
+import { finalizeAttempt } from '../services/attemptService.js';
+import { recomputeTestLeaderboard } from '../services/leaderboardService.js';
+import {
+  parseOmrSheetOptions,
+  renderOmrSheet,
+  parseOmrCsv,
+  parseOmrJson,
+  buildSheetAnswers
+} from '../services/omrService.js';
+
+const isTrue = (value) => value === true || value === 'true';
+
+const MAX_OMR_SHEETS = 2000;
+
+/**
+ * Download a blank OMR answer sheet for a test (PDF)
+ * Query: rollDigits (4-12, default 8), instituteName, accentColor
+ */
+export const getOmrSheet = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { options, error: optionsError } = parseOmrSheetOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, test_name')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const questions = await loadTestQuestions(testId);
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This test has no questions'
+      });
+    }
+
+    const pdf = await renderOmrSheet({ test, questions, options });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="omr-sheet-test-${test.test_id}.pdf"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Get OMR sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate OMR sheet',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List roll numbers assigned for a test
+ */
+export const getRollNumbers = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: rows, error } = await supabase
+      .from('test_roll_numbers')
+      .select('roll_number, user_id, users:user_id (email, first_name, last_name)')
+      .eq('test_id', testId)
+      .order('roll_number');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: (rows || []).map(row => ({
+        rollNumber: row.roll_number,
+        userId: row.user_id,
+        email: row.users?.email || null,
+        name: [row.users?.first_name, row.users?.last_name].filter(Boolean).join(' ') || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get roll numbers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roll numbers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Assign roll numbers for an offline test
+ * Body: { assignments: [{ rollNumber, userId | email }], replace?: boolean }
+ * A student or roll number that is already assigned is reassigned.
+ */
+export const saveRollNumbers = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const testId = Number(req.params.testId);
+    const { assignments, replace = false } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignments must be a non-empty array'
+      });
+    }
+
+    const emails = [...new Set(assignments
+      .filter(a => !a.userId && a.email)
+      .map(a => String(a.email).trim().toLowerCase()))];
+    const userIdByEmail = new Map();
+    if (emails.length > 0) {
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('user_id, email')
+        .in('email', emails);
+      if (usersError) throw usersError;
+      (users || []).forEach(u => userIdByEmail.set(u.email.toLowerCase(), u.user_id));
+    }
+
+    const errors = [];
+    const rows = [];
+    const seenRolls = new Set();
+    const seenUsers = new Set();
+    assignments.forEach((assignment, idx) => {
+      const rollNumber = String(assignment.rollNumber ?? '').trim();
+      const studentId = assignment.userId
+        ? Number(assignment.userId)
+        : userIdByEmail.get(String(assignment.email || '').trim().toLowerCase());
+
+      if (!/^\d{1,20}$/.test(rollNumber)) {
+        errors.push({ index: idx, message: 'rollNumber must contain digits only' });
+      } else if (!studentId) {
+        errors.push({ index: idx, message: 'Student not found (send userId or a registered email)' });
+      } else if (seenRolls.has(rollNumber) || seenUsers.has(studentId)) {
+        errors.push({ index: idx, message: 'Duplicate roll number or student in this request' });
+      } else {
+        seenRolls.add(rollNumber);
+        seenUsers.add(studentId);
+        rows.push({ test_id: testId, user_id: studentId, roll_number: rollNumber });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some roll number assignments are invalid',
+        errors
+      });
+    }
+
+    if (replace) {
+      await supabase.from('test_roll_numbers').delete().eq('test_id', testId);
+    } else {
+      await supabase
+        .from('test_roll_numbers')
+        .delete()
+        .eq('test_id', testId)
+        .in('user_id', [...seenUsers]);
+      await supabase
+        .from('test_roll_numbers')
+        .delete()
+        .eq('test_id', testId)
+        .in('roll_number', [...seenRolls]);
+    }
+
+    const { error: insertError } = await supabase
+      .from('test_roll_numbers')
+      .insert(rows);
+
+    if (insertError) throw insertError;
+
+    res.json({
+      success: true,
+      message: `${rows.length} roll numbers assigned`,
+      data: { assigned: rows.length }
+    });
+
+  } catch (error) {
+    console.error('Save roll numbers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save roll numbers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Ingest scanned OMR results as graded attempts
+ * Multipart `file` (CSV export from OMR software) or JSON body { sheets }.
+ * Options: dryRun, replaceExisting (re-grade students who already have an
+ * offline attempt), examDate (ISO; defaults to the test start time or now).
+ * Each sheet becomes a completed offline attempt graded by finalizeAttempt,
+ * the same path as an online submit.
+ */
+export const ingestOmrResults = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const testId = Number(req.params.testId);
+    const dryRun = isTrue(req.body.dryRun) || isTrue(req.query.dryRun);
+    const replaceExisting = isTrue(req.body.replaceExisting);
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, duration_minutes, start_time')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    let parsed;
+    if (req.file) {
+      const ext = (req.file.originalname.split('.').pop() || '').toLowerCase();
+      if (ext !== 'csv') {
+        return res.status(400).json({
+          success: false,
+          message: 'OMR results must be a .csv file'
+        });
+      }
+      parsed = parseOmrCsv(req.file.buffer);
+    } else {
+      parsed = parseOmrJson(req.body.sheets);
+    }
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    if (parsed.sheets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No OMR sheets found'
+      });
+    }
+    if (parsed.sheets.length > MAX_OMR_SHEETS) {
+      return res.status(400).json({
+        success: false,
+        message: `A single upload can contain at most ${MAX_OMR_SHEETS} sheets`
+      });
+    }
+
+    const examStart = new Date(req.body.examDate || test.start_time || Date.now());
+    if (Number.isNaN(examStart.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'examDate must be a valid date'
+      });
+    }
+    const examEnd = new Date(examStart.getTime() + Number(test.duration_minutes || 0) * 60 * 1000);
+
+    const questions = await loadTestQuestions(testId);
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This test has no questions'
+      });
+    }
+
+    // Resolve students: roll number, then email, then student ID
+    const sheets = parsed.sheets;
+    const rollNumbers = [...new Set(sheets.map(s => s.rollNumber).filter(Boolean))];
+    const emails = [...new Set(sheets.map(s => s.email).filter(Boolean))];
+    const studentIds = [...new Set(sheets.map(s => s.studentId).filter(Boolean))];
+
+    const userIdByRoll = new Map();
+    if (rollNumbers.length > 0) {
+      const { data: rolls } = await supabase
+        .from('test_roll_numbers')
+        .select('roll_number, user_id')
+        .eq('test_id', testId)
+        .in('roll_number', rollNumbers);
+      (rolls || []).forEach(r => userIdByRoll.set(r.roll_number, r.user_id));
+    }
+
+    const userIdByEmail = new Map();
+    if (emails.length > 0) {
+      const { data: users } = await supabase
+        .from('users')
+        .select('user_id, email')
+        .in('email', emails);
+      (users || []).forEach(u => userIdByEmail.set(u.email.toLowerCase(), u.user_id));
+    }
+
+    const userIdByStudentId = new Map();
+    if (studentIds.length > 0) {
+      const { data: profiles } = await supabase
+        .from('student_profiles')
+        .select('user_id, student_id')
+        .in('student_id', studentIds);
+      (profiles || []).forEach(p => userIdByStudentId.set(p.student_id, p.user_id));
+    }
+
+    // Students who already have an offline attempt for this test
+    const { data: existingAttempts = [] } = await supabase
+      .from('test_attempts')
+      .select('attempt_id, user_id')
+      .eq('test_id', testId)
+      .eq('attempt_mode', 'offline');
+
+    const existingByUser = new Map();
+    (existingAttempts || []).forEach(a => {
+      if (!existingByUser.has(a.user_id)) existingByUser.set(a.user_id, []);
+      existingByUser.get(a.user_id).push(a.attempt_id);
+    });
+
+    const report = [];
+    const seenUsers = new Set();
+    let graded = 0;
+
+    for (const sheet of sheets) {
+      const entry = {
+        row: sheet.rowNumber,
+        rollNumber: sheet.rollNumber,
+        userId: null,
+        status: null,
+        answered: 0,
+        warnings: []
+      };
+      report.push(entry);
+
+      const studentUserId = (sheet.rollNumber && userIdByRoll.get(sheet.rollNumber)) ||
+        (sheet.email && userIdByEmail.get(sheet.email)) ||
+        (sheet.studentId && userIdByStudentId.get(sheet.studentId)) ||
+        null;
+
+      if (!studentUserId) {
+        entry.status = 'unmatched';
+        entry.warnings.push('No student found for this roll number');
+        continue;
+      }
+      entry.userId = studentUserId;
+
+      if (seenUsers.has(studentUserId)) {
+        entry.status = 'duplicate';
+        entry.warnings.push('Student appears more than once in this upload');
+        continue;
+      }
+      seenUsers.add(studentUserId);
+
+      if (existingByUser.has(studentUserId) && !replaceExisting) {
+        entry.status = 'duplicate';
+        entry.warnings.push('Student already has an offline attempt (send replaceExisting=true to re-grade)');
+        continue;
+      }
+
+      const { answers, warnings } = buildSheetAnswers(sheet, questions);
+      entry.answered = answers.length;
+      entry.warnings.push(...warnings);
+
+      if (dryRun) {
+        entry.status = existingByUser.has(studentUserId) ? 'will_replace' : 'valid';
+        continue;
+      }
+
+      const { data: attempt, error: attemptError } = await supabase
+        .from('test_attempts')
+        .insert([{
+          user_id: studentUserId,
+          test_id: testId,
+          start_time: examStart.toISOString(),
+          attempt_status: 'in_progress',
+          attempt_mode: 'offline',
+          proctoring_data: { source: 'omr', ingestedBy: userId, ingestedAt: new Date().toISOString() }
+        }])
+        .select()
+        .single();
+
+      if (attemptError || !attempt) {
+        console.error('OMR attempt create error', attemptError);
+        entry.status = 'failed';
+        entry.warnings.push('Could not create attempt');
+        continue;
+      }
+
+      if (answers.length > 0) {
+        const { error: answersError } = await supabase.rpc('upsert_attempt_answers', {
+          p_attempt_id: attempt.attempt_id,
+          p_answers: answers,
+          p_time_cap_seconds: null
+        });
+
+        if (answersError) {
+          console.error('OMR answers save error', answersError);
+          await supabase.from('test_attempts').delete().eq('attempt_id', attempt.attempt_id);
+          entry.status = 'failed';
+          entry.warnings.push('Could not save answers');
+          continue;
+        }
+      }
+
+      const result = await finalizeAttempt(attempt, {
+        submittedAt: examEnd.toISOString(),
+        updateLeaderboard: false
+      });
+
+      if (!result) {
+        await supabase.from('test_attempts').delete().eq('attempt_id', attempt.attempt_id);
+        entry.status = 'failed';
+        entry.warnings.push('Could not grade attempt');
+        continue;
+      }
+
+      // Replace the previous offline attempt only once the new one is graded,
+      // so a failed upload never leaves the student without a result
+      for (const oldAttemptId of existingByUser.get(studentUserId) || []) {
+        const { error: oldAnswersError } = await supabase
+          .from('attempt_answers')
+          .delete()
+          .eq('attempt_id', oldAttemptId);
+        const { error: oldAttemptError } = oldAnswersError
+          ? { error: oldAnswersError }
+          : await supabase.from('test_attempts').delete().eq('attempt_id', oldAttemptId);
+
+        if (oldAttemptError) {
+          console.error('OMR old attempt delete error', oldAttemptError);
+          entry.warnings.push(`Could not remove previous attempt ${oldAttemptId}`);
+        }
+      }
+
+      entry.status = 'graded';
+      entry.attemptId = attempt.attempt_id;
+      entry.score = result.score;
+      entry.percentage = result.percentage;
+      graded++;
+    }
+
+    // Rank once for the whole batch
+    if (graded > 0) await recomputeTestLeaderboard(testId);
+
+    const countBy = (status) => report.filter(r => r.status === status).length;
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run - ${countBy('valid') + countBy('will_replace')} of ${report.length} sheets can be graded`
+        : `${graded} of ${report.length} sheets graded`,
+      data: {
+        dryRun,
+        total: report.length,
+        graded,
+        unmatched: countBy('unmatched'),
+        duplicates: countBy('duplicate'),
+        failed: countBy('failed'),
+        sheets: report
+      }
+    });
+
+  } catch (error) {
+    console.error('Ingest OMR results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to ingest OMR results',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,93 @@
+import { supabase } from '../config/supabase.js';
+import { loadTestQuestions } from '../services/questionService.js';
+import { loadTestSections } from '../services/sectionService.js';
+import {
+  parseExportOptions,
+  loadQuestionImages,
+  renderPaperHtml,
+  renderPaperPdf
+} from '../services/paperExportService.js';
+
+/**
+ * Export a test as a printable paper or answer key (PDF or HTML)
+ * Query: format=pdf|html, document=paper|answer-key, columns=1|2,
+ * instituteName, logoUrl, headerText, footerText, accentColor
+ */
+export const exportTestPaper = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+
+    // Check if user is admin
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const { options, error: optionsError } = parseExportOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, test_name, duration_minutes, total_marks')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const questions = await loadTestQuestions(testId);
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This test has no questions to export'
+      });
+    }
+
+    const sections = await loadTestSections(testId);
+    const images = await loadQuestionImages(questions.map(q => q.questionId));
+    const params = { test, questions, sections, images, options };
+
+    const baseName = `${test.test_name || `test-${testId}`}`
+      .replace(/[^a-z0-9]+/gi, '-')
+      .replace(/^-|-$/g, '')
+      .toLowerCase();
+    const fileName = `${baseName}-${options.document}.${options.format}`;
+
+    if (options.format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+      return res.send(renderPaperHtml(params));
+    }
+
+    const pdf = await renderPaperPdf(params);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Export test paper error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export test paper',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,598 @@
+import { supabase } from '../config/supabase.js';
+import { isNumericalType } from '../services/gradingService.js';
+import {
+  parseTags,
+  validateQuestionInput,
+  planQuestionOptions,
+  applyQuestionOptions,
+  getTypeChangeConflict,
+  linkQuestionsToTest,
+  formatBankQuestion
+} from '../services/questionService.js';
+import { recordQuestionVersions } from '../services/questionVersionService.js';
+import { loadSolutionMedia } from '../services/solutionService.js';
+import { prepareQuestionContent } from '../services/richContentService.js';
+import {
+  DEFAULT_LANGUAGE,
+  parseTestLanguages,
+  loadTranslations,
+  getMissingTranslations,
+  formatTranslation
+} from '../services/translationService.js';
+
+/**
+ * List / search bank questions
+ * Query: search, subjectId, chapter, difficulty, type, authorId, tags (comma-separated,
+ * all must match), includeInactive, page, limit
+ */
+export const listBankQuestions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const {
+      search,
+      subjectId,
+      chapter,
+      difficulty,
+      type,
+      authorId,
+      tags,
+      includeInactive
+    } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('questions')
+      .select('*', { count: 'exact' });
+
+    if (includeInactive !== 'true') query = query.eq('is_active', true);
+    if (subjectId) query = query.eq('subject_id', subjectId);
+    if (chapter) query = query.eq('metadata->>chapter', chapter);
+    if (difficulty) query = query.eq('difficulty_level', difficulty);
+    if (type) query = query.eq('question_type', type);
+    if (authorId) query = query.eq('created_by', authorId);
+
+    const tagList = parseTags(tags);
+    if (tagList && tagList.length > 0) query = query.contains('tags', tagList);
+
+    if (search && search.trim()) {
+      // Escape LIKE wildcards so the search is literal
+      const term = search.trim().replace(/[\\%_]/g, m => `\\${m}`);
+      query = query.ilike('question_text', `%${term}%`);
+    }
+
+    const { data: questions, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const questionIds = questions.map(q => q.question_id);
+    const { data: options = [] } = questionIds.length > 0
+      ? await supabase
+        .from('question_options')
+        .select('*')
+        .in('question_id', questionIds)
+        .order('option_order')
+      : { data: [] };
+
+    // How many tests use each question
+    const { data: usage = [] } = questionIds.length > 0
+      ? await supabase
+        .from('test_questions')
+        .select('question_id')
+        .in('question_id', questionIds)
+      : { data: [] };
+
+    res.json({
+      success: true,
+      data: questions.map(q => ({
+        ...formatBankQuestion(q, (options || []).filter(o => o.question_id === q.question_id)),
+        usedInTests: (usage || []).filter(u => u.question_id === q.question_id).length
+      })),
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing bank questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a bank question with its options and the tests that use it
+ */
+export const getBankQuestion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { questionId } = req.params;
+
+    const { data: question, error } = await supabase
+      .from('questions')
+      .select('*')
+      .eq('question_id', questionId)
+      .single();
+
+    if (error || !question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { data: options = [] } = await supabase
+      .from('question_options')
+      .select('*')
+      .eq('question_id', questionId)
+      .order('option_order');
+
+    const { data: usage = [] } = await supabase
+      .from('test_questions')
+      .select('test_id, marks_allocated, negative_marks_allocated, tests(test_name, languages)')
+      .eq('question_id', questionId);
+
+    // Missing translations are reported for ?languages=hi,ta, or else for
+    // every language offered by a test that uses the question
+    let requiredLanguages = [...new Set([
+      DEFAULT_LANGUAGE,
+      ...(usage || []).flatMap(u => u.tests?.languages || [])
+    ])];
+    if (req.query.languages) {
+      const { languages, error: languageError } = parseTestLanguages(
+        String(req.query.languages).split(',').map(code => code.trim()).filter(Boolean)
+      );
+      if (languageError) {
+        return res.status(400).json({
+          success: false,
+          message: languageError
+        });
+      }
+      requiredLanguages = languages;
+    }
+
+    const formatted = formatBankQuestion(question, options || []);
+    const byLanguage = (await loadTranslations([question.question_id])).get(question.question_id);
+    const solutionMedia = (await loadSolutionMedia([question.question_id])).get(question.question_id) || [];
+
+    res.json({
+      success: true,
+      data: {
+        ...formatted,
+        usedIn: (usage || []).map(u => ({
+          testId: u.test_id,
+          testName: u.tests?.test_name || null,
+          languages: u.tests?.languages || [DEFAULT_LANGUAGE],
+          marks: u.marks_allocated,
+          negativeMarks: u.negative_marks_allocated
+        })),
+        translations: [...(byLanguage?.values() || [])].map(formatTranslation),
+        missingTranslations: getMissingTranslations(formatted, byLanguage, requiredLanguages),
+        solutionMedia
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a bank question (not attached to any test)
+ */
+export const createBankQuestion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+    const {
+      questionText,
+      questionType,
+      questionCategory,
+      difficultyLevel,
+      marks,
+      negativeMarks,
+      explanation,
+      chapter,
+      subjectId,
+      tags,
+      numericalAnswer,
+      options
+    } = req.body;
+
+    if (!questionText || !questionType) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionText and questionType are required'
+      });
+    }
+
+    const { numericalKey, error: inputError } = validateQuestionInput({
+      questionType,
+      numericalAnswer,
+      options
+    });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    // Validate formulae and sanitize HTML before saving
+    const { content, error: contentError } = prepareQuestionContent({ questionText, explanation, options });
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const { data: question, error: questionError } = await supabase
+      .from('questions')
+      .insert([{
+        subject_id: subjectId || null,
+        created_by: userId,
+        question_text: content.questionText,
+        question_type: questionType,
+        question_category: questionCategory || null,
+        difficulty_level: difficultyLevel,
+        marks: marks ?? 4,
+        negative_marks: negativeMarks || 0,
+        explanation: content.explanation || null,
+        metadata: chapter && chapter.trim() ? { chapter: chapter.trim() } : null,
+        numerical_answer: numericalKey,
+        tags: parseTags(tags) || [],
+        is_active: true
+      }])
+      .select('question_id')
+      .single();
+
+    if (questionError) throw questionError;
+
+    if (!isNumericalType(questionType) && options && options.length > 0) {
+      const { plan } = await planQuestionOptions(question.question_id, content.options);
+      await applyQuestionOptions(plan);
+    }
+
+    await recordQuestionVersions([question.question_id], userId, { summary: 'Created' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created successfully',
+      data: { questionId: question.question_id }
+    });
+
+  } catch (error) {
+    console.error('Error creating bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a bank question (changes apply to every test that uses it)
+ * Only fields present in the body are changed
+ */
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { questionId } = req.params;
+    const body = req.body;
+
+    const { data: existing, error: findError } = await supabase
+      .from('questions')
+      .select('question_type, metadata, numerical_answer')
+      .eq('question_id', questionId)
+      .single();
+
+    if (findError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const questionType = body.questionType ?? existing.question_type;
+    const isNumerical = isNumericalType(questionType);
+
+    // Re-validate when the type, answer key or options change
+    let numericalKey = existing.numerical_answer;
+    if (body.questionType !== undefined || body.numericalAnswer !== undefined || body.options !== undefined) {
+      const { numericalKey: key, error: inputError } = validateQuestionInput({
+        questionType,
+        numericalAnswer: body.numericalAnswer ?? existing.numerical_answer,
+        options: body.options
+      });
+      if (inputError) {
+        return res.status(400).json({
+          success: false,
+          message: inputError
+        });
+      }
+      numericalKey = isNumerical ? key : null;
+    }
+
+    // Validate formulae and sanitize HTML in the fields being changed
+    const { content, error: contentError } = prepareQuestionContent({
+      questionText: body.questionText,
+      explanation: body.explanation,
+      options: body.options
+    });
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    // Attempted questions keep their type and any options students picked
+    const typeConflict = await getTypeChangeConflict(questionId, existing.question_type, questionType);
+    if (typeConflict) {
+      return res.status(409).json({
+        success: false,
+        message: typeConflict
+      });
+    }
+
+    let optionPlan = null;
+    if (isNumerical || (body.options && body.options.length > 0)) {
+      const { plan, error: optionsError } = await planQuestionOptions(questionId, isNumerical ? [] : content.options);
+      if (optionsError) {
+        return res.status(409).json({
+          success: false,
+          message: optionsError
+        });
+      }
+      optionPlan = plan;
+    }
+
+    const updates = {
+      question_type: questionType,
+      numerical_answer: numericalKey,
+      updated_at: new Date().toISOString()
+    };
+    if (body.questionText !== undefined) updates.question_text = content.questionText;
+    if (body.questionCategory !== undefined) updates.question_category = body.questionCategory || null;
+    if (body.difficultyLevel !== undefined) updates.difficulty_level = body.difficultyLevel;
+    if (body.marks !== undefined) updates.marks = body.marks;
+    if (body.negativeMarks !== undefined) updates.negative_marks = body.negativeMarks || 0;
+    if (body.explanation !== undefined) updates.explanation = content.explanation || null;
+    if (body.subjectId !== undefined) updates.subject_id = body.subjectId || null;
+    if (body.tags !== undefined) updates.tags = parseTags(body.tags) || [];
+    if (body.isActive !== undefined) updates.is_active = !!body.isActive;
+    if (body.chapter !== undefined) {
+      // Keep other metadata keys; only the chapter changes
+      const metadata = { ...(existing.metadata || {}) };
+      if (body.chapter && body.chapter.trim()) metadata.chapter = body.chapter.trim();
+      else delete metadata.chapter;
+      updates.metadata = Object.keys(metadata).length > 0 ? metadata : null;
+    }
+
+    const { error: updateError } = await supabase
+      .from('questions')
+      .update(updates)
+      .eq('question_id', questionId);
+
+    if (updateError) throw updateError;
+
+    if (optionPlan) await applyQuestionOptions(optionPlan);
+
+    await recordQuestionVersions([questionId], userId, { summary: body.changeSummary || null });
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retire a bank question
+ * Questions are never hard-deleted because past attempts reference them;
+ * retired questions stay in the tests that already use them
+ */
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { questionId } = req.params;
+
+    const { error } = await supabase
+      .from('questions')
+      .update({
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('question_id', questionId);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Question removed from the question bank'
+    });
+
+  } catch (error) {
+    console.error('Error retiring bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add bank questions to a test by ID
+ * Body: { questionIds, marks?, negativeMarks? } - marks default to each question's own marks
+ */
+export const addBankQuestionsToTest = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { testId } = req.params;
+    const { questionIds, marks, negativeMarks } = req.body;
+
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionIds must be a non-empty array'
+      });
+    }
+
+    const { data: questions, error } = await supabase
+      .from('questions')
+      .select('question_id, marks, negative_marks')
+      .in('question_id', questionIds)
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const found = new Map(questions.map(q => [q.question_id, q]));
+    const missing = questionIds.map(Number).filter(id => !found.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some questions were not found in the question bank',
+        missingQuestionIds: missing
+      });
+    }
+
+    const { linked, skipped } = await linkQuestionsToTest(
+      testId,
+      questionIds.map(Number).map(id => ({
+        questionId: id,
+        marks: marks ?? found.get(id).marks ?? 4,
+        negativeMarks: negativeMarks ?? found.get(id).negative_marks ?? 0
+      }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${linked.length} question(s) added to the test`,
+      data: {
+        addedQuestionIds: linked,
+        skippedQuestionIds: skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Error adding bank questions to test:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add questions to test',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,18 @@
 import { supabase } from '../config/supabase.js';
+import { isNumericalType } from '../services/gradingService.js';
+import {
+  parseTags,
+  validateQuestionInput,
+  planQuestionOptions,
+  applyQuestionOptions,
+  getTypeChangeConflict,
+  syncTestQuestionCount,
+  linkQuestionsToTest,
+  loadTestQuestions
+} from '../services/questionService.js';
+import { recordQuestionVersions } from '../services/questionVersionService.js';
+import { prepareQuestionContent } from '../services/richContentService.js';
+import { DEFAULT_LANGUAGE, loadTranslations, getMissingTranslations } from '../services/translationService.js';
 
 /**
  * Get all questions for a test
@@ -7,69 +21,24 @@ export const getTestQuestions = async (req, res) => {
   try {
     const { testId } = req.params;
 
-    // Get test questions with their options
-    const { data: testQuestions, error: testQuestionsError } = await supabase
-      .from('test_questions')
-      .select('question_id, question_order, marks_allocated, negative_marks_allocated')
-      .eq('test_id', testId)
-      .order('question_order');
-
-    if (testQuestionsError) throw testQuestionsError;
-
-    if (!testQuestions || testQuestions.length === 0) {
-      return res.json({
-        success: true,
-        data: []
-      });
-    }
-
-    // Get question details
-    const questionIds = testQuestions.map(tq => tq.question_id);
-
-    const { data: questions, error: questionsError } = await supabase
-      .from('questions')
-      .select('*')
-      .in('question_id', questionIds);
+    const questionsWithOptions = await loadTestQuestions(testId);
 
-    if (questionsError) throw questionsError;
-
-    // Get options for all questions
-    const { data: options, error: optionsError } = await supabase
-      .from('question_options')
-      .select('*')
-      .in('question_id', questionIds)
-      .order('option_order');
-
-    if (optionsError) throw optionsError;
+    const { data: test } = await supabase
+      .from('tests')
+      .select('languages')
+      .eq('test_id', testId)
+      .single();
 
-    // Combine data
-    const questionsWithOptions = testQuestions.map(tq => {
-      const question = questions.find(q => q.question_id === tq.question_id);
-      const questionOptions = options.filter(o => o.question_id === tq.question_id);
-
-      return {
-        questionId: question.question_id,
-        questionText: question.question_text,
-        questionType: question.question_type,
-        questionCategory: question.question_category,
-        difficultyLevel: question.difficulty_level,
-        marks: tq.marks_allocated,
-        negativeMarks: tq.negative_marks_allocated,
-        explanation: question.explanation,
-        metadata: question.metadata, // Include metadata for chapter labels
-        order: tq.question_order,
-        options: questionOptions.map(opt => ({
-          optionId: opt.option_id,
-          text: opt.option_text,
-          isCorrect: opt.is_correct,
-          order: opt.option_order
-        }))
-      };
-    });
+    const languages = test?.languages || [DEFAULT_LANGUAGE];
+    const translations = await loadTranslations(questionsWithOptions.map(q => q.questionId), languages);
 
     res.json({
       success: true,
-      data: questionsWithOptions
+      languages,
+      data: questionsWithOptions.map(q => ({
+        ...q,
+        missingTranslations: getMissingTranslations(q, translations.get(q.questionId), languages)
+      }))
     });
 
   } catch (error) {
@@ -98,6 +67,9 @@ export const addQuestion = async (req, res) => {
       negativeMarks,
       explanation,
       chapterLabel,
+      numericalAnswer,
+      subjectId,
+      tags,
       options
     } = req.body;
 
@@ -121,20 +93,45 @@ export const addQuestion = async (req, res) => {
       metadata.chapter = chapterLabel.trim();
     }
 
+    // Numerical answer key / multiple-correct option checks
+    const isNumerical = isNumericalType(questionType);
+    const { numericalKey, error: inputError } = validateQuestionInput({
+      questionType,
+      numericalAnswer,
+      options
+    });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    // Validate formulae and sanitize HTML before saving
+    const { content, error: contentError } = prepareQuestionContent({ questionText, explanation, options });
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
     // Create question
     const { data: question, error: questionError } = await supabase
       .from('questions')
       .insert([{
-        subject_id: null,
+        subject_id: subjectId || null,
         created_by: userId,
-        question_text: questionText,
+        question_text: content.questionText,
         question_type: questionType,
         question_category: questionCategory || null,
         difficulty_level: difficultyLevel,
         marks: marks,
         negative_marks: negativeMarks || 0,
-        explanation: explanation || null,
+        explanation: content.explanation || null,
         metadata: Object.keys(metadata).length > 0 ? metadata : null,
+        numerical_answer: numericalKey,
+        tags: parseTags(tags) || [],
         is_active: true
       }])
       .select('question_id')
@@ -145,67 +142,15 @@ export const addQuestion = async (req, res) => {
     const questionId = question.question_id;
 
     // Add options if provided
-    if (options && options.length > 0) {
-      const optionsData = options
-        .filter(opt => opt.text && opt.text.trim())
-        .map((opt, index) => ({
-          question_id: questionId,
-          option_text: opt.text,
-          is_correct: opt.isCorrect || false,
-          option_order: index + 1
-        }));
-
-      if (optionsData.length > 0) {
-        const { error: optionsError } = await supabase
-          .from('question_options')
-          .insert(optionsData);
-
-        if (optionsError) throw optionsError;
-      }
+    if (!isNumerical && options && options.length > 0) {
+      const { plan } = await planQuestionOptions(questionId, content.options);
+      await applyQuestionOptions(plan);
     }
 
-    // Get current max order for test questions
-    const { data: maxOrderData, error: maxOrderError } = await supabase
-      .from('test_questions')
-      .select('question_order')
-      .eq('test_id', testId)
-      .order('question_order', { ascending: false })
-      .limit(1);
-
-    if (maxOrderError) throw maxOrderError;
-
-    const nextOrder = maxOrderData && maxOrderData.length > 0
-      ? maxOrderData[0].question_order + 1
-      : 1;
-
-    // Link question to test
-    const { error: testQuestionError } = await supabase
-      .from('test_questions')
-      .insert([{
-        test_id: testId,
-        question_id: questionId,
-        question_order: nextOrder,
-        marks_allocated: marks,
-        negative_marks_allocated: negativeMarks || 0
-      }]);
-
-    if (testQuestionError) throw testQuestionError;
+    await recordQuestionVersions([questionId], userId, { summary: 'Created' });
 
-    // Update test total_questions count
-    const { data: questionCount, error: countError } = await supabase
-      .from('test_questions')
-      .select('question_id', { count: 'exact' })
-      .eq('test_id', testId);
-
-    if (!countError && questionCount) {
-      await supabase
-        .from('tests')
-        .update({
-          total_questions: questionCount.length,
-          updated_at: new Date().toISOString()
-        })
-        .eq('test_id', testId);
-    }
+    // Link the new bank question to the end of the test
+    await linkQuestionsToTest(testId, [{ questionId, marks, negativeMarks }]);
 
     res.status(201).json({
       success: true,
@@ -241,7 +186,11 @@ export const updateQuestion = async (req, res) => {
       negativeMarks,
       explanation,
       chapterLabel,
-      options
+      numericalAnswer,
+      subjectId,
+      tags,
+      options,
+      changeSummary
     } = req.body;
 
     // Verify user is admin
@@ -258,24 +207,84 @@ export const updateQuestion = async (req, res) => {
       });
     }
 
+    const { data: existing, error: findError } = await supabase
+      .from('questions')
+      .select('question_type')
+      .eq('question_id', questionId)
+      .single();
+
+    if (findError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
     // Prepare metadata with chapter label
     const metadata = {};
     if (chapterLabel && chapterLabel.trim()) {
       metadata.chapter = chapterLabel.trim();
     }
 
+    // Numerical answer key / multiple-correct option checks
+    const isNumerical = isNumericalType(questionType);
+    const { numericalKey, error: inputError } = validateQuestionInput({
+      questionType,
+      numericalAnswer,
+      options
+    });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    // Validate formulae and sanitize HTML before saving
+    const { content, error: contentError } = prepareQuestionContent({ questionText, explanation, options });
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    // Attempted questions keep their type and any options students picked
+    const typeConflict = await getTypeChangeConflict(questionId, existing.question_type, questionType);
+    if (typeConflict) {
+      return res.status(409).json({
+        success: false,
+        message: typeConflict
+      });
+    }
+
+    let optionPlan = null;
+    if (isNumerical || (options && options.length > 0)) {
+      const { plan, error: optionsError } = await planQuestionOptions(questionId, isNumerical ? [] : content.options);
+      if (optionsError) {
+        return res.status(409).json({
+          success: false,
+          message: optionsError
+        });
+      }
+      optionPlan = plan;
+    }
+
     // Update question
     const { error: questionError } = await supabase
       .from('questions')
       .update({
-        question_text: questionText,
+        question_text: content.questionText,
         question_type: questionType,
         question_category: questionCategory || null,
         difficulty_level: difficultyLevel,
         marks: marks,
         negative_marks: negativeMarks || 0,
-        explanation: explanation || null,
+        explanation: content.explanation || null,
         metadata: Object.keys(metadata).length > 0 ? metadata : null,
+        numerical_answer: numericalKey,
+        ...(subjectId !== undefined && { subject_id: subjectId || null }),
+        ...(tags !== undefined && { tags: parseTags(tags) || [] }),
         updated_at: new Date().toISOString()
       })
       .eq('question_id', questionId);
@@ -294,32 +303,10 @@ export const updateQuestion = async (req, res) => {
 
     if (testQuestionError) throw testQuestionError;
 
-    // Update options if provided
-    if (options && options.length > 0) {
-      // Delete existing options
-      await supabase
-        .from('question_options')
-        .delete()
-        .eq('question_id', questionId);
-
-      // Insert new options
-      const optionsData = options
-        .filter(opt => opt.text && opt.text.trim())
-        .map((opt, index) => ({
-          question_id: questionId,
-          option_text: opt.text,
-          is_correct: opt.isCorrect || false,
-          option_order: index + 1
-        }));
-
-      if (optionsData.length > 0) {
-        const { error: optionsError } = await supabase
-          .from('question_options')
-          .insert(optionsData);
-
-        if (optionsError) throw optionsError;
-      }
-    }
+    // Update options if provided (numerical questions have none)
+    if (optionPlan) await applyQuestionOptions(optionPlan);
+
+    await recordQuestionVersions([questionId], userId, { summary: changeSummary || null });
 
     res.json({
       success: true,
@@ -368,23 +355,10 @@ export const deleteQuestion = async (req, res) => {
     if (testQuestionError) throw testQuestionError;
 
     // Update test total_questions count
-    const { data: questionCount, error: countError } = await supabase
-      .from('test_questions')
-      .select('question_id', { count: 'exact' })
-      .eq('test_id', testId);
-
-    if (!countError && questionCount) {
-      await supabase
-        .from('tests')
-        .update({
-          total_questions: questionCount.length,
-          updated_at: new Date().toISOString()
-        })
-        .eq('test_id', testId);
-    }
+    await syncTestQuestionCount(testId);
 
-    // Note: We don't delete the question from the questions table
-    // as it might be used in other tests
+    // Note: We don't delete the question from the questions table;
+    // it stays in the question bank and may be used in other tests
 
     res.json({
       success: true,
@@ -402,12 +376,12 @@ export const deleteQuestion = async (req, res) => {
 };
 
 /**
- * Upload image for a question
+ * Upload image for a question, or for one of its options (optionId route param)
  */
 export const uploadQuestionImage = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { questionId } = req.params;
+    const { questionId, optionId } = req.params;
 
     // Verify user is admin
     const { data: userData, error: userError } = await supabase
@@ -451,10 +425,29 @@ export const uploadQuestionImage = async (req, res) => {
       });
     }
 
+    // Option images must belong to this question
+    if (optionId) {
+      const { data: option } = await supabase
+        .from('question_options')
+        .select('option_id')
+        .eq('option_id', optionId)
+        .eq('question_id', questionId)
+        .single();
+
+      if (!option) {
+        return res.status(404).json({
+          success: false,
+          message: 'Option not found for this question'
+        });
+      }
+    }
+
     // Generate unique filename
     const timestamp = Date.now();
     const ext = file.originalname.split('.').pop();
-    const fileName = `question_${questionId}_${timestamp}.${ext}`;
+    const fileName = optionId
+      ? `question_${questionId}_option_${optionId}_${timestamp}.${ext}`
+      : `question_${questionId}_${timestamp}.${ext}`;
 
     // Upload to Supabase Storage
     const { data: uploadData, error: uploadError } = await supabase.storage
@@ -480,6 +473,7 @@ export const uploadQuestionImage = async (req, res) => {
       .from('question_media')
       .insert([{
         question_id: questionId,
+        option_id: optionId || null,
         file_path: fileName,
         media_type: 'image',
         file_name: file.originalname,
@@ -495,6 +489,7 @@ export const uploadQuestionImage = async (req, res) => {
       message: 'Image uploaded successfully',
       data: {
         mediaId: mediaData.media_id,
+        optionId: optionId ? Number(optionId) : null,
         imageUrl: publicUrl,
         fileName: fileName
       }
@@ -535,6 +530,7 @@ export const getQuestionMedia = async (req, res) => {
 
       return {
         mediaId: media.media_id,
+        optionId: media.option_id || null, // null for question-level images
         fileName: media.file_name,
         imageUrl: publicUrl,
         fileSize: media.file_size,
@@ -758,6 +754,7 @@ export const getQuestionsForImport = async (req, res) => {
         marks: tq.marks_allocated,
         negativeMarks: tq.negative_marks_allocated,
         explanation: question.explanation,
+        numericalAnswer: question.numerical_answer || null,
         metadata: question.metadata,
         order: tq.question_order,
         options: questionOptions.map(opt => ({
@@ -785,13 +782,13 @@ export const getQuestionsForImport = async (req, res) => {
 };
 
 /**
- * Import (copy) selected questions from a source test into the target test
+ * Add selected questions from a source test to the target test (linked by ID, not copied)
  */
 export const importQuestionsFromTest = async (req, res) => {
   try {
     const userId = req.user.userId;
     const { testId: targetTestId } = req.params;
-    const { questionIds } = req.body; // array of question_ids to copy
+    const { questionIds } = req.body; // array of question_ids to add
 
     // Verify user is admin
     const { data: userData, error: userError } = await supabase
@@ -814,25 +811,15 @@ export const importQuestionsFromTest = async (req, res) => {
       });
     }
 
-    // Get the source questions data
+    // Marks come from the first test that uses each question, falling back
+    // to the question's default marks
     const { data: sourceQuestions, error: sourceQuestionsError } = await supabase
       .from('questions')
-      .select('*')
+      .select('question_id, marks, negative_marks')
       .in('question_id', questionIds);
 
     if (sourceQuestionsError) throw sourceQuestionsError;
 
-    // Get options for source questions
-    const { data: sourceOptions, error: sourceOptionsError } = await supabase
-      .from('question_options')
-      .select('*')
-      .in('question_id', questionIds)
-      .order('option_order');
-
-    if (sourceOptionsError) throw sourceOptionsError;
-
-    // Get the marks info from test_questions for the source questions
-    // We'll use the first test that has these questions as the source marks reference
     const { data: sourceTestQuestions, error: stqError } = await supabase
       .from('test_questions')
       .select('question_id, marks_allocated, negative_marks_allocated')
@@ -840,103 +827,27 @@ export const importQuestionsFromTest = async (req, res) => {
 
     if (stqError) throw stqError;
 
-    // Get current max order in target test
-    const { data: maxOrderData } = await supabase
-      .from('test_questions')
-      .select('question_order')
-      .eq('test_id', targetTestId)
-      .order('question_order', { ascending: false })
-      .limit(1);
-
-    let nextOrder = maxOrderData && maxOrderData.length > 0
-      ? maxOrderData[0].question_order + 1
-      : 1;
-
-    // Copy each question
-    let importedCount = 0;
-    for (const sourceQ of sourceQuestions) {
-      // Create a new question row (copy)
-      const { data: newQuestion, error: newQError } = await supabase
-        .from('questions')
-        .insert([{
-          subject_id: sourceQ.subject_id,
-          created_by: userId,
-          question_text: sourceQ.question_text,
-          question_type: sourceQ.question_type,
-          question_category: sourceQ.question_category,
-          difficulty_level: sourceQ.difficulty_level,
-          marks: sourceQ.marks,
-          negative_marks: sourceQ.negative_marks,
-          explanation: sourceQ.explanation,
-          metadata: sourceQ.metadata,
-          is_active: true
-        }])
-        .select('question_id')
-        .single();
-
-      if (newQError) throw newQError;
-
-      const newQuestionId = newQuestion.question_id;
-
-      // Copy options for this question
-      const qOptions = sourceOptions.filter(o => o.question_id === sourceQ.question_id);
-      if (qOptions.length > 0) {
-        const newOptionsData = qOptions.map(opt => ({
-          question_id: newQuestionId,
-          option_text: opt.option_text,
-          is_correct: opt.is_correct,
-          option_order: opt.option_order
-        }));
-
-        const { error: optInsertError } = await supabase
-          .from('question_options')
-          .insert(newOptionsData);
-
-        if (optInsertError) throw optInsertError;
-      }
-
-      // Find marks info for this question from source
-      const srcTQ = sourceTestQuestions.find(stq => stq.question_id === sourceQ.question_id);
-      const marksAllocated = srcTQ ? srcTQ.marks_allocated : (sourceQ.marks || 4);
-      const negMarksAllocated = srcTQ ? srcTQ.negative_marks_allocated : (sourceQ.negative_marks || 0);
-
-      // Link new question to target test
-      const { error: linkError } = await supabase
-        .from('test_questions')
-        .insert([{
-          test_id: targetTestId,
-          question_id: newQuestionId,
-          question_order: nextOrder,
-          marks_allocated: marksAllocated,
-          negative_marks_allocated: negMarksAllocated
-        }]);
-
-      if (linkError) throw linkError;
-
-      nextOrder++;
-      importedCount++;
-    }
-
-    // Update total_questions count on the target test
-    const { data: questionCount } = await supabase
-      .from('test_questions')
-      .select('question_id', { count: 'exact' })
-      .eq('test_id', targetTestId);
-
-    if (questionCount) {
-      await supabase
-        .from('tests')
-        .update({
-          total_questions: questionCount.length,
-          updated_at: new Date().toISOString()
+    // Tests reference bank questions by ID, so importing links instead of copying
+    const { linked, skipped } = await linkQuestionsToTest(
+      targetTestId,
+      questionIds
+        .map(id => sourceQuestions.find(q => q.question_id === Number(id)))
+        .filter(Boolean)
+        .map(sourceQ => {
+          const srcTQ = sourceTestQuestions.find(stq => stq.question_id === sourceQ.question_id);
+          return {
+            questionId: sourceQ.question_id,
+            marks: srcTQ ? srcTQ.marks_allocated : (sourceQ.marks || 4),
+            negativeMarks: srcTQ ? srcTQ.negative_marks_allocated : (sourceQ.negative_marks || 0)
+          };
         })
-        .eq('test_id', targetTestId);
-    }
+    );
+    const importedCount = linked.length;
 
     res.status(201).json({
       success: true,
       message: `${importedCount} question(s) imported successfully`,
-      data: { importedCount }
+      data: { importedCount, skippedQuestionIds: skipped }
     });
 
   } catch (error) {
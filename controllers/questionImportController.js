@@ -0,0 +1,228 @@
+import { supabase } from '../config/supabase.js';
+import {
+  parseImportFile,
+  validateImportRow,
+  isPlaceholderQuestion,
+  MAX_IMPORT_ROWS
+} from '../services/questionImportService.js';
+import { recordQuestionVersions } from '../services/questionVersionService.js';
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Bulk import questions from CSV / XLSX / Markdown
+ * Used for both the question bank and a specific test (:testId)
+ * Multipart fields: file, dryRun, skipInvalid, fillPlaceholders (tests only,
+ * default true), defaultMarks, defaultNegativeMarks
+ * The whole import is written in one transaction; with any invalid row
+ * nothing is written unless skipInvalid is set.
+ */
+export const importQuestionsFromFile = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const testId = req.params.testId ? Number(req.params.testId) : null;
+    const dryRun = isTrue(req.body.dryRun) || isTrue(req.query.dryRun);
+    const skipInvalid = isTrue(req.body.skipInvalid);
+    const fillPlaceholders = testId !== null && req.body.fillPlaceholders !== 'false';
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No import file provided'
+      });
+    }
+
+    if (testId !== null) {
+      const { data: test, error: testError } = await supabase
+        .from('tests')
+        .select('test_id')
+        .eq('test_id', testId)
+        .single();
+
+      if (testError || !test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+    }
+
+    const { rows, format, error: parseError } = await parseImportFile(req.file);
+    if (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError
+      });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no questions'
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A single import can contain at most ${MAX_IMPORT_ROWS} questions`
+      });
+    }
+
+    // Subject names -> IDs for the optional subject column
+    const { data: subjects = [] } = await supabase
+      .from('subjects')
+      .select('subject_id, name');
+
+    const defaults = {
+      marks: req.body.defaultMarks !== undefined ? Number(req.body.defaultMarks) : 4,
+      negativeMarks: req.body.defaultNegativeMarks !== undefined ? Number(req.body.defaultNegativeMarks) : 1,
+      subjectsByName: new Map((subjects || []).map(s => [s.name.toLowerCase(), s.subject_id]))
+    };
+
+    const report = rows.map(({ rowNumber, fields }) => {
+      const { question, errors } = validateImportRow(fields, defaults);
+      return { row: rowNumber, question, errors };
+    });
+
+    // Template placeholders are filled in order, matching chapter where the row has one
+    if (fillPlaceholders) {
+      const { data: testQuestions = [] } = await supabase
+        .from('test_questions')
+        .select('question_id, question_order')
+        .eq('test_id', testId)
+        .order('question_order', { ascending: true });
+
+      const questionIds = (testQuestions || []).map(tq => tq.question_id);
+      const { data: testQuestionRows = [] } = questionIds.length > 0
+        ? await supabase
+          .from('questions')
+          .select('question_id, question_text, metadata')
+          .in('question_id', questionIds)
+        : { data: [] };
+
+      const rowsById = new Map((testQuestionRows || []).map(q => [q.question_id, q]));
+      const placeholders = questionIds
+        .map(id => rowsById.get(id))
+        .filter(isPlaceholderQuestion);
+
+      for (const entry of report) {
+        if (!entry.question) continue;
+        const chapter = entry.question.chapter?.toLowerCase();
+        const index = placeholders.findIndex(p =>
+          !chapter || (p.metadata?.chapter || '').toLowerCase() === chapter
+        );
+        if (index === -1) continue;
+        entry.replacesQuestionId = placeholders[index].question_id;
+        placeholders.splice(index, 1);
+      }
+    }
+
+    const validRows = report.filter(entry => entry.question);
+    const invalidCount = report.length - validRows.length;
+    const summary = {
+      format,
+      total: report.length,
+      valid: validRows.length,
+      invalid: invalidCount,
+      fillsPlaceholders: validRows.filter(entry => entry.replacesQuestionId).length
+    };
+    const formatRow = (entry, status, questionId = null) => ({
+      row: entry.row,
+      status,
+      errors: entry.errors,
+      questionText: entry.question?.questionText?.slice(0, 120) || null,
+      questionType: entry.question?.questionType || null,
+      replacesQuestionId: entry.replacesQuestionId || null,
+      questionId
+    });
+
+    if (dryRun || (invalidCount > 0 && !skipInvalid)) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: dryRun,
+        message: dryRun
+          ? 'Dry run complete - nothing was saved'
+          : `${invalidCount} row(s) failed validation - nothing was saved`,
+        data: {
+          dryRun,
+          summary,
+          rows: report.map(entry => formatRow(entry, entry.question ? 'valid' : 'invalid'))
+        }
+      });
+    }
+
+    if (validRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid rows to import'
+      });
+    }
+
+    const { data: imported, error: importError } = await supabase
+      .rpc('import_questions', {
+        p_test_id: testId,
+        p_created_by: userId,
+        p_questions: validRows.map(({ row, question, replacesQuestionId }) => ({
+          row_number: row,
+          replace_question_id: replacesQuestionId || null,
+          subject_id: question.subjectId,
+          question_text: question.questionText,
+          question_type: question.questionType,
+          question_category: question.questionCategory,
+          difficulty_level: question.difficultyLevel,
+          marks: question.marks,
+          negative_marks: question.negativeMarks,
+          explanation: question.explanation,
+          metadata: question.chapter ? { chapter: question.chapter } : null,
+          numerical_answer: question.numericalAnswer,
+          tags: question.tags,
+          options: question.options.map(opt => ({ text: opt.text, is_correct: opt.isCorrect })),
+          // Placeholders keep their template marks unless the row sets marks
+          ...((!replacesQuestionId || question.marksGiven) && {
+            test_marks: question.marks,
+            test_negative_marks: question.negativeMarks
+          })
+        }))
+      });
+
+    if (importError) throw importError;
+
+    await recordQuestionVersions((imported || []).map(r => r.question_id), userId, { summary: 'Imported' });
+
+    const importedByRow = new Map((imported || []).map(r => [r.row_number, r]));
+
+    res.status(201).json({
+      success: true,
+      message: `${validRows.length} question(s) imported successfully`,
+      data: {
+        dryRun: false,
+        summary,
+        rows: report.map(entry => {
+          const result = importedByRow.get(entry.row);
+          if (!result) return formatRow(entry, 'skipped');
+          return formatRow(entry, result.replaced ? 'replaced' : 'created', result.question_id);
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error importing questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import questions',
+      error: error.message
+    });
+  }
+};
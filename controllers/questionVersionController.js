@@ -0,0 +1,278 @@
+import { supabase } from '../config/supabase.js';
+import {
+  planQuestionOptions,
+  applyQuestionOptions,
+  getTypeChangeConflict
+} from '../services/questionService.js';
+import {
+  recordQuestionVersions,
+  loadQuestionVersions,
+  formatSnapshot,
+  formatVersionSummary,
+  diffSnapshots
+} from '../services/questionVersionService.js';
+
+/**
+ * Edit history of a question, newest first
+ * Each entry carries its diff against the previous version and how many
+ * attempt answers were recorded against it.
+ */
+export const listQuestionVersions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { questionId } = req.params;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: question, error: questionError } = await supabase
+      .from('questions')
+      .select('question_id, current_version_id')
+      .eq('question_id', questionId)
+      .single();
+
+    if (questionError || !question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const versions = await loadQuestionVersions(questionId);
+
+    const { data: answerRows = [] } = await supabase
+      .from('attempt_answers')
+      .select('question_version_id')
+      .eq('question_id', questionId);
+
+    const answersByVersion = new Map();
+    (answerRows || []).forEach(a => {
+      answersByVersion.set(a.question_version_id, (answersByVersion.get(a.question_version_id) || 0) + 1);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        questionId: question.question_id,
+        currentVersionId: question.current_version_id,
+        versions: versions.map((version, idx) => ({
+          ...formatVersionSummary(version),
+          isCurrent: version.version_id === question.current_version_id,
+          attemptAnswers: answersByVersion.get(version.version_id) || 0,
+          changes: diffSnapshots(versions[idx + 1]?.snapshot || null, version.snapshot)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching question versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * One version's full content, diffed against another version
+ * Query: compareTo (version number; defaults to the previous version)
+ */
+export const getQuestionVersion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { questionId } = req.params;
+    const versionNumber = Number(req.params.versionNumber);
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const versions = await loadQuestionVersions(questionId);
+    const version = versions.find(v => v.version_number === versionNumber);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const compareTo = req.query.compareTo !== undefined
+      ? Number(req.query.compareTo)
+      : versionNumber - 1;
+    const other = versions.find(v => v.version_number === compareTo) || null;
+
+    if (req.query.compareTo !== undefined && !other) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.query.compareTo} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatVersionSummary(version),
+        question: formatSnapshot(version.snapshot),
+        diff: {
+          comparedTo: other?.version_number ?? null,
+          ...(other && other.version_number > versionNumber
+            ? diffSnapshots(version.snapshot, other.snapshot)
+            : diffSnapshots(other?.snapshot || null, version.snapshot))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching question version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore an earlier version
+ * The restored content is saved as a new version; history is never rewritten.
+ * Same safety rules as an edit: an attempted question keeps its type and
+ * any options students selected.
+ */
+export const restoreQuestionVersion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { questionId } = req.params;
+    const versionNumber = Number(req.params.versionNumber);
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: existing, error: findError } = await supabase
+      .from('questions')
+      .select('question_type')
+      .eq('question_id', questionId)
+      .single();
+
+    if (findError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { data: version, error: versionError } = await supabase
+      .from('question_versions')
+      .select('version_number, snapshot')
+      .eq('question_id', questionId)
+      .eq('version_number', versionNumber)
+      .single();
+
+    if (versionError || !version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const snapshot = version.snapshot;
+
+    const typeConflict = await getTypeChangeConflict(questionId, existing.question_type, snapshot.question_type);
+    if (typeConflict) {
+      return res.status(409).json({
+        success: false,
+        message: typeConflict
+      });
+    }
+
+    const { plan, error: optionsError } = await planQuestionOptions(
+      questionId,
+      (snapshot.options || []).map(opt => ({
+        optionId: opt.option_id,
+        text: opt.option_text,
+        isCorrect: opt.is_correct
+      }))
+    );
+    if (optionsError) {
+      return res.status(409).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('questions')
+      .update({
+        question_text: snapshot.question_text,
+        question_type: snapshot.question_type,
+        question_category: snapshot.question_category,
+        difficulty_level: snapshot.difficulty_level,
+        marks: snapshot.marks,
+        negative_marks: snapshot.negative_marks,
+        explanation: snapshot.explanation,
+        numerical_answer: snapshot.numerical_answer,
+        metadata: snapshot.metadata,
+        subject_id: snapshot.subject_id,
+        tags: snapshot.tags || [],
+        updated_at: new Date().toISOString()
+      })
+      .eq('question_id', questionId);
+
+    if (updateError) throw updateError;
+
+    await applyQuestionOptions(plan);
+
+    const created = await recordQuestionVersions([questionId], userId, {
+      summary: `Restored version ${versionNumber}`,
+      restoredFrom: versionNumber
+    });
+
+    res.json({
+      success: true,
+      message: created > 0
+        ? `Version ${versionNumber} restored`
+        : `Question already matches version ${versionNumber}`
+    });
+
+  } catch (error) {
+    console.error('Error restoring question version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore question version',
+      error: error.message
+    });
+  }
+};
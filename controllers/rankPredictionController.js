@@ -0,0 +1,259 @@
+import { supabase } from '../config/supabase.js';
+import {
+  loadRankTable,
+  predictRank,
+  parseScoreRankPoints
+} from '../services/rankPredictionService.js';
+
+/**
+ * Get predicted All-India rank for a mock attempt
+ * Query: exam (default NEET), year (default latest table)
+ */
+export const getPredictedRank = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { attemptId } = req.params;
+    const examName = (req.query.exam || 'NEET').toUpperCase();
+    const examYear = req.query.year ? parseInt(req.query.year) : null;
+
+    const { data: attempt, error } = await supabase
+      .from('test_attempts')
+      .select(`
+        attempt_id,
+        test_id,
+        total_marks_obtained,
+        percentage,
+        attempt_status,
+        tests (
+          test_name,
+          test_type
+        )
+      `)
+      .eq('attempt_id', attemptId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test attempt not found'
+      });
+    }
+
+    if (attempt.attempt_status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Rank prediction is available after the test is submitted'
+      });
+    }
+
+    if (attempt.tests?.test_type !== 'mock') {
+      return res.status(400).json({
+        success: false,
+        message: 'Rank prediction is only available for mock tests'
+      });
+    }
+
+    const table = await loadRankTable(examName, examYear);
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: `No rank prediction data available for ${examName}${examYear ? ` ${examYear}` : ''}`
+      });
+    }
+
+    // Platform distribution: share of ranked students scoring at or below this attempt
+    const score = Number(attempt.total_marks_obtained || 0);
+    const { count: participants } = await supabase
+      .from('leaderboards')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('test_id', attempt.test_id);
+
+    const { count: atOrBelow } = await supabase
+      .from('leaderboards')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('test_id', attempt.test_id)
+      .lte('score', score);
+
+    const platformPercentile = participants
+      ? Number(((100 * (atOrBelow || 0)) / participants).toFixed(2))
+      : null;
+
+    const prediction = predictRank({
+      table,
+      percentage: Number(attempt.percentage || 0),
+      platformPercentile,
+      platformParticipants: participants || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attemptId: attempt.attempt_id,
+        testId: attempt.test_id,
+        testName: attempt.tests?.test_name || 'Test',
+        score,
+        percentage: Number(attempt.percentage || 0),
+        exam: {
+          name: table.exam_name,
+          year: table.exam_year,
+          maxMarks: Number(table.max_marks),
+          totalCandidates: table.total_candidates
+        },
+        platform: {
+          participants: participants || 0,
+          percentile: platformPercentile
+        },
+        ...prediction,
+        disclaimer: 'Estimate based on past exam data and platform results; actual ranks vary year to year'
+      }
+    });
+  } catch (error) {
+    console.error('Get predicted rank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while predicting rank'
+    });
+  }
+};
+
+/**
+ * Get rank prediction tables (admin)
+ */
+export const getRankTables = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: tables, error } = await supabase
+      .from('rank_prediction_tables')
+      .select('*')
+      .order('exam_name', { ascending: true })
+      .order('exam_year', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: tables.map(t => ({
+        tableId: t.table_id,
+        examName: t.exam_name,
+        examYear: t.exam_year,
+        maxMarks: Number(t.max_marks),
+        totalCandidates: t.total_candidates,
+        scoreRankPoints: t.score_rank_points,
+        platformWeight: Number(t.platform_weight),
+        isActive: t.is_active,
+        updatedAt: t.updated_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching rank tables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rank prediction tables',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace the rank prediction table for an exam year (admin)
+ * Body: { examName, examYear, maxMarks, totalCandidates, scoreRankPoints, platformWeight?, isActive? }
+ */
+export const saveRankTable = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const {
+      examName,
+      examYear,
+      maxMarks,
+      totalCandidates,
+      scoreRankPoints,
+      platformWeight,
+      isActive
+    } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!examName || !Number.isInteger(Number(examYear)) || !(Number(maxMarks) > 0) || !(Number(totalCandidates) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'examName, examYear, maxMarks and totalCandidates are required'
+      });
+    }
+
+    const { points, error: pointsError } = parseScoreRankPoints(scoreRankPoints);
+    if (pointsError) {
+      return res.status(400).json({
+        success: false,
+        message: pointsError
+      });
+    }
+
+    const weight = platformWeight === undefined ? 0.3 : Number(platformWeight);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'platformWeight must be between 0 and 1'
+      });
+    }
+
+    const { data: table, error } = await supabase
+      .from('rank_prediction_tables')
+      .upsert([{
+        exam_name: examName.toUpperCase(),
+        exam_year: Number(examYear),
+        max_marks: Number(maxMarks),
+        total_candidates: Number(totalCandidates),
+        score_rank_points: points,
+        platform_weight: weight,
+        is_active: isActive !== false,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'exam_name,exam_year' })
+      .select('table_id')
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Rank prediction table saved successfully',
+      data: { tableId: table.table_id }
+    });
+
+  } catch (error) {
+    console.error('Error saving rank table:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save rank prediction table',
+      error: error.message
+    });
+  }
+};
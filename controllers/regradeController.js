@@ -0,0 +1,331 @@
+import { supabase } from '../config/supabase.js';
+import {
+  GRADING_DECISIONS,
+  regradeTest,
+  recordGradingAudit
+} from '../services/regradeService.js';
+
+/**
+ * Re-grade all completed attempts of a test with the current answer keys
+ * Body: { reason, dryRun? }
+ */
+export const regradeTestAttempts = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const testId = Number(req.params.testId);
+    const { reason, dryRun = false } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (!dryRun && (!reason || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for the audit trail'
+      });
+    }
+
+    const outcome = await regradeTest(testId, { dryRun });
+
+    if (!dryRun) {
+      await recordGradingAudit({
+        testId,
+        action: 'regrade',
+        reason: reason.trim(),
+        details: outcome,
+        performedBy: userId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run - ${outcome.attemptsChanged} of ${outcome.attemptsRegraded} attempts would change`
+        : `Re-graded ${outcome.attemptsRegraded} attempts; ${outcome.attemptsChanged} changed`,
+      data: { dryRun, ...outcome }
+    });
+
+  } catch (error) {
+    console.error('Regrade test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-grade attempts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-grade every test that uses a question (after fixing its answer key)
+ * Each test is re-graded in full, like POST /:testId/regrade, so its audit
+ * entry is a whole-test re-grade that records which question prompted it.
+ * Body: { reason, dryRun? }
+ */
+export const regradeQuestionAttempts = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const questionId = Number(req.params.questionId);
+    const { reason, dryRun = false } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!dryRun && (!reason || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for the audit trail'
+      });
+    }
+
+    const { data: links, error: linksError } = await supabase
+      .from('test_questions')
+      .select('test_id')
+      .eq('question_id', questionId);
+
+    if (linksError) throw linksError;
+
+    const tests = [];
+    for (const testId of [...new Set((links || []).map(l => l.test_id))]) {
+      const outcome = await regradeTest(testId, { dryRun });
+      if (!dryRun) {
+        await recordGradingAudit({
+          testId,
+          action: 'regrade',
+          reason: reason.trim(),
+          details: { ...outcome, scope: 'test', triggeredByQuestionId: questionId },
+          performedBy: userId
+        });
+      }
+      tests.push({ testId, ...outcome });
+    }
+
+    const changed = tests.reduce((sum, t) => sum + t.attemptsChanged, 0);
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run - ${changed} attempts across ${tests.length} tests would change`
+        : `Re-graded ${tests.length} tests; ${changed} attempts changed`,
+      data: { dryRun, tests }
+    });
+
+  } catch (error) {
+    console.error('Regrade question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-grade attempts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Award a question as bonus, drop it, or clear the decision, then re-grade the test
+ * Body: { decision: 'bonus' | 'drop' | null, reason, dryRun? }
+ */
+export const setGradingDecision = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const testId = Number(req.params.testId);
+    const questionId = Number(req.params.questionId);
+    const { decision = null, reason, dryRun = false } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (decision !== null && !GRADING_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `decision must be one of: ${GRADING_DECISIONS.join(', ')} (or null to clear)`
+      });
+    }
+
+    if (!dryRun && (!reason || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for the audit trail'
+      });
+    }
+
+    const { data: link, error: linkError } = await supabase
+      .from('test_questions')
+      .select('grading_decision')
+      .eq('test_id', testId)
+      .eq('question_id', questionId)
+      .single();
+
+    if (linkError || !link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this test'
+      });
+    }
+
+    const previousDecision = link.grading_decision || null;
+    if (previousDecision === decision) {
+      return res.status(400).json({
+        success: false,
+        message: decision ? `Question is already marked as ${decision}` : 'Question has no grading decision'
+      });
+    }
+
+    if (dryRun) {
+      const outcome = await regradeTest(testId, {
+        dryRun: true,
+        decisionOverrides: new Map([[questionId, decision]])
+      });
+      return res.json({
+        success: true,
+        message: `Dry run - ${outcome.attemptsChanged} of ${outcome.attemptsRegraded} attempts would change`,
+        data: { dryRun: true, decision, previousDecision, ...outcome }
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('test_questions')
+      .update({ grading_decision: decision })
+      .eq('test_id', testId)
+      .eq('question_id', questionId);
+
+    if (updateError) throw updateError;
+
+    const outcome = await regradeTest(testId);
+
+    await recordGradingAudit({
+      testId,
+      questionId,
+      action: decision || 'clear_decision',
+      reason: reason.trim(),
+      details: { previousDecision, ...outcome },
+      performedBy: userId
+    });
+
+    res.json({
+      success: true,
+      message: `Decision saved; ${outcome.attemptsChanged} of ${outcome.attemptsRegraded} attempts changed`,
+      data: { dryRun: false, decision, previousDecision, ...outcome }
+    });
+
+  } catch (error) {
+    console.error('Set grading decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save grading decision',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grading audit trail for a test, newest first
+ */
+export const getGradingAudit = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: entries, error } = await supabase
+      .from('grading_audit_log')
+      .select(`
+        audit_id,
+        question_id,
+        action,
+        reason,
+        details,
+        performed_by,
+        created_at,
+        users:performed_by (first_name, last_name, email)
+      `)
+      .eq('test_id', testId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: (entries || []).map(entry => ({
+        auditId: entry.audit_id,
+        questionId: entry.question_id,
+        action: entry.action,
+        reason: entry.reason,
+        details: entry.details,
+        performedAt: entry.created_at,
+        performedBy: entry.performed_by
+          ? {
+            userId: entry.performed_by,
+            name: [entry.users?.first_name, entry.users?.last_name].filter(Boolean).join(' ') || null,
+            email: entry.users?.email || null
+          }
+          : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get grading audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grading audit',
+      error: error.message
+    });
+  }
+};
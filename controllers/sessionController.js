@@ -1,39 +1,490 @@
 // server/controllers/sessionController.js
 import { supabase } from '../config/supabase.js';
 import crypto from 'crypto';
+import {
+  parseNumericResponse,
+  parseSelectedOptionIds,
+  isRowId,
+  hasResponse,
+  getQuestionState,
+  QUESTION_STATES,
+  DEFAULT_MARKING_SCHEME,
+} from '../services/gradingService.js';
+import {
+  finalizeAttempt,
+  getSessionDeadline,
+  isPastGracePeriod,
+  SESSION_GRACE_SECONDS,
+} from '../services/attemptService.js';
+import {
+  loadTestSections,
+  getSectionWindows,
+  getSectionByQuestion,
+} from '../services/sectionService.js';
+import { generateShuffleSeed, getShuffledOrder } from '../utils/shuffle.js';
+import {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getPreferredLanguage,
+  resolveLanguage,
+  loadTranslations,
+  applyTranslation,
+} from '../services/translationService.js';
 
 // helper to generate random session token
 const genToken = () => crypto.randomBytes(24).toString('hex');
 
+/**
+ * Load the question paper for a test: questions, options (without answer keys) and media
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<Array>} Question payload sent to the client
+ */
+const loadSessionQuestions = async (testId) => {
+  // SAFE question fetching
+
+  // 1) Try nested select (test_questions -> questions)
+  const qRes = await supabase
+    .from('test_questions')
+    .select(
+      `
+      test_question_id,
+      question_id,
+      question_order,
+      marks_allocated,
+      negative_marks_allocated,
+      questions (
+        question_id,
+        question_text,
+        question_type,
+        marks,
+        negative_marks,
+        metadata
+      )
+    `
+    )
+    .eq('test_questions.test_id', testId)
+    .order('question_order', {
+      foreignTable: 'test_questions',
+      ascending: true,
+    });
+
+  let { data: questionsData, error: qdErr } = qRes;
+
+  console.log('createSession: initial test_questions fetch:', {
+    error: qdErr ? (qdErr.message || qdErr) : null,
+    dataLength: Array.isArray(questionsData)
+      ? questionsData.length
+      : typeof questionsData,
+  });
+
+  // Fallback if nested fails
+  if (qdErr || !Array.isArray(questionsData) || questionsData.length === 0) {
+    try {
+      console.log(
+        'createSession: attempting fallback query for test_questions -> questions'
+      );
+
+      const fallbackTq = await supabase
+        .from('test_questions')
+        .select(
+          'test_question_id, question_id, question_order, marks_allocated, negative_marks_allocated'
+        )
+        .eq('test_id', testId)
+        .order('question_order', { ascending: true });
+
+      if (fallbackTq.error) {
+        console.error(
+          'createSession: fallback test_questions error',
+          fallbackTq.error
+        );
+        questionsData = [];
+      } else {
+        const tqRows = fallbackTq.data || [];
+        const qIds = tqRows.map((t) => t.question_id).filter(Boolean);
+
+        let questionsRows = [];
+        if (qIds.length > 0) {
+          const qRowsRes = await supabase
+            .from('questions')
+            .select(
+              'question_id, question_text, question_type, marks, negative_marks, metadata'
+            )
+            .in('question_id', qIds);
+          if (qRowsRes.error) {
+            console.error(
+              'createSession: fallback questions fetch error',
+              qRowsRes.error
+            );
+          } else {
+            questionsRows = qRowsRes.data || [];
+          }
+        }
+
+        questionsData = tqRows.map((tq) => {
+          const matched =
+            questionsRows.find(
+              (q) => Number(q.question_id) === Number(tq.question_id)
+            ) || null;
+          return {
+            test_question_id: tq.test_question_id,
+            question_id: tq.question_id,
+            question_order: tq.question_order,
+            marks_allocated: tq.marks_allocated,
+            negative_marks_allocated: tq.negative_marks_allocated,
+            questions: matched
+              ? {
+                question_id: matched.question_id,
+                question_text: matched.question_text,
+                question_type: matched.question_type,
+                marks: matched.marks,
+                negative_marks: matched.negative_marks,
+                metadata: matched.metadata,
+              }
+              : null,
+          };
+        });
+      }
+    } catch (fbErr) {
+      console.error('createSession: fallback path threw error', fbErr);
+      questionsData = questionsData || [];
+    }
+  }
+
+  // 2) Fetch options for the questions we found
+  const qIds = (questionsData || []).map((q) => q.question_id).filter(Boolean);
+  console.log('createSession: extracted question IDs count =', qIds.length);
+
+  let optionsData = [];
+  if (qIds.length > 0) {
+    const optRes = await supabase
+      .from('question_options')
+      .select(
+        'option_id, question_id, option_text, option_order, is_correct'
+      )
+      .in('question_id', qIds)
+      .order('option_order', { ascending: true });
+
+    optionsData = optRes.data || [];
+    if (optRes.error) {
+      console.error('createSession: error fetching options', optRes.error);
+    }
+    console.log(
+      'createSession: fetched options count =',
+      Array.isArray(optionsData) ? optionsData.length : typeof optionsData
+    );
+
+    // Validate that all questions have options
+    const questionsWithoutOptions = qIds.filter(qid => {
+      const opts = (optionsData || []).filter(o => o.question_id === qid);
+      return opts.length === 0;
+    });
+    if (questionsWithoutOptions.length > 0) {
+      console.warn('⚠️ Questions without options:', questionsWithoutOptions);
+    }
+  } else {
+    console.log(
+      'createSession: no question IDs found; skipping options fetch'
+    );
+  }
+
+  // Build options map
+  const optionsMap = new Map();
+  (optionsData || []).forEach((o) => {
+    if (!optionsMap.has(o.question_id)) optionsMap.set(o.question_id, []);
+    optionsMap.get(o.question_id).push({
+      optionId: o.option_id,
+      text: o.option_text,
+    });
+  });
+
+  // 3) Fetch question media from question_media table
+  let mediaData = [];
+  if (qIds.length > 0) {
+    const mediaRes = await supabase
+      .from('question_media')
+      .select('media_id, question_id, option_id, file_path, media_type, file_name')
+      .in('question_id', qIds);
+
+    mediaData = mediaRes.data || [];
+    if (mediaRes.error) {
+      console.error('createSession: error fetching media', mediaRes.error);
+    }
+    console.log(
+      'createSession: fetched media count =',
+      Array.isArray(mediaData) ? mediaData.length : typeof mediaData
+    );
+  }
+
+  // Build media maps with public URLs (option images are keyed by option)
+  const mediaMap = new Map();
+  const optionMediaMap = new Map();
+  for (const m of mediaData) {
+    if (!m.file_path) continue;
+
+    // Generate public URL from Supabase storage
+    const { data: urlData } = supabase
+      .storage
+      .from('question-images')
+      .getPublicUrl(m.file_path);
+
+    if (urlData?.publicUrl) {
+      const targetMap = m.option_id ? optionMediaMap : mediaMap;
+      const key = m.option_id || m.question_id;
+      if (!targetMap.has(key)) {
+        targetMap.set(key, []);
+      }
+      targetMap.get(key).push({
+        mediaId: m.media_id,
+        url: urlData.publicUrl,
+        type: m.media_type,
+        fileName: m.file_name,
+      });
+    }
+  }
+
+  console.log('createSession: mediaMap size =', mediaMap.size);
+  if (mediaMap.size > 0) {
+    console.log('createSession: Questions WITH media:', Array.from(mediaMap.keys()));
+    const firstMediaEntry = Array.from(mediaMap.entries())[0];
+    console.log('createSession: First media entry:', {
+      questionId: firstMediaEntry[0],
+      mediaArray: firstMediaEntry[1]
+    });
+  }
+
+  // Build final payload
+  const questionsPayload = (questionsData || []).map((q) => {
+    const questionMedia = mediaMap.get(q.question_id) || [];
+    console.log(`📸 Q${q.question_id} media lookup:`, {
+      hasMedia: questionMedia.length > 0,
+      count: questionMedia.length
+    });
+    return {
+      testQuestionId: q.test_question_id,
+      questionId: q.question_id,
+      order: q.question_order,
+      text: q.questions?.question_text || '',
+      type: q.questions?.question_type || 'mcq',
+      marks: q.marks_allocated || q.questions?.marks || 0,
+      negative: q.negative_marks_allocated || q.questions?.negative_marks || 0,
+      metadata: q.questions?.metadata || {},
+      options: (optionsMap.get(q.question_id) || []).map((o) => ({
+        ...o,
+        media: optionMediaMap.get(o.optionId) || [],
+      })),
+      media: questionMedia,
+    };
+  });
+
+  console.log('createSession: questionsPayload length =', questionsPayload.length);
+  if (questionsPayload.length > 0) {
+    console.log('createSession: sample question payload (first):', {
+      testQuestionId: questionsPayload[0].testQuestionId,
+      questionId: questionsPayload[0].questionId,
+      optionsCount: questionsPayload[0].options.length,
+      mediaCount: questionsPayload[0].media?.length || 0,
+      mediaSample: questionsPayload[0].media?.[0],
+    });
+  }
+
+  return questionsPayload;
+};
+
+/**
+ * Reorder a question payload using the session's shuffle settings
+ * @param {Array} questionsPayload - From loadSessionQuestions (canonical order)
+ * @param {string} shuffleMode - test_sessions.shuffle_mode
+ * @param {number|null} shuffleSeed - test_sessions.shuffle_seed
+ * @returns {Array} Questions (and their options) in the order this student sees them
+ */
+const orderQuestionsForSession = (questionsPayload, shuffleMode, shuffleSeed) => {
+  const optionIdsByQuestion = new Map(
+    questionsPayload.map((q) => [q.questionId, q.options.map((o) => o.optionId)])
+  );
+  const order = getShuffledOrder(
+    questionsPayload.map((q) => q.questionId),
+    optionIdsByQuestion,
+    shuffleMode,
+    shuffleSeed
+  );
+
+  const questionsById = new Map(questionsPayload.map((q) => [q.questionId, q]));
+  return order.questionIds.map((questionId, idx) => {
+    const question = questionsById.get(questionId);
+    const optionsById = new Map(question.options.map((o) => [o.optionId, o]));
+    return {
+      ...question,
+      displayOrder: idx + 1,
+      options: order.optionIdsByQuestion
+        .get(questionId)
+        .map((optionId) => optionsById.get(optionId)),
+    };
+  });
+};
+
+/**
+ * Show the question paper in the session language
+ * Each question also carries every offered language's text under `translations`
+ * so the client can switch language mid-test without reloading the paper.
+ * Untranslated questions (or options) fall back to English.
+ * @param {Array} questionsPayload - Ordered questions for the session
+ * @param {string} language - Session language
+ * @param {string[]} languages - tests.languages
+ * @returns {Promise<Array>} Localized questions
+ */
+const localizeSessionQuestions = async (questionsPayload, language, languages) => {
+  if (languages.length <= 1) {
+    return questionsPayload.map((q) => ({ ...q, language: DEFAULT_LANGUAGE }));
+  }
+
+  const translations = await loadTranslations(
+    questionsPayload.map((q) => q.questionId),
+    languages
+  );
+
+  return questionsPayload.map((q) => {
+    const byLanguage = translations.get(q.questionId);
+    const versions = Object.fromEntries(
+      languages.map((code) => {
+        const localized = applyTranslation(
+          { questionText: q.text, explanation: null, options: q.options },
+          code === DEFAULT_LANGUAGE ? null : byLanguage?.get(code)
+        );
+        return [
+          code,
+          {
+            translated: code === DEFAULT_LANGUAGE || !!localized.language,
+            text: localized.questionText,
+            options: localized.options.map((o) => ({ optionId: o.optionId, text: o.text })),
+          },
+        ];
+      })
+    );
+    const current = versions[language] || versions[DEFAULT_LANGUAGE];
+    const textByOption = new Map(current.options.map((o) => [o.optionId, o.text]));
+
+    return {
+      ...q,
+      text: current.text,
+      options: q.options.map((o) => ({ ...o, text: textByOption.get(o.optionId) })),
+      language: current.translated ? language : DEFAULT_LANGUAGE,
+      translations: versions,
+    };
+  });
+};
+
+/**
+ * Build the sections payload for a session and tag each question with its section
+ * @param {Array} questionsPayload - Ordered questions for the session
+ * @param {Array} sections - From loadTestSections
+ * @param {string} sessionStart - test_sessions.session_start
+ * @returns {{ questions: Array, sections: Array }}
+ */
+const attachSections = (questionsPayload, sections, sessionStart) => {
+  if (sections.length === 0) return { questions: questionsPayload, sections: [] };
+
+  const windows = getSectionWindows(sections, sessionStart);
+  const sectionByQuestion = getSectionByQuestion(sections);
+
+  return {
+    questions: questionsPayload.map((q) => ({
+      ...q,
+      sectionId: sectionByQuestion.get(q.questionId)?.sectionId ?? null,
+    })),
+    sections: sections.map((sec) => ({
+      sectionId: sec.sectionId,
+      name: sec.name,
+      order: sec.order,
+      durationMinutes: sec.durationMinutes,
+      maxAttempts: sec.maxAttempts,
+      questionCount: sec.questionIds.length,
+      opensAt: windows.get(sec.sectionId)?.opensAt.toISOString() ?? null,
+      closesAt: windows.get(sec.sectionId)?.closesAt.toISOString() ?? null,
+    })),
+  };
+};
+
+/**
+ * Load answers already autosaved for an attempt, in the autosave payload shape
+ * @param {number} attemptId - test_attempts.attempt_id
+ * @returns {Promise<Array>} Saved answers
+ */
+const loadSavedAnswers = async (attemptId) => {
+  const { data: saved = [] } = await supabase
+    .from('attempt_answers')
+    .select(
+      'question_id, selected_option_id, selected_option_ids, numeric_response, answer_text, time_spent_seconds, is_marked_for_review'
+    )
+    .eq('attempt_id', attemptId);
+
+  return (saved || []).map((a) => ({
+    questionId: a.question_id,
+    selectedOptionId: a.selected_option_id,
+    selectedOptionIds: a.selected_option_ids || null,
+    numericAnswer: a.numeric_response != null ? Number(a.numeric_response) : null,
+    answerText: a.answer_text,
+    timeSpentSeconds: a.time_spent_seconds || 0,
+    markedForReview: !!a.is_marked_for_review,
+    state: getQuestionState(a),
+  }));
+};
+
+// Autosave entries that carry none of these keys only update palette/time
+// tracking and leave the saved response untouched
+const ANSWER_FIELDS = ['selectedOptionId', 'selectedOptionIds', 'numericAnswer', 'answerText'];
+
+const hasAnswerFields = (entry) => ANSWER_FIELDS.some((key) => key in entry);
+
+/**
+ * Parse a time value (timeSpentDelta / timeSpentSeconds) from the autosave payload
+ * @param {*} value - Seconds reported by the client
+ * @returns {number} Whole seconds (0 when missing/invalid)
+ */
+const parseTimeDelta = (value) => {
+  const seconds = Math.floor(Number(value));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+};
+
 /**
  * POST /api/sessions
- * Body: { testId }
- * Creates a test_attempt (in_progress) + test_session, returns sessionToken and questions
+ * Body: { testId, deviceId?, takeover? }
+ * Creates a test_attempt (in_progress) + test_session, returns sessionToken and questions.
+ * If the student already has a live attempt for this test it is resumed instead:
+ * the existing sessionToken, saved answers and remaining time are returned.
+ * A live attempt opened from a different (or missing) deviceId is refused (409)
+ * unless takeover is true with a deviceId, which issues a new token and
+ * invalidates the other device's one.
  */
 export const createSession = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { testId } = req.body;
+    const { testId, takeover = false } = req.body;
+    const deviceId =
+      typeof req.body.deviceId === 'string' && req.body.deviceId.trim()
+        ? req.body.deviceId.trim().slice(0, 128)
+        : null;
     if (!testId)
       return res
         .status(400)
         .json({ success: false, message: 'testId required' });
 
     // Check test availability & access (reuse tests table)
+    // Custom tests are unpublished and only open to the student who generated them
     const { data: test, error: tErr } = await supabase
       .from('tests')
       .select('*')
       .eq('test_id', testId)
-      .eq('is_published', true)
       .single();
 
-    if (tErr || !test) {
+    if (tErr || !test || !(test.is_published || test.custom_for_user_id === userId)) {
       console.error('createSession: test lookup error:', tErr);
       return res
         .status(404)
         .json({ success: false, message: 'Test not found' });
     }
 
+    const testLanguages = test.languages || [DEFAULT_LANGUAGE];
+
     const now = new Date();
     if (test.start_time && new Date(test.start_time) > now) {
       return res
@@ -61,6 +512,140 @@ export const createSession = async (req, res) => {
           .json({ success: false, message: 'Payment required' });
     }
 
+    // Resume a live attempt instead of starting over (already counted against limits)
+    const { data: liveAttempt } = await supabase
+      .from('test_attempts')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('test_id', testId)
+      .eq('attempt_status', 'in_progress')
+      .order('start_time', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (liveAttempt) {
+      const { data: liveSession } = await supabase
+        .from('test_sessions')
+        .select('test_session_id, session_token, session_start, device_id, shuffle_seed, shuffle_mode, language')
+        .eq('attempt_id', liveAttempt.attempt_id)
+        .limit(1)
+        .single();
+
+      const deadline = getSessionDeadline(
+        liveSession?.session_start || liveAttempt.start_time,
+        test.duration_minutes
+      );
+
+      if (liveSession && !isPastGracePeriod(deadline)) {
+        // Once a session is bound to a device, a request without a deviceId counts
+        // as another device too
+        const onOtherDevice =
+          !!liveSession.device_id &&
+          liveSession.device_id !== deviceId;
+
+        if (onOtherDevice && takeover === true && !deviceId) {
+          return res.status(400).json({
+            success: false,
+            message: 'deviceId is required to take over a session',
+          });
+        }
+
+        if (onOtherDevice && takeover !== true) {
+          return res.status(409).json({
+            success: false,
+            message:
+              'This test is already in progress on another device. Continue here to take over the session.',
+            activeOnAnotherDevice: true,
+            canTakeover: true,
+            attemptId: liveAttempt.attempt_id,
+          });
+        }
+
+        // Taking over rotates the token so the other device can no longer save answers
+        let sessionToken = liveSession.session_token;
+        const sessionUpdates = {};
+        if (onOtherDevice) {
+          sessionToken = genToken();
+          sessionUpdates.session_token = sessionToken;
+        }
+        if (deviceId && liveSession.device_id !== deviceId) {
+          sessionUpdates.device_id = deviceId;
+        }
+        if (Object.keys(sessionUpdates).length > 0) {
+          await supabase
+            .from('test_sessions')
+            .update(sessionUpdates)
+            .eq('test_session_id', liveSession.test_session_id);
+        }
+
+        const { questions: orderedQuestions, sections } = attachSections(
+          orderQuestionsForSession(
+            await loadSessionQuestions(testId),
+            liveSession.shuffle_mode,
+            liveSession.shuffle_seed
+          ),
+          await loadTestSections(testId),
+          liveSession.session_start || liveAttempt.start_time
+        );
+        // Keep the language the student switched to, else their profile preference
+        const language = resolveLanguage(
+          liveSession.language || (await getPreferredLanguage(userId)),
+          testLanguages
+        );
+        const questionsPayload = await localizeSessionQuestions(
+          orderedQuestions,
+          language,
+          testLanguages
+        );
+        const savedAnswers = await loadSavedAnswers(liveAttempt.attempt_id);
+        const remainingSeconds = deadline
+          ? Math.max(0, Math.floor((deadline.getTime() - now.getTime()) / 1000))
+          : null;
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            resumed: true,
+            tookOver: onOtherDevice,
+            sessionToken,
+            attemptId: liveAttempt.attempt_id,
+            test: {
+              testId: test.test_id,
+              name: test.test_name,
+              durationMinutes: test.duration_minutes,
+              totalQuestions: test.total_questions,
+              totalMarks: test.total_marks,
+              markingScheme: test.marking_scheme || DEFAULT_MARKING_SCHEME,
+              shuffleMode: liveSession.shuffle_mode || 'none',
+            },
+            language,
+            languages: testLanguages,
+            sections,
+            questions: questionsPayload,
+            savedAnswers,
+            timer: {
+              serverTime: now.toISOString(),
+              deadline: deadline ? deadline.toISOString() : null,
+              remainingSeconds,
+            },
+          },
+        });
+      }
+
+      if (liveSession) {
+        // Time already ran out: grade what was saved before starting a fresh attempt
+        await finalizeAttempt(liveAttempt, { autoSubmitted: true });
+      } else if (now - new Date(liveAttempt.start_time) > 60 * 1000) {
+        // Orphaned attempt that never got a session - nothing to keep.
+        // Younger ones may belong to a concurrent request (React StrictMode double call)
+        // still being set up; submitSession cleans those duplicates up.
+        await supabase
+          .from('test_attempts')
+          .delete()
+          .eq('attempt_id', liveAttempt.attempt_id);
+      }
+    }
+
     // Check subscription limits
     const { data: limitsData, error: limitsError } = await supabase
       .rpc('get_user_test_limits', { p_user_id: userId });
@@ -69,7 +654,10 @@ export const createSession = async (req, res) => {
       // Determine test category
       let testCategory = 'mock'; // default
 
-      if (test.test_type === 'practice') {
+      if (test.custom_for_user_id) {
+        // Student-generated tests have their own limit
+        testCategory = 'custom';
+      } else if (test.test_type === 'practice') {
         // For practice tests, check metadata for test_category
         const metadataCategory = test.metadata?.test_category;
         if (metadataCategory === 'chapter') {
@@ -99,15 +687,6 @@ export const createSession = async (req, res) => {
       }
     }
 
-    // Clean up any existing in_progress attempts for this user/test
-    // This prevents duplicate rows when React StrictMode causes rapid concurrent calls
-    await supabase
-      .from('test_attempts')
-      .delete()
-      .eq('user_id', userId)
-      .eq('test_id', testId)
-      .eq('attempt_status', 'in_progress');
-
     // Create a test_attempt (in_progress)
     const { data: attempt, error: attErr } = await supabase
       .from('test_attempts')
@@ -131,7 +710,11 @@ export const createSession = async (req, res) => {
     }
 
     // Create session token and test_sessions row
+    // The shuffle seed is stored so the same student always sees the same order
     const sessionToken = genToken();
+    const shuffleMode = test.shuffle_mode || 'none';
+    const shuffleSeed = shuffleMode !== 'none' ? generateShuffleSeed() : null;
+    const language = resolveLanguage(await getPreferredLanguage(userId), testLanguages);
     const sessionPayload = {
       attempt_id: attempt.attempt_id,
       session_token: sessionToken,
@@ -139,6 +722,10 @@ export const createSession = async (req, res) => {
       proctoring_events: {},
       security_violations: {},
       is_fullscreen: false,
+      device_id: deviceId,
+      shuffle_mode: shuffleMode,
+      shuffle_seed: shuffleSeed,
+      language,
     };
 
     const { data: sessionRow, error: sessErr } = await supabase
@@ -160,250 +747,25 @@ export const createSession = async (req, res) => {
       .update({ session_id: sessionRow.test_session_id })
       .eq('attempt_id', attempt.attempt_id);
 
-    // SAFE question fetching
-
-    // 1) Try nested select (test_questions -> questions)
-    const qRes = await supabase
-      .from('test_questions')
-      .select(
-        `
-        test_question_id,
-        question_id,
-        question_order,
-        marks_allocated,
-        negative_marks_allocated,
-        questions (
-          question_id,
-          question_text,
-          question_type,
-          marks,
-          negative_marks,
-          metadata
-        )
-      `
-      )
-      .eq('test_questions.test_id', testId)
-      .order('question_order', {
-        foreignTable: 'test_questions',
-        ascending: true,
-      });
-
-    let { data: questionsData, error: qdErr } = qRes;
-
-    console.log('createSession: initial test_questions fetch:', {
-      error: qdErr ? (qdErr.message || qdErr) : null,
-      dataLength: Array.isArray(questionsData)
-        ? questionsData.length
-        : typeof questionsData,
-    });
-
-    // Fallback if nested fails
-    if (qdErr || !Array.isArray(questionsData) || questionsData.length === 0) {
-      try {
-        console.log(
-          'createSession: attempting fallback query for test_questions -> questions'
-        );
-
-        const fallbackTq = await supabase
-          .from('test_questions')
-          .select(
-            'test_question_id, question_id, question_order, marks_allocated, negative_marks_allocated'
-          )
-          .eq('test_id', testId)
-          .order('question_order', { ascending: true });
-
-        if (fallbackTq.error) {
-          console.error(
-            'createSession: fallback test_questions error',
-            fallbackTq.error
-          );
-          questionsData = [];
-        } else {
-          const tqRows = fallbackTq.data || [];
-          const qIds = tqRows.map((t) => t.question_id).filter(Boolean);
-
-          let questionsRows = [];
-          if (qIds.length > 0) {
-            const qRowsRes = await supabase
-              .from('questions')
-              .select(
-                'question_id, question_text, question_type, marks, negative_marks, metadata'
-              )
-              .in('question_id', qIds);
-            if (qRowsRes.error) {
-              console.error(
-                'createSession: fallback questions fetch error',
-                qRowsRes.error
-              );
-            } else {
-              questionsRows = qRowsRes.data || [];
-            }
-          }
-
-          questionsData = tqRows.map((tq) => {
-            const matched =
-              questionsRows.find(
-                (q) => Number(q.question_id) === Number(tq.question_id)
-              ) || null;
-            return {
-              test_question_id: tq.test_question_id,
-              question_id: tq.question_id,
-              question_order: tq.question_order,
-              marks_allocated: tq.marks_allocated,
-              negative_marks_allocated: tq.negative_marks_allocated,
-              questions: matched
-                ? {
-                  question_id: matched.question_id,
-                  question_text: matched.question_text,
-                  question_type: matched.question_type,
-                  marks: matched.marks,
-                  negative_marks: matched.negative_marks,
-                  metadata: matched.metadata,
-                }
-                : null,
-            };
-          });
-        }
-      } catch (fbErr) {
-        console.error('createSession: fallback path threw error', fbErr);
-        questionsData = questionsData || [];
-      }
-    }
-
-    // 2) Fetch options for the questions we found
-    const qIds = (questionsData || []).map((q) => q.question_id).filter(Boolean);
-    console.log('createSession: extracted question IDs count =', qIds.length);
-
-    let optionsData = [];
-    if (qIds.length > 0) {
-      const optRes = await supabase
-        .from('question_options')
-        .select(
-          'option_id, question_id, option_text, option_order, is_correct'
-        )
-        .in('question_id', qIds)
-        .order('option_order', { ascending: true });
-
-      optionsData = optRes.data || [];
-      if (optRes.error) {
-        console.error('createSession: error fetching options', optRes.error);
-      }
-      console.log(
-        'createSession: fetched options count =',
-        Array.isArray(optionsData) ? optionsData.length : typeof optionsData
-      );
-
-      // Validate that all questions have options
-      const questionsWithoutOptions = qIds.filter(qid => {
-        const opts = (optionsData || []).filter(o => o.question_id === qid);
-        return opts.length === 0;
-      });
-      if (questionsWithoutOptions.length > 0) {
-        console.warn('⚠️ Questions without options:', questionsWithoutOptions);
-      }
-    } else {
-      console.log(
-        'createSession: no question IDs found; skipping options fetch'
-      );
-    }
-
-    // Build options map
-    const optionsMap = new Map();
-    (optionsData || []).forEach((o) => {
-      if (!optionsMap.has(o.question_id)) optionsMap.set(o.question_id, []);
-      optionsMap.get(o.question_id).push({
-        optionId: o.option_id,
-        text: o.option_text,
-      });
-    });
-
-    // 3) Fetch question media from question_media table
-    let mediaData = [];
-    if (qIds.length > 0) {
-      const mediaRes = await supabase
-        .from('question_media')
-        .select('media_id, question_id, file_path, media_type, file_name')
-        .in('question_id', qIds);
-
-      mediaData = mediaRes.data || [];
-      if (mediaRes.error) {
-        console.error('createSession: error fetching media', mediaRes.error);
-      }
-      console.log(
-        'createSession: fetched media count =',
-        Array.isArray(mediaData) ? mediaData.length : typeof mediaData
-      );
-    }
-
-    // Build media map with public URLs
-    const mediaMap = new Map();
-    for (const m of mediaData) {
-      if (!m.file_path) continue;
-
-      // Generate public URL from Supabase storage
-      const { data: urlData } = supabase
-        .storage
-        .from('question-images')
-        .getPublicUrl(m.file_path);
-
-      if (urlData?.publicUrl) {
-        if (!mediaMap.has(m.question_id)) {
-          mediaMap.set(m.question_id, []);
-        }
-        mediaMap.get(m.question_id).push({
-          mediaId: m.media_id,
-          url: urlData.publicUrl,
-          type: m.media_type,
-          fileName: m.file_name,
-        });
-      }
-    }
-
-    console.log('createSession: mediaMap size =', mediaMap.size);
-    if (mediaMap.size > 0) {
-      console.log('createSession: Questions WITH media:', Array.from(mediaMap.keys()));
-      const firstMediaEntry = Array.from(mediaMap.entries())[0];
-      console.log('createSession: First media entry:', {
-        questionId: firstMediaEntry[0],
-        mediaArray: firstMediaEntry[1]
-      });
-    }
-
-    // Build final payload
-    const questionsPayload = (questionsData || []).map((q) => {
-      const questionMedia = mediaMap.get(q.question_id) || [];
-      console.log(`📸 Q${q.question_id} media lookup:`, {
-        hasMedia: questionMedia.length > 0,
-        count: questionMedia.length
-      });
-      return {
-        testQuestionId: q.test_question_id,
-        questionId: q.question_id,
-        order: q.question_order,
-        text: q.questions?.question_text || '',
-        type: q.questions?.question_type || 'mcq',
-        marks: q.marks_allocated || q.questions?.marks || 0,
-        negative: q.negative_marks_allocated || q.questions?.negative_marks || 0,
-        metadata: q.questions?.metadata || {},
-        options: optionsMap.get(q.question_id) || [],
-        media: questionMedia,
-      };
-    });
-
-    console.log('createSession: questionsPayload length =', questionsPayload.length);
-    if (questionsPayload.length > 0) {
-      console.log('createSession: sample question payload (first):', {
-        testQuestionId: questionsPayload[0].testQuestionId,
-        questionId: questionsPayload[0].questionId,
-        optionsCount: questionsPayload[0].options.length,
-        mediaCount: questionsPayload[0].media?.length || 0,
-        mediaSample: questionsPayload[0].media?.[0],
-      });
-    }
+    const { questions: orderedQuestions, sections } = attachSections(
+      orderQuestionsForSession(
+        await loadSessionQuestions(testId),
+        shuffleMode,
+        shuffleSeed
+      ),
+      await loadTestSections(testId),
+      sessionRow.session_start
+    );
+    const questionsPayload = await localizeSessionQuestions(
+      orderedQuestions,
+      language,
+      testLanguages
+    );
 
     return res.status(201).json({
       success: true,
       data: {
+        resumed: false,
         sessionToken,
         attemptId: attempt.attempt_id,
         test: {
@@ -412,7 +774,12 @@ export const createSession = async (req, res) => {
           durationMinutes: test.duration_minutes,
           totalQuestions: test.total_questions,
           totalMarks: test.total_marks,
+          markingScheme: test.marking_scheme || DEFAULT_MARKING_SCHEME,
+          shuffleMode,
         },
+        language,
+        languages: testLanguages,
+        sections,
         questions: questionsPayload,
       },
     });
@@ -426,7 +793,11 @@ export const createSession = async (req, res) => {
 
 /**
  * PATCH /api/sessions/:sessionToken/answers
- * Body: { answers: [{ questionId, selectedOptionId, answerText, timeSpentSeconds }], lastSeenIndex? }
+ * Body: { answers: [{ questionId, selectedOptionId, selectedOptionIds, numericAnswer, answerText, markedForReview, timeSpentDelta }], lastSeenIndex? }
+ * numericAnswer is the typed value for numerical (integer-type) questions
+ * selectedOptionIds is the set of options picked on multiple-correct questions
+ * An entry with no answer fields records a visit / review flag without touching the response
+ * timeSpentDelta is added to the question's stored time (timeSpentSeconds sets the total)
  * Upserts answers (attempt_answers). Requires the session -> attempt mapping.
  */
 export const autosaveAnswers = async (req, res) => {
@@ -439,10 +810,50 @@ export const autosaveAnswers = async (req, res) => {
         .status(400)
         .json({ success: false, message: 'answers array required' });
 
+    // Typed responses must be numbers (blank / null clears the answer)
+    const invalidNumeric = answers.find(
+      (a) =>
+        a.numericAnswer != null &&
+        a.numericAnswer !== '' &&
+        parseNumericResponse(a.numericAnswer) === null
+    );
+    if (invalidNumeric)
+      return res.status(400).json({
+        success: false,
+        message: `numericAnswer for question ${invalidNumeric.questionId} must be a number`,
+      });
+
+    const invalidSelection = answers.find(
+      (a) =>
+        a.selectedOptionIds != null &&
+        (!Array.isArray(a.selectedOptionIds) || !a.selectedOptionIds.every(isRowId))
+    );
+    if (invalidSelection)
+      return res.status(400).json({
+        success: false,
+        message: `selectedOptionIds for question ${invalidSelection.questionId} must be an array of option IDs`,
+      });
+
+    const invalidOption = answers.find(
+      (a) => a.selectedOptionId != null && !isRowId(a.selectedOptionId)
+    );
+    if (invalidOption)
+      return res.status(400).json({
+        success: false,
+        message: `selectedOptionId for question ${invalidOption.questionId} must be an option ID`,
+      });
+
+    const invalidQuestion = answers.find((a) => !isRowId(a.questionId));
+    if (invalidQuestion)
+      return res.status(400).json({
+        success: false,
+        message: 'Each answer needs a numeric questionId',
+      });
+
     // Find session & attempt
     const { data: session } = await supabase
       .from('test_sessions')
-      .select('test_session_id, attempt_id')
+      .select('test_session_id, attempt_id, session_start')
       .eq('session_token', sessionToken)
       .single();
 
@@ -454,7 +865,7 @@ export const autosaveAnswers = async (req, res) => {
     // Ensure attempt belongs to user
     const { data: attempt } = await supabase
       .from('test_attempts')
-      .select('attempt_id, user_id')
+      .select('attempt_id, user_id, test_id, start_time, attempt_status, tests(duration_minutes)')
       .eq('attempt_id', session.attempt_id)
       .single();
 
@@ -463,42 +874,157 @@ export const autosaveAnswers = async (req, res) => {
         .status(403)
         .json({ success: false, message: 'Not allowed' });
 
-    // For each answer: insert or update attempt_answers (match on attempt_id & question_id)
-    for (const a of answers) {
-      const insertPayload = {
-        attempt_id: attempt.attempt_id,
-        question_id: a.questionId,
-        selected_option_id: a.selectedOptionId ?? null,
-        answer_text: a.answerText ?? null,
-        time_spent_seconds: a.timeSpentSeconds || 0,
-        answered_at: new Date().toISOString(),
-      };
+    if (attempt.attempt_status !== 'in_progress')
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+
+    // Reject saves once the timer (plus grace period) has run out
+    const deadline = getSessionDeadline(
+      session.session_start || attempt.start_time,
+      attempt.tests?.duration_minutes
+    );
+    if (isPastGracePeriod(deadline))
+      return res.status(403).json({
+        success: false,
+        message: 'Time is up. Answers can no longer be saved.',
+        timeExpired: true,
+        deadline: deadline.toISOString(),
+      });
 
-      if (process.env.NODE_ENV === 'development') {
-        console.log('Autosaving answer:', {
-          questionId: a.questionId,
-          selectedOptionId: a.selectedOptionId,
-          selectedOptionIdType: typeof a.selectedOptionId
+    // Every answer must be for a question on this test; one stray ID would
+    // otherwise fail the whole batch upsert
+    const batchQuestionIds = [...new Set(answers.map((a) => Number(a.questionId)))];
+    if (batchQuestionIds.length > 0) {
+      const { data: testQuestions, error: tqError } = await supabase
+        .from('test_questions')
+        .select('question_id')
+        .eq('test_id', attempt.test_id)
+        .in('question_id', batchQuestionIds);
+      if (tqError) throw tqError;
+
+      const onTest = new Set((testQuestions || []).map((tq) => tq.question_id));
+      const strayQuestionId = batchQuestionIds.find((qid) => !onTest.has(qid));
+      if (strayQuestionId !== undefined)
+        return res.status(400).json({
+          success: false,
+          message: `Question ${strayQuestionId} is not part of this test`,
         });
-      }
+    }
 
-      const { data: existing } = await supabase
-        .from('attempt_answers')
-        .select('answer_id')
-        .eq('attempt_id', attempt.attempt_id)
-        .eq('question_id', a.questionId)
-        .single();
+    // Section rules: timed sections only accept answers while open, and
+    // "attempt any N" sections refuse answers beyond N
+    const sections = await loadTestSections(attempt.test_id);
+    if (sections.length > 0) {
+      const now = new Date();
+      const graceMs = SESSION_GRACE_SECONDS * 1000;
+      const windows = getSectionWindows(
+        sections,
+        session.session_start || attempt.start_time
+      );
+      const sectionByQuestion = getSectionByQuestion(sections);
 
-      if (existing) {
-        await supabase
+      for (const a of answers) {
+        const section = sectionByQuestion.get(Number(a.questionId));
+        const window = section && windows.get(section.sectionId);
+        if (!window) continue;
+        if (now < window.opensAt)
+          return res.status(403).json({
+            success: false,
+            message: `Section "${section.name}" has not started yet`,
+            sectionId: section.sectionId,
+            opensAt: window.opensAt.toISOString(),
+          });
+        if (now.getTime() > window.closesAt.getTime() + graceMs)
+          return res.status(403).json({
+            success: false,
+            message: `Time is up for section "${section.name}"`,
+            sectionClosed: true,
+            sectionId: section.sectionId,
+          });
+      }
+
+      if (sections.some((sec) => sec.maxAttempts)) {
+        const { data: existingAnswers = [] } = await supabase
           .from('attempt_answers')
-          .update(insertPayload)
-          .eq('answer_id', existing.answer_id);
-      } else {
-        await supabase.from('attempt_answers').insert([insertPayload]);
+          .select('question_id, selected_option_id, selected_option_ids, numeric_response')
+          .eq('attempt_id', attempt.attempt_id);
+
+        // Answered set after applying this batch
+        const answered = new Set(
+          existingAnswers.filter(hasResponse).map((a) => a.question_id)
+        );
+        for (const a of answers) {
+          if (!hasAnswerFields(a)) continue;
+          const answeredNow =
+            a.selectedOptionId != null ||
+            parseSelectedOptionIds(a.selectedOptionIds) !== null ||
+            parseNumericResponse(a.numericAnswer) !== null;
+          if (answeredNow) answered.add(Number(a.questionId));
+          else answered.delete(Number(a.questionId));
+        }
+
+        const overLimit = sections.find(
+          (sec) =>
+            sec.maxAttempts &&
+            sec.questionIds.filter((qid) => answered.has(qid)).length > sec.maxAttempts
+        );
+        if (overLimit)
+          return res.status(400).json({
+            success: false,
+            message: `You can attempt only ${overLimit.maxAttempts} questions in section "${overLimit.name}". Clear another answer first.`,
+            sectionLimitReached: true,
+            sectionId: overLimit.sectionId,
+            maxAttempts: overLimit.maxAttempts,
+          });
       }
     }
 
+    // Cap accumulated time at the test length so a stuck client can't inflate it
+    const durationSeconds = Number(attempt.tests?.duration_minutes) > 0
+      ? Number(attempt.tests.duration_minutes) * 60
+      : null;
+
+    // Upsert the whole batch in one call (attempt_id + question_id is unique)
+    const rows = answers.map((a) => {
+      const row = {
+        question_id: Number(a.questionId),
+        has_answer: hasAnswerFields(a),
+      };
+
+      if (row.has_answer) {
+        row.selected_option_id = a.selectedOptionId != null ? Number(a.selectedOptionId) : null;
+        row.selected_option_ids = parseSelectedOptionIds(a.selectedOptionIds);
+        row.numeric_response = parseNumericResponse(a.numericAnswer);
+        row.answer_text = a.answerText ?? null;
+      }
+      if (a.markedForReview !== undefined) {
+        row.is_marked_for_review = !!a.markedForReview;
+      }
+      // Time: timeSpentDelta is added to the stored total; older clients send
+      // the running total as timeSpentSeconds
+      if (a.timeSpentDelta !== undefined) {
+        row.time_spent_delta = parseTimeDelta(a.timeSpentDelta);
+      } else if (a.timeSpentSeconds !== undefined) {
+        row.time_spent_seconds = parseTimeDelta(a.timeSpentSeconds);
+      }
+      return row;
+    });
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log('Autosaving answers:', rows.length);
+    }
+
+    if (rows.length > 0) {
+      const { error: upsertError } = await supabase.rpc('upsert_attempt_answers', {
+        p_attempt_id: attempt.attempt_id,
+        p_answers: rows,
+        p_time_cap_seconds: durationSeconds,
+      });
+      if (upsertError) throw upsertError;
+    }
+
     // Update last activity timestamp on test_attempts
     await supabase
       .from('test_attempts')
@@ -517,6 +1043,7 @@ export const autosaveAnswers = async (req, res) => {
 /**
  * POST /api/sessions/:sessionToken/submit
  * Finalize attempt: grade, update totals, mark attempt_status completed
+ * Returns 409 if the attempt was already submitted (manually or by the server on timeout)
  */
 export const submitSession = async (req, res) => {
   try {
@@ -526,7 +1053,7 @@ export const submitSession = async (req, res) => {
     // Locate session and attempt
     const { data: session } = await supabase
       .from('test_sessions')
-      .select('test_session_id, attempt_id')
+      .select('test_session_id, attempt_id, session_start')
       .eq('session_token', sessionToken)
       .single();
 
@@ -536,18 +1063,28 @@ export const submitSession = async (req, res) => {
         .json({ success: false, message: 'Session not found' });
     }
 
-    const { data: attempt } = await supabase
+    const { data: attemptRow } = await supabase
       .from('test_attempts')
-      .select('*')
+      .select('*, tests(duration_minutes)')
       .eq('attempt_id', session.attempt_id)
       .single();
+    const { tests, ...attempt } = attemptRow || {};
 
-    if (!attempt || attempt.user_id !== userId) {
+    if (!attemptRow || attempt.user_id !== userId) {
       return res
         .status(403)
         .json({ success: false, message: 'Not allowed' });
     }
 
+    // Already graded (e.g. auto-submitted by the server when time ran out)
+    if (attempt.attempt_status !== 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+        attemptId: attempt.attempt_id,
+      });
+    }
+
     // Clean up any duplicate in_progress attempts for this user/test
     // This handles orphaned rows from React StrictMode race conditions
     await supabase
@@ -558,226 +1095,31 @@ export const submitSession = async (req, res) => {
       .eq('attempt_status', 'in_progress')
       .neq('attempt_id', attempt.attempt_id);
 
-
-    // Fetch answers (may be empty if autosave failed)
-    const { data: answers = [] } = await supabase
-      .from('attempt_answers')
-      .select(
-        'answer_id, question_id, selected_option_id, answer_text, time_spent_seconds'
-      )
-      .eq('attempt_id', attempt.attempt_id);
-
-    // Fetch test_questions for marks & full question set
-    const { data: tQuestions = [] } = await supabase
-      .from('test_questions')
-      .select('question_id, marks_allocated, negative_marks_allocated')
-      .eq('test_id', attempt.test_id);
-
-    const marksMap = new Map();
-    const allQuestionIds = [];
-    for (const tq of tQuestions) {
-      marksMap.set(tq.question_id, {
-        marks: Number(tq.marks_allocated || 0),
-        negative: Number(tq.negative_marks_allocated || 0),
-      });
-      allQuestionIds.push(tq.question_id);
-    }
-
-    // If there are no answers at all, treat every question as unattempted
-    if (!answers.length) {
-      let totalPossible = 0;
-      for (const qid of allQuestionIds) {
-        const m = marksMap.get(qid);
-        if (m) totalPossible += m.marks;
-      }
-
-      const unansweredCount = allQuestionIds.length;
-      await supabase
-        .from('test_attempts')
-        .update({
-          end_time: new Date().toISOString(),
-          submit_time: new Date().toISOString(),
-          attempt_status: 'completed',
-          total_marks_obtained: 0,
-          percentage: 0,
-          correct_answers: 0,
-          incorrect_answers: 0,
-          unanswered: unansweredCount,
-          proctoring_data: attempt.proctoring_data || {},
-        })
-        .eq('attempt_id', attempt.attempt_id);
-
-      await supabase.from('leaderboards').insert([
-        {
-          test_id: attempt.test_id,
-          user_id: attempt.user_id,
-          rank_position: null,
-          score: 0,
-          completion_time_seconds:
-            attempt.end_time && attempt.start_time
-              ? Math.floor(
-                (new Date(attempt.end_time) - new Date(attempt.start_time)) /
-                1000
-              )
-              : null,
-          attempt_date: new Date().toISOString(),
-        },
-      ]);
-
-      return res.status(200).json({
-        success: true,
-        data: {
-          attemptId: attempt.attempt_id,
-          score: 0,
-          percentage: 0,
-          correct: 0,
-          incorrect: 0,
-          unanswered: unansweredCount,
-          totalPossible,
-        },
+    // A submit after the timer (plus grace period) ran out is graded the way the
+    // sweeper would have graded it: as an auto-submission at the deadline.
+    // Autosave already refused anything saved after it.
+    const deadline = getSessionDeadline(
+      session.session_start || attempt.start_time,
+      tests?.duration_minutes
+    );
+    const late = isPastGracePeriod(deadline);
+
+    // Grade and mark completed (same path the expired-session sweeper uses)
+    const result = await finalizeAttempt(
+      attempt,
+      late ? { autoSubmitted: true, submittedAt: deadline.toISOString() } : {}
+    );
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+        attemptId: attempt.attempt_id,
       });
     }
 
-    // Fetch correct options only for answered questions (MCQs / T/F)
-    const answeredQIds = answers.map((a) => a.question_id);
-    const { data: correctOptions = [] } = await supabase
-      .from('question_options')
-      .select('option_id, question_id, is_correct')
-      .in('question_id', answeredQIds);
-
-    const correctMap = new Map();
-    for (const o of correctOptions) {
-      if (o.is_correct) correctMap.set(o.question_id, o.option_id);
-    }
-
-    // Grade
-    let correct = 0;
-    let incorrect = 0;
-    let unattempted = 0;
-    let totalObtained = 0;
-    let totalPossible = 0;
-    const perQuestionResults = [];
-
-    for (const qid of allQuestionIds) {
-      const marksInfo = marksMap.get(qid) || { marks: 0, negative: 0 };
-      totalPossible += marksInfo.marks;
-
-      const ans = answers.find((a) => a.question_id === qid);
-
-      // No answer stored or selected_option_id null => unattempted
-      if (!ans || ans.selected_option_id == null) {
-        unattempted++;
-        perQuestionResults.push({
-          questionId: qid,
-          marksObtained: 0,
-          isCorrect: false,
-        });
-        continue;
-      }
-
-      const sel = ans.selected_option_id;
-      const correctOptionId = correctMap.get(qid);
-
-      // If no correct option (numerical / subjective), treat as unattempted for now
-      if (!correctOptionId) {
-        unattempted++;
-        perQuestionResults.push({
-          questionId: qid,
-          marksObtained: 0,
-          isCorrect: false,
-        });
-        continue;
-      }
-
-      const isCorrect = Number(correctOptionId) === Number(sel);
-      if (isCorrect) {
-        correct++;
-        totalObtained += marksInfo.marks;
-        perQuestionResults.push({
-          questionId: qid,
-          marksObtained: marksInfo.marks,
-          isCorrect: true,
-        });
-      } else {
-        incorrect++;
-        const neg = marksInfo.negative || 0;
-        totalObtained -= neg;
-        perQuestionResults.push({
-          questionId: qid,
-          marksObtained: -neg,
-          isCorrect: false,
-        });
-      }
-    }
-
-    if (totalObtained < 0) totalObtained = 0;
-    const percentage =
-      totalPossible > 0 ? (totalObtained / totalPossible) * 100 : 0;
-
-    const { error: updErr } = await supabase
-      .from('test_attempts')
-      .update({
-        end_time: new Date().toISOString(),
-        submit_time: new Date().toISOString(),
-        attempt_status: 'completed',
-        total_marks_obtained: totalObtained,
-        percentage,
-        correct_answers: correct,
-        incorrect_answers: incorrect,
-        unanswered: unattempted,
-        proctoring_data: attempt.proctoring_data || {},
-      })
-      .eq('attempt_id', attempt.attempt_id);
-
-    await supabase
-      .from('test_sessions')
-      .update({ session_end: new Date().toISOString() })
-      .eq('attempt_id', attempt.attempt_id);
-
-    if (updErr) {
-      console.error('Error updating attempt', updErr);
-    }
-
-    // Save per-question marks into attempt_answers
-    for (const pq of perQuestionResults) {
-      await supabase
-        .from('attempt_answers')
-        .update({
-          marks_obtained: pq.marksObtained,
-          is_correct: pq.isCorrect,
-        })
-        .eq('attempt_id', attempt.attempt_id)
-        .eq('question_id', pq.questionId);
-    }
-
-    await supabase.from('leaderboards').insert([
-      {
-        test_id: attempt.test_id,
-        user_id: attempt.user_id,
-        rank_position: null,
-        score: totalObtained,
-        completion_time_seconds:
-          attempt.end_time && attempt.start_time
-            ? Math.floor(
-              (new Date(attempt.end_time) - new Date(attempt.start_time)) /
-              1000
-            )
-            : null,
-        attempt_date: new Date().toISOString(),
-      },
-    ]);
-
     return res.status(200).json({
       success: true,
-      data: {
-        attemptId: attempt.attempt_id,
-        score: totalObtained,
-        percentage: Number(percentage.toFixed(2)),
-        correct,
-        incorrect,
-        unanswered: unattempted,
-        totalPossible,
-      },
+      data: result,
     });
   } catch (error) {
     console.error('submitSession error:', error);
@@ -861,9 +1203,68 @@ export const postSessionEvent = async (req, res) => {
   }
 };
 
+/**
+ * PATCH /api/sessions/:sessionToken/language
+ * Body: { language }
+ * Records the language the student switched to, so a resumed session opens in it.
+ * The paper already carries every offered language; this only persists the choice.
+ */
+export const setSessionLanguage = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionToken } = req.params;
+    const language = normalizeLanguage(req.body.language);
+
+    const { data: session } = await supabase
+      .from('test_sessions')
+      .select('test_session_id, attempt_id')
+      .eq('session_token', sessionToken)
+      .single();
+
+    if (!session)
+      return res
+        .status(404)
+        .json({ success: false, message: 'Session not found' });
+
+    const { data: attempt } = await supabase
+      .from('test_attempts')
+      .select('user_id, attempt_status, tests(languages)')
+      .eq('attempt_id', session.attempt_id)
+      .single();
+
+    if (!attempt || attempt.user_id !== userId)
+      return res.status(403).json({ success: false, message: 'Not allowed' });
+
+    if (attempt.attempt_status !== 'in_progress')
+      return res
+        .status(400)
+        .json({ success: false, message: 'Attempt is no longer in progress' });
+
+    const offered = attempt.tests?.languages || [DEFAULT_LANGUAGE];
+    if (!language || !offered.includes(language))
+      return res.status(400).json({
+        success: false,
+        message: `language must be one of: ${offered.join(', ')}`,
+      });
+
+    await supabase
+      .from('test_sessions')
+      .update({ language })
+      .eq('test_session_id', session.test_session_id);
+
+    return res.status(200).json({ success: true, data: { language } });
+  } catch (error) {
+    console.error('setSessionLanguage error:', error);
+    return res
+      .status(500)
+      .json({ success: false, message: 'Server error changing language' });
+  }
+};
+
 /**
  * GET /api/sessions/:sessionToken
- * Returns basic session & attempt status (time left can be computed by client using test.durationMinutes + start_time)
+ * Returns session & attempt status with the server-computed deadline and time remaining,
+ * plus the question palette (visit / answer / review state and time per question)
  */
 export const getSessionStatus = async (req, res) => {
   try {
@@ -893,7 +1294,7 @@ export const getSessionStatus = async (req, res) => {
 
     const { data: attempt } = await supabase
       .from('test_attempts')
-      .select('attempt_id, test_id, start_time, end_time, attempt_status')
+      .select('attempt_id, user_id, test_id, start_time, end_time, attempt_status, tests(duration_minutes)')
       .eq('attempt_id', session.attempt_id)
       .single();
 
@@ -902,6 +1303,50 @@ export const getSessionStatus = async (req, res) => {
         .status(404)
         .json({ success: false, message: 'Attempt not found' });
 
+    if (attempt.user_id !== userId)
+      return res.status(403).json({ success: false, message: 'Not allowed' });
+
+    // Question palette: one entry per test question, in canonical order
+    const { data: testQuestions = [] } = await supabase
+      .from('test_questions')
+      .select('question_id')
+      .eq('test_id', attempt.test_id)
+      .order('question_order', { ascending: true });
+
+    const { data: savedRows = [] } = await supabase
+      .from('attempt_answers')
+      .select(
+        'question_id, selected_option_id, selected_option_ids, numeric_response, time_spent_seconds, is_marked_for_review'
+      )
+      .eq('attempt_id', attempt.attempt_id);
+    const savedByQuestion = new Map((savedRows || []).map((a) => [a.question_id, a]));
+
+    const palette = (testQuestions || []).map((tq) => {
+      const saved = savedByQuestion.get(tq.question_id);
+      return {
+        questionId: tq.question_id,
+        state: getQuestionState(saved),
+        markedForReview: !!saved?.is_marked_for_review,
+        timeSpentSeconds: saved?.time_spent_seconds || 0,
+      };
+    });
+    const paletteSummary = Object.fromEntries(
+      QUESTION_STATES.map((state) => [
+        state,
+        palette.filter((p) => p.state === state).length,
+      ])
+    );
+
+    // Server-side timer: clients should display this instead of their own clock
+    const now = new Date();
+    const deadline = getSessionDeadline(
+      session.session_start || attempt.start_time,
+      attempt.tests?.duration_minutes
+    );
+    const remainingSeconds = deadline
+      ? Math.max(0, Math.floor((deadline.getTime() - now.getTime()) / 1000))
+      : null;
+
     // Basic payload
     return res.status(200).json({
       success: true,
@@ -919,6 +1364,16 @@ export const getSessionStatus = async (req, res) => {
           startTime: attempt.start_time,
           status: attempt.attempt_status,
         },
+        timer: {
+          serverTime: now.toISOString(),
+          durationMinutes: attempt.tests?.duration_minutes ?? null,
+          deadline: deadline ? deadline.toISOString() : null,
+          remainingSeconds,
+          graceSeconds: SESSION_GRACE_SECONDS,
+          expired: deadline ? remainingSeconds === 0 : false,
+        },
+        palette,
+        paletteSummary,
       },
     });
   } catch (error) {
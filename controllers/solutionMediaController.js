@@ -0,0 +1,276 @@
+import { supabase } from '../config/supabase.js';
+import {
+  SOLUTION_MEDIA_BUCKET,
+  validateVideoUrl,
+  loadSolutionMedia
+} from '../services/solutionService.js';
+
+/**
+ * Verify the requester is an admin and the question exists
+ * @returns {Promise<{ status: number, message: string }|null>} Error to send, or null
+ */
+const checkSolutionAccess = async (userId, questionId) => {
+  const { data: userData, error: userError } = await supabase
+    .from('users')
+    .select('role')
+    .eq('user_id', userId)
+    .single();
+
+  if (userError || !userData || userData.role !== 'admin') {
+    return { status: 403, message: 'Access denied. Admin privileges required.' };
+  }
+
+  const { data: question } = await supabase
+    .from('questions')
+    .select('question_id')
+    .eq('question_id', questionId)
+    .single();
+
+  return question ? null : { status: 404, message: 'Question not found' };
+};
+
+/**
+ * Next display_order for a question's solution media (appends to the end)
+ */
+const getNextDisplayOrder = async (questionId) => {
+  const { data: last } = await supabase
+    .from('solution_media')
+    .select('display_order')
+    .eq('question_id', questionId)
+    .order('display_order', { ascending: false })
+    .limit(1)
+    .single();
+
+  return (last?.display_order ?? 0) + 1;
+};
+
+/**
+ * List the media attached to a question's solution
+ */
+export const listSolutionMedia = async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.questionId);
+
+    const accessError = await checkSolutionAccess(req.user.userId, questionId);
+    if (accessError) {
+      return res.status(accessError.status).json({
+        success: false,
+        message: accessError.message
+      });
+    }
+
+    const mediaByQuestion = await loadSolutionMedia([questionId]);
+
+    res.json({
+      success: true,
+      data: mediaByQuestion.get(questionId) || []
+    });
+
+  } catch (error) {
+    console.error('Error fetching solution media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch solution media',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Upload an image for a question's solution
+ * Multipart field: image. Body: { caption? }
+ */
+export const uploadSolutionImage = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const questionId = parseInt(req.params.questionId);
+
+    const accessError = await checkSolutionAccess(userId, questionId);
+    if (accessError) {
+      return res.status(accessError.status).json({
+        success: false,
+        message: accessError.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const file = req.file;
+    const ext = file.originalname.split('.').pop();
+    const fileName = `question_${questionId}_solution_${Date.now()}.${ext}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(SOLUTION_MEDIA_BUCKET)
+      .upload(fileName, file.buffer, {
+        contentType: file.mimetype,
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (uploadError) {
+      console.error('Supabase upload error:', uploadError);
+      throw uploadError;
+    }
+
+    const { data: media, error: mediaError } = await supabase
+      .from('solution_media')
+      .insert([{
+        question_id: questionId,
+        media_type: 'image',
+        file_path: fileName,
+        file_name: file.originalname,
+        file_size: file.size,
+        caption: req.body.caption ? String(req.body.caption).trim() : null,
+        display_order: await getNextDisplayOrder(questionId),
+        created_by: userId
+      }])
+      .select('media_id')
+      .single();
+
+    if (mediaError) throw mediaError;
+
+    const mediaByQuestion = await loadSolutionMedia([questionId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Solution image uploaded successfully',
+      data: (mediaByQuestion.get(questionId) || []).find(m => m.mediaId === media.media_id) || null
+    });
+
+  } catch (error) {
+    console.error('Error uploading solution image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload solution image',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Link a video to a question's solution
+ * Body: { url, caption? }
+ */
+export const addSolutionVideo = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const questionId = parseInt(req.params.questionId);
+    const { url, caption } = req.body;
+
+    const accessError = await checkSolutionAccess(userId, questionId);
+    if (accessError) {
+      return res.status(accessError.status).json({
+        success: false,
+        message: accessError.message
+      });
+    }
+
+    const urlError = validateVideoUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    const { data: media, error } = await supabase
+      .from('solution_media')
+      .insert([{
+        question_id: questionId,
+        media_type: 'video',
+        url: url.trim(),
+        caption: caption ? String(caption).trim() : null,
+        display_order: await getNextDisplayOrder(questionId),
+        created_by: userId
+      }])
+      .select('media_id, media_type, url, caption')
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      message: 'Solution video added successfully',
+      data: {
+        mediaId: media.media_id,
+        type: media.media_type,
+        url: media.url,
+        fileName: null,
+        caption: media.caption
+      }
+    });
+
+  } catch (error) {
+    console.error('Error adding solution video:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add solution video',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a solution attachment (and its stored file)
+ */
+export const deleteSolutionMedia = async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.questionId);
+    const mediaId = parseInt(req.params.mediaId);
+
+    const accessError = await checkSolutionAccess(req.user.userId, questionId);
+    if (accessError) {
+      return res.status(accessError.status).json({
+        success: false,
+        message: accessError.message
+      });
+    }
+
+    const { data: media } = await supabase
+      .from('solution_media')
+      .select('media_id, file_path')
+      .eq('media_id', mediaId)
+      .eq('question_id', questionId)
+      .single();
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Solution media not found'
+      });
+    }
+
+    if (media.file_path) {
+      const { error: storageError } = await supabase.storage
+        .from(SOLUTION_MEDIA_BUCKET)
+        .remove([media.file_path]);
+
+      if (storageError) console.error('Error deleting solution file:', storageError);
+    }
+
+    const { error } = await supabase
+      .from('solution_media')
+      .delete()
+      .eq('media_id', mediaId);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Solution media deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting solution media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete solution media',
+      error: error.message
+    });
+  }
+};
@@ -1,7 +1,19 @@
 import { supabase } from '../config/supabase.js';
+import { linkQuestionsToTest } from '../services/questionService.js';
+import { isPlaceholderQuestion } from '../services/questionImportService.js';
+import {
+    parseDifficultyMix,
+    getTemplateRequirements,
+    selectChapterQuestions,
+    loadRecentlySeenQuestionIds,
+    RECENT_QUESTION_WINDOW_DAYS
+} from '../services/templateSelectionService.js';
 
 /**
- * Generate question placeholders from template
+ * Fill a template test with questions from the question bank
+ * Each chapter gets its target count, split by difficulty mix, skipping
+ * questions the test's plan cohort has seen recently. Chapters the bank
+ * can't cover are reported in `shortfalls`.
  * Supports both:
  * - Biology-only templates (class11Distribution/class12Distribution)
  * - Multi-subject templates (subjectDistributions)
@@ -25,10 +37,10 @@ export const generateQuestionsFromTemplate = async (req, res) => {
             });
         }
 
-        // Get test with metadata and subject_ids
+        // Get test with metadata, subject_ids and plan
         const { data: test, error: testError } = await supabase
             .from('tests')
-            .select('metadata, test_id, subject_id, subject_ids')
+            .select('metadata, test_id, subject_id, subject_ids, required_plan_id')
             .eq('test_id', testId)
             .single();
 
@@ -41,175 +53,151 @@ export const generateQuestionsFromTemplate = async (req, res) => {
             });
         }
 
-        const metadata = test.metadata;
-        const questionsToCreate = [];
-        let questionOrder = 1;
+        const { difficultyMix, avoidRecentDays, allowRecentRepeats = false, dryRun = false } = req.body || {};
 
-        // Check if this is a multi-subject template or Biology-only template
-        const hasSubjectDistributions = metadata.subjectDistributions &&
-            Object.keys(metadata.subjectDistributions).length > 0;
-
-        if (hasSubjectDistributions) {
-            // NEW: Multi-subject template
-            // Format: { "Physics": { "Mechanics": {min, max, target}, ... }, "Chemistry": {...} }
-
-            // Get subject name to ID mapping
-            const { data: subjects } = await supabase
-                .from('subjects')
-                .select('subject_id, name');
-
-            const subjectMap = {};
-            subjects.forEach(s => {
-                subjectMap[s.name] = s.subject_id;
+        const { mix, error: mixError } = parseDifficultyMix(difficultyMix || test.metadata.difficultyMix);
+        if (mixError) {
+            return res.status(400).json({
+                success: false,
+                message: mixError
             });
+        }
 
-            for (const [subjectName, chapters] of Object.entries(metadata.subjectDistributions)) {
-                const subjectId = subjectMap[subjectName];
-
-                for (const [chapter, distribution] of Object.entries(chapters)) {
-                    const targetCount = distribution.target || 0;
-
-                    for (let i = 0; i < targetCount; i++) {
-                        questionsToCreate.push({
-                            subject_id: subjectId,
-                            created_by: userId,
-                            question_text: `Question ${questionOrder} - Fill in your question text here`,
-                            question_type: 'mcq',
-                            difficulty_level: 'medium',
-                            marks: 4,
-                            negative_marks: 1,
-                            explanation: 'Add detailed explanation here',
-                            metadata: {
-                                chapter: chapter,
-                                subject: subjectName,
-                                questionNumber: questionOrder,
-                                templateGenerated: true,
-                                minQuestions: distribution.min,
-                                targetQuestions: distribution.target,
-                                maxQuestions: distribution.max
-                            }
-                        });
-                        questionOrder++;
-                    }
-                }
-            }
-        } else {
-            // OLD: Biology-only template (Class XI/XII distributions)
-            if (!metadata.class11Distribution) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'No template data found for this test'
-                });
-            }
-
-            // Generate questions from Class XI distribution
-            const class11Dist = metadata.class11Distribution || {};
-            for (const [chapter, distribution] of Object.entries(class11Dist)) {
-                const targetCount = distribution.target || 0;
-                for (let i = 0; i < targetCount; i++) {
-                    questionsToCreate.push({
-                        subject_id: test.subject_id,
-                        created_by: userId,
-                        question_text: `Question ${questionOrder} - Fill in your question text here`,
-                        question_type: 'mcq',
-                        difficulty_level: 'medium',
-                        marks: 4,
-                        negative_marks: 1,
-                        explanation: 'Add detailed explanation here',
-                        metadata: {
-                            chapter: chapter,
-                            classLevel: 'XI',
-                            questionNumber: questionOrder,
-                            templateGenerated: true,
-                            minQuestions: distribution.min,
-                            targetQuestions: distribution.target,
-                            maxQuestions: distribution.max
-                        }
-                    });
-                    questionOrder++;
-                }
-            }
-
-            // Generate questions from Class XII distribution
-            const class12Dist = metadata.class12Distribution || {};
-            for (const [chapter, distribution] of Object.entries(class12Dist)) {
-                const targetCount = distribution.target || 0;
-                for (let i = 0; i < targetCount; i++) {
-                    questionsToCreate.push({
-                        subject_id: test.subject_id,
-                        created_by: userId,
-                        question_text: `Question ${questionOrder} - Fill in your question text here`,
-                        question_type: 'mcq',
-                        difficulty_level: 'medium',
-                        marks: 4,
-                        negative_marks: 1,
-                        explanation: 'Add detailed explanation here',
-                        metadata: {
-                            chapter: chapter,
-                            classLevel: 'XII',
-                            questionNumber: questionOrder,
-                            templateGenerated: true,
-                            minQuestions: distribution.min,
-                            targetQuestions: distribution.target,
-                            maxQuestions: distribution.max
-                        }
-                    });
-                    questionOrder++;
-                }
-            }
+        const windowDays = avoidRecentDays === undefined
+            ? RECENT_QUESTION_WINDOW_DAYS
+            : Number(avoidRecentDays);
+        if (!Number.isFinite(windowDays) || windowDays < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'avoidRecentDays must be a non-negative number'
+            });
         }
 
-        if (questionsToCreate.length === 0) {
+        // Get subject name to ID mapping for multi-subject templates
+        const { data: subjects } = await supabase
+            .from('subjects')
+            .select('subject_id, name');
+        const subjectIdsByName = new Map((subjects || []).map(s => [s.name, s.subject_id]));
+
+        const requirements = getTemplateRequirements(test.metadata, subjectIdsByName, test.subject_id);
+        if (requirements.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'No questions to generate from template'
             });
         }
 
-        // Step 1: Insert questions into questions table
-        const { data: insertedQuestions, error: insertError } = await supabase
-            .from('questions')
-            .insert(questionsToCreate)
-            .select('question_id');
-
-        if (insertError) throw insertError;
-
-        // Step 2: Create options for each question
-        const optionsToCreate = [];
-        insertedQuestions.forEach(q => {
-            optionsToCreate.push(
-                { question_id: q.question_id, option_text: 'Option A', is_correct: false, option_order: 1 },
-                { question_id: q.question_id, option_text: 'Option B', is_correct: false, option_order: 2 },
-                { question_id: q.question_id, option_text: 'Option C', is_correct: false, option_order: 3 },
-                { question_id: q.question_id, option_text: 'Option D', is_correct: true, option_order: 4 }
+        // Candidate bank questions for every chapter in the template (paged:
+        // PostgREST caps a response at 1000 rows)
+        const chapters = [...new Set(requirements.map(r => r.chapter))];
+        const PAGE_SIZE = 1000;
+        const bankQuestions = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data: page, error: bankError } = await supabase
+                .from('questions')
+                .select('question_id, subject_id, question_text, difficulty_level, marks, negative_marks, metadata')
+                .eq('is_active', true)
+                .in('metadata->>chapter', chapters)
+                .order('question_id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (bankError) throw bankError;
+
+            bankQuestions.push(...(page || []));
+            if (!page || page.length < PAGE_SIZE) break;
+        }
+
+        const { data: existingLinks = [] } = await supabase
+            .from('test_questions')
+            .select('question_id')
+            .eq('test_id', testId);
+        const usedIds = new Set((existingLinks || []).map(tq => tq.question_id));
+
+        const recentlySeen = await loadRecentlySeenQuestionIds(test.test_id, test.required_plan_id, windowDays);
+
+        const chapterReports = [];
+        const selectedQuestions = [];
+
+        for (const requirement of requirements) {
+            const matching = bankQuestions.filter(q =>
+                q.metadata?.chapter === requirement.chapter &&
+                (!requirement.subjectId || !q.subject_id || q.subject_id === requirement.subjectId) &&
+                !isPlaceholderQuestion(q) &&
+                !usedIds.has(q.question_id)
             );
-        });
+            const fresh = matching.filter(q => !recentlySeen.has(q.question_id));
+
+            const { selected, byDifficulty } = selectChapterQuestions(fresh, requirement.target, mix);
+
+            // Only fall back to recently seen questions when explicitly allowed
+            let reusedRecent = 0;
+            if (allowRecentRepeats && selected.length < requirement.target) {
+                const recent = matching.filter(q => recentlySeen.has(q.question_id));
+                const topUp = selectChapterQuestions(recent, requirement.target - selected.length, mix);
+                selected.push(...topUp.selected);
+                reusedRecent = topUp.selected.length;
+                for (const level of Object.keys(byDifficulty)) byDifficulty[level] += topUp.byDifficulty[level];
+            }
 
-        await supabase.from('question_options').insert(optionsToCreate);
+            selected.forEach(q => usedIds.add(q.question_id));
+            selectedQuestions.push(...selected);
+
+            chapterReports.push({
+                subject: requirement.subjectName,
+                chapter: requirement.chapter,
+                target: requirement.target,
+                min: requirement.min,
+                selected: selected.length,
+                byDifficulty,
+                availableInBank: matching.length,
+                recentlySeen: matching.length - fresh.length,
+                reusedRecent,
+                shortfall: requirement.target - selected.length,
+                belowMinimum: selected.length < requirement.min
+            });
+        }
 
-        // Step 3: Link questions to test via test_questions junction table
-        const testQuestionsToCreate = insertedQuestions.map((q, idx) => ({
-            test_id: testId,
-            question_id: q.question_id,
-            question_order: idx + 1,
-            marks_allocated: 4,
-            negative_marks_allocated: 1
-        }));
+        const shortfalls = chapterReports.filter(c => c.shortfall > 0);
+        const report = {
+            difficultyMix: mix,
+            avoidRecentDays: windowDays,
+            requested: requirements.reduce((sum, r) => sum + r.target, 0),
+            selected: selectedQuestions.length,
+            chapters: chapterReports,
+            shortfalls
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: 'Dry run - no questions were added',
+                data: { ...report, dryRun: true }
+            });
+        }
 
-        await supabase.from('test_questions').insert(testQuestionsToCreate);
+        if (selectedQuestions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The question bank has no matching questions for this template',
+                data: report
+            });
+        }
 
-        // Step 4: Update test's total_questions
-        await supabase
-            .from('tests')
-            .update({ total_questions: questionsToCreate.length })
-            .eq('test_id', testId);
+        const { linked } = await linkQuestionsToTest(testId, selectedQuestions.map(q => ({
+            questionId: q.question_id,
+            marks: Number(q.marks ?? 4),
+            negativeMarks: Number(q.negative_marks ?? 1)
+        })));
 
         res.json({
             success: true,
-            message: `Successfully generated ${questionsToCreate.length} question placeholders`,
+            message: shortfalls.length > 0
+                ? `Added ${linked.length} questions; ${shortfalls.length} chapter(s) are short in the question bank`
+                : `Added ${linked.length} questions from the question bank`,
             data: {
-                questionsCreated: questionsToCreate.length,
-                questionIds: insertedQuestions.map(q => q.question_id)
+                ...report,
+                questionsAdded: linked.length,
+                questionIds: linked
             }
         });
 
@@ -1,5 +1,28 @@
 import { supabase } from '../config/supabase.js';
-import { getUserAccessiblePlanIds } from '../middleware/planAccess.js';
+import { getUserAccessiblePlanIds, hasFeatureAccess } from '../middleware/planAccess.js';
+import { loadSolutionMedia } from '../services/solutionService.js';
+import {
+  isNumericalType,
+  isMultipleCorrectType,
+  hasResponse as hasAnswerResponse,
+  getQuestionState,
+  DEFAULT_MARKING_SCHEME
+} from '../services/gradingService.js';
+import { getShuffledOrder } from '../utils/shuffle.js';
+import {
+  loadTestSections,
+  getSectionByQuestion,
+  getExcessAttempts,
+  getSectionMaxMarks
+} from '../services/sectionService.js';
+import { formatLeaderboardEntry, getUserStanding } from '../services/leaderboardService.js';
+import {
+  DEFAULT_LANGUAGE,
+  getPreferredLanguage,
+  resolveLanguage,
+  loadTranslations,
+  applyTranslation
+} from '../services/translationService.js';
 
 // Get all available tests with filters
 export const getAllTests = async (req, res) => {
@@ -501,7 +524,9 @@ export const getAttemptResult = async (req, res) => {
         tests (
           test_name,
           total_marks,
-          total_questions
+          total_questions,
+          marking_scheme,
+          languages
         )
       `)
       .eq('attempt_id', attemptId)
@@ -520,13 +545,13 @@ export const getAttemptResult = async (req, res) => {
     // 1. Get user's answers for this attempt
     const { data: userAnswers = [] } = await supabase
       .from('attempt_answers')
-      .select('question_id, selected_option_id, is_correct, marks_obtained')
+      .select('question_id, selected_option_id, selected_option_ids, numeric_response, is_correct, marks_obtained, time_spent_seconds, is_marked_for_review, first_visited_at, question_version_id')
       .eq('attempt_id', attemptId);
 
     // 2. Get all test_questions for this test (ordered)
     const { data: testQuestions = [] } = await supabase
       .from('test_questions')
-      .select('question_id, question_order, marks_allocated, negative_marks_allocated')
+      .select('question_id, question_order, marks_allocated, negative_marks_allocated, grading_decision')
       .eq('test_id', attempt.test_id)
       .order('question_order', { ascending: true });
 
@@ -556,7 +581,7 @@ export const getAttemptResult = async (req, res) => {
     // 3. Get question details (text, explanation, category, difficulty)
     const { data: questions = [] } = await supabase
       .from('questions')
-      .select('question_id, question_text, question_type, question_category, difficulty_level, explanation, metadata')
+      .select('question_id, question_text, question_type, question_category, difficulty_level, explanation, metadata, numerical_answer, current_version_id')
       .in('question_id', questionIds);
 
     // 4. Get all options for these questions
@@ -569,19 +594,22 @@ export const getAttemptResult = async (req, res) => {
     // 5. Get question media (images)
     const { data: allMedia = [] } = await supabase
       .from('question_media')
-      .select('media_id, question_id, file_path, media_type, file_name')
+      .select('media_id, question_id, option_id, file_path, media_type, file_name')
       .in('question_id', questionIds);
 
-    // Build media URLs
+    // Build media URLs (option images are keyed by option)
     const mediaMap = new Map();
+    const optionMediaMap = new Map();
     for (const m of allMedia) {
       if (!m.file_path) continue;
       const { data: urlData } = supabase.storage
         .from('question-images')
         .getPublicUrl(m.file_path);
       if (urlData?.publicUrl) {
-        if (!mediaMap.has(m.question_id)) mediaMap.set(m.question_id, []);
-        mediaMap.get(m.question_id).push({
+        const targetMap = m.option_id ? optionMediaMap : mediaMap;
+        const key = m.option_id || m.question_id;
+        if (!targetMap.has(key)) targetMap.set(key, []);
+        targetMap.get(key).push({
           mediaId: m.media_id,
           url: urlData.publicUrl,
           type: m.media_type,
@@ -590,6 +618,13 @@ export const getAttemptResult = async (req, res) => {
       }
     }
 
+    // Explanations and their attachments need the detailed_solutions feature;
+    // other plans get the answer key only
+    const detailedSolutions = await hasFeatureAccess(userId, 'detailed_solutions');
+    const solutionMediaMap = detailedSolutions
+      ? await loadSolutionMedia(questionIds)
+      : new Map();
+
     // Build lookup maps
     const questionsMap = new Map(questions.map(q => [q.question_id, q]));
     const optionsMap = new Map();
@@ -599,6 +634,94 @@ export const getAttemptResult = async (req, res) => {
     }
     const userAnswersMap = new Map(userAnswers.map(a => [a.question_id, a]));
 
+    // Show edited questions as the student saw them (the version stamped on their answer).
+    // Only the wording comes from that version: the answer key, question type and
+    // explanation stay current, so a corrected key matches the re-graded marks.
+    const seenVersionIds = [...new Set(userAnswers.map(a => a.question_version_id).filter(Boolean))];
+    const versionNumbers = new Map();
+    const editedSinceAttempt = new Set();
+    if (seenVersionIds.length > 0) {
+      const { data: seenVersions = [] } = await supabase
+        .from('question_versions')
+        .select('version_id, question_id, version_number, snapshot')
+        .in('version_id', seenVersionIds);
+
+      for (const version of seenVersions || []) {
+        versionNumbers.set(version.question_id, version.version_number);
+        const current = questionsMap.get(version.question_id);
+        if (!current || current.current_version_id === version.version_id) continue;
+
+        const snap = version.snapshot;
+        editedSinceAttempt.add(version.question_id);
+        questionsMap.set(version.question_id, {
+          ...current,
+          question_text: snap.question_text,
+          question_category: snap.question_category,
+          difficulty_level: snap.difficulty_level,
+          metadata: snap.metadata
+        });
+
+        // Options keep their IDs across edits: the student's option texts with today's
+        // key, plus any option that is now correct but wasn't shown to them
+        const currentOptions = optionsMap.get(version.question_id) || [];
+        const currentById = new Map(currentOptions.map(opt => [opt.option_id, opt]));
+        const seenOptions = (snap.options || []).map(opt => ({
+          ...opt,
+          question_id: version.question_id,
+          is_correct: !!currentById.get(opt.option_id)?.is_correct
+        }));
+        const seenIds = new Set(seenOptions.map(opt => opt.option_id));
+        optionsMap.set(version.question_id, [
+          ...seenOptions,
+          ...currentOptions.filter(opt => opt.is_correct && !seenIds.has(opt.option_id))
+        ]);
+      }
+    }
+
+    // Challenges the student raised from this result
+    const { data: challenges = [] } = await supabase
+      .from('question_challenges')
+      .select('challenge_id, question_id, status')
+      .eq('attempt_id', attemptId);
+    const challengeMap = new Map((challenges || []).map(c => [c.question_id, c]));
+
+    // Reproduce the order the student saw (shuffled tests) from the session's seed
+    const { data: session } = await supabase
+      .from('test_sessions')
+      .select('shuffle_mode, shuffle_seed, language')
+      .eq('attempt_id', attemptId)
+      .limit(1)
+      .single();
+
+    // Language: ?language=, else the one used during the test, else the profile preference
+    const languages = attempt.tests?.languages || [DEFAULT_LANGUAGE];
+    const language = resolveLanguage(
+      req.query.language || session?.language || (await getPreferredLanguage(userId)),
+      languages
+    );
+    const translations = language !== DEFAULT_LANGUAGE
+      ? await loadTranslations(questionIds, [language])
+      : new Map();
+
+    const shuffledOrder = getShuffledOrder(
+      questionIds,
+      new Map(questionIds.map(qid => [
+        qid,
+        (optionsMap.get(qid) || []).map(o => o.option_id)
+      ])),
+      session?.shuffle_mode,
+      session?.shuffle_seed
+    );
+    const displayOrderMap = new Map(shuffledOrder.questionIds.map((qid, idx) => [qid, idx + 1]));
+
+    // Sections: answers beyond an "attempt any N" limit were not evaluated
+    const sections = await loadTestSections(attempt.test_id);
+    const sectionByQuestion = getSectionByQuestion(sections);
+    const excessAttempts = getExcessAttempts(
+      sections,
+      new Set(userAnswers.filter(hasAnswerResponse).map(a => a.question_id))
+    );
+
     // 6. Build per-question answer key
     const questionsWithAnswerKey = testQuestions.map((tq, idx) => {
       const q = questionsMap.get(tq.question_id);
@@ -607,41 +730,139 @@ export const getAttemptResult = async (req, res) => {
       const media = mediaMap.get(tq.question_id) || [];
 
       const correctOption = options.find(o => o.is_correct);
-      const selectedOption = userAnswer?.selected_option_id
-        ? options.find(o => o.option_id === userAnswer.selected_option_id)
+      const multipleCorrect = isMultipleCorrectType(q?.question_type);
+      const selectedIds = multipleCorrect && userAnswer?.selected_option_ids?.length
+        ? userAnswer.selected_option_ids
+        : userAnswer?.selected_option_id != null ? [userAnswer.selected_option_id] : [];
+
+      const numerical = isNumericalType(q?.question_type);
+      const numericResponse = userAnswer?.numeric_response != null
+        ? Number(userAnswer.numeric_response)
         : null;
 
       // Determine status
       let status = 'unattempted';
-      if (userAnswer?.selected_option_id != null) {
-        status = userAnswer.is_correct ? 'correct' : 'incorrect';
+      const hasResponse = numerical
+        ? numericResponse != null
+        : selectedIds.length > 0;
+      if (tq.grading_decision === 'drop') {
+        status = 'dropped';
+      } else if (hasResponse && !excessAttempts.has(tq.question_id)) {
+        if (userAnswer.is_correct) status = 'correct';
+        else if (multipleCorrect && Number(userAnswer.marks_obtained) > 0) status = 'partial';
+        else status = 'incorrect';
       }
 
+      const optionDisplayOrder = shuffledOrder.optionIdsByQuestion.get(tq.question_id) || [];
+
+      // English fills in anything not translated
+      const localized = applyTranslation(
+        {
+          questionText: q?.question_text || '',
+          explanation: q?.explanation || null,
+          options: options.map(opt => ({ optionId: opt.option_id, text: opt.option_text }))
+        },
+        translations.get(tq.question_id)?.get(language)
+      );
+      const localizedOptionText = new Map(localized.options.map(opt => [opt.optionId, opt.text]));
+
       return {
         questionNumber: idx + 1,
+        displayOrder: displayOrderMap.get(tq.question_id) ?? idx + 1, // position shown during the test
         questionId: tq.question_id,
-        questionText: q?.question_text || '',
+        questionText: localized.questionText,
         questionType: q?.question_type || 'mcq',
         questionCategory: q?.question_category || '',
         difficultyLevel: q?.difficulty_level || '',
-        explanation: q?.explanation || null,
+        explanation: detailedSolutions ? localized.explanation : null,
+        solutionMedia: solutionMediaMap.get(tq.question_id) || [],
+        language: localized.language || DEFAULT_LANGUAGE,
         metadata: q?.metadata || {},
+        questionVersion: versionNumbers.get(tq.question_id) ?? null,
+        editedSinceAttempt: editedSinceAttempt.has(tq.question_id),
         marksAllocated: tq.marks_allocated,
         negativeMarks: tq.negative_marks_allocated,
         marksObtained: userAnswer?.marks_obtained ?? 0,
-        status, // 'correct' | 'incorrect' | 'unattempted'
+        status, // 'correct' | 'incorrect' | 'partial' | 'unattempted' | 'dropped'
+        gradingDecision: tq.grading_decision || null, // 'bonus' | 'drop' after an answer-key correction
+        sectionId: sectionByQuestion.get(tq.question_id)?.sectionId ?? null,
+        notEvaluated: excessAttempts.has(tq.question_id), // answered beyond the section's attempt limit
+        // Palette state at submission and time spent, for post-test analysis
+        paletteState: getQuestionState(userAnswer),
+        markedForReview: !!userAnswer?.is_marked_for_review,
+        timeSpentSeconds: userAnswer?.time_spent_seconds || 0,
+        firstVisitedAt: userAnswer?.first_visited_at || null,
+        challenge: challengeMap.has(tq.question_id)
+          ? {
+            challengeId: challengeMap.get(tq.question_id).challenge_id,
+            status: challengeMap.get(tq.question_id).status
+          }
+          : null,
         options: options.map(opt => ({
           optionId: opt.option_id,
-          text: opt.option_text,
+          text: localizedOptionText.get(opt.option_id),
           isCorrect: opt.is_correct,
-          isSelected: opt.option_id === userAnswer?.selected_option_id
+          isSelected: selectedIds.some(id => Number(id) === Number(opt.option_id)),
+          displayOrder: optionDisplayOrder.indexOf(opt.option_id) + 1,
+          media: optionMediaMap.get(opt.option_id) || []
         })),
         correctOptionId: correctOption?.option_id ?? null,
         selectedOptionId: userAnswer?.selected_option_id ?? null,
+        // Multiple-correct questions: full correct set and the options the student picked
+        correctOptionIds: multipleCorrect
+          ? options.filter(o => o.is_correct).map(o => o.option_id)
+          : null,
+        selectedOptionIds: multipleCorrect ? selectedIds : null,
+        // Numerical questions: expected value/range and the value the student typed
+        expectedAnswer: numerical ? (q?.numerical_answer || null) : null,
+        givenAnswer: numerical ? numericResponse : null,
         media
       };
     });
 
+    // 7. Per-section summary (dropped questions don't count towards the maximum)
+    const marksMap = new Map(testQuestions.map(tq => [
+      tq.question_id,
+      { marks: tq.grading_decision === 'drop' ? 0 : Number(tq.marks_allocated || 0) }
+    ]));
+    const sectionSummaries = sections.map(sec => {
+      const sectionQuestions = questionsWithAnswerKey.filter(q => q.sectionId === sec.sectionId);
+      const score = sectionQuestions.reduce((sum, q) => sum + Number(q.marksObtained || 0), 0);
+      return {
+        sectionId: sec.sectionId,
+        name: sec.name,
+        durationMinutes: sec.durationMinutes,
+        maxAttempts: sec.maxAttempts,
+        score: Number(score.toFixed(2)),
+        totalPossible: getSectionMaxMarks(sec, marksMap),
+        correct: sectionQuestions.filter(q => q.status === 'correct').length,
+        incorrect: sectionQuestions.filter(q => q.status === 'incorrect' || q.status === 'partial').length,
+        unanswered: sectionQuestions.filter(q => q.status === 'unattempted').length
+      };
+    });
+
+    // The test's stored total still includes dropped questions
+    const hasDroppedQuestions = testQuestions.some(tq => tq.grading_decision === 'drop');
+    const totalPossible = hasDroppedQuestions
+      ? Number((
+        sectionSummaries.reduce((sum, sec) => sum + sec.totalPossible, 0) +
+        testQuestions
+          .filter(tq => !sectionByQuestion.has(tq.question_id))
+          .reduce((sum, tq) => sum + marksMap.get(tq.question_id).marks, 0)
+      ).toFixed(2))
+      : attempt.tests?.total_marks || 0;
+
+    // 8. Time analysis by outcome
+    const sumTime = (list) => list.reduce((sum, q) => sum + q.timeSpentSeconds, 0);
+    const timeAnalysis = {
+      totalSeconds: sumTime(questionsWithAnswerKey),
+      correctSeconds: sumTime(questionsWithAnswerKey.filter(q => q.status === 'correct')),
+      incorrectSeconds: sumTime(questionsWithAnswerKey.filter(q => q.status === 'incorrect' || q.status === 'partial')),
+      unattemptedSeconds: sumTime(questionsWithAnswerKey.filter(q => q.status === 'unattempted')),
+      markedForReview: questionsWithAnswerKey.filter(q => q.markedForReview).length,
+      notVisited: questionsWithAnswerKey.filter(q => q.paletteState === 'not_visited').length
+    };
+
     res.status(200).json({
       success: true,
       data: {
@@ -649,13 +870,19 @@ export const getAttemptResult = async (req, res) => {
         testId: attempt.test_id,
         testName: attempt.tests?.test_name || 'Test',
         score: parseFloat(attempt.total_marks_obtained || 0).toFixed(1),
-        totalPossible: attempt.tests?.total_marks || 0,
+        totalPossible,
         percentage: parseFloat(attempt.percentage || 0).toFixed(2),
         correct: attempt.correct_answers || 0,
         incorrect: attempt.incorrect_answers || 0,
         unanswered: attempt.unanswered || 0,
         submitTime: attempt.submit_time,
         totalQuestions: attempt.tests?.total_questions || 0,
+        markingScheme: attempt.tests?.marking_scheme || DEFAULT_MARKING_SCHEME,
+        language,
+        languages,
+        detailedSolutions, // false: explanations withheld, upgrade to see them
+        sections: sectionSummaries,
+        timeAnalysis,
         questions: questionsWithAnswerKey
       }
     });
@@ -667,3 +894,75 @@ export const getAttemptResult = async (req, res) => {
     });
   }
 };
+
+// Get leaderboard for a test (rank, percentile, ties broken by completion time)
+export const getTestLeaderboard = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, test_name, leaderboard_mode')
+      .eq('test_id', testId)
+      .eq('is_published', true)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const { data: rows, error, count } = await supabase
+      .from('leaderboards')
+      .select('*', { count: 'exact' })
+      .eq('test_id', testId)
+      .order('rank_position', { ascending: true })
+      .order('user_id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    // Student names (first name + last initial)
+    const userIds = [...new Set((rows || []).map(r => r.user_id))];
+    const { data: users = [] } = userIds.length > 0
+      ? await supabase
+        .from('users')
+        .select('user_id, first_name, last_name')
+        .in('user_id', userIds)
+      : { data: [] };
+    const namesMap = new Map((users || []).map(u => [
+      u.user_id,
+      [u.first_name, u.last_name ? `${u.last_name[0]}.` : null].filter(Boolean).join(' ')
+    ]));
+
+    const me = await getUserStanding(testId, userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        testId: test.test_id,
+        testName: test.test_name,
+        mode: test.leaderboard_mode || 'best',
+        totalParticipants: count || 0,
+        entries: (rows || []).map(row => ({
+          ...formatLeaderboardEntry(row),
+          name: namesMap.get(row.user_id) || 'Student',
+          isCurrentUser: row.user_id === userId
+        })),
+        me,
+        pagination: { limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('Get test leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leaderboard'
+    });
+  }
+};
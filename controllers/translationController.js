@@ -0,0 +1,286 @@
+import { supabase } from '../config/supabase.js';
+import { prepareQuestionContent } from '../services/richContentService.js';
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  loadTranslations,
+  getMissingTranslations,
+  formatTranslation
+} from '../services/translationService.js';
+
+/**
+ * Add or replace a question's translation in one language
+ * Body: { questionText, explanation?, options: [{ optionId, text }] }
+ */
+export const saveQuestionTranslation = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { questionId } = req.params;
+    const language = normalizeLanguage(req.params.language);
+    const { questionText, explanation, options = [] } = req.body;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (!language || language === DEFAULT_LANGUAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).filter(c => c !== DEFAULT_LANGUAGE).join(', ')} (English is edited on the question itself)`
+      });
+    }
+
+    if (!questionText || !questionText.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionText is required'
+      });
+    }
+
+    if (!Array.isArray(options)) {
+      return res.status(400).json({
+        success: false,
+        message: 'options must be an array of { optionId, text }'
+      });
+    }
+
+    const { data: question, error: questionError } = await supabase
+      .from('questions')
+      .select('question_id')
+      .eq('question_id', questionId)
+      .single();
+
+    if (questionError || !question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { data: questionOptions = [] } = await supabase
+      .from('question_options')
+      .select('option_id')
+      .eq('question_id', questionId);
+
+    const optionIds = new Set((questionOptions || []).map(o => o.option_id));
+    const unknown = options.filter(opt => !optionIds.has(Number(opt?.optionId)));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Options ${unknown.map(opt => opt?.optionId).join(', ')} do not belong to this question`
+      });
+    }
+
+    // Same LaTeX / HTML rules as the English content
+    const { content, error: contentError } = prepareQuestionContent({ questionText, explanation, options });
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const optionTexts = {};
+    content.options
+      .filter(opt => opt.text && String(opt.text).trim())
+      .forEach(opt => { optionTexts[Number(opt.optionId)] = opt.text; });
+
+    const { data: saved, error: saveError } = await supabase
+      .from('question_translations')
+      .upsert({
+        question_id: Number(questionId),
+        language_code: language,
+        question_text: content.questionText,
+        explanation: content.explanation || null,
+        option_texts: optionTexts,
+        created_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'question_id,language_code' })
+      .select('question_id, language_code, question_text, explanation, option_texts, updated_at')
+      .single();
+
+    if (saveError) throw saveError;
+
+    res.json({
+      success: true,
+      message: `${SUPPORTED_LANGUAGES[language]} translation saved`,
+      data: formatTranslation(saved)
+    });
+
+  } catch (error) {
+    console.error('Error saving question translation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save translation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a question's translation in one language
+ */
+export const deleteQuestionTranslation = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { questionId } = req.params;
+    const language = normalizeLanguage(req.params.language);
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('question_translations')
+      .delete()
+      .eq('question_id', questionId)
+      .eq('language_code', language)
+      .select('translation_id');
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Translation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Translation deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting question translation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete translation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Translation coverage of a test in each of its languages
+ * Lists every question that is untranslated or partly translated.
+ */
+export const getTestTranslationStatus = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { testId } = req.params;
+
+    // Verify user is admin
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (userError || !userData || userData.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('tests')
+      .select('test_id, test_name, languages')
+      .eq('test_id', testId)
+      .single();
+
+    if (testError || !test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const languages = test.languages || [DEFAULT_LANGUAGE];
+
+    const { data: testQuestions = [] } = await supabase
+      .from('test_questions')
+      .select('question_id, question_order, questions (question_text, explanation)')
+      .eq('test_id', testId)
+      .order('question_order', { ascending: true });
+
+    const questionIds = (testQuestions || []).map(tq => tq.question_id);
+
+    const { data: options = [] } = questionIds.length > 0
+      ? await supabase
+        .from('question_options')
+        .select('option_id, question_id')
+        .in('question_id', questionIds)
+      : { data: [] };
+
+    const translations = await loadTranslations(questionIds, languages);
+
+    const incomplete = (testQuestions || [])
+      .map((tq, idx) => ({
+        questionNumber: idx + 1,
+        questionId: tq.question_id,
+        questionText: tq.questions?.question_text?.slice(0, 120) || '',
+        missing: getMissingTranslations(
+          {
+            explanation: tq.questions?.explanation,
+            options: (options || []).filter(o => o.question_id === tq.question_id).map(o => ({ optionId: o.option_id }))
+          },
+          translations.get(tq.question_id),
+          languages
+        )
+      }))
+      .filter(q => q.missing.length > 0);
+
+    res.json({
+      success: true,
+      data: {
+        testId: test.test_id,
+        testName: test.test_name,
+        languages,
+        coverage: languages
+          .filter(code => code !== DEFAULT_LANGUAGE)
+          .map(code => {
+            const pending = incomplete.filter(q => q.missing.some(m => m.language === code)).length;
+            return {
+              language: code,
+              languageName: SUPPORTED_LANGUAGES[code],
+              totalQuestions: questionIds.length,
+              complete: questionIds.length - pending,
+              incomplete: pending
+            };
+          }),
+        incompleteQuestions: incomplete
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching translation status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch translation status',
+      error: error.message
+    });
+  }
+};
@@ -158,6 +158,29 @@ export const checkTestLimit = (testType) => {
     };
 };
 
+/**
+ * Check a plan feature without ending the request
+ * For endpoints that stay open to every plan but show more to some (e.g.
+ * detailed_solutions on attempt results). Errors count as no access.
+ * @param {number} userId
+ * @param {string} featureName - Key in payment_plans.features
+ * @returns {Promise<boolean>}
+ */
+export const hasFeatureAccess = async (userId, featureName) => {
+    const { data, error } = await supabase
+        .rpc('check_user_feature_access', {
+            p_user_id: userId,
+            p_feature_name: featureName
+        });
+
+    if (error) {
+        console.error('Error checking feature access:', error);
+        return false;
+    }
+
+    return !!data;
+};
+
 /**
  * Get user's accessible plan IDs based on their subscription tier
  * Free (1) can access: [1]
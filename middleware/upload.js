@@ -23,3 +23,22 @@ export const upload = multer({
         fileSize: 5 * 1024 * 1024 // 5MB limit
     }
 });
+
+// Bulk question import files (CSV, XLSX, Markdown / plain text)
+const importFileFilter = (req, file, cb) => {
+    const ext = (file.originalname.split('.').pop() || '').toLowerCase();
+
+    if (['csv', 'xlsx', 'md', 'txt'].includes(ext)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only CSV, XLSX, Markdown and text files are allowed.'), false);
+    }
+};
+
+export const importUpload = multer({
+    storage: storage,
+    fileFilter: importFileFilter,
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    }
+});
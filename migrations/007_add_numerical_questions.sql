@@ -0,0 +1,22 @@
+-- Migration: Support numerical (NEET/JEE integer-type) questions
+-- Authors store the expected value with a tolerance, or an inclusive range,
+-- and students submit a typed number instead of selecting an option
+
+-- Answer key for numerical questions
+-- Either {"value": 9.8, "tolerance": 0.05} or {"min": 9.75, "max": 9.85}
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS numerical_answer JSONB;
+
+COMMENT ON COLUMN questions.numerical_answer IS 'Answer key for numerical questions: {"value": n, "tolerance": t} or {"min": a, "max": b}';
+
+-- Typed response for numerical questions
+ALTER TABLE attempt_answers
+ADD COLUMN IF NOT EXISTS numeric_response NUMERIC;
+
+COMMENT ON COLUMN attempt_answers.numeric_response IS 'Number typed by the student for numerical questions';
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'questions' AND column_name = 'numerical_answer')
+   OR (table_name = 'attempt_answers' AND column_name = 'numeric_response');
@@ -0,0 +1,28 @@
+-- Migration: Multiple-correct questions and per-test marking schemes
+-- Students can select several options on 'mcq_multiple' questions, and each
+-- test chooses how those selections are scored
+
+-- Set of options selected on multiple-correct questions
+ALTER TABLE attempt_answers
+ADD COLUMN IF NOT EXISTS selected_option_ids INTEGER[];
+
+COMMENT ON COLUMN attempt_answers.selected_option_ids IS 'Option IDs selected on multiple-correct (mcq_multiple) questions';
+
+-- Marking scheme applied to multiple-correct questions
+-- {"type": "all_or_nothing"}
+-- {"type": "jee_advanced", "partialMarksPerOption": 1}
+-- {"type": "per_option_penalty", "penaltyPerWrongOption": 1}
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS marking_scheme JSONB DEFAULT '{"type": "all_or_nothing"}'::jsonb;
+
+UPDATE tests
+SET marking_scheme = '{"type": "all_or_nothing"}'::jsonb
+WHERE marking_scheme IS NULL;
+
+COMMENT ON COLUMN tests.marking_scheme IS 'Scoring rule for multiple-correct questions: all_or_nothing, jee_advanced or per_option_penalty';
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'attempt_answers' AND column_name = 'selected_option_ids')
+   OR (table_name = 'tests' AND column_name = 'marking_scheme');
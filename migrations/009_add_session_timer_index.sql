@@ -0,0 +1,9 @@
+-- Migration: Support server-enforced test timers
+-- The session sweeper scans in_progress attempts every minute to auto-submit
+-- the ones whose time has run out
+
+CREATE INDEX IF NOT EXISTS idx_test_attempts_status_start
+ON test_attempts(attempt_status, start_time);
+
+CREATE INDEX IF NOT EXISTS idx_test_sessions_attempt_id
+ON test_sessions(attempt_id);
@@ -0,0 +1,14 @@
+-- Migration: Resume interrupted test sessions
+-- Records which device owns a live session so a second device must
+-- explicitly take it over instead of silently sharing it
+
+ALTER TABLE test_sessions
+ADD COLUMN IF NOT EXISTS device_id VARCHAR(128);
+
+COMMENT ON COLUMN test_sessions.device_id IS 'Client-generated device identifier of the browser currently holding the session';
+
+-- Verify changes
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'test_sessions'
+  AND column_name = 'device_id';
@@ -0,0 +1,27 @@
+-- Migration: Per-student randomized question and option order
+-- Each test chooses what to shuffle; each session stores the seed it used
+-- so resuming (and reviewing results) reproduces the same order
+
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS shuffle_mode VARCHAR(20) DEFAULT 'none';
+
+ALTER TABLE tests
+DROP CONSTRAINT IF EXISTS tests_shuffle_mode_check;
+
+ALTER TABLE tests
+ADD CONSTRAINT tests_shuffle_mode_check
+CHECK (shuffle_mode IN ('none', 'questions', 'options', 'both'));
+
+COMMENT ON COLUMN tests.shuffle_mode IS 'Per-student shuffling: none, questions, options or both';
+
+ALTER TABLE test_sessions
+ADD COLUMN IF NOT EXISTS shuffle_mode VARCHAR(20),
+ADD COLUMN IF NOT EXISTS shuffle_seed BIGINT;
+
+COMMENT ON COLUMN test_sessions.shuffle_seed IS 'Seed used to shuffle this session''s questions/options';
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'tests' AND column_name = 'shuffle_mode')
+   OR (table_name = 'test_sessions' AND column_name IN ('shuffle_mode', 'shuffle_seed'));
@@ -0,0 +1,33 @@
+-- Migration: Sectioned tests
+-- A test can be split into ordered sections (e.g. Physics Section A / B),
+-- each with an optional time limit and an optional "attempt any N" rule
+
+CREATE TABLE IF NOT EXISTS test_sections (
+    section_id SERIAL PRIMARY KEY,
+    test_id INTEGER NOT NULL REFERENCES tests(test_id) ON DELETE CASCADE,
+    section_name VARCHAR(255) NOT NULL,
+    section_order INTEGER NOT NULL DEFAULT 1,
+    duration_minutes INTEGER CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+    max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_test_sections_test_order
+ON test_sections (test_id, section_order);
+
+COMMENT ON COLUMN test_sections.duration_minutes IS 'Section time limit; timed sections run back to back from session start';
+COMMENT ON COLUMN test_sections.max_attempts IS 'Only the first N answered questions in the section are evaluated';
+
+ALTER TABLE test_questions
+ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES test_sections(section_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_test_questions_section
+ON test_questions (section_id)
+WHERE section_id IS NOT NULL;
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'test_sections'
+   OR (table_name = 'test_questions' AND column_name = 'section_id');
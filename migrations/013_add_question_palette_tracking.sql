@@ -0,0 +1,16 @@
+-- Migration: Question palette states and time per question
+-- A row in attempt_answers means the student has visited the question;
+-- marked-for-review and first visit time are tracked alongside the response
+
+ALTER TABLE attempt_answers
+ADD COLUMN IF NOT EXISTS is_marked_for_review BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS first_visited_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN attempt_answers.is_marked_for_review IS 'Student flagged the question for review (NTA palette)';
+COMMENT ON COLUMN attempt_answers.time_spent_seconds IS 'Cumulative seconds spent on the question, accumulated by autosave';
+
+-- Verify changes
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'attempt_answers'
+  AND column_name IN ('is_marked_for_review', 'first_visited_at', 'time_spent_seconds');
@@ -0,0 +1,138 @@
+-- Migration: Bulk writes for attempt answers
+-- Autosave and grading used one round trip per question; these functions
+-- write a whole batch in a single call (supabase.rpc)
+
+-- Remove duplicate answer rows left by the old select-then-insert autosave
+-- (keep the most recent row per attempt/question)
+DELETE FROM attempt_answers a
+USING attempt_answers b
+WHERE a.attempt_id = b.attempt_id
+  AND a.question_id = b.question_id
+  AND a.answer_id < b.answer_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attempt_answers_attempt_question
+ON attempt_answers (attempt_id, question_id);
+
+-- Upsert a batch of autosaved answers
+-- Each element of p_answers:
+--   question_id, has_answer (false => keep the stored response),
+--   selected_option_id, selected_option_ids, numeric_response, answer_text,
+--   is_marked_for_review (null => keep), time_spent_delta (added to the total),
+--   time_spent_seconds (replaces the total when no delta is sent)
+-- p_time_cap_seconds caps the accumulated time (null => no cap)
+CREATE OR REPLACE FUNCTION upsert_attempt_answers(
+    p_attempt_id integer,
+    p_answers jsonb,
+    p_time_cap_seconds integer DEFAULT NULL
+)
+RETURNS integer AS $$
+DECLARE
+    v_answer jsonb;
+    v_has_answer boolean;
+    v_selected_ids integer[];
+    v_cap integer := COALESCE(p_time_cap_seconds, 2147483647);
+    v_delta integer;
+    v_total integer;
+    v_count integer := 0;
+BEGIN
+    -- Rows are written in array order, so a question repeated in one batch ends
+    -- up with its last entry's response
+    FOR v_answer IN SELECT * FROM jsonb_array_elements(p_answers)
+    LOOP
+        v_has_answer := COALESCE((v_answer->>'has_answer')::boolean, false);
+        v_selected_ids := CASE
+            WHEN jsonb_typeof(v_answer->'selected_option_ids') = 'array'
+            THEN ARRAY(SELECT jsonb_array_elements_text(v_answer->'selected_option_ids')::integer)
+        END;
+        v_delta := CASE
+            WHEN v_answer ? 'time_spent_delta'
+            THEN GREATEST(COALESCE((v_answer->>'time_spent_delta')::integer, 0), 0)
+        END;
+        v_total := CASE
+            WHEN v_answer ? 'time_spent_seconds'
+            THEN GREATEST(COALESCE((v_answer->>'time_spent_seconds')::integer, 0), 0)
+        END;
+
+        INSERT INTO attempt_answers AS aa (
+            attempt_id,
+            question_id,
+            selected_option_id,
+            selected_option_ids,
+            numeric_response,
+            answer_text,
+            answered_at,
+            is_marked_for_review,
+            time_spent_seconds,
+            first_visited_at
+        )
+        VALUES (
+            p_attempt_id,
+            (v_answer->>'question_id')::integer,
+            (v_answer->>'selected_option_id')::integer,
+            v_selected_ids,
+            (v_answer->>'numeric_response')::numeric,
+            v_answer->>'answer_text',
+            CASE WHEN v_has_answer THEN NOW() END,
+            COALESCE((v_answer->>'is_marked_for_review')::boolean, false),
+            LEAST(COALESCE(v_delta, v_total, 0), v_cap),
+            NOW()
+        )
+        ON CONFLICT (attempt_id, question_id) DO UPDATE SET
+            selected_option_id = CASE WHEN v_has_answer
+                THEN excluded.selected_option_id ELSE aa.selected_option_id END,
+            selected_option_ids = CASE WHEN v_has_answer
+                THEN excluded.selected_option_ids ELSE aa.selected_option_ids END,
+            numeric_response = CASE WHEN v_has_answer
+                THEN excluded.numeric_response ELSE aa.numeric_response END,
+            answer_text = CASE WHEN v_has_answer
+                THEN excluded.answer_text ELSE aa.answer_text END,
+            answered_at = COALESCE(excluded.answered_at, aa.answered_at),
+            is_marked_for_review = COALESCE(
+                (v_answer->>'is_marked_for_review')::boolean,
+                aa.is_marked_for_review
+            ),
+            time_spent_seconds = LEAST(
+                CASE
+                    WHEN v_delta IS NOT NULL THEN COALESCE(aa.time_spent_seconds, 0) + v_delta
+                    ELSE COALESCE(v_total, aa.time_spent_seconds, 0)
+                END,
+                v_cap
+            );
+
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Save graded marks for every question of an attempt in one statement
+-- Each element of p_marks: question_id, marks_obtained, is_correct
+CREATE OR REPLACE FUNCTION save_attempt_marks(
+    p_attempt_id integer,
+    p_marks jsonb
+)
+RETURNS integer AS $$
+DECLARE
+    v_count integer;
+BEGIN
+    UPDATE attempt_answers aa
+    SET marks_obtained = m.marks_obtained,
+        is_correct = m.is_correct
+    FROM jsonb_to_recordset(p_marks) AS m(
+        question_id integer,
+        marks_obtained numeric,
+        is_correct boolean
+    )
+    WHERE aa.attempt_id = p_attempt_id
+      AND aa.question_id = m.question_id;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Verify changes
+SELECT routine_name
+FROM information_schema.routines
+WHERE routine_name IN ('upsert_attempt_answers', 'save_attempt_marks');
@@ -0,0 +1,116 @@
+-- Migration: Per-test leaderboard ranks and percentiles
+-- Each student appears once per test (first or best completed attempt).
+-- Ties on score are broken by completion time (faster ranks higher).
+-- Percentile = share of participants ranked at or below the student.
+
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS leaderboard_mode VARCHAR(10) DEFAULT 'best';
+
+ALTER TABLE tests
+DROP CONSTRAINT IF EXISTS tests_leaderboard_mode_check;
+
+ALTER TABLE tests
+ADD CONSTRAINT tests_leaderboard_mode_check
+CHECK (leaderboard_mode IN ('first', 'best'));
+
+COMMENT ON COLUMN tests.leaderboard_mode IS 'Which attempt ranks a student: first or best';
+
+ALTER TABLE leaderboards
+ADD COLUMN IF NOT EXISTS attempt_id INTEGER REFERENCES test_attempts(attempt_id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS percentage NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS percentile NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS total_participants INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_leaderboards_test_rank
+ON leaderboards (test_id, rank_position);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboards_user
+ON leaderboards (user_id, attempt_date DESC);
+
+-- Rebuild the leaderboard of one test from its completed attempts
+CREATE OR REPLACE FUNCTION recompute_test_leaderboard(p_test_id integer)
+RETURNS integer AS $$
+DECLARE
+    v_mode VARCHAR;
+    v_count integer;
+BEGIN
+    -- Serialize recomputes of the same test (concurrent submissions)
+    PERFORM pg_advisory_xact_lock(p_test_id);
+
+    SELECT COALESCE(leaderboard_mode, 'best') INTO v_mode
+    FROM tests
+    WHERE test_id = p_test_id;
+
+    DELETE FROM leaderboards WHERE test_id = p_test_id;
+
+    WITH attempts AS (
+        SELECT
+            ta.attempt_id,
+            ta.user_id,
+            COALESCE(ta.total_marks_obtained, 0) AS score,
+            COALESCE(ta.percentage, 0) AS percentage,
+            CASE WHEN ta.end_time IS NOT NULL AND ta.start_time IS NOT NULL
+                THEN FLOOR(EXTRACT(EPOCH FROM (ta.end_time - ta.start_time)))::integer
+            END AS completion_time_seconds,
+            COALESCE(ta.submit_time, ta.end_time) AS attempt_date,
+            ROW_NUMBER() OVER (
+                PARTITION BY ta.user_id
+                ORDER BY
+                    CASE WHEN v_mode = 'first' THEN EXTRACT(EPOCH FROM ta.start_time) END ASC,
+                    COALESCE(ta.total_marks_obtained, 0) DESC,
+                    EXTRACT(EPOCH FROM (ta.end_time - ta.start_time)) ASC NULLS LAST,
+                    ta.attempt_id ASC
+            ) AS pick
+        FROM test_attempts ta
+        WHERE ta.test_id = p_test_id
+          AND ta.attempt_status = 'completed'
+    ),
+    ranked AS (
+        SELECT
+            a.*,
+            RANK() OVER (
+                ORDER BY a.score DESC, a.completion_time_seconds ASC NULLS LAST
+            ) AS rank_position,
+            COUNT(*) OVER () AS total_participants
+        FROM attempts a
+        WHERE a.pick = 1
+    )
+    INSERT INTO leaderboards (
+        test_id,
+        user_id,
+        attempt_id,
+        rank_position,
+        score,
+        percentage,
+        percentile,
+        total_participants,
+        completion_time_seconds,
+        attempt_date
+    )
+    SELECT
+        p_test_id,
+        r.user_id,
+        r.attempt_id,
+        r.rank_position,
+        r.score,
+        r.percentage,
+        ROUND(100.0 * (r.total_participants - r.rank_position + 1) / r.total_participants, 2),
+        r.total_participants,
+        r.completion_time_seconds,
+        r.attempt_date
+    FROM ranked r;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill: rebuild every test's leaderboard (old rows have no rank)
+DELETE FROM leaderboards WHERE rank_position IS NULL;
+
+SELECT t.test_id, recompute_test_leaderboard(t.test_id) AS ranked_students
+FROM tests t
+WHERE EXISTS (
+    SELECT 1 FROM test_attempts ta
+    WHERE ta.test_id = t.test_id AND ta.attempt_status = 'completed'
+);
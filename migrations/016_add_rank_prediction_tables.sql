@@ -0,0 +1,33 @@
+-- Migration: All-India rank prediction
+-- Historical score -> rank tables (e.g. NEET 2024) used to estimate a
+-- student's All-India rank from a mock score, blended with the platform's
+-- own score distribution for the test
+
+CREATE TABLE IF NOT EXISTS rank_prediction_tables (
+    table_id SERIAL PRIMARY KEY,
+    exam_name VARCHAR(50) NOT NULL,
+    exam_year INTEGER NOT NULL,
+    max_marks NUMERIC(7,2) NOT NULL CHECK (max_marks > 0),
+    total_candidates INTEGER NOT NULL CHECK (total_candidates > 0),
+    -- [{ "score": 720, "rank": 1 }, { "score": 650, "rank": 2500 }, ...]
+    score_rank_points JSONB NOT NULL,
+    -- How much the platform distribution counts once enough students have taken the test (0-1)
+    platform_weight NUMERIC(3,2) NOT NULL DEFAULT 0.30 CHECK (platform_weight BETWEEN 0 AND 1),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (exam_name, exam_year)
+);
+
+-- The 004 plan rewrite dropped the all_india_ranking flag; restore it for paid plans
+UPDATE payment_plans
+SET features = features || '{"all_india_ranking": true}'::jsonb
+WHERE plan_name IN ('Premium Annual', 'Elite Annual');
+
+UPDATE payment_plans
+SET features = features || '{"all_india_ranking": false}'::jsonb
+WHERE plan_name = 'Free';
+
+-- Verify changes
+SELECT plan_name, features->>'all_india_ranking' AS all_india_ranking
+FROM payment_plans;
@@ -0,0 +1,23 @@
+-- Migration: Question bank
+-- Questions are a standalone resource; tests reference them by ID through
+-- test_questions instead of owning copies. Adds tags and search indexes.
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+COMMENT ON COLUMN questions.tags IS 'Free-form lower-case tags for the question bank';
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_questions_tags ON questions USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_questions_text_trgm ON questions USING GIN (question_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_questions_subject ON questions (subject_id);
+CREATE INDEX IF NOT EXISTS idx_questions_chapter ON questions ((metadata->>'chapter'));
+CREATE INDEX IF NOT EXISTS idx_questions_difficulty_type ON questions (difficulty_level, question_type);
+CREATE INDEX IF NOT EXISTS idx_questions_created_by ON questions (created_by);
+CREATE INDEX IF NOT EXISTS idx_test_questions_question ON test_questions (question_id);
+
+-- Verify changes
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'questions' AND column_name = 'tags';
@@ -0,0 +1,141 @@
+-- Migration: Bulk question import
+-- Creates (or fills template placeholders with) a batch of questions, their
+-- options and test links in a single transaction
+
+-- Each element of p_questions:
+--   row_number, replace_question_id (placeholder to overwrite, or null),
+--   subject_id, question_text, question_type, question_category, difficulty_level,
+--   marks, negative_marks, explanation, metadata, numerical_answer, tags,
+--   options: [{ text, is_correct }]
+-- p_test_id may be null to import into the question bank only
+CREATE OR REPLACE FUNCTION import_questions(
+    p_test_id integer,
+    p_created_by integer,
+    p_questions jsonb
+)
+RETURNS TABLE (
+    row_number integer,
+    question_id integer,
+    replaced boolean
+) AS $$
+DECLARE
+    v_q jsonb;
+    v_question_id integer;
+    v_replace_id integer;
+    v_next_order integer;
+BEGIN
+    IF p_test_id IS NOT NULL THEN
+        SELECT COALESCE(MAX(tq.question_order), 0) + 1 INTO v_next_order
+        FROM test_questions tq
+        WHERE tq.test_id = p_test_id;
+    END IF;
+
+    FOR v_q IN SELECT * FROM jsonb_array_elements(p_questions)
+    LOOP
+        v_replace_id := (v_q->>'replace_question_id')::integer;
+
+        IF v_replace_id IS NOT NULL THEN
+            UPDATE questions q SET
+                subject_id = COALESCE((v_q->>'subject_id')::integer, q.subject_id),
+                question_text = v_q->>'question_text',
+                question_type = v_q->>'question_type',
+                question_category = v_q->>'question_category',
+                difficulty_level = v_q->>'difficulty_level',
+                marks = (v_q->>'marks')::numeric,
+                negative_marks = (v_q->>'negative_marks')::numeric,
+                explanation = v_q->>'explanation',
+                -- Keep template metadata (chapter, subject...) but drop the placeholder flag
+                metadata = (COALESCE(q.metadata, '{}'::jsonb) || COALESCE(v_q->'metadata', '{}'::jsonb)) - 'templateGenerated',
+                numerical_answer = NULLIF(v_q->'numerical_answer', 'null'::jsonb),
+                tags = ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_q->'tags', '[]'::jsonb))),
+                updated_at = NOW()
+            WHERE q.question_id = v_replace_id;
+
+            DELETE FROM question_options qo WHERE qo.question_id = v_replace_id;
+            v_question_id := v_replace_id;
+
+            IF p_test_id IS NOT NULL AND v_q ? 'test_marks' THEN
+                UPDATE test_questions tq SET
+                    marks_allocated = (v_q->>'test_marks')::numeric,
+                    negative_marks_allocated = (v_q->>'test_negative_marks')::numeric
+                WHERE tq.test_id = p_test_id AND tq.question_id = v_replace_id;
+            END IF;
+        ELSE
+            INSERT INTO questions (
+                subject_id,
+                created_by,
+                question_text,
+                question_type,
+                question_category,
+                difficulty_level,
+                marks,
+                negative_marks,
+                explanation,
+                metadata,
+                numerical_answer,
+                tags,
+                is_active
+            )
+            VALUES (
+                (v_q->>'subject_id')::integer,
+                p_created_by,
+                v_q->>'question_text',
+                v_q->>'question_type',
+                v_q->>'question_category',
+                v_q->>'difficulty_level',
+                (v_q->>'marks')::numeric,
+                (v_q->>'negative_marks')::numeric,
+                v_q->>'explanation',
+                NULLIF(v_q->'metadata', 'null'::jsonb),
+                NULLIF(v_q->'numerical_answer', 'null'::jsonb),
+                ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_q->'tags', '[]'::jsonb))),
+                true
+            )
+            RETURNING questions.question_id INTO v_question_id;
+
+            IF p_test_id IS NOT NULL THEN
+                INSERT INTO test_questions (
+                    test_id,
+                    question_id,
+                    question_order,
+                    marks_allocated,
+                    negative_marks_allocated
+                )
+                VALUES (
+                    p_test_id,
+                    v_question_id,
+                    v_next_order,
+                    COALESCE((v_q->>'test_marks')::numeric, (v_q->>'marks')::numeric),
+                    COALESCE((v_q->>'test_negative_marks')::numeric, (v_q->>'negative_marks')::numeric, 0)
+                );
+                v_next_order := v_next_order + 1;
+            END IF;
+        END IF;
+
+        INSERT INTO question_options (question_id, option_text, is_correct, option_order)
+        SELECT
+            v_question_id,
+            o.value->>'text',
+            COALESCE((o.value->>'is_correct')::boolean, false),
+            o.ordinality
+        FROM jsonb_array_elements(COALESCE(v_q->'options', '[]'::jsonb)) WITH ORDINALITY AS o(value, ordinality);
+
+        row_number := (v_q->>'row_number')::integer;
+        question_id := v_question_id;
+        replaced := v_replace_id IS NOT NULL;
+        RETURN NEXT;
+    END LOOP;
+
+    IF p_test_id IS NOT NULL THEN
+        UPDATE tests t SET
+            total_questions = (SELECT COUNT(*) FROM test_questions tq WHERE tq.test_id = p_test_id),
+            updated_at = NOW()
+        WHERE t.test_id = p_test_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Verify changes
+SELECT routine_name
+FROM information_schema.routines
+WHERE routine_name = 'import_questions';
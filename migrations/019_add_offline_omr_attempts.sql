@@ -0,0 +1,109 @@
+-- Migration: Offline OMR tests
+-- Offline mock tests are answered on printed OMR sheets. Students are
+-- identified on the sheet by a per-test roll number; scanned results are
+-- ingested as regular completed attempts so they show up in analytics.
+
+CREATE TABLE IF NOT EXISTS test_roll_numbers (
+    roll_number_id SERIAL PRIMARY KEY,
+    test_id INTEGER NOT NULL REFERENCES tests(test_id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    roll_number VARCHAR(20) NOT NULL CHECK (roll_number ~ '^[0-9]+$'),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (test_id, roll_number),
+    UNIQUE (test_id, user_id)
+);
+
+ALTER TABLE test_attempts
+ADD COLUMN IF NOT EXISTS attempt_mode VARCHAR(10) NOT NULL DEFAULT 'online'
+CHECK (attempt_mode IN ('online', 'offline'));
+
+COMMENT ON COLUMN test_attempts.attempt_mode IS 'offline = ingested from a scanned OMR sheet';
+
+-- Offline attempts are taken at a centre, so they don't use up the
+-- student's online attempt limits
+CREATE OR REPLACE FUNCTION get_user_test_limits(p_user_id integer)
+RETURNS TABLE (
+    test_type text,
+    limit_value integer,
+    current_usage integer,
+    remaining integer
+) AS $$
+DECLARE
+    v_plan_features jsonb;
+    v_mock_attempts integer;
+    v_chapter_attempts integer;
+    v_mock_usage integer;
+    v_chapter_usage integer;
+BEGIN
+    -- Get user's current active subscription plan features
+    SELECT p.features INTO v_plan_features
+    FROM user_subscriptions us
+    JOIN payment_plans p ON us.plan_id = p.plan_id
+    WHERE us.user_id = p_user_id
+      AND us.status = 'active'
+      AND us.end_date >= NOW()
+    ORDER BY us.end_date DESC
+    LIMIT 1;
+
+    -- If no active subscription, use Free plan
+    IF v_plan_features IS NULL THEN
+        SELECT features INTO v_plan_features
+        FROM payment_plans
+        WHERE plan_name = 'Free'
+        LIMIT 1;
+    END IF;
+
+    v_mock_attempts := COALESCE(
+        (v_plan_features->'full_size_tests'->>'attempts')::integer,
+        3  -- Free plan default
+    );
+
+    v_chapter_attempts := COALESCE(
+        (v_plan_features->'chapter_tests'->>'attempts')::integer,
+        10  -- Free plan default
+    );
+
+    -- Count current online usage from test_attempts table
+    SELECT COUNT(*) INTO v_mock_usage
+    FROM test_attempts ta
+    JOIN tests t ON ta.test_id = t.test_id
+    WHERE ta.user_id = p_user_id
+      AND ta.attempt_mode = 'online'
+      AND t.test_type IN ('mock', 'assessment');
+
+    SELECT COUNT(*) INTO v_chapter_usage
+    FROM test_attempts ta
+    JOIN tests t ON ta.test_id = t.test_id
+    WHERE ta.user_id = p_user_id
+      AND ta.attempt_mode = 'online'
+      AND t.test_type = 'practice';
+
+    -- Return mock test limits
+    RETURN QUERY SELECT
+        'mock'::text,
+        v_mock_attempts,
+        COALESCE(v_mock_usage, 0),
+        GREATEST(v_mock_attempts - COALESCE(v_mock_usage, 0), 0);
+
+    -- Return chapter/practice test limits
+    RETURN QUERY SELECT
+        'chapter'::text,
+        v_chapter_attempts,
+        COALESCE(v_chapter_usage, 0),
+        GREATEST(v_chapter_attempts - COALESCE(v_chapter_usage, 0), 0);
+
+    -- Return subject test limits (using chapter attempts for now)
+    RETURN QUERY SELECT
+        'subject'::text,
+        v_chapter_attempts,
+        COALESCE(v_chapter_usage, 0),
+        GREATEST(v_chapter_attempts - COALESCE(v_chapter_usage, 0), 0);
+
+END;
+$$ LANGUAGE plpgsql;
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'test_roll_numbers'
+   OR (table_name = 'test_attempts' AND column_name = 'attempt_mode');
@@ -0,0 +1,157 @@
+-- Migration: Question versioning
+-- Every saved edit of a question creates an immutable snapshot (text, answer
+-- key, options). Attempt answers record the version the student saw, so
+-- later edits never change what a past attempt referred to.
+
+CREATE TABLE IF NOT EXISTS question_versions (
+    version_id SERIAL PRIMARY KEY,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    -- { question_text, question_type, ..., options: [{ option_id, option_text, is_correct, option_order }] }
+    snapshot JSONB NOT NULL,
+    change_summary TEXT,
+    restored_from_version INTEGER,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (question_id, version_number)
+);
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS current_version_id INTEGER REFERENCES question_versions(version_id) ON DELETE SET NULL;
+
+ALTER TABLE attempt_answers
+ADD COLUMN IF NOT EXISTS question_version_id INTEGER REFERENCES question_versions(version_id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN attempt_answers.question_version_id IS 'Question version shown when the student first opened the question';
+
+-- Snapshot the current state of each question as a new version
+-- Questions whose content matches their latest version are skipped, so
+-- calling this after a no-op save doesn't add history noise.
+CREATE OR REPLACE FUNCTION record_question_versions(
+    p_question_ids integer[],
+    p_created_by integer,
+    p_change_summary text DEFAULT NULL,
+    p_restored_from integer DEFAULT NULL
+)
+RETURNS integer AS $$
+DECLARE
+    v_question_id integer;
+    v_snapshot jsonb;
+    v_latest jsonb;
+    v_next integer;
+    v_version_id integer;
+    v_count integer := 0;
+BEGIN
+    FOREACH v_question_id IN ARRAY p_question_ids
+    LOOP
+        -- Lock the question so concurrent saves number their versions in order
+        SELECT jsonb_build_object(
+            'question_text', q.question_text,
+            'question_type', q.question_type,
+            'question_category', q.question_category,
+            'difficulty_level', q.difficulty_level,
+            'marks', q.marks,
+            'negative_marks', q.negative_marks,
+            'explanation', q.explanation,
+            'numerical_answer', q.numerical_answer,
+            'metadata', q.metadata,
+            'subject_id', q.subject_id,
+            'tags', to_jsonb(COALESCE(q.tags, '{}')),
+            'options', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'option_id', qo.option_id,
+                    'option_text', qo.option_text,
+                    'is_correct', qo.is_correct,
+                    'option_order', qo.option_order
+                ) ORDER BY qo.option_order, qo.option_id)
+                FROM question_options qo
+                WHERE qo.question_id = q.question_id
+            ), '[]'::jsonb)
+        )
+        INTO v_snapshot
+        FROM questions q
+        WHERE q.question_id = v_question_id
+        FOR UPDATE;
+
+        CONTINUE WHEN v_snapshot IS NULL;
+
+        SELECT qv.snapshot, qv.version_number + 1
+        INTO v_latest, v_next
+        FROM question_versions qv
+        WHERE qv.question_id = v_question_id
+        ORDER BY qv.version_number DESC
+        LIMIT 1;
+
+        CONTINUE WHEN v_latest IS NOT DISTINCT FROM v_snapshot;
+
+        INSERT INTO question_versions (
+            question_id,
+            version_number,
+            snapshot,
+            change_summary,
+            restored_from_version,
+            created_by
+        )
+        SELECT
+            v_question_id,
+            COALESCE(v_next, 1),
+            v_snapshot,
+            p_change_summary,
+            p_restored_from,
+            COALESCE(p_created_by, q.created_by)
+        FROM questions q
+        WHERE q.question_id = v_question_id
+        RETURNING version_id INTO v_version_id;
+
+        UPDATE questions SET current_version_id = v_version_id
+        WHERE question_id = v_question_id;
+
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stamp new answer rows with the version the student is looking at. Only
+-- inserts are stamped: later autosaves for the same question keep the
+-- version from the first visit.
+CREATE OR REPLACE FUNCTION set_attempt_answer_question_version()
+RETURNS trigger AS $$
+BEGIN
+    IF NEW.question_version_id IS NULL THEN
+        SELECT q.current_version_id INTO NEW.question_version_id
+        FROM questions q
+        WHERE q.question_id = NEW.question_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_attempt_answers_question_version ON attempt_answers;
+CREATE TRIGGER trg_attempt_answers_question_version
+BEFORE INSERT ON attempt_answers
+FOR EACH ROW EXECUTE FUNCTION set_attempt_answer_question_version();
+
+-- Backfill: version 1 for every existing question; past answers point at it
+-- (the best record we have of what those students saw)
+SELECT record_question_versions(ARRAY(SELECT question_id FROM questions ORDER BY question_id), NULL, 'Initial version');
+
+UPDATE attempt_answers aa
+SET question_version_id = q.current_version_id
+FROM questions q
+WHERE q.question_id = aa.question_id
+  AND aa.question_version_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_question_versions_question
+ON question_versions (question_id, version_number DESC);
+
+CREATE INDEX IF NOT EXISTS idx_attempt_answers_question
+ON attempt_answers (question_id);
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'question_versions'
+   OR (table_name = 'questions' AND column_name = 'current_version_id')
+   OR (table_name = 'attempt_answers' AND column_name = 'question_version_id');
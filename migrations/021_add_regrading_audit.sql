@@ -0,0 +1,32 @@
+-- Migration: Answer-key corrections and re-grading
+-- Admins can re-grade completed attempts after fixing a key, award a
+-- question as bonus (full marks to everyone) or drop it from the test.
+-- Every such change is recorded in grading_audit_log.
+
+ALTER TABLE test_questions
+ADD COLUMN IF NOT EXISTS grading_decision VARCHAR(10)
+CHECK (grading_decision IS NULL OR grading_decision IN ('bonus', 'drop'));
+
+COMMENT ON COLUMN test_questions.grading_decision IS 'bonus = full marks to everyone; drop = excluded from score and maximum marks';
+
+CREATE TABLE IF NOT EXISTS grading_audit_log (
+    audit_id SERIAL PRIMARY KEY,
+    test_id INTEGER NOT NULL REFERENCES tests(test_id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES questions(question_id) ON DELETE SET NULL,
+    -- regrade | bonus | drop | clear_decision
+    action VARCHAR(20) NOT NULL,
+    reason TEXT,
+    -- { attemptsRegraded, attemptsChanged, previousDecision, changes: [{ attemptId, userId, before, after }] }
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    performed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_grading_audit_log_test
+ON grading_audit_log (test_id, created_at DESC);
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'grading_audit_log'
+   OR (table_name = 'test_questions' AND column_name = 'grading_decision');
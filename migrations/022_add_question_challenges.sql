@@ -0,0 +1,40 @@
+-- Migration: Student question challenges
+-- Students can challenge a question (wrong key, wrong question, ambiguity)
+-- from their attempt result. Admins accept or reject challenges from a
+-- queue and the student is emailed the outcome.
+
+CREATE TABLE IF NOT EXISTS question_challenges (
+    challenge_id SERIAL PRIMARY KEY,
+    attempt_id INTEGER NOT NULL REFERENCES test_attempts(attempt_id) ON DELETE CASCADE,
+    test_id INTEGER NOT NULL REFERENCES tests(test_id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    -- Version the student saw when answering (see question_versions)
+    question_version_id INTEGER REFERENCES question_versions(version_id) ON DELETE SET NULL,
+    challenge_type VARCHAR(20) NOT NULL DEFAULT 'wrong_key'
+        CHECK (challenge_type IN ('wrong_key', 'wrong_question', 'ambiguous', 'other')),
+    reason TEXT NOT NULL,
+    evidence_text TEXT,
+    -- Object path in the question-images bucket
+    evidence_file_path TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected')),
+    resolution_note TEXT,
+    reviewed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- One challenge per question per attempt
+    UNIQUE (attempt_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_challenges_status
+ON question_challenges (status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_question_challenges_test_question
+ON question_challenges (test_id, question_id);
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'question_challenges';
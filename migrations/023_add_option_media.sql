@@ -0,0 +1,18 @@
+-- Migration: Option-level images
+-- question_media rows can belong to a single option (e.g. structures or
+-- graphs as answer choices). Rows without option_id stay question-level.
+
+ALTER TABLE question_media
+ADD COLUMN IF NOT EXISTS option_id INTEGER REFERENCES question_options(option_id) ON DELETE CASCADE;
+
+COMMENT ON COLUMN question_media.option_id IS 'Set for images shown with one option; NULL for question-level images';
+
+CREATE INDEX IF NOT EXISTS idx_question_media_option
+ON question_media (option_id)
+WHERE option_id IS NOT NULL;
+
+-- Verify changes
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'question_media'
+  AND column_name = 'option_id';
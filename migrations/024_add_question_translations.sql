@@ -0,0 +1,35 @@
+-- Migration: Question translations
+-- NEET is offered in 13 languages. The questions table holds the English
+-- content; each translation row holds one language's question text,
+-- explanation and option texts. Tests list the languages they are offered in.
+
+CREATE TABLE IF NOT EXISTS question_translations (
+    translation_id SERIAL PRIMARY KEY,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    -- ISO 639-1 code: hi, bn, ta, ...
+    language_code VARCHAR(5) NOT NULL,
+    question_text TEXT NOT NULL,
+    explanation TEXT,
+    -- { "<option_id>": "translated option text" }
+    option_texts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (question_id, language_code)
+);
+
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{en}';
+
+COMMENT ON COLUMN tests.languages IS 'Languages the test is offered in; English (en) is always included';
+
+-- Language a student switched to during an attempt (defaults to their profile preference)
+ALTER TABLE test_sessions
+ADD COLUMN IF NOT EXISTS language VARCHAR(5);
+
+-- Verify changes
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'question_translations'
+   OR (table_name = 'tests' AND column_name = 'languages')
+   OR (table_name = 'test_sessions' AND column_name = 'language');
@@ -0,0 +1,64 @@
+-- Migration: Adaptive practice
+-- Practice sessions that pick each next question from the student's
+-- estimated mastery of the chapter and the question's difficulty.
+-- Mastery (0-1) is seeded from past test answers and updated after every
+-- adaptive answer.
+
+CREATE TABLE IF NOT EXISTS chapter_mastery (
+    mastery_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    subject_id INTEGER NOT NULL REFERENCES subjects(subject_id) ON DELETE CASCADE,
+    chapter VARCHAR(255) NOT NULL,
+    mastery NUMERIC(5,4) NOT NULL DEFAULT 0.5 CHECK (mastery BETWEEN 0 AND 1),
+    questions_answered INTEGER NOT NULL DEFAULT 0,
+    correct_answers INTEGER NOT NULL DEFAULT 0,
+    -- Latest test submission already folded into the estimate
+    synced_through TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, subject_id, chapter)
+);
+
+CREATE TABLE IF NOT EXISTS adaptive_sessions (
+    adaptive_session_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    session_token VARCHAR(64) NOT NULL UNIQUE,
+    subject_id INTEGER NOT NULL REFERENCES subjects(subject_id),
+    -- Chapters practised (every chapter of the subject when empty)
+    chapters TEXT[] NOT NULL DEFAULT '{}',
+    question_target INTEGER NOT NULL CHECK (question_target > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed')),
+    -- Question the student is answering now
+    current_question_id INTEGER REFERENCES questions(question_id) ON DELETE SET NULL,
+    -- { "<chapter>": mastery } when the session started, for the report
+    starting_mastery JSONB NOT NULL DEFAULT '{}'::jsonb,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_adaptive_sessions_user_status
+ON adaptive_sessions (user_id, status);
+
+CREATE TABLE IF NOT EXISTS adaptive_session_answers (
+    answer_id SERIAL PRIMARY KEY,
+    adaptive_session_id INTEGER NOT NULL REFERENCES adaptive_sessions(adaptive_session_id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    chapter VARCHAR(255) NOT NULL,
+    difficulty_level VARCHAR(20),
+    selected_option_id INTEGER,
+    selected_option_ids INTEGER[],
+    numeric_response NUMERIC,
+    -- correct / partial / incorrect / skipped
+    status VARCHAR(20) NOT NULL,
+    mastery_before NUMERIC(5,4),
+    mastery_after NUMERIC(5,4),
+    time_spent_seconds INTEGER NOT NULL DEFAULT 0,
+    answered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (adaptive_session_id, question_id)
+);
+
+-- Verify changes
+SELECT table_name, COUNT(*) AS column_count
+FROM information_schema.columns
+WHERE table_name IN ('chapter_mastery', 'adaptive_sessions', 'adaptive_session_answers')
+GROUP BY table_name;
@@ -0,0 +1,135 @@
+-- Migration: Custom tests for Elite students
+-- Elite students can generate their own tests from bank questions. These are
+-- regular tests rows owned by one student (custom_for_user_id); they are kept
+-- unpublished so they never appear in the catalogue, and they count against a
+-- separate 'custom' limit instead of the mock / chapter limits.
+
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS custom_for_user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE;
+
+COMMENT ON COLUMN tests.custom_for_user_id IS 'Student who generated this custom test; NULL for tests created by admins';
+
+CREATE INDEX IF NOT EXISTS idx_tests_custom_for_user
+ON tests (custom_for_user_id, created_at DESC)
+WHERE custom_for_user_id IS NOT NULL;
+
+-- The 004 plan rewrite dropped the custom_test_generator flag; restore it for Elite
+UPDATE payment_plans
+SET features = features || '{"custom_test_generator": true, "custom_tests": {"attempts": 100}}'::jsonb
+WHERE plan_name = 'Elite Annual';
+
+UPDATE payment_plans
+SET features = features || '{"custom_test_generator": false}'::jsonb
+WHERE plan_name IN ('Free', 'Premium Annual');
+
+-- Same as 019, with custom tests left out of the mock / chapter usage and
+-- reported as their own 'custom' row
+CREATE OR REPLACE FUNCTION get_user_test_limits(p_user_id integer)
+RETURNS TABLE (
+    test_type text,
+    limit_value integer,
+    current_usage integer,
+    remaining integer
+) AS $$
+DECLARE
+    v_plan_features jsonb;
+    v_mock_attempts integer;
+    v_chapter_attempts integer;
+    v_custom_attempts integer;
+    v_mock_usage integer;
+    v_chapter_usage integer;
+    v_custom_usage integer;
+BEGIN
+    -- Get user's current active subscription plan features
+    SELECT p.features INTO v_plan_features
+    FROM user_subscriptions us
+    JOIN payment_plans p ON us.plan_id = p.plan_id
+    WHERE us.user_id = p_user_id
+      AND us.status = 'active'
+      AND us.end_date >= NOW()
+    ORDER BY us.end_date DESC
+    LIMIT 1;
+
+    -- If no active subscription, use Free plan
+    IF v_plan_features IS NULL THEN
+        SELECT features INTO v_plan_features
+        FROM payment_plans
+        WHERE plan_name = 'Free'
+        LIMIT 1;
+    END IF;
+
+    v_mock_attempts := COALESCE(
+        (v_plan_features->'full_size_tests'->>'attempts')::integer,
+        3  -- Free plan default
+    );
+
+    v_chapter_attempts := COALESCE(
+        (v_plan_features->'chapter_tests'->>'attempts')::integer,
+        10  -- Free plan default
+    );
+
+    v_custom_attempts := COALESCE(
+        (v_plan_features->'custom_tests'->>'attempts')::integer,
+        0  -- Only plans with custom_test_generator get custom attempts
+    );
+
+    -- Count current online usage from test_attempts table
+    SELECT COUNT(*) INTO v_mock_usage
+    FROM test_attempts ta
+    JOIN tests t ON ta.test_id = t.test_id
+    WHERE ta.user_id = p_user_id
+      AND ta.attempt_mode = 'online'
+      AND t.custom_for_user_id IS NULL
+      AND t.test_type IN ('mock', 'assessment');
+
+    SELECT COUNT(*) INTO v_chapter_usage
+    FROM test_attempts ta
+    JOIN tests t ON ta.test_id = t.test_id
+    WHERE ta.user_id = p_user_id
+      AND ta.attempt_mode = 'online'
+      AND t.custom_for_user_id IS NULL
+      AND t.test_type = 'practice';
+
+    SELECT COUNT(*) INTO v_custom_usage
+    FROM test_attempts ta
+    JOIN tests t ON ta.test_id = t.test_id
+    WHERE ta.user_id = p_user_id
+      AND ta.attempt_mode = 'online'
+      AND t.custom_for_user_id IS NOT NULL;
+
+    -- Return mock test limits
+    RETURN QUERY SELECT
+        'mock'::text,
+        v_mock_attempts,
+        COALESCE(v_mock_usage, 0),
+        GREATEST(v_mock_attempts - COALESCE(v_mock_usage, 0), 0);
+
+    -- Return chapter/practice test limits
+    RETURN QUERY SELECT
+        'chapter'::text,
+        v_chapter_attempts,
+        COALESCE(v_chapter_usage, 0),
+        GREATEST(v_chapter_attempts - COALESCE(v_chapter_usage, 0), 0);
+
+    -- Return subject test limits (using chapter attempts for now)
+    RETURN QUERY SELECT
+        'subject'::text,
+        v_chapter_attempts,
+        COALESCE(v_chapter_usage, 0),
+        GREATEST(v_chapter_attempts - COALESCE(v_chapter_usage, 0), 0);
+
+    -- Return custom (student-generated) test limits
+    RETURN QUERY SELECT
+        'custom'::text,
+        v_custom_attempts,
+        COALESCE(v_custom_usage, 0),
+        GREATEST(v_custom_attempts - COALESCE(v_custom_usage, 0), 0);
+
+END;
+$$ LANGUAGE plpgsql;
+
+-- Verify changes
+SELECT plan_name,
+       features->>'custom_test_generator' AS custom_test_generator,
+       features->'custom_tests'->>'attempts' AS custom_attempts
+FROM payment_plans;
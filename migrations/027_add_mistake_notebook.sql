@@ -0,0 +1,115 @@
+-- Migration: Mistake notebook and spaced-repetition revision
+-- Questions a student got wrong or skipped are added to their notebook when
+-- an attempt is submitted; students can also bookmark questions. Each entry
+-- carries SM-2 scheduling state, and revision sessions review due entries.
+
+CREATE TABLE IF NOT EXISTS notebook_entries (
+    entry_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    is_bookmarked BOOLEAN NOT NULL DEFAULT FALSE,
+    -- Most recent test mistake: incorrect (wrong or partly right) / skipped (seen, not answered)
+    last_mistake_type VARCHAR(20) CHECK (last_mistake_type IN ('incorrect', 'skipped')),
+    last_attempt_id INTEGER REFERENCES test_attempts(attempt_id) ON DELETE SET NULL,
+    mistake_count INTEGER NOT NULL DEFAULT 0,
+    note TEXT,
+    -- SM-2 state
+    ease_factor NUMERIC(4,2) NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    review_count INTEGER NOT NULL DEFAULT 0,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notebook_entries_due
+ON notebook_entries (user_id, due_at);
+
+CREATE TABLE IF NOT EXISTS revision_sessions (
+    revision_session_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    session_token VARCHAR(64) NOT NULL UNIQUE,
+    -- Entries to review, in order
+    entry_ids INTEGER[] NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed')),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS notebook_reviews (
+    review_id SERIAL PRIMARY KEY,
+    entry_id INTEGER NOT NULL REFERENCES notebook_entries(entry_id) ON DELETE CASCADE,
+    revision_session_id INTEGER REFERENCES revision_sessions(revision_session_id) ON DELETE SET NULL,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    -- correct / partial / incorrect / skipped
+    status VARCHAR(20) NOT NULL,
+    -- SM-2 response quality (0-5)
+    quality SMALLINT NOT NULL CHECK (quality BETWEEN 0 AND 5),
+    selected_option_id INTEGER,
+    selected_option_ids INTEGER[],
+    numeric_response NUMERIC,
+    time_spent_seconds INTEGER NOT NULL DEFAULT 0,
+    interval_before INTEGER,
+    interval_after INTEGER,
+    ease_before NUMERIC(4,2),
+    ease_after NUMERIC(4,2),
+    reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (revision_session_id, entry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notebook_reviews_entry
+ON notebook_reviews (entry_id, reviewed_at DESC);
+
+-- Add (or refresh) notebook entries for an attempt's mistakes
+-- Each element of p_mistakes: question_id, mistake_type ('incorrect' | 'skipped')
+-- A repeated mistake restarts the entry's schedule so it is due again now
+CREATE OR REPLACE FUNCTION record_notebook_mistakes(
+    p_user_id integer,
+    p_attempt_id integer,
+    p_mistakes jsonb
+)
+RETURNS integer AS $$
+DECLARE
+    v_count integer;
+BEGIN
+    INSERT INTO notebook_entries AS ne (
+        user_id,
+        question_id,
+        last_mistake_type,
+        last_attempt_id,
+        mistake_count,
+        due_at
+    )
+    SELECT p_user_id, m.question_id, m.mistake_type, p_attempt_id, 1, NOW()
+    FROM jsonb_to_recordset(p_mistakes) AS m(
+        question_id integer,
+        mistake_type varchar
+    )
+    ON CONFLICT (user_id, question_id) DO UPDATE
+    SET last_mistake_type = excluded.last_mistake_type,
+        last_attempt_id = excluded.last_attempt_id,
+        mistake_count = ne.mistake_count + 1,
+        repetitions = 0,
+        interval_days = 0,
+        due_at = NOW(),
+        updated_at = NOW()
+    -- The same attempt is only counted once (e.g. a retried submit)
+    WHERE ne.last_attempt_id IS DISTINCT FROM excluded.last_attempt_id;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Verify changes
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('notebook_entries', 'revision_sessions', 'notebook_reviews');
+
+SELECT routine_name
+FROM information_schema.routines
+WHERE routine_name = 'record_notebook_mistakes';
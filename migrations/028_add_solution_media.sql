@@ -0,0 +1,43 @@
+-- Migration: Plan-gated detailed solutions with media attachments
+-- Explanations (and the images / videos attached to them) are shown only to
+-- plans with the detailed_solutions feature; Free users see the answer key.
+
+-- The 004 plan rewrite dropped the detailed_solutions flag; restore it
+UPDATE payment_plans
+SET features = features || '{"detailed_solutions": true}'::jsonb
+WHERE plan_name IN ('Premium Annual', 'Elite Annual');
+
+UPDATE payment_plans
+SET features = features || '{"detailed_solutions": false}'::jsonb
+WHERE plan_name = 'Free';
+
+-- Solution attachments are kept apart from question_media so they are never
+-- sent with the question itself. Images are uploaded to the private
+-- solution-media storage bucket and served through signed URLs; videos are
+-- linked by URL.
+CREATE TABLE IF NOT EXISTS solution_media (
+    media_id SERIAL PRIMARY KEY,
+    question_id INTEGER NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+    media_type VARCHAR(20) NOT NULL CHECK (media_type IN ('image', 'video')),
+    file_path TEXT,
+    url TEXT,
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    caption TEXT,
+    display_order INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (file_path IS NOT NULL OR url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_solution_media_question
+ON solution_media (question_id, display_order);
+
+-- Verify changes
+SELECT plan_name, features->'detailed_solutions' AS detailed_solutions
+FROM payment_plans
+ORDER BY plan_id;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'solution_media';
@@ -15,6 +15,8 @@ import {
     updateAdminProfile,
     changeAdminPassword
 } from '../controllers/adminController.js';
+import { getRankTables, saveRankTable } from '../controllers/rankPredictionController.js';
+import { listChallenges, resolveChallenge } from '../controllers/challengeController.js';
 
 const router = express.Router();
 
@@ -98,6 +100,34 @@ router.put('/tests/:testId/toggle', toggleTestStatus);
  */
 router.delete('/tests/:testId', deleteTest);
 
+/**
+ * @route   GET /api/admin/rank-tables
+ * @desc    Get All-India rank prediction tables
+ * @access  Private (Admin only)
+ */
+router.get('/rank-tables', getRankTables);
+
+/**
+ * @route   PUT /api/admin/rank-tables
+ * @desc    Create or replace the score-to-rank table for an exam year
+ * @access  Private (Admin only)
+ */
+router.put('/rank-tables', saveRankTable);
+
+/**
+ * @route   GET /api/admin/challenges
+ * @desc    Question challenge review queue (status, testId, questionId filters)
+ * @access  Private (Admin only)
+ */
+router.get('/challenges', listChallenges);
+
+/**
+ * @route   PUT /api/admin/challenges/:challengeId
+ * @desc    Accept or reject a challenge and email the student
+ * @access  Private (Admin only)
+ */
+router.put('/challenges/:challengeId', resolveChallenge);
+
 /**
  * @route   PUT /api/admin/profile
  * @desc    Update admin profile
@@ -1,13 +1,15 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
-import { upload } from '../middleware/upload.js';
+import { upload, importUpload } from '../middleware/upload.js';
 import {
   createTest,
   getTestById,
   updateTest,
   deleteTest,
   toggleTestStatus,
-  getSubjects
+  getSubjects,
+  getTestSections,
+  saveTestSections
 } from '../controllers/adminTestController.js';
 import {
   getTestQuestions,
@@ -21,7 +23,23 @@ import {
   getQuestionsForImport,
   importQuestionsFromTest
 } from '../controllers/questionController.js';
+import { addBankQuestionsToTest } from '../controllers/questionBankController.js';
+import { importQuestionsFromFile } from '../controllers/questionImportController.js';
 import { generateQuestionsFromTemplate } from '../controllers/templateActionController.js';
+import { exportTestPaper } from '../controllers/paperExportController.js';
+import {
+  getOmrSheet,
+  getRollNumbers,
+  saveRollNumbers,
+  ingestOmrResults
+} from '../controllers/omrController.js';
+import {
+  regradeTestAttempts,
+  setGradingDecision,
+  getGradingAudit
+} from '../controllers/regradeController.js';
+import { getTestTranslationStatus } from '../controllers/translationController.js';
+import { getTestItemAnalysis } from '../controllers/itemAnalysisController.js';
 
 const router = express.Router();
 
@@ -70,9 +88,23 @@ router.delete('/:testId', deleteTest);
  */
 router.put('/:testId/toggle-status', toggleTestStatus);
 
+/**
+ * @route   GET /api/test/:testId/sections
+ * @desc    Get sections of a test
+ * @access  Private
+ */
+router.get('/:testId/sections', getTestSections);
+
+/**
+ * @route   PUT /api/test/:testId/sections
+ * @desc    Replace test sections (timing, attempt limits, question assignment)
+ * @access  Private (Admin only)
+ */
+router.put('/:testId/sections', saveTestSections);
+
 /**
  * @route   POST /api/test/:testId/generate-from-template
- * @desc    Generate question placeholders from template
+ * @desc    Fill test with question bank questions from its template
  * @access  Private (Admin only)
  */
 router.post('/:testId/generate-from-template', generateQuestionsFromTemplate);
@@ -84,6 +116,41 @@ router.post('/:testId/generate-from-template', generateQuestionsFromTemplate);
  */
 router.get('/:testId/questions', getTestQuestions);
 
+/**
+ * @route   GET /api/test/:testId/export
+ * @desc    Export a printable paper or answer key (PDF/HTML)
+ * @access  Private (Admin only)
+ */
+router.get('/:testId/export', exportTestPaper);
+
+/**
+ * @route   GET /api/test/:testId/omr-sheet
+ * @desc    Download a blank OMR answer sheet (PDF)
+ * @access  Private (Admin only)
+ */
+router.get('/:testId/omr-sheet', getOmrSheet);
+
+/**
+ * @route   GET /api/test/:testId/roll-numbers
+ * @desc    List roll numbers assigned for an offline test
+ * @access  Private (Admin only)
+ */
+router.get('/:testId/roll-numbers', getRollNumbers);
+
+/**
+ * @route   PUT /api/test/:testId/roll-numbers
+ * @desc    Assign roll numbers to students for an offline test
+ * @access  Private (Admin only)
+ */
+router.put('/:testId/roll-numbers', saveRollNumbers);
+
+/**
+ * @route   POST /api/test/:testId/omr-results
+ * @desc    Ingest scanned OMR results (CSV file or JSON sheets) as graded attempts
+ * @access  Private (Admin only)
+ */
+router.post('/:testId/omr-results', importUpload.single('file'), ingestOmrResults);
+
 /**
  * @route   POST /api/test/:testId/questions
  * @desc    Add a question to a test
@@ -91,6 +158,20 @@ router.get('/:testId/questions', getTestQuestions);
  */
 router.post('/:testId/questions', addQuestion);
 
+/**
+ * @route   POST /api/test/:testId/questions/from-bank
+ * @desc    Add question bank questions to a test by ID
+ * @access  Private (Admin only)
+ */
+router.post('/:testId/questions/from-bank', addBankQuestionsToTest);
+
+/**
+ * @route   POST /api/test/:testId/questions/bulk-import
+ * @desc    Import questions from CSV / XLSX / Markdown (dryRun for a preview)
+ * @access  Private (Admin only)
+ */
+router.post('/:testId/questions/bulk-import', importUpload.single('file'), importQuestionsFromFile);
+
 /**
  * @route   PUT /api/test/:testId/questions/:questionId
  * @desc    Update a question
@@ -112,6 +193,13 @@ router.delete('/:testId/questions/:questionId', deleteQuestion);
  */
 router.post('/:testId/questions/:questionId/upload-image', upload.single('image'), uploadQuestionImage);
 
+/**
+ * @route   POST /api/test/:testId/questions/:questionId/options/:optionId/upload-image
+ * @desc    Upload an image for one option of a question
+ * @access  Private (Admin only)
+ */
+router.post('/:testId/questions/:questionId/options/:optionId/upload-image', upload.single('image'), uploadQuestionImage);
+
 /**
  * @route   GET /api/test/:testId/questions/:questionId/media
  * @desc    Get all media for a question
@@ -142,10 +230,45 @@ router.get('/:testId/import/source/:sourceTestId/questions', getQuestionsForImpo
 
 /**
  * @route   POST /api/test/:testId/import/questions
- * @desc    Import (copy) selected questions into the target test
+ * @desc    Import selected questions into the target test (linked, not copied)
  * @access  Private (Admin only)
  */
 router.post('/:testId/import/questions', importQuestionsFromTest);
 
+/**
+ * @route   POST /api/test/:testId/regrade
+ * @desc    Re-grade completed attempts with the current answer keys (dryRun for a preview)
+ * @access  Private (Admin only)
+ */
+router.post('/:testId/regrade', regradeTestAttempts);
+
+/**
+ * @route   PUT /api/test/:testId/questions/:questionId/grading-decision
+ * @desc    Award a question as bonus, drop it, or clear the decision, then re-grade
+ * @access  Private (Admin only)
+ */
+router.put('/:testId/questions/:questionId/grading-decision', setGradingDecision);
+
+/**
+ * @route   GET /api/test/:testId/grading-audit
+ * @desc    Answer-key corrections and re-grades made on a test
+ * @access  Private (Admin only)
+ */
+router.get('/:testId/grading-audit', getGradingAudit);
+
+/**
+ * @route   GET /api/test/:testId/translations
+ * @desc    Translation coverage per language and the questions still missing translations
+ * @access  Private (Admin only)
+ */
+router.get('/:testId/translations', getTestTranslationStatus);
+
+/**
+ * @route   GET /api/test/:testId/item-analysis
+ * @desc    Per-question difficulty, discrimination and option choices, with flagged questions
+ * @access  Private (Admin only)
+ */
+router.get('/:testId/item-analysis', getTestItemAnalysis);
+
 export default router;
 
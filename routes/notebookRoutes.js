@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getNotebook,
+  addBookmark,
+  removeBookmark,
+  deleteNotebookEntry
+} from '../controllers/notebookController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected - require authentication
+router.use(authenticate);
+
+// List notebook entries (mistakes and bookmarks)
+router.get('/', getNotebook);
+
+// Bookmark a question / remove a bookmark
+router.post('/bookmarks', addBookmark);
+router.delete('/bookmarks/:questionId', removeBookmark);
+
+// Remove an entry from the notebook
+router.delete('/:entryId', deleteNotebookEntry);
+
+export default router;
@@ -11,6 +11,7 @@ import {
 import { authenticate } from '../middleware/auth.js';
 import { body } from 'express-validator';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { SUPPORTED_LANGUAGES } from '../services/translationService.js';
 
 const router = express.Router();
 
@@ -52,7 +53,11 @@ router.put(
         return true;
       }),
     body('address').optional().trim(),
-    body('preferences').optional().isObject().withMessage('Preferences must be an object')
+    body('preferences').optional().isObject().withMessage('Preferences must be an object'),
+    body('preferences.language')
+      .optional({ values: 'null' })
+      .isIn(Object.keys(SUPPORTED_LANGUAGES))
+      .withMessage(`Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`)
   ],
   handleValidationErrors,
   updateStudentProfile
@@ -0,0 +1,154 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { upload, importUpload } from '../middleware/upload.js';
+import {
+  listBankQuestions,
+  getBankQuestion,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion
+} from '../controllers/questionBankController.js';
+import { importQuestionsFromFile } from '../controllers/questionImportController.js';
+import {
+  listQuestionVersions,
+  getQuestionVersion,
+  restoreQuestionVersion
+} from '../controllers/questionVersionController.js';
+import { regradeQuestionAttempts } from '../controllers/regradeController.js';
+import {
+  saveQuestionTranslation,
+  deleteQuestionTranslation
+} from '../controllers/translationController.js';
+import { getQuestionItemAnalysis } from '../controllers/itemAnalysisController.js';
+import {
+  listSolutionMedia,
+  uploadSolutionImage,
+  addSolutionVideo,
+  deleteSolutionMedia
+} from '../controllers/solutionMediaController.js';
+
+const router = express.Router();
+
+// All question bank routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/question-bank
+ * @desc    List / search bank questions (subject, chapter, difficulty, type, author, tags)
+ * @access  Private (Admin only)
+ */
+router.get('/', listBankQuestions);
+
+/**
+ * @route   POST /api/admin/question-bank
+ * @desc    Create a bank question
+ * @access  Private (Admin only)
+ */
+router.post('/', createBankQuestion);
+
+/**
+ * @route   POST /api/admin/question-bank/import
+ * @desc    Import questions from CSV / XLSX / Markdown (dryRun for a preview)
+ * @access  Private (Admin only)
+ */
+router.post('/import', importUpload.single('file'), importQuestionsFromFile);
+
+/**
+ * @route   GET /api/admin/question-bank/:questionId
+ * @desc    Get a bank question, its translations and the tests that use it
+ * @access  Private (Admin only)
+ */
+router.get('/:questionId', getBankQuestion);
+
+/**
+ * @route   PUT /api/admin/question-bank/:questionId
+ * @desc    Update a bank question (including tags)
+ * @access  Private (Admin only)
+ */
+router.put('/:questionId', updateBankQuestion);
+
+/**
+ * @route   DELETE /api/admin/question-bank/:questionId
+ * @desc    Retire a bank question
+ * @access  Private (Admin only)
+ */
+router.delete('/:questionId', deleteBankQuestion);
+
+/**
+ * @route   GET /api/admin/question-bank/:questionId/versions
+ * @desc    Edit history with authors and per-version diffs
+ * @access  Private (Admin only)
+ */
+router.get('/:questionId/versions', listQuestionVersions);
+
+/**
+ * @route   GET /api/admin/question-bank/:questionId/versions/:versionNumber
+ * @desc    Get one version's content and its diff (compareTo query param)
+ * @access  Private (Admin only)
+ */
+router.get('/:questionId/versions/:versionNumber', getQuestionVersion);
+
+/**
+ * @route   POST /api/admin/question-bank/:questionId/versions/:versionNumber/restore
+ * @desc    Restore an earlier version (saved as a new version)
+ * @access  Private (Admin only)
+ */
+router.post('/:questionId/versions/:versionNumber/restore', restoreQuestionVersion);
+
+/**
+ * @route   POST /api/admin/question-bank/:questionId/regrade
+ * @desc    Re-grade completed attempts of every test using the question (dryRun for a preview)
+ * @access  Private (Admin only)
+ */
+router.post('/:questionId/regrade', regradeQuestionAttempts);
+
+/**
+ * @route   PUT /api/admin/question-bank/:questionId/translations/:language
+ * @desc    Add or replace the question's text, explanation and options in a language
+ * @access  Private (Admin only)
+ */
+router.put('/:questionId/translations/:language', saveQuestionTranslation);
+
+/**
+ * @route   DELETE /api/admin/question-bank/:questionId/translations/:language
+ * @desc    Remove a translation
+ * @access  Private (Admin only)
+ */
+router.delete('/:questionId/translations/:language', deleteQuestionTranslation);
+
+/**
+ * @route   GET /api/admin/question-bank/:questionId/item-analysis
+ * @desc    Difficulty, discrimination and option choices for the question, per test and pooled
+ * @access  Private (Admin only)
+ */
+router.get('/:questionId/item-analysis', getQuestionItemAnalysis);
+
+/**
+ * @route   GET /api/admin/question-bank/:questionId/solution-media
+ * @desc    Images and videos attached to the question's solution
+ * @access  Private (Admin only)
+ */
+router.get('/:questionId/solution-media', listSolutionMedia);
+
+/**
+ * @route   POST /api/admin/question-bank/:questionId/solution-media/image
+ * @desc    Upload an image for the solution
+ * @access  Private (Admin only)
+ */
+router.post('/:questionId/solution-media/image', upload.single('image'), uploadSolutionImage);
+
+/**
+ * @route   POST /api/admin/question-bank/:questionId/solution-media/video
+ * @desc    Link a video for the solution
+ * @access  Private (Admin only)
+ */
+router.post('/:questionId/solution-media/video', addSolutionVideo);
+
+/**
+ * @route   DELETE /api/admin/question-bank/:questionId/solution-media/:mediaId
+ * @desc    Remove a solution image or video
+ * @access  Private (Admin only)
+ */
+router.delete('/:questionId/solution-media/:mediaId', deleteSolutionMedia);
+
+export default router;
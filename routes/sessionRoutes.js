@@ -5,8 +5,20 @@ import {
   autosaveAnswers,
   submitSession,
   postSessionEvent,
+  setSessionLanguage,
   getSessionStatus
 } from '../controllers/sessionController.js';
+import {
+  startAdaptiveSession,
+  submitAdaptiveAnswer,
+  endAdaptiveSession,
+  getAdaptiveReport
+} from '../controllers/adaptivePracticeController.js';
+import {
+  startRevisionSession,
+  submitRevisionReview,
+  getRevisionSession
+} from '../controllers/notebookController.js';
 import { authenticate } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -17,6 +29,17 @@ router.use(authenticate);
 // Create a new session / start attempt
 router.post('/', createSession);
 
+// Adaptive practice: questions picked one at a time from chapter mastery
+router.post('/adaptive', startAdaptiveSession);
+router.post('/adaptive/:sessionToken/answers', submitAdaptiveAnswer);
+router.post('/adaptive/:sessionToken/end', endAdaptiveSession);
+router.get('/adaptive/:sessionToken/report', getAdaptiveReport);
+
+// Notebook revision: due entries reviewed on an SM-2 schedule
+router.post('/revision', startRevisionSession);
+router.post('/revision/:sessionToken/reviews', submitRevisionReview);
+router.get('/revision/:sessionToken', getRevisionSession);
+
 // Autosave answers
 router.patch('/:sessionToken/answers', autosaveAnswers);
 
@@ -26,6 +49,9 @@ router.post('/:sessionToken/submit', submitSession);
 // Log proctoring / heartbeat events
 router.post('/:sessionToken/events', postSessionEvent);
 
+// Switch the paper language mid-test
+router.patch('/:sessionToken/language', setSessionLanguage);
+
 // Get session status
 router.get('/:sessionToken', getSessionStatus);
 
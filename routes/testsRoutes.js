@@ -5,9 +5,15 @@ import {
   getTestById,
   getSubjects,
   checkTestAccess,
-  getAttemptResult
+  getAttemptResult,
+  getTestLeaderboard
 } from '../controllers/testsController.js';
+import { getPredictedRank } from '../controllers/rankPredictionController.js';
+import { createChallenge, getAttemptChallenges } from '../controllers/challengeController.js';
+import { generateCustomTest, getCustomTests } from '../controllers/customTestController.js';
 import { authenticate } from '../middleware/auth.js';
+import { requireFeature } from '../middleware/planAccess.js';
+import { upload } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -23,14 +29,32 @@ router.get('/categories', getTestCategories);
 // Get all subjects for filtering
 router.get('/subjects', getSubjects);
 
+// Generate a custom test from the question bank (Elite)
+router.post('/custom', requireFeature('custom_test_generator'), generateCustomTest);
+
+// List the student's custom tests
+router.get('/custom', requireFeature('custom_test_generator'), getCustomTests);
+
 // Get test attempt result for review
 router.get('/attempt/:attemptId', getAttemptResult);
 
+// Get predicted All-India rank for a mock attempt (plans with all_india_ranking)
+router.get('/attempt/:attemptId/predicted-rank', requireFeature('all_india_ranking'), getPredictedRank);
+
+// Challenge a question / answer key from an attempt (optional evidence image)
+router.post('/attempt/:attemptId/challenges', upload.single('evidenceImage'), createChallenge);
+
+// Get the student's challenges for an attempt
+router.get('/attempt/:attemptId/challenges', getAttemptChallenges);
+
 // Get single test details
 router.get('/:testId', getTestById);
 
 // Check if user can access a test
 router.get('/:testId/access', checkTestAccess);
 
+// Get per-test leaderboard (plans with leaderboard access)
+router.get('/:testId/leaderboard', requireFeature('leaderboard'), getTestLeaderboard);
+
 export default router;
 
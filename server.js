@@ -12,11 +12,14 @@ import dashboardRoutes from './routes/dashboardRoutes.js';
 import testsRoutes from './routes/testsRoutes.js';
 import performanceRoutes from './routes/performanceRoutes.js';
 import sessionRoutes from './routes/sessionRoutes.js';
+import notebookRoutes from './routes/notebookRoutes.js';
 import adminTestRoutes from './routes/adminTestRoutes.js';
+import questionBankRoutes from './routes/questionBankRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import templateRoutes from './routes/templateRoutes.js';
 import subscriptionRoutes from './routes/subscriptionRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
+import { startSessionSweeper } from './services/sessionSweeper.js';
 
 
 // Load environment variables
@@ -90,8 +93,10 @@ app.use('/api/profile', profileRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/tests', testsRoutes);
 app.use('/api/admin/tests', adminTestRoutes);
+app.use('/api/admin/question-bank', questionBankRoutes);
 app.use('/api/performance', performanceRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/notebook', notebookRoutes);
 app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/webhooks', webhookRoutes); // Webhook routes (no auth required)
 app.use('/api/admin', adminRoutes);
@@ -125,6 +130,11 @@ app.listen(PORT, () => {
     console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 API URL: http://localhost:${PORT}/api`);
   }
+
+  // Auto-submit attempts whose timer has run out
+  if (process.env.DISABLE_SESSION_SWEEPER !== 'true') {
+    startSessionSweeper();
+  }
 });
 
 export default app;
@@ -0,0 +1,269 @@
+import { supabase } from '../config/supabase.js';
+import { hasResponse } from './gradingService.js';
+
+/**
+ * Adaptive Practice Service - chapter mastery and next-question selection
+ * Mastery is an Elo-style estimate between 0 and 1 per student, subject and
+ * chapter. Each question difficulty has a rating on the same scale; the
+ * expected score of an answer is a logistic curve of (mastery - rating), and
+ * mastery moves by the gap between the actual and expected score. The next
+ * question is drawn from the weakest chapter at the difficulty the student
+ * is expected to get right about 70% of the time.
+ */
+
+export const DEFAULT_MASTERY = 0.5;
+
+export const DIFFICULTY_RATINGS = { easy: 0.3, medium: 0.5, hard: 0.7 };
+
+// Chance of a correct answer the next question is pitched at
+export const TARGET_SUCCESS_RATE = 0.7;
+
+// Steepness of the expected-score curve
+const RATING_SCALE = 8;
+
+// Step size: large while a chapter has few answers, settling as evidence builds
+const MAX_STEP = 0.25;
+const MIN_STEP = 0.05;
+
+// A chapter already practised this session ranks as if its mastery were this much higher,
+// so the session spreads across weak chapters instead of drilling only one
+const CHAPTER_REPEAT_PENALTY = 0.04;
+
+const round4 = (value) => Number(value.toFixed(4));
+
+const getDifficultyRating = (difficultyLevel) =>
+  DIFFICULTY_RATINGS[difficultyLevel] ?? DIFFICULTY_RATINGS.medium;
+
+/**
+ * Probability of answering a question correctly
+ * @param {number} mastery - Chapter mastery (0-1)
+ * @param {string} difficultyLevel - questions.difficulty_level
+ * @returns {number}
+ */
+export const getExpectedScore = (mastery, difficultyLevel) =>
+  1 / (1 + Math.exp(-RATING_SCALE * (mastery - getDifficultyRating(difficultyLevel))));
+
+/**
+ * Score of a graded answer for mastery purposes
+ * @param {string} status - 'correct' | 'partial' | 'incorrect' | 'unattempted' | 'skipped'
+ * @returns {number|null} 1, 0.5 or 0; null when nothing was answered
+ */
+export const getAnswerScore = (status) => {
+  if (status === 'correct') return 1;
+  if (status === 'partial') return 0.5;
+  if (status === 'incorrect') return 0;
+  return null;
+};
+
+/**
+ * Update a chapter estimate with one answer
+ * @param {{ mastery: number, questionsAnswered: number, correctAnswers: number }} state
+ * @param {string} difficultyLevel - questions.difficulty_level
+ * @param {number} score - From getAnswerScore
+ * @returns {{ mastery: number, questionsAnswered: number, correctAnswers: number }} New state
+ */
+export const applyAnswerToMastery = (state, difficultyLevel, score) => {
+  const step = Math.max(MIN_STEP, MAX_STEP / Math.sqrt(1 + state.questionsAnswered));
+  const expected = getExpectedScore(state.mastery, difficultyLevel);
+  const mastery = Math.min(1, Math.max(0, state.mastery + step * (score - expected)));
+  return {
+    mastery: round4(mastery),
+    questionsAnswered: state.questionsAnswered + 1,
+    correctAnswers: state.correctAnswers + (score === 1 ? 1 : 0)
+  };
+};
+
+/**
+ * Label for a mastery value, used in reports
+ * @param {number} mastery
+ * @returns {'weak'|'developing'|'strong'}
+ */
+export const getMasteryLevel = (mastery) => {
+  if (mastery < 0.4) return 'weak';
+  if (mastery < 0.7) return 'developing';
+  return 'strong';
+};
+
+/**
+ * Difficulty to ask next for a chapter
+ * @param {number} mastery - Chapter mastery
+ * @param {string[]} available - Difficulty levels that still have questions
+ * @returns {string|null} Level whose rating is closest to the target
+ */
+export const getTargetDifficulty = (mastery, available) => {
+  if (available.length === 0) return null;
+  const target = mastery - Math.log(TARGET_SUCCESS_RATE / (1 - TARGET_SUCCESS_RATE)) / RATING_SCALE;
+  return [...available].sort((a, b) =>
+    Math.abs(getDifficultyRating(a) - target) - Math.abs(getDifficultyRating(b) - target)
+  )[0];
+};
+
+/**
+ * Choose the next question for an adaptive session
+ * @param {Array} candidates - questions rows (question_id, difficulty_level, metadata) not yet asked
+ * @param {Map<string, object>} masteryByChapter - chapter -> { mastery }
+ * @param {Map<string, number>} askedByChapter - chapter -> questions asked this session
+ * @returns {object|null} Candidate row, or null when none are left
+ */
+export const chooseNextQuestion = (candidates, masteryByChapter, askedByChapter) => {
+  const byChapter = new Map();
+  for (const q of candidates) {
+    const chapter = q.metadata?.chapter;
+    if (!chapter) continue;
+    if (!byChapter.has(chapter)) byChapter.set(chapter, []);
+    byChapter.get(chapter).push(q);
+  }
+  if (byChapter.size === 0) return null;
+
+  const chapterScore = (chapter) =>
+    (masteryByChapter.get(chapter)?.mastery ?? DEFAULT_MASTERY) +
+    CHAPTER_REPEAT_PENALTY * (askedByChapter.get(chapter) || 0);
+  const [chapter] = [...byChapter.keys()].sort((a, b) => chapterScore(a) - chapterScore(b));
+
+  const pool = byChapter.get(chapter);
+  const difficulty = getTargetDifficulty(
+    masteryByChapter.get(chapter)?.mastery ?? DEFAULT_MASTERY,
+    [...new Set(pool.map(q => q.difficulty_level || 'medium'))]
+  );
+  const matching = pool.filter(q => (q.difficulty_level || 'medium') === difficulty);
+  return matching[Math.floor(Math.random() * matching.length)];
+};
+
+const toState = (row) => ({
+  mastery: Number(row.mastery),
+  questionsAnswered: row.questions_answered,
+  correctAnswers: row.correct_answers,
+  syncedThrough: row.synced_through
+});
+
+/**
+ * Load a student's chapter mastery for a subject, folding in test answers
+ * submitted since the last load (chapters seen for the first time are
+ * seeded from the student's whole test history)
+ * @param {number} userId - users.user_id
+ * @param {number} subjectId - subjects.subject_id
+ * @returns {Promise<Map<string, { mastery, questionsAnswered, correctAnswers, syncedThrough }>>} chapter -> state
+ */
+export const syncChapterMastery = async (userId, subjectId) => {
+  const { data: rows, error } = await supabase
+    .from('chapter_mastery')
+    .select('chapter, mastery, questions_answered, correct_answers, synced_through')
+    .eq('user_id', userId)
+    .eq('subject_id', subjectId);
+
+  if (error) throw error;
+
+  const masteryByChapter = new Map((rows || []).map(row => [row.chapter, toState(row)]));
+
+  // Only submissions newer than the oldest sync point need replaying
+  const syncPoints = [...masteryByChapter.values()].map(s => s.syncedThrough);
+  const since = syncPoints.length > 0 && syncPoints.every(Boolean)
+    ? syncPoints.sort()[0]
+    : null;
+
+  const PAGE_SIZE = 1000;
+  const history = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('attempt_answers')
+      .select(`
+        question_id,
+        selected_option_id,
+        selected_option_ids,
+        numeric_response,
+        is_correct,
+        marks_obtained,
+        test_attempts!inner(user_id, attempt_status, submit_time),
+        questions!inner(subject_id, difficulty_level, metadata)
+      `)
+      .eq('test_attempts.user_id', userId)
+      .eq('test_attempts.attempt_status', 'completed')
+      .eq('questions.subject_id', subjectId)
+      .order('answer_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (since) query = query.gt('test_attempts.submit_time', since);
+
+    const { data: page, error: historyError } = await query;
+    if (historyError) throw historyError;
+    history.push(...(page || []));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+
+  if (history.length === 0) return masteryByChapter;
+
+  history.sort((a, b) =>
+    new Date(a.test_attempts.submit_time) - new Date(b.test_attempts.submit_time)
+  );
+
+  let latestSubmit = since;
+  for (const answer of history) {
+    const chapter = answer.questions?.metadata?.chapter;
+    const submittedAt = answer.test_attempts.submit_time;
+    if (!latestSubmit || new Date(submittedAt) > new Date(latestSubmit)) latestSubmit = submittedAt;
+    if (!chapter || !hasResponse(answer)) continue;
+
+    const state = masteryByChapter.get(chapter) || {
+      mastery: DEFAULT_MASTERY,
+      questionsAnswered: 0,
+      correctAnswers: 0,
+      syncedThrough: null
+    };
+    // Already counted when this chapter was last synced
+    if (state.syncedThrough && new Date(submittedAt) <= new Date(state.syncedThrough)) continue;
+
+    const status = answer.is_correct
+      ? 'correct'
+      : Number(answer.marks_obtained) > 0 ? 'partial' : 'incorrect';
+    masteryByChapter.set(chapter, {
+      ...state,
+      ...applyAnswerToMastery(state, answer.questions.difficulty_level, getAnswerScore(status))
+    });
+  }
+
+  for (const state of masteryByChapter.values()) state.syncedThrough = latestSubmit;
+
+  const { error: saveError } = await supabase
+    .from('chapter_mastery')
+    .upsert(
+      [...masteryByChapter.entries()].map(([chapter, state]) => ({
+        user_id: userId,
+        subject_id: subjectId,
+        chapter,
+        mastery: state.mastery,
+        questions_answered: state.questionsAnswered,
+        correct_answers: state.correctAnswers,
+        synced_through: latestSubmit,
+        updated_at: new Date().toISOString()
+      })),
+      { onConflict: 'user_id,subject_id,chapter' }
+    );
+
+  if (saveError) throw saveError;
+
+  return masteryByChapter;
+};
+
+/**
+ * Save one chapter's mastery after an adaptive answer
+ * @param {number} userId - users.user_id
+ * @param {number} subjectId - subjects.subject_id
+ * @param {string} chapter - questions.metadata.chapter
+ * @param {object} state - { mastery, questionsAnswered, correctAnswers, syncedThrough }
+ */
+export const saveChapterMastery = async (userId, subjectId, chapter, state) => {
+  const { error } = await supabase
+    .from('chapter_mastery')
+    .upsert({
+      user_id: userId,
+      subject_id: subjectId,
+      chapter,
+      mastery: state.mastery,
+      questions_answered: state.questionsAnswered,
+      correct_answers: state.correctAnswers,
+      synced_through: state.syncedThrough || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,subject_id,chapter' });
+
+  if (error) throw error;
+};
@@ -0,0 +1,452 @@
+import { supabase } from '../config/supabase.js';
+import {
+  gradeQuestion,
+  hasResponse,
+  parseNumericResponse,
+  parseSelectedOptionIds,
+  isRowId,
+  isNumericalType,
+  isMultipleCorrectType,
+  DEFAULT_MARKING_SCHEME
+} from './gradingService.js';
+import {
+  loadTestSections,
+  getSectionByQuestion,
+  getExcessAttempts,
+  getSectionMaxMarks
+} from './sectionService.js';
+import { scheduleLeaderboardRecompute, getUserStanding } from './leaderboardService.js';
+import { recordAttemptMistakes } from './mistakeNotebookService.js';
+import { loadSolutionMedia } from './solutionService.js';
+
+/**
+ * Attempt Service - grading and finalization of test attempts
+ * Used by submitSession and by the background sweeper that auto-submits
+ * expired sessions, so both paths produce identical results
+ */
+
+// Extra time allowed after the deadline for in-flight autosaves / network lag
+export const SESSION_GRACE_SECONDS = parseInt(process.env.SESSION_GRACE_SECONDS || '60');
+
+/**
+ * Compute when a session's time runs out
+ * @param {string} sessionStart - test_sessions.session_start (falls back to attempt start)
+ * @param {number} durationMinutes - tests.duration_minutes
+ * @returns {Date|null} Deadline, or null for untimed tests
+ */
+export const getSessionDeadline = (sessionStart, durationMinutes) => {
+  const minutes = Number(durationMinutes);
+  if (!sessionStart || !Number.isFinite(minutes) || minutes <= 0) return null;
+  return new Date(new Date(sessionStart).getTime() + minutes * 60 * 1000);
+};
+
+/**
+ * Check whether the deadline plus grace period has passed
+ * @param {Date|null} deadline - From getSessionDeadline
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isPastGracePeriod = (deadline, now = new Date()) =>
+  !!deadline && now.getTime() > deadline.getTime() + SESSION_GRACE_SECONDS * 1000;
+
+/**
+ * Load everything needed to grade attempts of a test
+ * Loaded once per test so a re-grade of many attempts doesn't refetch it.
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<object>} Grading context for gradeAnswers
+ */
+export const loadGradingContext = async (testId) => {
+  // Fetch test_questions for marks, grading decisions & full question set
+  const { data: tQuestions = [] } = await supabase
+    .from('test_questions')
+    .select('question_id, marks_allocated, negative_marks_allocated, grading_decision')
+    .eq('test_id', testId);
+
+  const marksMap = new Map();
+  const decisions = new Map();
+  const allQuestionIds = [];
+  for (const tq of tQuestions || []) {
+    marksMap.set(tq.question_id, {
+      marks: Number(tq.marks_allocated || 0),
+      negative: Number(tq.negative_marks_allocated || 0),
+    });
+    if (tq.grading_decision) decisions.set(tq.question_id, tq.grading_decision);
+    allQuestionIds.push(tq.question_id);
+  }
+
+  // Correct options (MCQs / T/F / multiple-correct), question types & numerical keys
+  const correctMap = new Map();
+  const questionInfoMap = new Map();
+
+  if (allQuestionIds.length > 0) {
+    const { data: correctOptions = [] } = await supabase
+      .from('question_options')
+      .select('option_id, question_id, is_correct')
+      .in('question_id', allQuestionIds);
+
+    for (const o of correctOptions || []) {
+      if (!o.is_correct) continue;
+      if (!correctMap.has(o.question_id)) correctMap.set(o.question_id, []);
+      correctMap.get(o.question_id).push(o.option_id);
+    }
+
+    const { data: questionRows = [] } = await supabase
+      .from('questions')
+      .select('question_id, question_type, numerical_answer')
+      .in('question_id', allQuestionIds);
+
+    for (const q of questionRows || []) questionInfoMap.set(q.question_id, q);
+  }
+
+  // Marking scheme for multiple-correct questions
+  const { data: testRow } = await supabase
+    .from('tests')
+    .select('marking_scheme')
+    .eq('test_id', testId)
+    .single();
+
+  const sections = await loadTestSections(testId);
+
+  return {
+    marksMap,
+    decisions,
+    allQuestionIds,
+    correctMap,
+    questionInfoMap,
+    markingScheme: testRow?.marking_scheme || DEFAULT_MARKING_SCHEME,
+    sections,
+    sectionByQuestion: getSectionByQuestion(sections),
+  };
+};
+
+/**
+ * Grade a set of saved answers against a grading context
+ * Grading decisions: 'bonus' gives everyone full marks for the question
+ * (counts still reflect the actual response); 'drop' removes the question
+ * from the score, the maximum marks and the counts.
+ * @param {object} context - From loadGradingContext
+ * @param {Array} answers - attempt_answers rows
+ * @returns {object} Totals, counts, section results and per-question results
+ */
+export const gradeAnswers = (context, answers) => {
+  const { marksMap, decisions, allQuestionIds, correctMap, questionInfoMap, markingScheme, sections, sectionByQuestion } = context;
+
+  // Sections: answers beyond a section's "attempt any N" limit are not evaluated
+  const answeredIds = new Set(answers.filter(hasResponse).map((a) => a.question_id));
+  const excessAttempts = getExcessAttempts(sections, answeredIds);
+
+  // Dropped questions don't count towards the maximum marks
+  const scoringMarksMap = new Map(
+    [...marksMap].map(([qid, info]) => [qid, decisions.get(qid) === 'drop' ? { ...info, marks: 0 } : info])
+  );
+
+  const sectionResults = new Map(
+    sections.map((sec) => [sec.sectionId, {
+      sectionId: sec.sectionId,
+      name: sec.name,
+      maxAttempts: sec.maxAttempts,
+      score: 0,
+      totalPossible: getSectionMaxMarks(sec, scoringMarksMap),
+      correct: 0,
+      incorrect: 0,
+      unanswered: 0,
+    }])
+  );
+
+  // Grade
+  let correct = 0;
+  let incorrect = 0;
+  let partial = 0;
+  let unattempted = 0;
+  let totalObtained = 0;
+  let totalPossible = 0;
+  const perQuestionResults = [];
+
+  for (const qid of allQuestionIds) {
+    const marksInfo = marksMap.get(qid) || { marks: 0, negative: 0 };
+    const decision = decisions.get(qid);
+
+    if (decision === 'drop') {
+      perQuestionResults.push({ questionId: qid, status: 'dropped', marksObtained: 0, isCorrect: false });
+      continue;
+    }
+
+    const section = sectionByQuestion.get(qid);
+    // Sectioned questions contribute through their section's max marks
+    if (!section) totalPossible += marksInfo.marks;
+
+    const questionInfo = questionInfoMap.get(qid);
+    const graded = excessAttempts.has(qid)
+      ? { status: 'unattempted', marksObtained: 0, isCorrect: false }
+      : gradeQuestion({
+        questionType: questionInfo?.question_type,
+        marksInfo,
+        correctOptionIds: correctMap.get(qid) || [],
+        numericalKey: questionInfo?.numerical_answer,
+        answer: answers.find((a) => a.question_id === qid),
+        markingScheme,
+      });
+    const result = decision === 'bonus'
+      ? { ...graded, marksObtained: marksInfo.marks }
+      : graded;
+
+    if (result.status === 'correct') correct++;
+    else if (result.status === 'partial') partial++;
+    else if (result.status === 'incorrect') incorrect++;
+    else unattempted++;
+
+    if (section) {
+      const sectionResult = sectionResults.get(section.sectionId);
+      sectionResult.score += result.marksObtained;
+      if (result.status === 'correct') sectionResult.correct++;
+      else if (result.status === 'unattempted') sectionResult.unanswered++;
+      else sectionResult.incorrect++;
+    }
+
+    totalObtained += result.marksObtained;
+    perQuestionResults.push({
+      questionId: qid,
+      status: result.status,
+      marksObtained: result.marksObtained,
+      isCorrect: result.isCorrect,
+    });
+  }
+
+  for (const sectionResult of sectionResults.values()) {
+    totalPossible += sectionResult.totalPossible;
+  }
+
+  if (totalObtained < 0) totalObtained = 0;
+  const percentage =
+    totalPossible > 0 ? (totalObtained / totalPossible) * 100 : 0;
+
+  return {
+    correct,
+    incorrect,
+    partial,
+    unattempted,
+    totalObtained,
+    totalPossible,
+    percentage,
+    sections: [...sectionResults.values()],
+    perQuestionResults,
+  };
+};
+
+/**
+ * Fetch the saved answers of an attempt (may be empty if autosave failed)
+ * @param {number} attemptId - test_attempts.attempt_id
+ * @returns {Promise<Array>} attempt_answers rows
+ */
+export const loadAttemptAnswers = async (attemptId) => {
+  const { data: answers = [] } = await supabase
+    .from('attempt_answers')
+    .select(
+      'answer_id, question_id, selected_option_id, selected_option_ids, numeric_response, answer_text, time_spent_seconds, marks_obtained, is_correct'
+    )
+    .eq('attempt_id', attemptId);
+  return answers || [];
+};
+
+/**
+ * Save per-question marks into attempt_answers (single bulk update)
+ * Only questions with a saved answer row are written.
+ * @param {number} attemptId - test_attempts.attempt_id
+ * @param {Array} answers - attempt_answers rows
+ * @param {Array} perQuestionResults - From gradeAnswers
+ */
+export const saveAttemptMarks = async (attemptId, answers, perQuestionResults) => {
+  const answeredQuestionIds = new Set(answers.map((a) => a.question_id));
+  const marksRows = perQuestionResults
+    .filter((pq) => answeredQuestionIds.has(pq.questionId))
+    .map((pq) => ({
+      question_id: pq.questionId,
+      marks_obtained: pq.marksObtained,
+      is_correct: pq.isCorrect,
+    }));
+
+  if (marksRows.length > 0) {
+    const { error: marksErr } = await supabase.rpc('save_attempt_marks', {
+      p_attempt_id: attemptId,
+      p_marks: marksRows,
+    });
+    if (marksErr) console.error('Error saving per-question marks', marksErr);
+  }
+};
+
+/**
+ * Grade an in-progress attempt and mark it completed
+ * The status update is conditional on the attempt still being in_progress,
+ * so a manual submit racing the sweeper only finalizes once.
+ * @param {object} attempt - Full test_attempts row
+ * @param {object} options
+ * @param {boolean} options.autoSubmitted - True when the server submitted on the student's behalf
+ * @param {string} options.submittedAt - Submission time (defaults to now; OMR ingestion uses the exam time)
+ * @param {boolean} options.updateLeaderboard - False when the caller re-ranks once after a batch
+ * @returns {Promise<object|null>} Result summary, or null if the attempt was already finalized
+ */
+export const finalizeAttempt = async (
+  attempt,
+  { autoSubmitted = false, submittedAt = new Date().toISOString(), updateLeaderboard = true } = {}
+) => {
+  const answers = await loadAttemptAnswers(attempt.attempt_id);
+  const context = await loadGradingContext(attempt.test_id);
+  const {
+    correct,
+    incorrect,
+    partial,
+    unattempted,
+    totalObtained,
+    totalPossible,
+    percentage,
+    sections,
+    perQuestionResults,
+  } = gradeAnswers(context, answers);
+
+  const proctoringData = autoSubmitted
+    ? { ...(attempt.proctoring_data || {}), autoSubmitted: true, autoSubmittedAt: submittedAt }
+    : attempt.proctoring_data || {};
+
+  const { data: updatedRows, error: updErr } = await supabase
+    .from('test_attempts')
+    .update({
+      // Keep the last autosave time as end_time for auto-submitted attempts
+      end_time: autoSubmitted ? attempt.end_time || submittedAt : submittedAt,
+      submit_time: submittedAt,
+      attempt_status: 'completed',
+      total_marks_obtained: totalObtained,
+      percentage,
+      correct_answers: correct,
+      // Partially-correct answers are not fully correct, so they count as incorrect here
+      incorrect_answers: incorrect + partial,
+      unanswered: unattempted,
+      proctoring_data: proctoringData,
+    })
+    .eq('attempt_id', attempt.attempt_id)
+    .eq('attempt_status', 'in_progress')
+    .select('attempt_id');
+
+  if (updErr) {
+    console.error('Error updating attempt', updErr);
+  } else if (!updatedRows || updatedRows.length === 0) {
+    // Another request finalized this attempt first
+    return null;
+  }
+
+  await supabase
+    .from('test_sessions')
+    .update({ session_end: submittedAt })
+    .eq('attempt_id', attempt.attempt_id);
+
+  await saveAttemptMarks(attempt.attempt_id, answers, perQuestionResults);
+
+  // Wrong and skipped questions go to the student's mistake notebook
+  await recordAttemptMistakes(attempt, answers, perQuestionResults);
+
+  // Re-rank the test with this attempt included
+  if (updateLeaderboard) await scheduleLeaderboardRecompute(attempt.test_id);
+  const standing = updateLeaderboard
+    ? await getUserStanding(attempt.test_id, attempt.user_id)
+    : null;
+
+  return {
+    attemptId: attempt.attempt_id,
+    score: totalObtained,
+    percentage: Number(percentage.toFixed(2)),
+    correct,
+    incorrect,
+    partial,
+    unanswered: unattempted,
+    totalPossible,
+    sections,
+    // Leaderboard position (in 'first' mode this may reflect an earlier attempt)
+    rank: standing?.rank ?? null,
+    percentile: standing?.percentile ?? null,
+    totalParticipants: standing?.totalParticipants ?? null,
+    autoSubmitted,
+  };
+};
+
+/**
+ * Check the option IDs in a standalone answer before it is graded and stored
+ * @param {object} input - Request body passed to gradeStandaloneAnswer
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateStandaloneAnswer = (input) => {
+  if (input.selectedOptionId != null && !isRowId(input.selectedOptionId)) {
+    return 'selectedOptionId must be an option ID';
+  }
+  if (
+    input.selectedOptionIds != null &&
+    (!Array.isArray(input.selectedOptionIds) || !input.selectedOptionIds.every(isRowId))
+  ) {
+    return 'selectedOptionIds must be an array of option IDs';
+  }
+  return null;
+};
+
+/**
+ * Grade one answer to a bank question outside a test (practice and revision)
+ * Uses the question's own marks; only the status matters to these callers.
+ * Callers check the input with validateStandaloneAnswer first.
+ * @param {number} questionId - questions.question_id
+ * @param {object} input - { selectedOptionId, selectedOptionIds, numericAnswer, skip } from the request body
+ * @param {object} [options]
+ * @param {boolean} [options.withSolution] - Include the explanation and solution media
+ *   (callers pass the student's detailed_solutions access)
+ * @returns {Promise<object|null>} { question, answer, status, result } where status is
+ *   'correct' | 'partial' | 'incorrect' | 'skipped' and result is the feedback shown to the
+ *   student; null when the question doesn't exist
+ */
+export const gradeStandaloneAnswer = async (questionId, input, { withSolution = false } = {}) => {
+  const { data: question } = await supabase
+    .from('questions')
+    .select('question_id, question_type, difficulty_level, metadata, marks, negative_marks, numerical_answer, explanation')
+    .eq('question_id', questionId)
+    .single();
+
+  if (!question) return null;
+
+  const { data: options = [] } = await supabase
+    .from('question_options')
+    .select('option_id, is_correct')
+    .eq('question_id', questionId);
+
+  const answer = input.skip === true
+    ? null
+    : {
+      selected_option_id: input.selectedOptionId != null ? Number(input.selectedOptionId) : null,
+      selected_option_ids: parseSelectedOptionIds(input.selectedOptionIds),
+      numeric_response: parseNumericResponse(input.numericAnswer),
+    };
+  const correctOptionIds = (options || []).filter((o) => o.is_correct).map((o) => o.option_id);
+  const graded = gradeQuestion({
+    questionType: question.question_type,
+    marksInfo: { marks: Number(question.marks || 0), negative: Number(question.negative_marks || 0) },
+    correctOptionIds,
+    numericalKey: question.numerical_answer,
+    answer,
+  });
+
+  const status = graded.status === 'unattempted' ? 'skipped' : graded.status;
+  const numerical = isNumericalType(question.question_type);
+
+  return {
+    question,
+    answer,
+    status,
+    result: {
+      questionId: question.question_id,
+      status,
+      correctOptionIds: numerical ? null : correctOptionIds,
+      correctOptionId: numerical || isMultipleCorrectType(question.question_type)
+        ? null
+        : correctOptionIds[0] ?? null,
+      expectedAnswer: numerical ? question.numerical_answer : null,
+      explanation: withSolution ? question.explanation || null : null,
+      solutionMedia: withSolution
+        ? (await loadSolutionMedia([question.question_id])).get(question.question_id) || []
+        : [],
+    },
+  };
+};
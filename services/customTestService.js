@@ -0,0 +1,135 @@
+import { supabase } from '../config/supabase.js';
+import {
+  DEFAULT_DIFFICULTY_MIX,
+  selectChapterQuestions
+} from './templateSelectionService.js';
+import { generateShuffleSeed } from '../utils/shuffle.js';
+
+/**
+ * Custom Test Service - question selection for student-generated tests
+ * Questions come from the bank, limited to ones already released to the
+ * student: used by a published, started test their plan can access. The
+ * requested count is spread evenly across the chosen chapters, then split
+ * by difficulty within each chapter.
+ */
+
+export const CUSTOM_TEST_DIFFICULTIES = ['easy', 'medium', 'hard', 'mixed'];
+export const MAX_CUSTOM_TEST_QUESTIONS = 200;
+export const MAX_CUSTOM_TEST_MINUTES = 300;
+
+/**
+ * Difficulty mix for a custom test difficulty choice
+ * @param {string} difficulty - One of CUSTOM_TEST_DIFFICULTIES
+ * @returns {object} { easy, medium, hard } weights
+ */
+export const getDifficultyMix = (difficulty) =>
+  difficulty === 'mixed' || !difficulty
+    ? { ...DEFAULT_DIFFICULTY_MIX }
+    : { easy: 0, medium: 0, hard: 0, [difficulty]: 1 };
+
+/**
+ * Bank questions a student may be given in a custom test
+ * @param {object} params
+ * @param {number[]} params.subjectIds - subjects.subject_id values
+ * @param {string[]} params.chapters - Chapter names (all chapters when empty)
+ * @param {number[]} params.accessiblePlanIds - From getUserAccessiblePlanIds
+ * @returns {Promise<Array>} questions rows (question_id, subject_id, difficulty_level, metadata, marks, negative_marks)
+ */
+export const loadCustomTestCandidates = async ({ subjectIds, chapters, accessiblePlanIds }) => {
+  const PAGE_SIZE = 1000;
+  const now = new Date();
+  const candidates = new Map();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('test_questions')
+      .select(`
+        question_id,
+        marks_allocated,
+        negative_marks_allocated,
+        tests!inner(is_published, required_plan_id, start_time, custom_for_user_id),
+        questions!inner(question_id, subject_id, difficulty_level, metadata, is_active, marks, negative_marks)
+      `)
+      .eq('tests.is_published', true)
+      .in('tests.required_plan_id', accessiblePlanIds)
+      .is('tests.custom_for_user_id', null)
+      .eq('questions.is_active', true)
+      .in('questions.subject_id', subjectIds)
+      // A question sits in many tests: order by both so pages don't overlap
+      .order('question_id', { ascending: true })
+      .order('test_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (chapters.length > 0) {
+      query = query.in('questions.metadata->>chapter', chapters);
+    }
+
+    const { data: page, error } = await query;
+    if (error) throw error;
+
+    for (const row of page || []) {
+      // Questions from tests that haven't opened yet are still under wraps
+      if (row.tests.start_time && new Date(row.tests.start_time) > now) continue;
+      if (candidates.has(row.question_id)) continue;
+      candidates.set(row.question_id, {
+        ...row.questions,
+        marks: Number(row.marks_allocated ?? row.questions.marks ?? 4),
+        negative_marks: Number(row.negative_marks_allocated ?? row.questions.negative_marks ?? 0)
+      });
+    }
+
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+
+  return [...candidates.values()];
+};
+
+/**
+ * Pick a custom test's questions
+ * Chapters get an even share of the count; chapters with too few questions
+ * pass their unfilled share on to the others.
+ * @param {Array} candidates - From loadCustomTestCandidates
+ * @param {number} count - Questions wanted
+ * @param {object} mix - Difficulty weights
+ * @param {number} [seed] - Shuffle seed (random when omitted)
+ * @returns {{ selected: Array, byChapter: Array<{ subjectId, chapter, count }>, byDifficulty: object }}
+ */
+export const selectCustomTestQuestions = (candidates, count, mix, seed = generateShuffleSeed()) => {
+  const groups = new Map();
+  for (const q of candidates) {
+    const key = `${q.subject_id}|${q.metadata?.chapter || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { subjectId: q.subject_id, chapter: q.metadata?.chapter || null, questions: [] });
+    }
+    groups.get(key).questions.push(q);
+  }
+
+  // Even shares, handing leftovers to chapters that still have questions
+  const shares = new Map([...groups.keys()].map(key => [key, 0]));
+  let remaining = Math.min(count, candidates.length);
+  while (remaining > 0) {
+    const open = [...groups.keys()].filter(key => shares.get(key) < groups.get(key).questions.length);
+    const each = Math.max(1, Math.floor(remaining / open.length));
+    for (const key of open) {
+      if (remaining === 0) break;
+      const add = Math.min(each, groups.get(key).questions.length - shares.get(key), remaining);
+      shares.set(key, shares.get(key) + add);
+      remaining -= add;
+    }
+  }
+
+  const selected = [];
+  const byChapter = [];
+  const byDifficulty = { easy: 0, medium: 0, hard: 0 };
+  for (const [key, group] of groups) {
+    const share = shares.get(key);
+    if (share === 0) continue;
+    // Difficulty mix first; selectChapterQuestions tops up from other difficulties
+    const picked = selectChapterQuestions(group.questions, share, mix, seed);
+    selected.push(...picked.selected);
+    byChapter.push({ subjectId: group.subjectId, chapter: group.chapter, count: picked.selected.length });
+    for (const level of Object.keys(byDifficulty)) byDifficulty[level] += picked.byDifficulty[level];
+  }
+
+  return { selected, byChapter, byDifficulty };
+};
@@ -0,0 +1,301 @@
+/**
+ * Grading helpers shared by the session, results and question controllers
+ * Keeps answer-key rules in one place so every path scores a question the same way
+ */
+
+// Question types answered by typing a number instead of picking an option
+export const NUMERICAL_QUESTION_TYPES = ['numerical', 'integer'];
+
+/**
+ * Check whether a question type is answered with a typed number
+ * @param {string} questionType - questions.question_type
+ * @returns {boolean}
+ */
+export const isNumericalType = (questionType) =>
+  NUMERICAL_QUESTION_TYPES.includes(questionType);
+
+const toFiniteNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Largest value a Postgres INTEGER column holds
+const MAX_ROW_ID = 2147483647;
+
+/**
+ * Check that a request value is a usable row ID (positive INTEGER)
+ * Accepts numbers and numeric strings; rejects fractions, blanks and values
+ * that would fail the database cast
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isRowId = (value) => {
+  if (typeof value !== 'number' && (typeof value !== 'string' || value.trim() === '')) return false;
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 && num <= MAX_ROW_ID;
+};
+
+/**
+ * Validate and normalize an author-supplied numerical answer key
+ * Accepts either { value, tolerance } or an inclusive range { min, max }
+ * @param {object} input - numericalAnswer from the request body
+ * @returns {{ key: object|null, error: string|null }}
+ */
+export const parseNumericalAnswer = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { key: null, error: 'numericalAnswer is required for numerical questions' };
+  }
+
+  const value = toFiniteNumber(input.value);
+  const min = toFiniteNumber(input.min);
+  const max = toFiniteNumber(input.max);
+
+  if (value !== null) {
+    const tolerance = toFiniteNumber(input.tolerance) ?? 0;
+    if (tolerance < 0) {
+      return { key: null, error: 'numericalAnswer.tolerance cannot be negative' };
+    }
+    return { key: { value, tolerance }, error: null };
+  }
+
+  if (min !== null && max !== null) {
+    if (min > max) {
+      return { key: null, error: 'numericalAnswer.min cannot be greater than numericalAnswer.max' };
+    }
+    return { key: { min, max }, error: null };
+  }
+
+  return {
+    key: null,
+    error: 'numericalAnswer must have a numeric value (with optional tolerance) or a min/max range'
+  };
+};
+
+/**
+ * Parse a student's typed numeric response
+ * @param {*} response - Raw value from the autosave payload
+ * @returns {number|null} Parsed number, or null when blank/invalid
+ */
+export const parseNumericResponse = (response) => {
+  if (typeof response === 'string') response = response.trim();
+  return toFiniteNumber(response);
+};
+
+/**
+ * Grade a numeric response against a stored answer key
+ * @param {object} key - questions.numerical_answer ({ value, tolerance } or { min, max })
+ * @param {number} response - attempt_answers.numeric_response
+ * @returns {boolean}
+ */
+export const isNumericalResponseCorrect = (key, response) => {
+  const given = toFiniteNumber(response);
+  if (!key || given === null) return false;
+
+  const value = toFiniteNumber(key.value);
+  if (value !== null) {
+    const tolerance = toFiniteNumber(key.tolerance) ?? 0;
+    // Small epsilon so 0.1 + 0.2 style float noise doesn't fail an exact match
+    return Math.abs(given - value) <= tolerance + 1e-9;
+  }
+
+  const min = toFiniteNumber(key.min);
+  const max = toFiniteNumber(key.max);
+  if (min === null || max === null) return false;
+  return given >= min - 1e-9 && given <= max + 1e-9;
+};
+
+// Question types where the student may select several options
+export const MULTIPLE_CORRECT_QUESTION_TYPES = ['mcq_multiple'];
+
+/**
+ * Check whether a question type allows selecting several options
+ * @param {string} questionType - questions.question_type
+ * @returns {boolean}
+ */
+export const isMultipleCorrectType = (questionType) =>
+  MULTIPLE_CORRECT_QUESTION_TYPES.includes(questionType);
+
+/**
+ * Marking schemes a test can use for multiple-correct questions
+ * - all_or_nothing: full marks only for the exact set, otherwise negative marks
+ * - jee_advanced: any wrong option => negative marks; otherwise full marks for the
+ *   exact set, or partialMarksPerOption for each correct option picked
+ * - per_option_penalty: marks shared across correct options, minus
+ *   penaltyPerWrongOption for every incorrect option picked
+ */
+export const MARKING_SCHEMES = ['all_or_nothing', 'jee_advanced', 'per_option_penalty'];
+
+export const DEFAULT_MARKING_SCHEME = { type: 'all_or_nothing' };
+
+/**
+ * Validate and normalize a marking scheme from the request body
+ * Accepts a scheme name or an object { type, partialMarksPerOption, penaltyPerWrongOption }
+ * @param {string|object} input - markingScheme from the request body
+ * @returns {{ scheme: object|null, error: string|null }}
+ */
+export const parseMarkingScheme = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return { scheme: { ...DEFAULT_MARKING_SCHEME }, error: null };
+  }
+
+  const raw = typeof input === 'string' ? { type: input } : input;
+  if (!raw || typeof raw !== 'object' || !MARKING_SCHEMES.includes(raw.type)) {
+    return {
+      scheme: null,
+      error: `markingScheme must be one of: ${MARKING_SCHEMES.join(', ')}`
+    };
+  }
+
+  if (raw.type === 'jee_advanced') {
+    const partialMarksPerOption = toFiniteNumber(raw.partialMarksPerOption) ?? 1;
+    if (partialMarksPerOption < 0) {
+      return { scheme: null, error: 'partialMarksPerOption cannot be negative' };
+    }
+    return { scheme: { type: raw.type, partialMarksPerOption }, error: null };
+  }
+
+  if (raw.type === 'per_option_penalty') {
+    const penaltyPerWrongOption = toFiniteNumber(raw.penaltyPerWrongOption) ?? 1;
+    if (penaltyPerWrongOption < 0) {
+      return { scheme: null, error: 'penaltyPerWrongOption cannot be negative' };
+    }
+    return { scheme: { type: raw.type, penaltyPerWrongOption }, error: null };
+  }
+
+  return { scheme: { type: raw.type }, error: null };
+};
+
+/**
+ * Parse the option IDs a student picked on a multiple-correct question
+ * @param {*} ids - Raw selectedOptionIds from the autosave payload
+ * @returns {number[]|null} Unique numeric IDs, or null when nothing is selected
+ */
+export const parseSelectedOptionIds = (ids) => {
+  if (!Array.isArray(ids)) return null;
+  const parsed = [...new Set(ids.map(toFiniteNumber).filter((id) => id !== null))];
+  return parsed.length > 0 ? parsed : null;
+};
+
+const gradeMultipleCorrect = (correctIds, selectedIds, marksInfo, scheme) => {
+  const correctSet = new Set(correctIds.map(Number));
+  const picked = selectedIds.map(Number);
+  const pickedCorrect = picked.filter((id) => correctSet.has(id)).length;
+  const pickedWrong = picked.length - pickedCorrect;
+  const exact = pickedWrong === 0 && pickedCorrect === correctSet.size;
+
+  if (exact) {
+    return { status: 'correct', marksObtained: marksInfo.marks, isCorrect: true };
+  }
+
+  const type = scheme?.type || DEFAULT_MARKING_SCHEME.type;
+
+  if (type === 'jee_advanced' && pickedWrong === 0) {
+    const perOption = toFiniteNumber(scheme.partialMarksPerOption) ?? 1;
+    return {
+      status: 'partial',
+      marksObtained: Math.min(pickedCorrect * perOption, marksInfo.marks),
+      isCorrect: false,
+    };
+  }
+
+  if (type === 'per_option_penalty') {
+    const perCorrect = correctSet.size > 0 ? marksInfo.marks / correctSet.size : 0;
+    const penalty = toFiniteNumber(scheme.penaltyPerWrongOption) ?? 1;
+    const marksObtained = Number(
+      (pickedCorrect * perCorrect - pickedWrong * penalty).toFixed(2)
+    );
+    return {
+      status: marksObtained > 0 ? 'partial' : 'incorrect',
+      marksObtained,
+      isCorrect: false,
+    };
+  }
+
+  return { status: 'incorrect', marksObtained: -(marksInfo.negative || 0), isCorrect: false };
+};
+
+/**
+ * Check whether a saved answer row holds any response
+ * @param {object|null} answer - attempt_answers row
+ * @returns {boolean}
+ */
+export const hasResponse = (answer) =>
+  !!answer &&
+  (answer.selected_option_id != null ||
+    (Array.isArray(answer.selected_option_ids) && answer.selected_option_ids.length > 0) ||
+    answer.numeric_response != null);
+
+/**
+ * NTA-style question palette states
+ * A question is visited once it has an attempt_answers row
+ */
+export const QUESTION_STATES = [
+  'not_visited',
+  'not_answered',
+  'answered',
+  'marked_for_review',
+  'answered_marked_for_review',
+];
+
+/**
+ * Work out the palette state of a question from its saved answer row
+ * @param {object|null} answer - attempt_answers row (or null when never visited)
+ * @returns {string} One of QUESTION_STATES
+ */
+export const getQuestionState = (answer) => {
+  if (!answer) return 'not_visited';
+  const answered = hasResponse(answer);
+  if (answer.is_marked_for_review) {
+    return answered ? 'answered_marked_for_review' : 'marked_for_review';
+  }
+  return answered ? 'answered' : 'not_answered';
+};
+
+/**
+ * Grade a single question for an attempt
+ * @param {object} params
+ * @param {string} params.questionType - questions.question_type
+ * @param {{ marks: number, negative: number }} params.marksInfo - Marks from test_questions
+ * @param {number[]} params.correctOptionIds - IDs of options flagged is_correct
+ * @param {object|null} params.numericalKey - questions.numerical_answer
+ * @param {object|null} params.answer - attempt_answers row (or null when never saved)
+ * @param {object} params.markingScheme - tests.marking_scheme
+ * @returns {{ status: 'correct'|'incorrect'|'partial'|'unattempted', marksObtained: number, isCorrect: boolean }}
+ */
+export const gradeQuestion = ({
+  questionType,
+  marksInfo,
+  correctOptionIds = [],
+  numericalKey = null,
+  answer = null,
+  markingScheme = DEFAULT_MARKING_SCHEME,
+}) => {
+  const unattempted = { status: 'unattempted', marksObtained: 0, isCorrect: false };
+  if (!answer) return unattempted;
+
+  if (isNumericalType(questionType)) {
+    // No response, or no answer key to grade against
+    if (answer.numeric_response == null || !numericalKey) return unattempted;
+    return isNumericalResponseCorrect(numericalKey, answer.numeric_response)
+      ? { status: 'correct', marksObtained: marksInfo.marks, isCorrect: true }
+      : { status: 'incorrect', marksObtained: -(marksInfo.negative || 0), isCorrect: false };
+  }
+
+  if (isMultipleCorrectType(questionType)) {
+    const selectedIds = answer.selected_option_ids?.length
+      ? answer.selected_option_ids
+      : answer.selected_option_id != null ? [answer.selected_option_id] : [];
+    if (selectedIds.length === 0 || correctOptionIds.length === 0) return unattempted;
+    return gradeMultipleCorrect(correctOptionIds, selectedIds, marksInfo, markingScheme);
+  }
+
+  // Single-correct MCQ / true-false
+  if (answer.selected_option_id == null || correctOptionIds.length === 0) return unattempted;
+  const isCorrect = correctOptionIds.some(
+    (id) => Number(id) === Number(answer.selected_option_id)
+  );
+  return isCorrect
+    ? { status: 'correct', marksObtained: marksInfo.marks, isCorrect: true }
+    : { status: 'incorrect', marksObtained: -(marksInfo.negative || 0), isCorrect: false };
+};
@@ -0,0 +1,323 @@
+import { supabase } from '../config/supabase.js';
+import { loadGradingContext, gradeAnswers } from './attemptService.js';
+import {
+  hasResponse,
+  isNumericalType,
+  isMultipleCorrectType,
+  parseSelectedOptionIds
+} from './gradingService.js';
+
+/**
+ * Item Analysis Service - classical item statistics for test questions
+ * Completed attempts are graded with the test's current key and grading
+ * decisions. Students are ranked by total score; the top and bottom 27%
+ * form the upper and lower groups. For each question:
+ * - difficulty index: share of all examinees who got it fully correct
+ * - discrimination index: upper-group share correct minus lower-group share
+ * - distractors: share of examinees (and of each group) choosing each option
+ */
+
+// Kelley's 27% groups
+export const SCORE_GROUP_SHARE = 0.27;
+
+// Below this many examinees the statistics are reported but not flagged
+export const MIN_ITEM_RESPONSES = 20;
+
+export const ITEM_THRESHOLDS = {
+  tooEasy: 0.9,
+  tooHard: 0.2,
+  lowDiscrimination: 0.2,
+  // Distractors chosen by fewer examinees than this aren't doing any work
+  nonFunctioningDistractor: 0.05
+};
+
+const round = (value, places = 2) => value === null ? null : Number(value.toFixed(places));
+const share = (count, total) => total > 0 ? count / total : null;
+
+/**
+ * Split attempts into upper and lower score groups
+ * Ties at a boundary are broken by attempt order, so groups have equal size.
+ * @param {Array<{ attemptId: number, score: number }>} attempts
+ * @returns {Map<number, 'upper'|'lower'>} attemptId -> group (middle attempts are left out)
+ */
+export const splitScoreGroups = (attempts) => {
+  const groups = new Map();
+  if (attempts.length < 2) return groups;
+
+  const ranked = [...attempts].sort((a, b) => b.score - a.score || a.attemptId - b.attemptId);
+  const size = Math.max(1, Math.min(
+    Math.round(ranked.length * SCORE_GROUP_SHARE),
+    Math.floor(ranked.length / 2)
+  ));
+  ranked.slice(0, size).forEach(a => groups.set(a.attemptId, 'upper'));
+  ranked.slice(-size).forEach(a => groups.set(a.attemptId, 'lower'));
+  return groups;
+};
+
+/**
+ * Choices recorded in an answer: option IDs, or the typed value for numerical questions
+ * @returns {Array<number|string>}
+ */
+const getAnswerChoices = (questionType, answer) => {
+  if (!answer || !hasResponse(answer)) return [];
+  if (isNumericalType(questionType)) {
+    return answer.numeric_response === null || answer.numeric_response === undefined
+      ? []
+      : [String(Number(answer.numeric_response))];
+  }
+  if (isMultipleCorrectType(questionType)) {
+    return parseSelectedOptionIds(answer.selected_option_ids) || [];
+  }
+  return answer.selected_option_id ? [answer.selected_option_id] : [];
+};
+
+/**
+ * Flags for an analysed item
+ * @param {object} item - From analyzeItem
+ * @returns {string[]} possible_wrong_key, negative_discrimination, low_discrimination,
+ *   too_easy, too_hard, non_functioning_distractors
+ */
+export const getItemFlags = (item) => {
+  if (item.examinees < MIN_ITEM_RESPONSES || item.discriminationIndex === null) return [];
+
+  const flags = [];
+  const keyUpperShare = Math.min(...item.choices
+    .filter(c => c.isKey)
+    .map(c => c.upperShare ?? 0));
+  const strongDistractor = item.choices.some(c => !c.isKey && (c.upperShare ?? 0) > keyUpperShare);
+  const risingDistractor = item.choices.some(c => !c.isKey && (c.discrimination ?? 0) > 0);
+
+  // Strong students prefer a wrong answer, or do worse than weak ones while a
+  // wrong answer draws them in: the key (or the question) is probably wrong
+  if ((item.choices.some(c => c.isKey) && strongDistractor) ||
+    (item.discriminationIndex < 0 && risingDistractor)) {
+    flags.push('possible_wrong_key');
+  }
+
+  if (item.discriminationIndex < 0) flags.push('negative_discrimination');
+  else if (item.discriminationIndex < ITEM_THRESHOLDS.lowDiscrimination) flags.push('low_discrimination');
+
+  if (item.difficultyIndex >= ITEM_THRESHOLDS.tooEasy) flags.push('too_easy');
+  if (item.difficultyIndex <= ITEM_THRESHOLDS.tooHard) flags.push('too_hard');
+
+  if (item.choices.some(c => !c.isKey && c.optionId && c.share < ITEM_THRESHOLDS.nonFunctioningDistractor)) {
+    flags.push('non_functioning_distractors');
+  }
+
+  return flags;
+};
+
+/**
+ * Statistics for one question
+ * @param {object} params
+ * @param {object} params.question - { question_id, question_type, numerical_answer }
+ * @param {Array} params.options - question_options rows (option_id, option_order, is_correct)
+ * @param {Array<{ answer: object|undefined, status: string, group: string|undefined }>} params.responses -
+ *   One per examinee: their attempt_answers row, graded status and score group
+ * @returns {object}
+ */
+export const analyzeItem = ({ question, options, responses }) => {
+  const questionType = question.question_type;
+  const numerical = isNumericalType(questionType);
+  const examinees = responses.length;
+  const upper = responses.filter(r => r.group === 'upper');
+  const lower = responses.filter(r => r.group === 'lower');
+  const count = (list, status) => list.filter(r => r.status === status).length;
+
+  const upperCorrect = share(count(upper, 'correct'), upper.length);
+  const lowerCorrect = share(count(lower, 'correct'), lower.length);
+
+  // Per-choice counts for the whole cohort and each group
+  const tally = (list) => {
+    const counts = new Map();
+    for (const r of list) {
+      for (const choice of getAnswerChoices(questionType, r.answer)) {
+        counts.set(choice, (counts.get(choice) || 0) + 1);
+      }
+    }
+    return counts;
+  };
+  const allCounts = tally(responses);
+  const upperCounts = tally(upper);
+  const lowerCounts = tally(lower);
+
+  const describeChoice = (key, base) => {
+    const upperShare = share(upperCounts.get(key) || 0, upper.length);
+    const lowerShare = share(lowerCounts.get(key) || 0, lower.length);
+    return {
+      ...base,
+      count: allCounts.get(key) || 0,
+      share: round(share(allCounts.get(key) || 0, examinees) ?? 0, 3),
+      upperShare: round(upperShare, 3),
+      lowerShare: round(lowerShare, 3),
+      discrimination: upperShare === null || lowerShare === null ? null : round(upperShare - lowerShare, 3)
+    };
+  };
+
+  let choices;
+  if (numerical) {
+    // Most common typed values; the key is judged by grading, not by exact match
+    const values = [...allCounts.keys()]
+      .sort((a, b) => allCounts.get(b) - allCounts.get(a))
+      .slice(0, 5);
+    choices = values.map(value => {
+      const isKey = responses.some(r =>
+        r.status === 'correct' && getAnswerChoices(questionType, r.answer)[0] === value);
+      return describeChoice(value, { value: Number(value), isKey });
+    });
+  } else {
+    choices = [...options]
+      .sort((a, b) => (a.option_order || 0) - (b.option_order || 0))
+      .map((opt, index) => describeChoice(opt.option_id, {
+        optionId: opt.option_id,
+        label: String.fromCharCode(65 + index),
+        isKey: !!opt.is_correct
+      }));
+  }
+
+  const timed = responses
+    .map(r => Number(r.answer?.time_spent_seconds || 0))
+    .filter(seconds => seconds > 0);
+
+  const item = {
+    questionId: question.question_id,
+    questionType: questionType || 'mcq',
+    examinees,
+    attempted: responses.filter(r => r.answer && hasResponse(r.answer)).length,
+    correct: count(responses, 'correct'),
+    partial: count(responses, 'partial'),
+    incorrect: count(responses, 'incorrect'),
+    unattempted: count(responses, 'unattempted'),
+    difficultyIndex: round(share(count(responses, 'correct'), examinees), 3),
+    percentCorrect: round((share(count(responses, 'correct'), examinees) ?? 0) * 100),
+    discriminationIndex: upperCorrect === null || lowerCorrect === null
+      ? null
+      : round(upperCorrect - lowerCorrect, 3),
+    groupSize: upper.length,
+    averageTimeSeconds: timed.length > 0
+      ? Math.round(timed.reduce((sum, s) => sum + s, 0) / timed.length)
+      : null,
+    timedResponses: timed.length,
+    choices
+  };
+
+  return { ...item, flags: getItemFlags(item) };
+};
+
+/**
+ * Fetch attempt_answers for many attempts in pages
+ */
+const loadAnswersForAttempts = async (attemptIds, questionIds = null) => {
+  const PAGE_SIZE = 1000;
+  const CHUNK_SIZE = 200;
+  const answers = [];
+
+  for (let i = 0; i < attemptIds.length; i += CHUNK_SIZE) {
+    const chunk = attemptIds.slice(i, i + CHUNK_SIZE);
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('attempt_answers')
+        .select('attempt_id, question_id, selected_option_id, selected_option_ids, numeric_response, time_spent_seconds')
+        .in('attempt_id', chunk)
+        .order('answer_id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (questionIds) query = query.in('question_id', questionIds);
+
+      const { data: page, error } = await query;
+      if (error) throw error;
+      answers.push(...(page || []));
+      if (!page || page.length < PAGE_SIZE) break;
+    }
+  }
+
+  return answers;
+};
+
+/**
+ * Grade a test's completed attempts and collect every examinee's response per question
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<{ context: object, examinees: number, responsesByQuestion: Map<number, Array> }>}
+ */
+export const loadTestResponses = async (testId) => {
+  const context = await loadGradingContext(testId);
+
+  const PAGE_SIZE = 1000;
+  const attemptIds = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .from('test_attempts')
+      .select('attempt_id')
+      .eq('test_id', testId)
+      .eq('attempt_status', 'completed')
+      .order('attempt_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    attemptIds.push(...(page || []).map(a => a.attempt_id));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+  const answers = await loadAnswersForAttempts(attemptIds);
+  const answersByAttempt = new Map(attemptIds.map(id => [id, []]));
+  for (const answer of answers) answersByAttempt.get(answer.attempt_id)?.push(answer);
+
+  // Dropped questions still get statistics (they're usually the ones under review),
+  // so statuses come from grading without decisions; scores keep them
+  const hasDrops = [...context.decisions.values()].includes('drop');
+  const statusContext = hasDrops ? { ...context, decisions: new Map() } : context;
+
+  // Rank on today's key so a corrected key also corrects the groups
+  const graded = attemptIds.map(attemptId => {
+    const attemptAnswers = answersByAttempt.get(attemptId);
+    const result = gradeAnswers(context, attemptAnswers);
+    const statusResult = hasDrops ? gradeAnswers(statusContext, attemptAnswers) : result;
+    return {
+      attemptId,
+      score: result.totalObtained,
+      answers: new Map(attemptAnswers.map(a => [a.question_id, a])),
+      statuses: new Map(statusResult.perQuestionResults.map(r => [r.questionId, r.status]))
+    };
+  });
+  const groups = splitScoreGroups(graded);
+
+  const responsesByQuestion = new Map(context.allQuestionIds.map(qid => [qid, []]));
+  for (const attempt of graded) {
+    for (const qid of context.allQuestionIds) {
+      responsesByQuestion.get(qid).push({
+        answer: attempt.answers.get(qid),
+        status: attempt.statuses.get(qid),
+        group: groups.get(attempt.attemptId)
+      });
+    }
+  }
+
+  return { context, examinees: graded.length, responsesByQuestion };
+};
+
+/**
+ * Load the rows analyzeItem needs for some questions
+ * @param {number[]} questionIds
+ * @returns {Promise<{ questionsById: Map, optionsByQuestion: Map }>}
+ */
+export const loadItemQuestions = async (questionIds) => {
+  const questionsById = new Map();
+  const optionsByQuestion = new Map(questionIds.map(id => [id, []]));
+  if (questionIds.length === 0) return { questionsById, optionsByQuestion };
+
+  const { data: questions, error } = await supabase
+    .from('questions')
+    .select('question_id, question_text, question_type, difficulty_level, metadata, numerical_answer')
+    .in('question_id', questionIds);
+
+  if (error) throw error;
+  for (const q of questions || []) questionsById.set(q.question_id, q);
+
+  const { data: options = [] } = await supabase
+    .from('question_options')
+    .select('option_id, question_id, option_text, option_order, is_correct')
+    .in('question_id', questionIds);
+
+  for (const opt of options || []) optionsByQuestion.get(opt.question_id)?.push(opt);
+
+  return { questionsById, optionsByQuestion };
+};
@@ -0,0 +1,93 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Leaderboard Service - per-test ranks and percentiles
+ * Ranks are rebuilt in Postgres (recompute_test_leaderboard) so concurrent
+ * submissions to the same test are serialized and never see half a ranking.
+ * A rebuild is a full pass over the test's attempts, so submits go through
+ * scheduleLeaderboardRecompute, which coalesces them per test.
+ */
+
+export const LEADERBOARD_MODES = ['first', 'best'];
+
+/**
+ * Rebuild a test's leaderboard from its completed attempts
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<number|null>} Number of ranked students, or null on failure
+ */
+export const recomputeTestLeaderboard = async (testId) => {
+  const { data, error } = await supabase
+    .rpc('recompute_test_leaderboard', { p_test_id: testId });
+
+  if (error) {
+    console.error('recomputeTestLeaderboard error:', error);
+    return null;
+  }
+  return data;
+};
+
+// test_id -> { current, queued } for rebuilds started by this process
+const recomputeQueue = new Map();
+
+const runRecompute = (testId) => {
+  const entry = { current: null, queued: null };
+  recomputeQueue.set(testId, entry);
+  entry.current = recomputeTestLeaderboard(testId).finally(() => {
+    if (recomputeQueue.get(testId) === entry) recomputeQueue.delete(testId);
+  });
+  return entry.current;
+};
+
+/**
+ * Rebuild a test's leaderboard after a submission, coalescing concurrent calls
+ * While a rebuild is running, every caller shares a single rebuild queued
+ * behind it, so a burst of submits costs two rebuilds instead of one each.
+ * The returned promise settles once a rebuild that started after the call
+ * has finished, so the caller's attempt is always included.
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<number|null>} Number of ranked students, or null on failure
+ */
+export const scheduleLeaderboardRecompute = (testId) => {
+  const entry = recomputeQueue.get(testId);
+  if (!entry) return runRecompute(testId);
+
+  if (!entry.queued) {
+    entry.queued = entry.current.then(() => runRecompute(testId));
+  }
+  return entry.queued;
+};
+
+/**
+ * Shape a leaderboards row for API responses
+ * @param {object} row - leaderboards row
+ * @returns {object}
+ */
+export const formatLeaderboardEntry = (row) => ({
+  rank: row.rank_position,
+  userId: row.user_id,
+  attemptId: row.attempt_id,
+  score: Number(row.score || 0),
+  percentage: row.percentage != null ? Number(row.percentage) : null,
+  percentile: row.percentile != null ? Number(row.percentile) : null,
+  completionTimeSeconds: row.completion_time_seconds,
+  totalParticipants: row.total_participants,
+  attemptDate: row.attempt_date,
+});
+
+/**
+ * Get a student's current leaderboard entry for a test
+ * @param {number} testId - tests.test_id
+ * @param {number} userId - users.user_id
+ * @returns {Promise<object|null>} Formatted entry, or null when not ranked
+ */
+export const getUserStanding = async (testId, userId) => {
+  const { data: row } = await supabase
+    .from('leaderboards')
+    .select('*')
+    .eq('test_id', testId)
+    .eq('user_id', userId)
+    .limit(1)
+    .single();
+
+  return row ? formatLeaderboardEntry(row) : null;
+};
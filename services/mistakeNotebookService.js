@@ -0,0 +1,130 @@
+import { supabase } from '../config/supabase.js';
+import { hasResponse } from './gradingService.js';
+
+/**
+ * Mistake Notebook Service - notebook entries and SM-2 scheduling
+ * Submitted attempts add the questions a student got wrong (or partly right)
+ * and the ones they opened but left unanswered. Reviews are scheduled with
+ * SM-2: a failed review brings the question back tomorrow, successful ones
+ * push it out by a growing interval scaled by the entry's ease factor.
+ */
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+// Entries reviewed successfully at this spacing count as mastered
+export const MASTERED_INTERVAL_DAYS = 21;
+
+export const DEFAULT_REVISION_SIZE = 10;
+export const MAX_REVISION_SIZE = 50;
+
+/**
+ * SM-2 response quality (0-5) for a review
+ * @param {string} status - 'correct' | 'partial' | 'incorrect' | 'skipped'
+ * @param {string} [confidence] - 'low' | 'high', as reported by the student on a correct answer
+ * @returns {number}
+ */
+export const getReviewQuality = (status, confidence) => {
+  if (status === 'correct') {
+    if (confidence === 'high') return 5;
+    if (confidence === 'low') return 3;
+    return 4;
+  }
+  if (status === 'partial') return 2;
+  if (status === 'incorrect') return 1;
+  return 0;
+};
+
+/**
+ * Apply one review to an entry's SM-2 state
+ * @param {{ easeFactor: number, intervalDays: number, repetitions: number }} state
+ * @param {number} quality - 0-5
+ * @param {Date} [now]
+ * @returns {{ easeFactor: number, intervalDays: number, repetitions: number, dueAt: string }}
+ */
+export const scheduleReview = (state, quality, now = new Date()) => {
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    Number((state.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))).toFixed(2))
+  );
+
+  let repetitions;
+  let intervalDays;
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions = state.repetitions + 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(Math.max(state.intervalDays, 1) * state.easeFactor);
+  }
+
+  const dueAt = new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000);
+  return { easeFactor, intervalDays, repetitions, dueAt: dueAt.toISOString() };
+};
+
+/**
+ * Questions from a graded attempt that belong in the notebook
+ * @param {Array} answers - attempt_answers rows
+ * @param {Array} perQuestionResults - From gradeAnswers
+ * @returns {Array<{ question_id: number, mistake_type: 'incorrect'|'skipped' }>}
+ */
+export const getAttemptMistakes = (answers, perQuestionResults) => {
+  const answersByQuestion = new Map(answers.map((a) => [a.question_id, a]));
+  const mistakes = [];
+  for (const result of perQuestionResults) {
+    const answer = answersByQuestion.get(result.questionId);
+    if (result.status === 'incorrect' || result.status === 'partial') {
+      mistakes.push({ question_id: result.questionId, mistake_type: 'incorrect' });
+    } else if (result.status === 'unattempted' && answer && !hasResponse(answer)) {
+      // Opened but left unanswered; never-visited questions and answers beyond a
+      // section's attempt limit are left out
+      mistakes.push({ question_id: result.questionId, mistake_type: 'skipped' });
+    }
+  }
+  return mistakes;
+};
+
+/**
+ * Add an attempt's mistakes to the student's notebook
+ * Errors are logged rather than thrown so submission never fails on the notebook.
+ * @param {object} attempt - test_attempts row (attempt_id, user_id)
+ * @param {Array} answers - attempt_answers rows
+ * @param {Array} perQuestionResults - From gradeAnswers
+ */
+export const recordAttemptMistakes = async (attempt, answers, perQuestionResults) => {
+  const mistakes = getAttemptMistakes(answers, perQuestionResults);
+  if (mistakes.length === 0) return;
+
+  const { error } = await supabase.rpc('record_notebook_mistakes', {
+    p_user_id: attempt.user_id,
+    p_attempt_id: attempt.attempt_id,
+    p_mistakes: mistakes
+  });
+  if (error) console.error('Error recording notebook mistakes', error);
+};
+
+/**
+ * Shape a notebook_entries row for API responses
+ * @param {object} entry - notebook_entries row
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export const formatNotebookEntry = (entry, now = new Date()) => ({
+  entryId: entry.entry_id,
+  questionId: entry.question_id,
+  isBookmarked: entry.is_bookmarked,
+  lastMistakeType: entry.last_mistake_type,
+  lastAttemptId: entry.last_attempt_id,
+  mistakeCount: entry.mistake_count,
+  note: entry.note,
+  reviewCount: entry.review_count,
+  lastReviewedAt: entry.last_reviewed_at,
+  intervalDays: entry.interval_days,
+  easeFactor: Number(entry.ease_factor),
+  dueAt: entry.due_at,
+  isDue: new Date(entry.due_at) <= now,
+  mastered: entry.interval_days >= MASTERED_INTERVAL_DAYS,
+  createdAt: entry.created_at
+});
@@ -0,0 +1,324 @@
+import PDFDocument from 'pdfkit';
+import { parse as parseCsv } from 'csv-parse/sync';
+import {
+  isNumericalType,
+  isMultipleCorrectType,
+  parseNumericResponse
+} from './gradingService.js';
+
+/**
+ * OMR Service - answer sheets and scanned results for offline tests
+ * Question numbers on the sheet follow test_questions order (the same
+ * numbering as the printed paper), and options are lettered A, B, C...
+ * in option_order. Students identify themselves by bubbling the roll
+ * number assigned to them for the test (test_roll_numbers).
+ *
+ * Scanned results arrive either as a CSV export from OMR software or as
+ * JSON produced by processing the marked images locally:
+ *   CSV:  roll_number, Q1, Q2, ... (or 1, 2, ...); email/student_id may
+ *         replace roll_number
+ *   JSON: [{ rollNumber, responses: { "1": "B", "2": "AC", "3": "42" } }]
+ */
+
+export const OMR_OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+export const DEFAULT_ROLL_DIGITS = 8;
+
+// Values OMR software writes for a blank question
+const BLANK_RESPONSES = ['', '-', '_', 'BLANK', 'NA', 'N/A'];
+// Values OMR software writes when several bubbles are marked on a single-answer question
+const MULTI_MARK_RESPONSES = ['*', 'MULTI', 'MULTIPLE'];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validate OMR sheet options from the query string
+ * @param {object} query - req.query
+ * @returns {{ options: object|null, error: string|null }}
+ */
+export const parseOmrSheetOptions = (query = {}) => {
+  const rollDigits = Number(query.rollDigits || DEFAULT_ROLL_DIGITS);
+  if (!Number.isInteger(rollDigits) || rollDigits < 4 || rollDigits > 12) {
+    return { options: null, error: 'rollDigits must be a whole number between 4 and 12' };
+  }
+
+  const accentColor = query.accentColor || '#c2185b';
+  if (!HEX_COLOR.test(accentColor)) {
+    return { options: null, error: 'accentColor must be a hex colour like #c2185b' };
+  }
+
+  return {
+    options: {
+      rollDigits,
+      accentColor,
+      instituteName: query.instituteName || null
+    },
+    error: null
+  };
+};
+
+/**
+ * Render a blank OMR answer sheet as a PDF
+ * @param {object} params
+ * @param {object} params.test - tests row
+ * @param {Array} params.questions - From loadTestQuestions (in question order)
+ * @param {object} params.options - From parseOmrSheetOptions
+ * @returns {Promise<Buffer>}
+ */
+export const renderOmrSheet = ({ test, questions, options }) => {
+  const { rollDigits, accentColor, instituteName } = options;
+  const doc = new PDFDocument({ size: 'A4', margin: 36 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const radius = 5;
+  const step = 15;
+
+  // Timing marks in the corners so scanners can align the sheet
+  const drawTimingMarks = () => {
+    doc.fillColor('#000000');
+    [[12, 12], [doc.page.width - 24, 12], [12, doc.page.height - 24], [doc.page.width - 24, doc.page.height - 24]]
+      .forEach(([x, y]) => doc.rect(x, y, 12, 12).fill());
+  };
+
+  const bubble = (x, y, label) => {
+    doc.circle(x, y, radius).lineWidth(0.7).strokeColor(accentColor).stroke();
+    doc.font('Helvetica').fontSize(5.5).fillColor(accentColor)
+      .text(label, x - radius, y - 2.5, { width: radius * 2, align: 'center', lineBreak: false });
+  };
+
+  drawTimingMarks();
+
+  // Header
+  doc.fillColor(accentColor);
+  if (instituteName) {
+    doc.font('Helvetica-Bold').fontSize(14).text(instituteName, left, top, { width, align: 'center' });
+  }
+  doc.font('Helvetica-Bold').fontSize(11).text(`${test.test_name} — OMR Answer Sheet`, left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(8).text(`Test ID: ${test.test_id}   |   Questions: ${questions.length}`, left, doc.y, { width, align: 'center' });
+
+  // Candidate details and roll number grid
+  const detailsTop = doc.y + 10;
+  doc.fontSize(9).fillColor('#111111')
+    .text('Candidate name: ________________________________', left, detailsTop)
+    .text('Centre: ______________________', left, detailsTop + 22)
+    .text('Candidate signature: ____________________', left, detailsTop + 44)
+    .text('Invigilator signature: ___________________', left, detailsTop + 66);
+
+  doc.fontSize(7).fillColor('#333333').text(
+    'Use a black or blue ball-point pen. Darken the bubble completely. ' +
+    'Do not mark more than one bubble for single-answer questions. ' +
+    'Write numerical answers in the box.',
+    left, detailsTop + 92, { width: width * 0.5 }
+  );
+
+  const rollLeft = left + width - rollDigits * step - 10;
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(accentColor).text('Roll Number', rollLeft, detailsTop, {
+    width: rollDigits * step,
+    align: 'center'
+  });
+  for (let d = 0; d < rollDigits; d++) {
+    const x = rollLeft + d * step;
+    doc.rect(x, detailsTop + 12, step, step).lineWidth(0.7).strokeColor(accentColor).stroke();
+    for (let digit = 0; digit <= 9; digit++) {
+      bubble(x + step / 2, detailsTop + 12 + step + 9 + digit * step, String(digit));
+    }
+  }
+
+  // Answer grid: columns of questions, continued on further pages
+  const optionCount = Math.max(4, ...questions.map(q => Math.min(q.options.length, OMR_OPTION_LABELS.length)));
+  const columnWidth = 24 + optionCount * step + 14;
+  const columnsPerPage = Math.floor(width / columnWidth);
+
+  let gridTop = detailsTop + 12 + step + 10 * step + 16;
+  let index = 0;
+
+  while (index < questions.length) {
+    const rowsPerColumn = Math.floor((bottom - gridTop - 10) / step);
+
+    for (let col = 0; col < columnsPerPage && index < questions.length; col++) {
+      const x = left + col * columnWidth;
+      doc.font('Helvetica-Bold').fontSize(6).fillColor(accentColor);
+      OMR_OPTION_LABELS.slice(0, optionCount).forEach((label, i) => {
+        doc.text(label, x + 24 + i * step, gridTop, { width: step, align: 'center', lineBreak: false });
+      });
+
+      for (let row = 0; row < rowsPerColumn && index < questions.length; row++, index++) {
+        const question = questions[index];
+        const y = gridTop + 12 + row * step;
+        doc.font('Helvetica-Bold').fontSize(7).fillColor('#111111')
+          .text(String(index + 1), x, y - 3, { width: 20, align: 'right', lineBreak: false });
+
+        if (isNumericalType(question.questionType)) {
+          doc.rect(x + 24, y - radius - 1, optionCount * step - 4, radius * 2 + 2)
+            .lineWidth(0.7).strokeColor(accentColor).stroke();
+        } else {
+          const count = Math.min(question.options.length, OMR_OPTION_LABELS.length);
+          for (let i = 0; i < count; i++) {
+            bubble(x + 24 + i * step + step / 2, y, OMR_OPTION_LABELS[i]);
+          }
+        }
+      }
+    }
+
+    if (index < questions.length) {
+      doc.addPage();
+      drawTimingMarks();
+      doc.font('Helvetica').fontSize(8).fillColor(accentColor)
+        .text(`${test.test_name} — OMR Answer Sheet (continued)   |   Roll number: ________________`, left, top, { width, align: 'center' });
+      gridTop = top + 24;
+    }
+  }
+
+  doc.end();
+  return finished;
+};
+
+const normalizeHeader = (header) =>
+  String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const ROLL_HEADERS = ['roll_number', 'roll_no', 'rollno', 'roll', 'roll_num'];
+
+/**
+ * Parse a CSV export from OMR software
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {{ sheets: Array, error: string|null }}
+ *   sheets: [{ rowNumber, rollNumber, email, studentId, responses: { [questionNumber]: raw } }]
+ */
+export const parseOmrCsv = (buffer) => {
+  let records;
+  try {
+    records = parseCsv(buffer, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+      relax_column_count: true,
+      info: true
+    });
+  } catch (error) {
+    return { sheets: [], error: `Could not read file: ${error.message}` };
+  }
+
+  const sheets = records.map(({ record, info }) => {
+    const sheet = { rowNumber: info.lines, rollNumber: null, email: null, studentId: null, responses: {} };
+    for (const [header, value] of Object.entries(record)) {
+      const key = normalizeHeader(header);
+      const questionMatch = key.match(/^(?:q|question|ques)?_?(\d+)$/);
+      if (questionMatch) sheet.responses[Number(questionMatch[1])] = value;
+      else if (ROLL_HEADERS.includes(key)) sheet.rollNumber = value || null;
+      else if (key === 'email') sheet.email = value ? value.toLowerCase() : null;
+      else if (key === 'student_id') sheet.studentId = value || null;
+    }
+    return sheet;
+  });
+
+  if (sheets.length > 0 && sheets.every(s => Object.keys(s.responses).length === 0)) {
+    return { sheets: [], error: 'No question columns found. Use headers like Q1, Q2, ... or 1, 2, ...' };
+  }
+  return { sheets, error: null };
+};
+
+/**
+ * Normalize sheets sent as JSON (from locally processed OMR images)
+ * @param {Array} input - req.body.sheets
+ * @returns {{ sheets: Array, error: string|null }}
+ */
+export const parseOmrJson = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { sheets: [], error: 'sheets must be a non-empty array' };
+  }
+  const sheets = input.map((sheet, idx) => ({
+    rowNumber: idx + 1,
+    rollNumber: sheet?.rollNumber != null ? String(sheet.rollNumber).trim() : null,
+    email: sheet?.email ? String(sheet.email).trim().toLowerCase() : null,
+    studentId: sheet?.studentId || null,
+    responses: sheet?.responses && typeof sheet.responses === 'object' ? sheet.responses : {}
+  }));
+  return { sheets, error: null };
+};
+
+const parseLetters = (text) =>
+  text.split(/[\s,;|/&]+|(?<=[A-F])(?=[A-F])/).filter(Boolean);
+
+/**
+ * Turn one scanned response into an autosave-style answer row
+ * @param {*} raw - Value from the sheet ("B", "AC", "A,C", "42", "*", "")
+ * @param {object} question - From loadTestQuestions
+ * @returns {{ answer: object|null, warning: string|null }} answer is null for blank/unusable responses
+ */
+export const parseSheetResponse = (raw, question) => {
+  const text = String(raw ?? '').trim().toUpperCase();
+  if (BLANK_RESPONSES.includes(text)) return { answer: null, warning: null };
+
+  const base = { question_id: question.questionId, has_answer: true, time_spent_seconds: 0 };
+
+  if (isNumericalType(question.questionType)) {
+    const value = parseNumericResponse(text);
+    if (value === null) return { answer: null, warning: `"${raw}" is not a number` };
+    return {
+      answer: { ...base, selected_option_id: null, selected_option_ids: null, numeric_response: value, answer_text: null },
+      warning: null
+    };
+  }
+
+  if (MULTI_MARK_RESPONSES.includes(text)) {
+    return { answer: null, warning: 'multiple bubbles marked; treated as unanswered' };
+  }
+
+  // Accept letters (A-F) or option numbers (1-6)
+  const letters = /^[1-6](\s*[,;|/&\s]\s*[1-6])*$/.test(text)
+    ? text.split(/[\s,;|/&]+/).map(n => OMR_OPTION_LABELS[Number(n) - 1])
+    : parseLetters(text);
+  const optionIds = [];
+  for (const letter of letters) {
+    const option = question.options[OMR_OPTION_LABELS.indexOf(letter)];
+    if (!option) return { answer: null, warning: `"${raw}" is not a valid option` };
+    if (!optionIds.includes(option.optionId)) optionIds.push(option.optionId);
+  }
+
+  if (isMultipleCorrectType(question.questionType)) {
+    return {
+      answer: { ...base, selected_option_id: null, selected_option_ids: optionIds, numeric_response: null, answer_text: null },
+      warning: null
+    };
+  }
+
+  if (optionIds.length > 1) {
+    return { answer: null, warning: 'multiple bubbles marked; treated as unanswered' };
+  }
+  return {
+    answer: { ...base, selected_option_id: optionIds[0], selected_option_ids: null, numeric_response: null, answer_text: null },
+    warning: null
+  };
+};
+
+/**
+ * Build answer rows for a whole sheet
+ * @param {object} sheet - From parseOmrCsv / parseOmrJson
+ * @param {Array} questions - From loadTestQuestions (index + 1 = sheet question number)
+ * @returns {{ answers: Array, warnings: string[] }}
+ */
+export const buildSheetAnswers = (sheet, questions) => {
+  const answers = [];
+  const warnings = [];
+  for (const [key, raw] of Object.entries(sheet.responses)) {
+    const number = Number(key);
+    const question = questions[number - 1];
+    if (!question) {
+      if (String(raw ?? '').trim() !== '') warnings.push(`Q${key}: no such question on this test`);
+      continue;
+    }
+    const { answer, warning } = parseSheetResponse(raw, question);
+    if (warning) warnings.push(`Q${number}: ${warning}`);
+    if (answer) answers.push(answer);
+  }
+  return { answers, warnings };
+};
@@ -0,0 +1,521 @@
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { supabase } from '../config/supabase.js';
+import { isNumericalType } from './gradingService.js';
+import { renderRichTextHtml, renderRichTextPlain } from './richContentService.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Paper Export Service - printable question papers and answer keys
+ * Coaching centres run the same tests offline, so a test can be rendered
+ * as HTML (print from the browser) or PDF, with institute branding and a
+ * one- or two-column layout. The answer key is a separate document so the
+ * paper can be handed out without it.
+ *
+ * Formulae are rendered as MathML in HTML; PDFs get a Unicode text
+ * approximation (H₂SO₄, x², α). The built-in PDF font (Helvetica) only
+ * covers Latin-1; set PAPER_FONT_PATH to a TTF with wider coverage (Greek
+ * letters, sub/superscripts) if needed.
+ */
+
+export const EXPORT_FORMATS = ['pdf', 'html'];
+export const EXPORT_DOCUMENTS = ['paper', 'answer-key'];
+
+const PAPER_FONT_PATH = process.env.PAPER_FONT_PATH || null;
+const OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validate export options from the query string
+ * @param {object} query - req.query
+ * @returns {{ options: object|null, error: string|null }}
+ */
+export const parseExportOptions = (query = {}) => {
+  const format = String(query.format || 'pdf').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { options: null, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const document = String(query.document || 'paper').toLowerCase();
+  if (!EXPORT_DOCUMENTS.includes(document)) {
+    return { options: null, error: `document must be one of: ${EXPORT_DOCUMENTS.join(', ')}` };
+  }
+
+  const columns = Number(query.columns || 1);
+  if (![1, 2].includes(columns)) {
+    return { options: null, error: 'columns must be 1 or 2' };
+  }
+
+  const accentColor = query.accentColor || '#1f2937';
+  if (!HEX_COLOR.test(accentColor)) {
+    return { options: null, error: 'accentColor must be a hex colour like #1f2937' };
+  }
+
+  if (query.logoUrl && !/^https?:\/\//i.test(query.logoUrl)) {
+    return { options: null, error: 'logoUrl must be an http(s) URL' };
+  }
+
+  return {
+    options: {
+      format,
+      document,
+      columns,
+      branding: {
+        instituteName: query.instituteName || null,
+        logoUrl: query.logoUrl || null,
+        headerText: query.headerText || null,
+        footerText: query.footerText || null,
+        accentColor
+      }
+    },
+    error: null
+  };
+};
+
+/**
+ * Load image media for questions as public URLs
+ * Option images are included with their optionId (null for question-level images).
+ * @param {number[]} questionIds - questions.question_id values
+ * @returns {Promise<Map<number, Array<{ url: string, fileName: string, optionId: number|null }>>>}
+ */
+export const loadQuestionImages = async (questionIds) => {
+  const mediaMap = new Map();
+  if (questionIds.length === 0) return mediaMap;
+
+  const { data: mediaRows, error } = await supabase
+    .from('question_media')
+    .select('media_id, question_id, option_id, file_path, media_type, file_name')
+    .in('question_id', questionIds)
+    .order('media_id');
+
+  if (error) throw error;
+
+  for (const m of mediaRows || []) {
+    if (!m.file_path || (m.media_type && m.media_type !== 'image')) continue;
+
+    const { data: urlData } = supabase
+      .storage
+      .from('question-images')
+      .getPublicUrl(m.file_path);
+
+    if (!urlData?.publicUrl) continue;
+    if (!mediaMap.has(m.question_id)) mediaMap.set(m.question_id, []);
+    mediaMap.get(m.question_id).push({
+      url: urlData.publicUrl,
+      fileName: m.file_name,
+      optionId: m.option_id || null
+    });
+  }
+  return mediaMap;
+};
+
+/**
+ * Human-readable correct answer for the answer key
+ * @param {object} question - From loadTestQuestions
+ * @returns {string}
+ */
+export const formatCorrectAnswer = (question) => {
+  if (isNumericalType(question.questionType)) {
+    const key = question.numericalAnswer;
+    if (!key) return '—';
+    if (key.value !== undefined && key.value !== null) {
+      return Number(key.tolerance) > 0 ? `${key.value} ± ${key.tolerance}` : String(key.value);
+    }
+    return `${key.min} to ${key.max}`;
+  }
+
+  const labels = question.options
+    .map((opt, idx) => (opt.isCorrect ? OPTION_LABELS[idx] || String(idx + 1) : null))
+    .filter(Boolean);
+  return labels.length > 0 ? labels.join(', ') : '—';
+};
+
+/**
+ * Group questions under their section headings (one unnamed group when unsectioned)
+ * Questions are numbered 1..n across the whole paper.
+ */
+const groupBySection = (questions, sections) => {
+  const sectionNames = new Map(sections.map(s => [s.sectionId, s]));
+  const groups = [];
+  questions.forEach((question, idx) => {
+    const section = sectionNames.get(question.sectionId) || null;
+    let group = groups[groups.length - 1];
+    if (!group || group.section !== section) {
+      group = { section, questions: [] };
+      groups.push(group);
+    }
+    group.questions.push({ ...question, number: idx + 1 });
+  });
+  return groups;
+};
+
+const describeSection = (section) => {
+  const notes = [];
+  if (section.maxAttempts) notes.push(`attempt any ${section.maxAttempts} of ${section.questionIds.length}`);
+  if (section.durationMinutes) notes.push(`${section.durationMinutes} minutes`);
+  return notes.length > 0 ? `${section.name} (${notes.join(', ')})` : section.name;
+};
+
+const formatMarks = (question) =>
+  Number(question.negativeMarks) > 0
+    ? `+${question.marks} / -${question.negativeMarks}`
+    : `+${question.marks}`;
+
+const getPaperTitle = (test, document) =>
+  document === 'answer-key' ? `${test.test_name} — Answer Key` : test.test_name;
+
+const getTestSummary = (test, questions) => {
+  const totalMarks = test.total_marks ??
+    questions.reduce((sum, q) => sum + Number(q.marks || 0), 0);
+  const parts = [`Questions: ${questions.length}`, `Maximum marks: ${totalMarks}`];
+  if (test.duration_minutes) parts.unshift(`Time: ${test.duration_minutes} minutes`);
+  return parts.join('   |   ');
+};
+
+const multiline = (value) => escapeHtml(value).replace(/\r?\n/g, '<br>');
+
+/**
+ * Render a paper or answer key as a standalone HTML document
+ * @param {object} params
+ * @param {object} params.test - tests row
+ * @param {Array} params.questions - From loadTestQuestions
+ * @param {Array} params.sections - From loadTestSections
+ * @param {Map} params.images - From loadQuestionImages
+ * @param {object} params.options - From parseExportOptions
+ * @returns {string}
+ */
+export const renderPaperHtml = ({ test, questions, sections, images, options }) => {
+  const { document, columns, branding } = options;
+  const groups = groupBySection(questions, sections);
+
+  const imageTags = (list) => list
+    .map(img => `<img src="${escapeHtml(img.url)}" alt="${escapeHtml(img.fileName || '')}">`)
+    .join('');
+
+  const renderQuestion = (question) => {
+    const questionImages = images.get(question.questionId) || [];
+    const imageHtml = imageTags(questionImages.filter(img => !img.optionId));
+
+    if (document === 'answer-key') {
+      return `
+      <div class="question">
+        <div class="q-head"><span class="q-num">${question.number}.</span>
+          <span class="answer">Answer: ${escapeHtml(formatCorrectAnswer(question))}</span></div>
+        ${question.explanation ? `<div class="explanation">${renderRichTextHtml(question.explanation)}</div>` : ''}
+      </div>`;
+    }
+
+    const optionHtml = isNumericalType(question.questionType)
+      ? '<div class="numeric-box">Answer: ____________</div>'
+      : `<ol class="options">${question.options
+        .map((opt, idx) => {
+          const optionImages = imageTags(questionImages.filter(img => img.optionId === opt.optionId));
+          return `<li><span class="opt-label">(${OPTION_LABELS[idx] || idx + 1})</span> ${renderRichTextHtml(opt.text)}${optionImages ? `<div class="opt-images">${optionImages}</div>` : ''}</li>`;
+        })
+        .join('')}</ol>`;
+
+    return `
+      <div class="question">
+        <div class="q-head"><span class="q-num">${question.number}.</span>
+          <span class="q-marks">[${escapeHtml(formatMarks(question))}]</span></div>
+        <div class="q-text">${renderRichTextHtml(question.questionText)}</div>
+        ${imageHtml ? `<div class="q-images">${imageHtml}</div>` : ''}
+        ${optionHtml}
+      </div>`;
+  };
+
+  const body = groups.map(group => `
+    ${group.section ? `<h2 class="section">${escapeHtml(describeSection(group.section))}</h2>` : ''}
+    <div class="questions">${group.questions.map(renderQuestion).join('')}</div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(getPaperTitle(test, document))}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: "Times New Roman", serif; font-size: 11pt; color: #111; margin: 0; }
+  header { border-bottom: 2px solid ${branding.accentColor}; padding-bottom: 8px; margin-bottom: 12px; text-align: center; }
+  header img.logo { max-height: 60px; }
+  .institute { font-size: 18pt; font-weight: bold; color: ${branding.accentColor}; }
+  .header-text { font-size: 10pt; }
+  h1 { font-size: 14pt; margin: 6px 0 2px; }
+  .summary { font-size: 10pt; }
+  h2.section { font-size: 12pt; color: ${branding.accentColor}; border-bottom: 1px solid #ccc; column-span: all; }
+  .questions { column-count: ${columns}; column-gap: 10mm; ${columns === 2 ? 'column-rule: 1px solid #ccc;' : ''} }
+  .question { break-inside: avoid; page-break-inside: avoid; margin-bottom: 10px; }
+  .q-head { font-weight: bold; }
+  .q-marks { float: right; font-weight: normal; font-size: 9pt; }
+  .q-images img { max-width: 100%; margin: 4px 0; }
+  .opt-images img { max-width: 60%; max-height: 120px; margin: 2px 0 2px 22px; }
+  ol.options { list-style: none; padding-left: 14px; margin: 4px 0; }
+  .opt-label { font-weight: bold; }
+  .answer { margin-left: 4px; }
+  .explanation { font-size: 10pt; margin: 2px 0 0 14px; color: #333; }
+  footer { margin-top: 16px; border-top: 1px solid #ccc; font-size: 9pt; text-align: center; }
+</style>
+</head>
+<body>
+<header>
+  ${branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="">` : ''}
+  ${branding.instituteName ? `<div class="institute">${escapeHtml(branding.instituteName)}</div>` : ''}
+  ${branding.headerText ? `<div class="header-text">${multiline(branding.headerText)}</div>` : ''}
+  <h1>${escapeHtml(getPaperTitle(test, document))}</h1>
+  <div class="summary">${escapeHtml(getTestSummary(test, questions))}</div>
+</header>
+${body}
+${branding.footerText ? `<footer>${multiline(branding.footerText)}</footer>` : ''}
+</body>
+</html>`;
+};
+
+// Images come from storage and the admin-supplied logo URL; a slow or huge
+// response shouldn't hold up the export
+const IMAGE_FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Fetch an image for embedding in a PDF (PDFKit supports PNG and JPEG only)
+ * @returns {Promise<Buffer|null>} null when the image can't be fetched or embedded,
+ *   takes longer than IMAGE_FETCH_TIMEOUT_MS or is larger than MAX_IMAGE_BYTES
+ */
+const fetchImage = async (url) => {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok || !response.body) return null;
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+      await response.body.cancel();
+      return null;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_IMAGE_BYTES) {
+        console.error('Paper export: image too large', url);
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    const buffer = Buffer.concat(chunks);
+    const isPng = buffer.subarray(0, 4).toString('hex') === '89504e47';
+    const isJpeg = buffer.subarray(0, 2).toString('hex') === 'ffd8';
+    return isPng || isJpeg ? buffer : null;
+  } catch (error) {
+    console.error('Paper export: failed to fetch image', url, error.message);
+    return null;
+  }
+};
+
+/**
+ * Render a paper or answer key as a PDF
+ * Two-column layout flows questions down the left column, then the right,
+ * then onto a new page; a question is never split across columns.
+ * @param {object} params - Same as renderPaperHtml
+ * @returns {Promise<Buffer>}
+ */
+export const renderPaperPdf = async ({ test, questions, sections, images, options }) => {
+  const { document, columns, branding } = options;
+  const groups = groupBySection(questions, sections);
+
+  // Fetch images up front so layout can measure them
+  const imageBuffers = new Map();
+  if (document === 'paper') {
+    for (const [questionId, list] of images.entries()) {
+      const buffers = [];
+      for (const img of list) {
+        const buffer = await fetchImage(img.url);
+        if (buffer) buffers.push({ buffer, optionId: img.optionId || null });
+      }
+      imageBuffers.set(questionId, buffers);
+    }
+  }
+  const logo = branding.logoUrl ? await fetchImage(branding.logoUrl) : null;
+
+  const doc = new PDFDocument({ size: 'A4', margin: 42, bufferPages: true });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const regular = PAPER_FONT_PATH && fs.existsSync(PAPER_FONT_PATH) ? PAPER_FONT_PATH : 'Helvetica';
+  const bold = regular === 'Helvetica' ? 'Helvetica-Bold' : regular;
+
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const contentWidth = doc.page.width - left - doc.page.margins.right;
+  // Leave room for the footer line
+  const bottom = doc.page.height - doc.page.margins.bottom - 14;
+  const gutter = 18;
+  const columnWidth = columns === 2 ? (contentWidth - gutter) / 2 : contentWidth;
+
+  // Header (first page only)
+  if (logo) {
+    doc.image(logo, left + contentWidth / 2 - 30, top, { fit: [60, 45] });
+    doc.y = top + 50;
+  }
+  doc.fillColor(branding.accentColor);
+  if (branding.instituteName) {
+    doc.font(bold).fontSize(16).text(branding.instituteName, left, doc.y, { width: contentWidth, align: 'center' });
+  }
+  doc.fillColor('#111111');
+  if (branding.headerText) {
+    doc.font(regular).fontSize(9).text(branding.headerText, left, doc.y, { width: contentWidth, align: 'center' });
+  }
+  doc.moveDown(0.3);
+  doc.font(bold).fontSize(13).text(getPaperTitle(test, document), left, doc.y, { width: contentWidth, align: 'center' });
+  doc.font(regular).fontSize(9).text(getTestSummary(test, questions), left, doc.y, { width: contentWidth, align: 'center' });
+  doc.moveDown(0.4);
+  doc.moveTo(left, doc.y).lineTo(left + contentWidth, doc.y).lineWidth(1.5).strokeColor(branding.accentColor).stroke();
+
+  let columnIndex = 0;
+  let columnTop = doc.y + 8;
+  let y = columnTop;
+
+  const columnX = () => left + columnIndex * (columnWidth + gutter);
+
+  const nextColumn = () => {
+    if (columns === 2 && columnIndex === 0) {
+      columnIndex = 1;
+    } else {
+      doc.addPage();
+      columnIndex = 0;
+      columnTop = top;
+    }
+    y = columnTop;
+  };
+
+  // Reserve vertical space for a block, moving to the next column/page when it doesn't fit
+  const reserve = (height) => {
+    if (y + height > bottom && y > columnTop) nextColumn();
+  };
+
+  const optionText = (opt, idx) => `(${OPTION_LABELS[idx] || idx + 1}) ${renderRichTextPlain(opt.text)}`;
+
+  const questionImages = (question) =>
+    (imageBuffers.get(question.questionId) || []).filter(img => !img.optionId).map(img => img.buffer);
+  const optionImages = (question, opt) =>
+    (imageBuffers.get(question.questionId) || []).filter(img => img.optionId === opt.optionId).map(img => img.buffer);
+
+  // Scaled height of an image drawn at most `width` wide and `maxHeight` tall
+  const imageHeight = (buffer, width, maxHeight) => {
+    const img = doc.openImage(buffer);
+    return Math.min(img.height * (width / img.width), maxHeight);
+  };
+
+  const measureQuestion = (question) => {
+    const width = columnWidth - 16;
+    doc.font(regular).fontSize(10);
+    if (document === 'answer-key') {
+      let height = doc.heightOfString(`Answer: ${formatCorrectAnswer(question)}`, { width }) + 8;
+      if (question.explanation) {
+        doc.fontSize(9);
+        height += doc.heightOfString(renderRichTextPlain(question.explanation), { width });
+      }
+      return height;
+    }
+
+    let height = doc.heightOfString(renderRichTextPlain(question.questionText), { width }) + 10;
+    for (const buffer of questionImages(question)) {
+      height += imageHeight(buffer, width, 220) + 4;
+    }
+    if (isNumericalType(question.questionType)) {
+      height += 16;
+    } else {
+      question.options.forEach((opt, idx) => {
+        height += doc.heightOfString(optionText(opt, idx), { width: width - 10 }) + 2;
+        for (const buffer of optionImages(question, opt)) {
+          height += imageHeight(buffer, width - 30, 90) + 2;
+        }
+      });
+    }
+    return height;
+  };
+
+  const drawQuestion = (question) => {
+    const x = columnX();
+    const width = columnWidth - 16;
+
+    doc.font(bold).fontSize(10).fillColor('#111111').text(`${question.number}.`, x, y, { width: 16 });
+
+    if (document === 'answer-key') {
+      doc.font(regular).fontSize(10)
+        .text(`Answer: ${formatCorrectAnswer(question)}`, x + 16, y, { width });
+      if (question.explanation) {
+        doc.fontSize(9).fillColor('#333333').text(renderRichTextPlain(question.explanation), x + 16, doc.y, { width });
+      }
+      y = doc.y + 8;
+      return;
+    }
+
+    doc.font(bold).fontSize(8).text(`[${formatMarks(question)}]`, x + 16, y, { width, align: 'right' });
+    doc.font(regular).fontSize(10).text(renderRichTextPlain(question.questionText), x + 16, y, { width });
+    let cursor = doc.y + 2;
+
+    for (const buffer of questionImages(question)) {
+      const height = imageHeight(buffer, width, 220);
+      doc.image(buffer, x + 16, cursor, { fit: [width, height] });
+      cursor += height + 4;
+    }
+
+    if (isNumericalType(question.questionType)) {
+      doc.text('Answer: ____________', x + 26, cursor, { width: width - 10 });
+    } else {
+      question.options.forEach((opt, idx) => {
+        doc.text(optionText(opt, idx), x + 26, idx === 0 ? cursor : doc.y + 2, { width: width - 10 });
+        for (const buffer of optionImages(question, opt)) {
+          const height = imageHeight(buffer, width - 30, 90);
+          const imageTop = doc.y + 2;
+          doc.image(buffer, x + 46, imageTop, { fit: [width - 30, height] });
+          doc.y = imageTop + height;
+        }
+      });
+    }
+    y = doc.y + 10;
+  };
+
+  for (const group of groups) {
+    if (group.section) {
+      // Section headings span the full width, so start them on a fresh row
+      if (columnIndex === 1 || y + 40 > bottom) {
+        doc.addPage();
+        columnIndex = 0;
+        y = top;
+      }
+      doc.font(bold).fontSize(11).fillColor(branding.accentColor)
+        .text(describeSection(group.section), left, y, { width: contentWidth });
+      columnTop = doc.y + 6;
+      y = columnTop;
+    }
+
+    for (const question of group.questions) {
+      reserve(measureQuestion(question));
+      drawQuestion(question);
+    }
+  }
+
+  // Footer and page numbers on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise trigger an automatic page break
+    const { bottom: marginBottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    const footer = [branding.footerText, `Page ${i + 1} of ${range.count}`].filter(Boolean).join('   |   ');
+    doc.font(regular).fontSize(8).fillColor('#555555')
+      .text(footer, left, doc.page.height - marginBottom, {
+        width: contentWidth,
+        align: 'center',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = marginBottom;
+  }
+
+  doc.end();
+  return finished;
+};
@@ -0,0 +1,356 @@
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import {
+  isNumericalType,
+  isMultipleCorrectType
+} from './gradingService.js';
+import { parseTags, validateQuestionInput } from './questionService.js';
+import { prepareQuestionContent } from './richContentService.js';
+
+/**
+ * Question Import Service - parse and validate bulk question files
+ *
+ * CSV / XLSX: first row is a header. Columns (case-insensitive):
+ *   question (required), type, option_a ... option_f, answer, explanation,
+ *   chapter, difficulty, marks, negative_marks, category, subject, tags
+ *
+ * Markdown / plain text: one question per block, blocks separated by a
+ * line containing only "---". An optional "## heading" line is ignored.
+ *
+ *   What is the powerhouse of the cell?
+ *   A) Nucleus
+ *   B) Mitochondria
+ *   C) Ribosome
+ *   D) Golgi body
+ *   Answer: B
+ *   Explanation: Mitochondria produce most of the cell's ATP.
+ *   Chapter: Cell: The Unit of Life
+ *   Difficulty: easy
+ *
+ * Answer formats: "B" (single correct), "A, C" (multiple correct),
+ * "9.8" / "9.7-9.9" / "9.8 ± 0.1" (numerical). Type is inferred from the
+ * answer when not given (mcq, mcq_multiple, true_false, numerical, integer).
+ */
+
+export const IMPORT_QUESTION_TYPES = ['mcq', 'mcq_multiple', 'true_false', 'numerical', 'integer'];
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+export const MAX_IMPORT_ROWS = 1000;
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Text that templateActionController gives placeholder questions
+export const PLACEHOLDER_TEXT_SUFFIX = 'Fill in your question text here';
+
+const normalizeHeader = (header) =>
+  String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const HEADER_ALIASES = {
+  question_text: 'question',
+  text: 'question',
+  question_type: 'type',
+  correct: 'answer',
+  correct_answer: 'answer',
+  chapter_label: 'chapter',
+  difficulty_level: 'difficulty',
+  negative: 'negative_marks',
+  negative_marking: 'negative_marks',
+  question_category: 'category'
+};
+
+// option_a / a / option_1 -> 0
+const optionIndexFromHeader = (header) => {
+  const match = header.match(/^(?:option_?)?([a-f]|[1-6])$/);
+  if (!match) return null;
+  const key = match[1];
+  return /\d/.test(key) ? Number(key) - 1 : OPTION_LETTERS.indexOf(key.toUpperCase());
+};
+
+/**
+ * Turn a header -> value record into import fields
+ * @param {object} record - Raw row keyed by header
+ * @returns {object} Fields ({ question, type, options, answer, ... })
+ */
+const recordToFields = (record) => {
+  const fields = { options: [] };
+  for (const [rawHeader, rawValue] of Object.entries(record)) {
+    const header = normalizeHeader(rawHeader);
+    const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+    const optionIndex = optionIndexFromHeader(header);
+    if (optionIndex !== null) {
+      fields.options[optionIndex] = value;
+    } else {
+      fields[HEADER_ALIASES[header] || header] = value;
+    }
+  }
+  // Drop trailing empty option columns but keep gaps visible to validation
+  while (fields.options.length > 0 && !fields.options[fields.options.length - 1]) {
+    fields.options.pop();
+  }
+  return fields;
+};
+
+const parseCsvRows = (buffer) => {
+  const records = parseCsv(buffer, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    relax_column_count: true,
+    info: true
+  });
+  return records.map(({ record, info }) => ({
+    rowNumber: info.lines,
+    fields: recordToFields(record)
+  }));
+};
+
+const parseXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = cell.text;
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      if (headers[col]) record[headers[col]] = cell.text;
+    });
+    if (Object.values(record).some(v => String(v).trim())) {
+      rows.push({ rowNumber, fields: recordToFields(record) });
+    }
+  });
+  return rows;
+};
+
+const MARKDOWN_KEYS = {
+  answer: 'answer',
+  correct: 'answer',
+  type: 'type',
+  explanation: 'explanation',
+  solution: 'explanation',
+  chapter: 'chapter',
+  difficulty: 'difficulty',
+  marks: 'marks',
+  negative: 'negative_marks',
+  'negative marks': 'negative_marks',
+  category: 'category',
+  subject: 'subject',
+  tags: 'tags'
+};
+
+const parseMarkdownRows = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let current = { startLine: 1, lines: [] };
+
+  lines.forEach((line, idx) => {
+    if (/^\s*-{3,}\s*$/.test(line)) {
+      blocks.push(current);
+      current = { startLine: idx + 2, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  blocks.push(current);
+
+  return blocks
+    .filter(block => block.lines.some(line => line.trim()))
+    .map(block => {
+      const fields = { options: [] };
+      const questionLines = [];
+      let lastKey = null;
+
+      for (const rawLine of block.lines) {
+        const line = rawLine.trimEnd();
+        if (/^\s*#{1,6}\s/.test(line) && questionLines.length === 0) continue;
+
+        const option = line.match(/^\s*\(?([A-Fa-f])[).:]\s+(.*)$/);
+        const keyed = line.match(/^\s*([A-Za-z][A-Za-z ]*?)\s*:\s*(.*)$/);
+        const key = keyed && MARKDOWN_KEYS[keyed[1].toLowerCase()];
+
+        if (key) {
+          fields[key] = keyed[2].trim();
+          lastKey = key;
+        } else if (option) {
+          fields.options[OPTION_LETTERS.indexOf(option[1].toUpperCase())] = option[2].trim();
+          lastKey = null;
+        } else if (lastKey === 'explanation') {
+          // Multi-line explanations continue until the next key or option
+          fields.explanation += `\n${line}`;
+        } else if (fields.options.length === 0) {
+          questionLines.push(line);
+        }
+      }
+
+      fields.question = questionLines.join('\n').trim();
+      if (fields.explanation) fields.explanation = fields.explanation.trim();
+      return { rowNumber: block.startLine, fields };
+    });
+};
+
+/**
+ * Parse an uploaded import file into rows
+ * @param {object} file - multer file ({ originalname, buffer })
+ * @returns {Promise<{ rows: Array, format: string|null, error: string|null }>}
+ */
+export const parseImportFile = async (file) => {
+  const ext = (file.originalname.split('.').pop() || '').toLowerCase();
+  try {
+    if (ext === 'csv') return { rows: parseCsvRows(file.buffer), format: 'csv', error: null };
+    if (ext === 'xlsx') return { rows: await parseXlsxRows(file.buffer), format: 'xlsx', error: null };
+    if (ext === 'md' || ext === 'txt') {
+      return { rows: parseMarkdownRows(file.buffer.toString('utf8')), format: 'markdown', error: null };
+    }
+    return { rows: [], format: null, error: 'Unsupported file type. Use .csv, .xlsx, .md or .txt' };
+  } catch (error) {
+    return { rows: [], format: null, error: `Could not read file: ${error.message}` };
+  }
+};
+
+// "9.8", "9.7-9.9", "9.7 to 9.9", "9.8 ± 0.1", "9.8 +- 0.1"
+const parseNumericalAnswerText = (text) => {
+  const num = '(-?\\d+(?:\\.\\d+)?)';
+  const tolerance = text.match(new RegExp(`^${num}\\s*(?:±|\\+-|\\+/-)\\s*${num}$`));
+  if (tolerance) return { value: tolerance[1], tolerance: tolerance[2] };
+  const range = text.match(new RegExp(`^${num}\\s*(?:-|to)\\s*${num}$`, 'i'));
+  if (range) return { min: range[1], max: range[2] };
+  return { value: text };
+};
+
+const parseLetters = (text) =>
+  String(text)
+    .toUpperCase()
+    .split(/[\s,;/&]+|(?<=[A-F])(?=[A-F])/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+const inferType = (fields, letters) => {
+  const hasOptions = fields.options.some(Boolean);
+  if (!hasOptions && fields.answer && /^[-\d.]/.test(fields.answer)) return 'numerical';
+  if (!hasOptions && /^(true|false|t|f)$/i.test(fields.answer || '')) return 'true_false';
+  return letters.length > 1 ? 'mcq_multiple' : 'mcq';
+};
+
+/**
+ * Validate one parsed row and build the question payload
+ * @param {object} fields - From parseImportFile
+ * @param {object} defaults - { marks, negativeMarks, subjectsByName: Map }
+ * @returns {{ question: object|null, errors: string[] }}
+ */
+export const validateImportRow = (fields, defaults) => {
+  const errors = [];
+  const questionText = (fields.question || '').trim();
+  if (!questionText) errors.push('Question text is required');
+
+  const answerText = (fields.answer || '').trim();
+  const letters = parseLetters(answerText).filter(l => OPTION_LETTERS.includes(l) || /^[1-6]$/.test(l))
+    .map(l => (/^\d$/.test(l) ? OPTION_LETTERS[Number(l) - 1] : l));
+
+  const questionType = (fields.type || '').trim().toLowerCase() || inferType(fields, letters);
+  if (!IMPORT_QUESTION_TYPES.includes(questionType)) {
+    errors.push(`Unknown type "${fields.type}". Use one of: ${IMPORT_QUESTION_TYPES.join(', ')}`);
+  }
+
+  const difficultyLevel = (fields.difficulty || 'medium').toLowerCase();
+  if (!DIFFICULTY_LEVELS.includes(difficultyLevel)) {
+    errors.push(`Difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+
+  const marks = fields.marks ? Number(fields.marks) : defaults.marks;
+  const negativeMarks = fields.negative_marks ? Number(fields.negative_marks) : defaults.negativeMarks;
+  if (!Number.isFinite(marks) || marks <= 0) errors.push('Marks must be a positive number');
+  if (!Number.isFinite(negativeMarks) || negativeMarks < 0) errors.push('Negative marks must be zero or more');
+
+  let subjectId = null;
+  if (fields.subject) {
+    subjectId = defaults.subjectsByName.get(fields.subject.toLowerCase()) ?? null;
+    if (!subjectId) errors.push(`Unknown subject "${fields.subject}"`);
+  }
+
+  let options = [];
+  let numericalAnswer;
+  if (isNumericalType(questionType)) {
+    if (!answerText) errors.push('Numerical questions need an answer');
+    else numericalAnswer = parseNumericalAnswerText(answerText);
+  } else if (IMPORT_QUESTION_TYPES.includes(questionType)) {
+    // Array.from fills holes left by skipped option letters so gaps are caught
+    let optionTexts = Array.from(fields.options, text => text || '');
+    let correctLetters = letters;
+    if (questionType === 'true_false' && !optionTexts.some(Boolean)) {
+      optionTexts = ['True', 'False'];
+      if (/^(true|t)$/i.test(answerText)) correctLetters = ['A'];
+      if (/^(false|f)$/i.test(answerText)) correctLetters = ['B'];
+    }
+
+    if (optionTexts.some(text => !text)) {
+      errors.push('Options must not have gaps (e.g. A, B, D without C)');
+    }
+    if (optionTexts.filter(Boolean).length < 2) errors.push('At least two options are required');
+
+    if (correctLetters.length === 0) {
+      errors.push('Answer is required (e.g. "B", or "A, C" for multiple correct)');
+    } else if (correctLetters.some(l => !optionTexts[OPTION_LETTERS.indexOf(l)])) {
+      errors.push(`Answer "${answerText}" refers to an option that does not exist`);
+    } else if (!isMultipleCorrectType(questionType) && correctLetters.length > 1) {
+      errors.push('Single-correct questions can have only one answer; use type mcq_multiple');
+    }
+
+    options = optionTexts.map((text, idx) => ({
+      text,
+      isCorrect: correctLetters.includes(OPTION_LETTERS[idx])
+    }));
+  }
+
+  const { numericalKey, error: inputError } = validateQuestionInput({
+    questionType,
+    numericalAnswer,
+    options
+  });
+  if (inputError && !errors.length) errors.push(inputError);
+
+  // LaTeX / mhchem must parse; HTML is sanitized
+  const { content, error: contentError } = prepareQuestionContent({
+    questionText,
+    explanation: fields.explanation || null,
+    options
+  });
+  if (contentError) errors.push(contentError);
+
+  if (errors.length > 0) return { question: null, errors };
+
+  return {
+    question: {
+      questionText: content.questionText,
+      questionType,
+      questionCategory: fields.category || null,
+      difficultyLevel,
+      marks,
+      negativeMarks,
+      marksGiven: !!fields.marks,
+      explanation: content.explanation,
+      chapter: fields.chapter || null,
+      subjectId,
+      tags: parseTags(fields.tags) || [],
+      numericalAnswer: numericalKey,
+      options: content.options
+    },
+    errors: []
+  };
+};
+
+/**
+ * Check whether a question is an unfilled template placeholder
+ * @param {object} question - questions row
+ * @returns {boolean}
+ */
+export const isPlaceholderQuestion = (question) =>
+  !!question?.metadata?.templateGenerated &&
+  typeof question.question_text === 'string' &&
+  question.question_text.endsWith(PLACEHOLDER_TEXT_SUFFIX);
@@ -0,0 +1,405 @@
+import { supabase } from '../config/supabase.js';
+import {
+  isNumericalType,
+  isMultipleCorrectType,
+  parseNumericalAnswer
+} from './gradingService.js';
+
+/**
+ * Question Service - shared write path for questions
+ * Questions live in the bank (questions table) and tests reference them by ID
+ * through test_questions, so the same question can appear in many tests.
+ */
+
+/**
+ * Normalize question tags (trimmed, lower-case, unique)
+ * @param {*} input - Array of tags or a comma-separated string
+ * @returns {string[]|null} Tags, or null when not provided
+ */
+export const parseTags = (input) => {
+  if (input === undefined || input === null) return null;
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  return [...new Set(
+    raw
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean)
+  )];
+};
+
+/**
+ * Validate type-specific parts of a question payload
+ * @param {object} input - { questionType, numericalAnswer, options }
+ * @returns {{ numericalKey: object|null, error: string|null }}
+ */
+export const validateQuestionInput = ({ questionType, numericalAnswer, options }) => {
+  // Numerical questions carry their own answer key instead of options
+  if (isNumericalType(questionType)) {
+    const { key, error } = parseNumericalAnswer(numericalAnswer);
+    return { numericalKey: key, error };
+  }
+
+  // Multiple-correct questions need at least one option marked correct
+  if (isMultipleCorrectType(questionType) && options &&
+    !options.some(opt => opt.isCorrect && opt.text && opt.text.trim())) {
+    return {
+      numericalKey: null,
+      error: 'Multiple-correct questions need at least one correct option'
+    };
+  }
+
+  return { numericalKey: null, error: null };
+};
+
+/**
+ * Check whether any student has opened or answered a question
+ * @param {number} questionId - questions.question_id
+ * @returns {Promise<boolean>}
+ */
+export const isQuestionAttempted = async (questionId) => {
+  const { count, error } = await supabase
+    .from('attempt_answers')
+    .select('answer_id', { count: 'exact', head: true })
+    .eq('question_id', questionId);
+
+  if (error) throw error;
+  return (count || 0) > 0;
+};
+
+/**
+ * Work out how to save a question's options without breaking past attempts
+ * Options keep their option_id: an incoming option matches an existing one by
+ * optionId, otherwise by position. Existing options left over are removed,
+ * unless a student selected them, in which case the edit is refused.
+ * @param {number} questionId - questions.question_id
+ * @param {Array} options - [{ optionId?, text, isCorrect }] ([] removes all options)
+ * @returns {Promise<{ plan: object|null, error: string|null }>}
+ */
+export const planQuestionOptions = async (questionId, options) => {
+  const { data: existing, error } = await supabase
+    .from('question_options')
+    .select('option_id, option_text, is_correct, option_order')
+    .eq('question_id', questionId)
+    .order('option_order');
+
+  if (error) throw error;
+
+  const wanted = (options || []).filter(opt => opt.text && opt.text.trim());
+  const byId = new Map((existing || []).map(o => [o.option_id, o]));
+  const used = new Set();
+  const matches = wanted.map(opt => {
+    const match = opt.optionId ? byId.get(Number(opt.optionId)) : null;
+    if (match && !used.has(match.option_id)) {
+      used.add(match.option_id);
+      return match;
+    }
+    return null;
+  });
+  wanted.forEach((opt, index) => {
+    const byPosition = (existing || [])[index];
+    if (!matches[index] && !opt.optionId && byPosition && !used.has(byPosition.option_id)) {
+      used.add(byPosition.option_id);
+      matches[index] = byPosition;
+    }
+  });
+
+  const plan = { updates: [], inserts: [], deletes: [] };
+  wanted.forEach((opt, index) => {
+    const row = {
+      option_text: opt.text,
+      is_correct: opt.isCorrect || false,
+      option_order: index + 1
+    };
+    const match = matches[index];
+    if (!match) {
+      plan.inserts.push({ question_id: Number(questionId), ...row });
+    } else if (match.option_text !== row.option_text ||
+      match.is_correct !== row.is_correct ||
+      match.option_order !== row.option_order) {
+      plan.updates.push({ option_id: match.option_id, ...row });
+    }
+  });
+  plan.deletes = (existing || [])
+    .filter(o => !used.has(o.option_id))
+    .map(o => o.option_id);
+
+  if (plan.deletes.length > 0) {
+    const ids = plan.deletes.join(',');
+    const { count, error: refError } = await supabase
+      .from('attempt_answers')
+      .select('answer_id', { count: 'exact', head: true })
+      .eq('question_id', questionId)
+      .or(`selected_option_id.in.(${ids}),selected_option_ids.ov.{${ids}}`);
+
+    if (refError) throw refError;
+    if (count > 0) {
+      return {
+        plan: null,
+        error: 'Students have selected an option this edit removes. Keep the option (mark it incorrect instead) or restore it.'
+      };
+    }
+  }
+
+  return { plan, error: null };
+};
+
+/**
+ * Apply a plan from planQuestionOptions
+ * @param {object} plan - { updates, inserts, deletes }
+ */
+export const applyQuestionOptions = async (plan) => {
+  if (plan.deletes.length > 0) {
+    const { error } = await supabase
+      .from('question_options')
+      .delete()
+      .in('option_id', plan.deletes);
+
+    if (error) throw error;
+  }
+
+  for (const { option_id: optionId, ...changes } of plan.updates) {
+    const { error } = await supabase
+      .from('question_options')
+      .update(changes)
+      .eq('option_id', optionId);
+
+    if (error) throw error;
+  }
+
+  if (plan.inserts.length > 0) {
+    const { error } = await supabase
+      .from('question_options')
+      .insert(plan.inserts);
+
+    if (error) throw error;
+  }
+};
+
+/**
+ * Refuse edits that would invalidate saved responses on an attempted question
+ * @param {number} questionId - questions.question_id
+ * @param {string} currentType - Stored questions.question_type
+ * @param {string} newType - Requested question type
+ * @returns {Promise<string|null>} Error message, or null when the edit is safe
+ */
+export const getTypeChangeConflict = async (questionId, currentType, newType) => {
+  if (!newType || newType === currentType) return null;
+  if (!(await isQuestionAttempted(questionId))) return null;
+  return 'Students have already attempted this question, so its type cannot change. Create a new question instead.';
+};
+
+/**
+ * Recount a test's questions into tests.total_questions
+ * @param {number} testId - tests.test_id
+ */
+export const syncTestQuestionCount = async (testId) => {
+  const { count, error } = await supabase
+    .from('test_questions')
+    .select('question_id', { count: 'exact', head: true })
+    .eq('test_id', testId);
+
+  if (!error) {
+    await supabase
+      .from('tests')
+      .update({
+        total_questions: count || 0,
+        updated_at: new Date().toISOString()
+      })
+      .eq('test_id', testId);
+  }
+};
+
+/**
+ * Add bank questions to the end of a test (questions already in the test are skipped)
+ * @param {number} testId - tests.test_id
+ * @param {Array} links - [{ questionId, marks, negativeMarks }]
+ * @returns {Promise<{ linked: number[], skipped: number[] }>}
+ */
+export const linkQuestionsToTest = async (testId, links) => {
+  const { data: existing = [] } = await supabase
+    .from('test_questions')
+    .select('question_id, question_order')
+    .eq('test_id', testId);
+
+  const existingIds = new Set((existing || []).map(tq => tq.question_id));
+  let nextOrder = (existing || []).reduce((max, tq) => Math.max(max, tq.question_order || 0), 0) + 1;
+
+  const rows = [];
+  const skipped = [];
+  for (const link of links) {
+    const questionId = Number(link.questionId);
+    if (existingIds.has(questionId)) {
+      skipped.push(questionId);
+      continue;
+    }
+    existingIds.add(questionId);
+    rows.push({
+      test_id: testId,
+      question_id: questionId,
+      question_order: nextOrder++,
+      marks_allocated: link.marks,
+      negative_marks_allocated: link.negativeMarks || 0
+    });
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from('test_questions')
+      .insert(rows);
+
+    if (error) throw error;
+    await syncTestQuestionCount(testId);
+  }
+
+  return { linked: rows.map(r => r.question_id), skipped };
+};
+
+/**
+ * Shape a bank question (with its options) for API responses
+ * @param {object} question - questions row
+ * @param {Array} options - question_options rows for the question
+ * @returns {object}
+ */
+export const formatBankQuestion = (question, options = []) => ({
+  questionId: question.question_id,
+  questionText: question.question_text,
+  questionType: question.question_type,
+  questionCategory: question.question_category,
+  difficultyLevel: question.difficulty_level,
+  subjectId: question.subject_id,
+  chapter: question.metadata?.chapter || null,
+  tags: question.tags || [],
+  marks: question.marks,
+  negativeMarks: question.negative_marks,
+  explanation: question.explanation,
+  numericalAnswer: question.numerical_answer || null,
+  metadata: question.metadata,
+  createdBy: question.created_by,
+  isActive: question.is_active,
+  createdAt: question.created_at,
+  updatedAt: question.updated_at,
+  options: options.map(opt => ({
+    optionId: opt.option_id,
+    text: opt.option_text,
+    isCorrect: opt.is_correct,
+    order: opt.option_order
+  }))
+});
+
+/**
+ * Load a test's questions with options, in question order
+ * Shared by the admin question list and the printable paper export
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<Array>} Questions shaped for API responses ([] when the test is empty)
+ */
+export const loadTestQuestions = async (testId) => {
+  const { data: testQuestions, error: testQuestionsError } = await supabase
+    .from('test_questions')
+    .select('question_id, question_order, marks_allocated, negative_marks_allocated, section_id')
+    .eq('test_id', testId)
+    .order('question_order');
+
+  if (testQuestionsError) throw testQuestionsError;
+  if (!testQuestions || testQuestions.length === 0) return [];
+
+  const questionIds = testQuestions.map(tq => tq.question_id);
+
+  const { data: questions, error: questionsError } = await supabase
+    .from('questions')
+    .select('*')
+    .in('question_id', questionIds);
+
+  if (questionsError) throw questionsError;
+
+  const { data: options, error: optionsError } = await supabase
+    .from('question_options')
+    .select('*')
+    .in('question_id', questionIds)
+    .order('option_order');
+
+  if (optionsError) throw optionsError;
+
+  return testQuestions.map(tq => {
+    const question = questions.find(q => q.question_id === tq.question_id);
+    const questionOptions = options.filter(o => o.question_id === tq.question_id);
+
+    return {
+      questionId: question.question_id,
+      questionText: question.question_text,
+      questionType: question.question_type,
+      questionCategory: question.question_category,
+      difficultyLevel: question.difficulty_level,
+      marks: tq.marks_allocated,
+      negativeMarks: tq.negative_marks_allocated,
+      explanation: question.explanation,
+      numericalAnswer: question.numerical_answer || null,
+      metadata: question.metadata, // Include metadata for chapter labels
+      order: tq.question_order,
+      sectionId: tq.section_id,
+      options: questionOptions.map(opt => ({
+        optionId: opt.option_id,
+        text: opt.option_text,
+        isCorrect: opt.is_correct,
+        order: opt.option_order
+      }))
+    };
+  });
+};
+
+/**
+ * Load questions as a student sees them: text, options and images, no answer key
+ * Shared by adaptive practice and notebook revision, which serve bank questions
+ * outside a test paper
+ * @param {number[]} questionIds - questions.question_id values
+ * @returns {Promise<Map<number, object>>} question_id -> question payload
+ */
+export const loadStudentQuestions = async (questionIds) => {
+  const questionsById = new Map();
+  if (!questionIds || questionIds.length === 0) return questionsById;
+
+  const { data: questions, error: questionsError } = await supabase
+    .from('questions')
+    .select('question_id, question_text, question_type, difficulty_level, metadata')
+    .in('question_id', questionIds);
+
+  if (questionsError) throw questionsError;
+
+  const { data: options = [] } = await supabase
+    .from('question_options')
+    .select('option_id, question_id, option_text, option_order')
+    .in('question_id', questionIds)
+    .order('option_order', { ascending: true });
+
+  const { data: media = [] } = await supabase
+    .from('question_media')
+    .select('media_id, question_id, option_id, file_path, media_type, file_name')
+    .in('question_id', questionIds);
+
+  const formatMedia = (m) => ({
+    mediaId: m.media_id,
+    url: supabase.storage.from('question-images').getPublicUrl(m.file_path).data?.publicUrl || null,
+    type: m.media_type,
+    fileName: m.file_name
+  });
+  const withFile = (media || []).filter(m => m.file_path);
+
+  for (const question of questions || []) {
+    questionsById.set(question.question_id, {
+      questionId: question.question_id,
+      text: question.question_text,
+      type: question.question_type || 'mcq',
+      chapter: question.metadata?.chapter || null,
+      difficultyLevel: question.difficulty_level || 'medium',
+      options: (options || [])
+        .filter(opt => opt.question_id === question.question_id)
+        .map(opt => ({
+          optionId: opt.option_id,
+          text: opt.option_text,
+          media: withFile.filter(m => m.option_id === opt.option_id).map(formatMedia)
+        })),
+      media: withFile
+        .filter(m => m.question_id === question.question_id && !m.option_id)
+        .map(formatMedia)
+    });
+  }
+  return questionsById;
+};
@@ -0,0 +1,161 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Question Version Service - immutable edit history for questions
+ * Snapshots are taken in the database (record_question_versions) after every
+ * save, and attempt_answers.question_version_id points at the version a
+ * student saw. Snapshots store column names as-is; formatSnapshot shapes
+ * them for API responses.
+ */
+
+// Snapshot fields compared by diffSnapshots, in display order
+const VERSIONED_FIELDS = [
+  'question_text',
+  'question_type',
+  'question_category',
+  'difficulty_level',
+  'marks',
+  'negative_marks',
+  'explanation',
+  'numerical_answer',
+  'subject_id',
+  'tags',
+  'metadata'
+];
+
+/**
+ * Snapshot the current state of questions as new versions
+ * Unchanged questions are skipped by the database function.
+ * @param {number[]} questionIds - questions.question_id values
+ * @param {number} userId - Author of the change
+ * @param {object} [options]
+ * @param {string} [options.summary] - Short description of the change
+ * @param {number} [options.restoredFrom] - Version number being restored
+ * @returns {Promise<number>} Versions created
+ */
+export const recordQuestionVersions = async (questionIds, userId, { summary = null, restoredFrom = null } = {}) => {
+  if (!questionIds || questionIds.length === 0) return 0;
+
+  const { data, error } = await supabase.rpc('record_question_versions', {
+    p_question_ids: questionIds.map(Number),
+    p_created_by: userId,
+    p_change_summary: summary,
+    p_restored_from: restoredFrom
+  });
+
+  if (error) throw error;
+  return data || 0;
+};
+
+/**
+ * Shape a snapshot for API responses
+ * @param {object} snapshot - question_versions.snapshot
+ * @returns {object}
+ */
+export const formatSnapshot = (snapshot) => ({
+  questionText: snapshot.question_text,
+  questionType: snapshot.question_type,
+  questionCategory: snapshot.question_category,
+  difficultyLevel: snapshot.difficulty_level,
+  marks: snapshot.marks,
+  negativeMarks: snapshot.negative_marks,
+  explanation: snapshot.explanation,
+  numericalAnswer: snapshot.numerical_answer || null,
+  subjectId: snapshot.subject_id,
+  chapter: snapshot.metadata?.chapter || null,
+  tags: snapshot.tags || [],
+  metadata: snapshot.metadata,
+  options: (snapshot.options || []).map(opt => ({
+    optionId: opt.option_id,
+    text: opt.option_text,
+    isCorrect: opt.is_correct,
+    order: opt.option_order
+  }))
+});
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff between two snapshots
+ * Options are compared by option_id, so edited, added and removed options
+ * are reported separately.
+ * @param {object|null} before - Older snapshot (null for the first version)
+ * @param {object} after - Newer snapshot
+ * @returns {{ fields: Array<{ field: string, from: *, to: * }>, options: Array }}
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = VERSIONED_FIELDS
+    .filter(field => !sameValue(before?.[field], after[field]))
+    .map(field => ({ field, from: before?.[field] ?? null, to: after[field] ?? null }));
+
+  const beforeOptions = new Map((before?.options || []).map(o => [o.option_id, o]));
+  const afterOptions = new Map((after.options || []).map(o => [o.option_id, o]));
+  const options = [];
+
+  for (const [optionId, opt] of afterOptions) {
+    const old = beforeOptions.get(optionId);
+    if (!old) {
+      options.push({ optionId, change: 'added', to: { text: opt.option_text, isCorrect: opt.is_correct } });
+    } else if (old.option_text !== opt.option_text || old.is_correct !== opt.is_correct ||
+      old.option_order !== opt.option_order) {
+      options.push({
+        optionId,
+        change: 'edited',
+        from: { text: old.option_text, isCorrect: old.is_correct, order: old.option_order },
+        to: { text: opt.option_text, isCorrect: opt.is_correct, order: opt.option_order }
+      });
+    }
+  }
+  for (const [optionId, old] of beforeOptions) {
+    if (!afterOptions.has(optionId)) {
+      options.push({ optionId, change: 'removed', from: { text: old.option_text, isCorrect: old.is_correct } });
+    }
+  }
+
+  return { fields, options };
+};
+
+/**
+ * Load a question's versions, newest first
+ * @param {number} questionId - questions.question_id
+ * @returns {Promise<Array>} question_versions rows with author names
+ */
+export const loadQuestionVersions = async (questionId) => {
+  const { data, error } = await supabase
+    .from('question_versions')
+    .select(`
+      version_id,
+      version_number,
+      snapshot,
+      change_summary,
+      restored_from_version,
+      created_by,
+      created_at,
+      users:created_by (first_name, last_name, email)
+    `)
+    .eq('question_id', questionId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Shape a version row (without its snapshot) for API responses
+ * @param {object} row - From loadQuestionVersions
+ * @returns {object}
+ */
+export const formatVersionSummary = (row) => ({
+  versionId: row.version_id,
+  versionNumber: row.version_number,
+  changeSummary: row.change_summary,
+  restoredFromVersion: row.restored_from_version,
+  createdAt: row.created_at,
+  author: row.created_by
+    ? {
+      userId: row.created_by,
+      name: [row.users?.first_name, row.users?.last_name].filter(Boolean).join(' ') || null,
+      email: row.users?.email || null
+    }
+    : null
+});
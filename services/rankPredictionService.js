@@ -0,0 +1,144 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Rank Prediction Service - All-India rank estimates for mock attempts
+ *
+ * Two estimates are combined:
+ * 1. Historical table: the score is scaled to the exam's max marks and the
+ *    rank is interpolated between the table's score/rank points
+ * 2. Platform distribution: the student's percentile among everyone who took
+ *    the test on the platform, projected onto the exam's candidate count
+ * The platform estimate gets more weight as more students take the test
+ * (up to the table's platform_weight). Ranks span orders of magnitude, so
+ * they are blended geometrically.
+ */
+
+// Platform participants needed before its estimate gets full weight
+export const PLATFORM_SAMPLE_TARGET = parseInt(process.env.RANK_PREDICTION_SAMPLE_TARGET || '500');
+
+/**
+ * Validate score/rank points for a prediction table
+ * @param {Array} points - [{ score, rank }]
+ * @returns {{ points: Array|null, error: string|null }} Points sorted by score (high to low)
+ */
+export const parseScoreRankPoints = (points) => {
+  if (!Array.isArray(points) || points.length < 2) {
+    return { points: null, error: 'scoreRankPoints needs at least two { score, rank } points' };
+  }
+
+  const parsed = points.map((p) => ({ score: Number(p?.score), rank: Number(p?.rank) }));
+  if (parsed.some((p) => !Number.isFinite(p.score) || !Number.isFinite(p.rank) || p.rank < 1)) {
+    return { points: null, error: 'Each point needs a numeric score and a rank of at least 1' };
+  }
+
+  parsed.sort((a, b) => b.score - a.score);
+  for (let i = 1; i < parsed.length; i++) {
+    if (parsed[i].score === parsed[i - 1].score) {
+      return { points: null, error: `Duplicate score ${parsed[i].score} in scoreRankPoints` };
+    }
+    if (parsed[i].rank < parsed[i - 1].rank) {
+      return { points: null, error: 'Ranks must increase as scores decrease' };
+    }
+  }
+  return { points: parsed, error: null };
+};
+
+/**
+ * Interpolate a rank from a historical score/rank table
+ * @param {Array} points - Sorted high to low by score
+ * @param {number} score - Score on the exam's scale
+ * @param {number} totalCandidates - Candidates in that exam year
+ * @returns {number}
+ */
+export const interpolateRank = (points, score, totalCandidates) => {
+  if (score >= points[0].score) return points[0].rank;
+
+  for (let i = 1; i < points.length; i++) {
+    const upper = points[i - 1];
+    const lower = points[i];
+    if (score >= lower.score) {
+      const t = (upper.score - score) / (upper.score - lower.score);
+      return Math.round(upper.rank + t * (lower.rank - upper.rank));
+    }
+  }
+
+  // Below the lowest point: extrapolate linearly towards the last candidate
+  const last = points[points.length - 1];
+  const t = last.score > 0 ? Math.min((last.score - score) / last.score, 1) : 1;
+  return Math.round(last.rank + t * (totalCandidates - last.rank));
+};
+
+/**
+ * Estimate an All-India rank for a score
+ * @param {object} params
+ * @param {object} params.table - rank_prediction_tables row
+ * @param {number} params.percentage - Attempt percentage (0-100)
+ * @param {number|null} params.platformPercentile - Percentile among platform participants
+ * @param {number} params.platformParticipants - Students ranked on the test
+ * @returns {object} Predicted rank, percentile and the estimates it came from
+ */
+export const predictRank = ({ table, percentage, platformPercentile, platformParticipants }) => {
+  const totalCandidates = Number(table.total_candidates);
+  const points = [...table.score_rank_points].sort((a, b) => b.score - a.score);
+  const scaledScore = (Number(percentage) / 100) * Number(table.max_marks);
+
+  const tableRank = Math.min(
+    Math.max(interpolateRank(points, scaledScore, totalCandidates), 1),
+    totalCandidates
+  );
+
+  let platformRank = null;
+  let weight = 0;
+  if (platformPercentile != null && platformParticipants > 0) {
+    platformRank = Math.max(
+      1,
+      Math.round(((100 - Number(platformPercentile)) / 100) * totalCandidates)
+    );
+    weight = Number(table.platform_weight) *
+      Math.min(platformParticipants / PLATFORM_SAMPLE_TARGET, 1);
+  }
+
+  const predictedRank = platformRank
+    ? Math.round(Math.exp((1 - weight) * Math.log(tableRank) + weight * Math.log(platformRank)))
+    : tableRank;
+
+  return {
+    predictedRank,
+    predictedPercentile: Number(
+      (((totalCandidates - predictedRank) / totalCandidates) * 100).toFixed(4)
+    ),
+    rankRange: {
+      best: Math.min(tableRank, platformRank ?? tableRank),
+      worst: Math.max(tableRank, platformRank ?? tableRank),
+    },
+    scaledScore: Number(scaledScore.toFixed(2)),
+    estimates: {
+      historical: tableRank,
+      platform: platformRank,
+      platformWeight: Number(weight.toFixed(2)),
+    },
+  };
+};
+
+/**
+ * Load the prediction table for an exam (latest active year unless specified)
+ * @param {string} examName - e.g. 'NEET'
+ * @param {number} [examYear] - Specific year
+ * @returns {Promise<object|null>}
+ */
+export const loadRankTable = async (examName, examYear) => {
+  let query = supabase
+    .from('rank_prediction_tables')
+    .select('*')
+    .eq('exam_name', examName)
+    .eq('is_active', true);
+
+  if (examYear) query = query.eq('exam_year', examYear);
+
+  const { data: table } = await query
+    .order('exam_year', { ascending: false })
+    .limit(1)
+    .single();
+
+  return table || null;
+};
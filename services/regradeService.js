@@ -0,0 +1,137 @@
+import { supabase } from '../config/supabase.js';
+import {
+  loadGradingContext,
+  gradeAnswers,
+  loadAttemptAnswers,
+  saveAttemptMarks
+} from './attemptService.js';
+import { recomputeTestLeaderboard } from './leaderboardService.js';
+
+/**
+ * Regrade Service - re-score completed attempts after answer-key changes
+ * Uses the same grading context and rules as submitting an attempt, so a
+ * re-graded attempt scores exactly like a fresh submission would today.
+ */
+
+export const GRADING_DECISIONS = ['bonus', 'drop'];
+
+const round2 = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * Re-grade every completed attempt of a test
+ * @param {number} testId - tests.test_id
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Compute the changes without saving them
+ * @param {Map<number, string|null>} [options.decisionOverrides] - question_id -> decision to
+ *   grade with instead of the stored one (previews a bonus/drop before it is saved)
+ * @returns {Promise<{ attemptsRegraded: number, attemptsChanged: number, changes: Array }>}
+ */
+export const regradeTest = async (testId, { dryRun = false, decisionOverrides = null } = {}) => {
+  const context = await loadGradingContext(testId);
+  if (decisionOverrides) {
+    for (const [questionId, decision] of decisionOverrides) {
+      if (decision) context.decisions.set(questionId, decision);
+      else context.decisions.delete(questionId);
+    }
+  }
+
+  const PAGE_SIZE = 1000;
+  const attempts = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .from('test_attempts')
+      .select('attempt_id, user_id, total_marks_obtained, percentage, correct_answers, incorrect_answers, unanswered')
+      .eq('test_id', testId)
+      .eq('attempt_status', 'completed')
+      .order('attempt_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    attempts.push(...(page || []));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+
+  const changes = [];
+  for (const attempt of attempts) {
+    const answers = await loadAttemptAnswers(attempt.attempt_id);
+    const result = gradeAnswers(context, answers);
+
+    const before = {
+      score: round2(attempt.total_marks_obtained),
+      percentage: round2(attempt.percentage),
+      correct: attempt.correct_answers || 0,
+      incorrect: attempt.incorrect_answers || 0,
+      unanswered: attempt.unanswered || 0
+    };
+    const after = {
+      score: round2(result.totalObtained),
+      percentage: round2(result.percentage),
+      correct: result.correct,
+      // Partially-correct answers count as incorrect, as in finalizeAttempt
+      incorrect: result.incorrect + result.partial,
+      unanswered: result.unattempted
+    };
+
+    const answerByQuestion = new Map(answers.map(a => [a.question_id, a]));
+    const marksChanged = result.perQuestionResults.some(pq => {
+      const saved = answerByQuestion.get(pq.questionId);
+      return saved && (round2(saved.marks_obtained) !== round2(pq.marksObtained) ||
+        !!saved.is_correct !== !!pq.isCorrect);
+    });
+    const totalsChanged = Object.keys(before).some(key => before[key] !== after[key]);
+
+    if (!marksChanged && !totalsChanged) continue;
+    changes.push({ attemptId: attempt.attempt_id, userId: attempt.user_id, before, after });
+    if (dryRun) continue;
+
+    await saveAttemptMarks(attempt.attempt_id, answers, result.perQuestionResults);
+
+    if (totalsChanged) {
+      const { error: updateError } = await supabase
+        .from('test_attempts')
+        .update({
+          total_marks_obtained: result.totalObtained,
+          percentage: result.percentage,
+          correct_answers: after.correct,
+          incorrect_answers: after.incorrect,
+          unanswered: after.unanswered
+        })
+        .eq('attempt_id', attempt.attempt_id);
+
+      if (updateError) throw updateError;
+    }
+  }
+
+  if (!dryRun && changes.length > 0) await recomputeTestLeaderboard(testId);
+
+  return {
+    attemptsRegraded: attempts.length,
+    attemptsChanged: changes.length,
+    changes
+  };
+};
+
+/**
+ * Record a grading change in the audit trail
+ * @param {object} entry
+ * @param {number} entry.testId - tests.test_id
+ * @param {number|null} entry.questionId - Question the change is about (null for a whole-test re-grade)
+ * @param {string} entry.action - regrade | bonus | drop | clear_decision
+ * @param {string|null} entry.reason - Admin's explanation
+ * @param {object} entry.details - Outcome (counts and per-attempt score changes)
+ * @param {number} entry.performedBy - Admin user_id
+ */
+export const recordGradingAudit = async ({ testId, questionId = null, action, reason = null, details, performedBy }) => {
+  const { error } = await supabase
+    .from('grading_audit_log')
+    .insert([{
+      test_id: testId,
+      question_id: questionId,
+      action,
+      reason,
+      details,
+      performed_by: performedBy
+    }]);
+
+  if (error) throw error;
+};
@@ -1,4 +1,5 @@
 import { Resend } from 'resend';
+import { escapeHtml } from '../utils/html.js';
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
@@ -124,3 +125,54 @@ export const sendWelcomeEmail = async (email, firstName) => {
     // Don't throw error - welcome email is not critical
   }
 };
+
+/**
+ * Notify a student that their question challenge was reviewed
+ * @param {string} email - Student email
+ * @param {string} firstName - Student's first name
+ * @param {object} challenge
+ * @param {string} challenge.testName - Test the question belongs to
+ * @param {number|null} challenge.questionNumber - Question number in the test
+ * @param {string} challenge.status - 'accepted' | 'rejected'
+ * @param {string|null} challenge.resolutionNote - Reviewer's explanation
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const sendChallengeOutcomeEmail = async (email, firstName, { testName, questionNumber, status, resolutionNote }) => {
+  const accepted = status === 'accepted';
+  const questionLabel = questionNumber ? `Question ${questionNumber}` : 'a question';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; background-color: #f5f5f5; padding: 20px;">
+      <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; padding: 30px;">
+        <h2 style="color: #667eea;">Hi ${escapeHtml(firstName)},</h2>
+        <p>We have reviewed your challenge on ${questionLabel} of <strong>${escapeHtml(testName)}</strong>.</p>
+        <p style="font-size: 18px; font-weight: 600; color: ${accepted ? '#2f855a' : '#c53030'};">
+          ${accepted ? 'Your challenge was accepted.' : 'Your challenge was not accepted.'}
+        </p>
+        ${resolutionNote ? `<p style="color: #4a5568; line-height: 1.6;">${escapeHtml(resolutionNote).replace(/\r?\n/g, '<br>')}</p>` : ''}
+        ${accepted ? '<p style="color: #4a5568;">Any change to your score will show in your attempt result.</p>' : ''}
+        <p style="color: #718096; font-size: 14px;">Thank you for helping us keep our questions accurate.</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await resend.emails.send({
+      from: process.env.RESEND_FROM_EMAIL,
+      to: email,
+      subject: accepted ? '✅ Your question challenge was accepted' : 'Your question challenge was reviewed',
+      html
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Challenge outcome email error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import katex from 'katex';
+import 'katex/contrib/mhchem';
+import sanitizeHtml from 'sanitize-html';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Rich Content Service - LaTeX, chemical formulae and HTML in question content
+ * question_text, option_text and explanation are stored as strings that may
+ * contain inline math ($...$ or \(...\)), display math ($$...$$ or \[...\]),
+ * mhchem formulae (\ce{...}, \pu{...}, with or without math delimiters) and
+ * a small subset of HTML. Math is validated with KaTeX on write and left
+ * as source for the client to render; HTML is sanitized on write.
+ *
+ * Exports that can't run KaTeX in a browser (PDF) use renderRichTextPlain,
+ * which approximates formulae with Unicode text.
+ */
+
+// Tags a question may use: text formatting, lists, tables and MathML
+const ALLOWED_TAGS = [
+  'b', 'strong', 'i', 'em', 'u', 's', 'sub', 'sup', 'br', 'p', 'span', 'div',
+  'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'code', 'pre',
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace',
+  'msub', 'msup', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'munder', 'mover',
+  'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded', 'mphantom'
+];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: {
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    math: ['display', 'xmlns'],
+    annotation: ['encoding'],
+    mi: ['mathvariant'],
+    mo: ['stretchy', 'fence', 'separator'],
+    mstyle: ['displaystyle', 'scriptlevel'],
+    mspace: ['width']
+  },
+  allowedSchemes: [],
+  disallowedTagsMode: 'discard'
+};
+
+const HTML_TAG = /<\/?[a-z!][^>]*>/i;
+
+// A whole tag, with quoted attribute values that may contain ">"; math
+// delimiters are only looked for between tags, never inside one
+const TAG_TOKEN = /<\/?[a-z!](?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+
+// "<" that could open a tag; KaTeX would render it as text, but a client that
+// puts content into innerHTML before KaTeX runs would parse it as HTML
+const MATH_TAG_OPEN = /<(?=[a-z/!?])/gi;
+
+// Only formulae written as \ce{...} / \pu{...} are recognised outside math delimiters
+const BARE_MHCHEM = ['\\ce{', '\\pu{'];
+
+const readBalanced = (text, openIndex) => {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+const findUnescaped = (text, token, from) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\' && token !== '\\)' && token !== '\\]') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(token, i)) return i;
+  }
+  return -1;
+};
+
+/**
+ * Split content into text and math segments
+ * @param {string} text
+ * @returns {{ segments: Array<{ type: 'text'|'math', source: string, tex?: string, display?: boolean }>, errors: string[] }}
+ *   Unclosed delimiters are reported in errors and kept as text.
+ */
+const splitRichText = (text) => {
+  const segments = [];
+  const errors = [];
+  let buffer = '';
+
+  const tags = new Map([...text.matchAll(TAG_TOKEN)].map(m => [m.index, m[0].length]));
+  const spansTag = (from, to) => [...tags.keys()].some(start => start > from && start < to);
+
+  const pushMath = (source, tex, display) => {
+    if (buffer) segments.push({ type: 'text', source: buffer });
+    buffer = '';
+    segments.push({ type: 'math', source, tex, display });
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    if (tags.has(i)) {
+      buffer += text.slice(i, i + tags.get(i));
+      i += tags.get(i);
+      continue;
+    }
+
+    if (text.startsWith('\\$', i)) {
+      buffer += '\\$';
+      i += 2;
+      continue;
+    }
+
+    const delimiter = text.startsWith('$$', i) ? ['$$', '$$', true]
+      : text[i] === '$' ? ['$', '$', false]
+        : text.startsWith('\\(', i) ? ['\\(', '\\)', false]
+          : text.startsWith('\\[', i) ? ['\\[', '\\]', true]
+            : null;
+
+    if (delimiter) {
+      const [open, close, display] = delimiter;
+      const end = findUnescaped(text, close, i + open.length);
+      if (end === -1) {
+        errors.push(`Unclosed ${open} math delimiter${open === '$' ? ' (write \\$ for a literal dollar sign)' : ''}`);
+        buffer += text.slice(i);
+        break;
+      }
+      if (spansTag(i, end)) {
+        errors.push(`${open}...${close} formula can't contain HTML tags`);
+        buffer += text.slice(i);
+        break;
+      }
+      const tex = text.slice(i + open.length, end);
+      if (tex.trim()) pushMath(text.slice(i, end + close.length), tex, display);
+      else buffer += text.slice(i, end + close.length);
+      i = end + close.length;
+      continue;
+    }
+
+    const mhchem = BARE_MHCHEM.find(cmd => text.startsWith(cmd, i));
+    if (mhchem) {
+      const end = readBalanced(text, i + mhchem.length - 1);
+      if (end === -1) {
+        errors.push(`Unclosed brace in ${mhchem}...}`);
+        buffer += text.slice(i);
+        break;
+      }
+      if (spansTag(i, end)) {
+        errors.push(`${mhchem}...} formula can't contain HTML tags`);
+        buffer += text.slice(i);
+        break;
+      }
+      const source = text.slice(i, end + 1);
+      pushMath(source, source, false);
+      i = end + 1;
+      continue;
+    }
+
+    buffer += text[i];
+    i++;
+  }
+
+  if (buffer) segments.push({ type: 'text', source: buffer });
+  return { segments, errors };
+};
+
+const renderMath = (tex, display, output) => katex.renderToString(tex, {
+  displayMode: display,
+  throwOnError: true,
+  strict: 'ignore',
+  output
+});
+
+/**
+ * Check that every formula in a piece of content parses
+ * @param {string|null} text
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export const validateRichText = (text) => {
+  if (!text) return [];
+  const { segments, errors } = splitRichText(String(text));
+
+  for (const segment of segments) {
+    if (segment.type !== 'math') continue;
+    if (new RegExp(MATH_TAG_OPEN.source, 'i').test(segment.tex)) {
+      errors.push(`${segment.source}: "<" directly before a letter looks like HTML; write \\lt or put a space after "<"`);
+      continue;
+    }
+    try {
+      renderMath(segment.tex, segment.display, 'mathml');
+    } catch (error) {
+      const message = String(error.message || error).replace(/^KaTeX parse error: /, '');
+      errors.push(`${segment.source}: ${message}`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Sanitize HTML in content, leaving math source untouched apart from "<"
+ * that could open a tag, which becomes \lt
+ * Plain text (no tags) is returned unchanged, so existing content isn't
+ * entity-encoded.
+ * @param {string|null} text
+ * @returns {string|null}
+ */
+export const sanitizeRichText = (text) => {
+  if (text === undefined || text === null) return text;
+  const { segments } = splitRichText(String(text));
+
+  // validateRichText rejects these; rewriting them too keeps anything that
+  // skips validation from storing markup inside a formula
+  for (const segment of segments) {
+    if (segment.type === 'math') segment.source = segment.source.replace(MATH_TAG_OPEN, '\\lt ');
+  }
+  const value = segments.map(s => s.source).join('');
+
+  const textOnly = segments.filter(s => s.type === 'text').map(s => s.source).join('');
+  if (!HTML_TAG.test(textOnly)) return value;
+
+  // Math is swapped for placeholders so "<" and "&" in formulae survive.
+  // Placeholders are restored only where sanitize-html emits them as text;
+  // one that ended up in an attribute or a dropped tag is removed.
+  const key = crypto.randomBytes(6).toString('hex');
+  const placeholder = new RegExp(`%%MATH_${key}_(\\d+)%%`, 'g');
+  const math = [];
+  const protectedHtml = segments
+    .map(s => {
+      if (s.type === 'text') return s.source;
+      math.push(s.source);
+      return `%%MATH_${key}_${math.length - 1}%%`;
+    })
+    .join('');
+
+  return sanitizeHtml(protectedHtml, {
+    ...SANITIZE_OPTIONS,
+    textFilter: (escaped) => escaped.replace(placeholder, (_, idx) => math[Number(idx)])
+  }).replace(placeholder, '');
+};
+
+/**
+ * Validate and sanitize the text fields of a question
+ * @param {object} input - { questionText, explanation, options: [{ text }] }
+ * @returns {{ content: { questionText, explanation, options }, error: string|null }}
+ */
+export const prepareQuestionContent = ({ questionText, explanation, options }) => {
+  const problems = [
+    ...validateRichText(questionText).map(p => `Question text: ${p}`),
+    ...validateRichText(explanation).map(p => `Explanation: ${p}`),
+    ...(options || []).flatMap((opt, idx) =>
+      validateRichText(opt?.text).map(p => `Option ${idx + 1}: ${p}`))
+  ];
+
+  if (problems.length > 0) {
+    return { content: null, error: `Invalid formula markup. ${problems.slice(0, 5).join('; ')}` };
+  }
+
+  return {
+    content: {
+      questionText: sanitizeRichText(questionText),
+      explanation: sanitizeRichText(explanation),
+      options: options
+        ? options.map(opt => (opt ? { ...opt, text: sanitizeRichText(opt.text) } : opt))
+        : options
+    },
+    error: null
+  };
+};
+
+/**
+ * Render content as HTML for printable exports
+ * Formulae become MathML (rendered natively by browsers); invalid formulae
+ * are shown as source.
+ * @param {string|null} text
+ * @returns {string}
+ */
+export const renderRichTextHtml = (text) => {
+  if (!text) return '';
+  const { segments } = splitRichText(String(text));
+  const isHtml = HTML_TAG.test(segments.filter(s => s.type === 'text').map(s => s.source).join(''));
+
+  return segments.map(segment => {
+    if (segment.type === 'math') {
+      try {
+        return renderMath(segment.tex, segment.display, 'mathml');
+      } catch {
+        return escapeHtml(segment.source);
+      }
+    }
+    const source = segment.source.replace(/\\\$/g, '$');
+    return isHtml
+      ? sanitizeHtml(source, SANITIZE_OPTIONS)
+      : escapeHtml(source).replace(/\r?\n/g, '<br>');
+  }).join('');
+};
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', x: 'ˣ', '°': '°'
+};
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', a: 'ₐ', e: 'ₑ', o: 'ₒ', x: 'ₓ',
+  h: 'ₕ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ', p: 'ₚ', s: 'ₛ', t: 'ₜ'
+};
+
+const toScript = (value, map, fallbackPrefix) => {
+  const chars = [...value.replace(/\s+/g, '')];
+  if (chars.length > 0 && chars.every(c => map[c])) return chars.map(c => map[c]).join('');
+  return chars.length === 1 ? `${fallbackPrefix}${value}` : `${fallbackPrefix}(${value})`;
+};
+
+const LATEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ',
+  pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ',
+  omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+  neq: '≠', ne: '≠', approx: '≈', sim: '∼', equiv: '≡', propto: '∝', infty: '∞',
+  rightarrow: '→', to: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+  leftrightarrow: '↔', rightleftharpoons: '⇌', uparrow: '↑', downarrow: '↓',
+  degree: '°', circ: '°', partial: '∂', nabla: '∇', sum: 'Σ', prod: 'Π', int: '∫',
+  oint: '∮', hbar: 'ħ', ell: 'ℓ', angle: '∠', perp: '⊥', parallel: '∥', therefore: '∴',
+  because: '∵', in: '∈', notin: '∉', subset: '⊂', cup: '∪', cap: '∩', forall: '∀',
+  exists: '∃', ldots: '…', cdots: '⋯', dots: '…', prime: '′', AA: 'Å', Angstrom: 'Å',
+  ',': ' ', ';': ' ', ':': ' ', '!': '', quad: '  ', qquad: '    ', '%': '%', '$': '$',
+  '{': '{', '}': '}', '&': '&', '#': '#', _: '_', ' ': ' ', '\\': '\n'
+};
+
+// Commands whose argument is shown as-is
+const TEXT_COMMANDS = ['text', 'textrm', 'textbf', 'textit', 'mathrm', 'mathbf', 'mathit',
+  'mathsf', 'mathcal', 'operatorname', 'boldsymbol', 'displaystyle', 'mbox'];
+
+/**
+ * Plain-text approximation of an mhchem formula (H2SO4 -> H₂SO₄)
+ */
+const mhchemToUnicode = (formula) =>
+  formula
+    .replace(/<=>|<->/g, ' ⇌ ')
+    .replace(/->/g, ' → ')
+    .replace(/<-/g, ' ← ')
+    .replace(/\^\{([^}]*)\}/g, (_, sup) => toScript(sup, SUPERSCRIPTS, '^'))
+    .replace(/\^([0-9]*[+-])/g, (_, sup) => toScript(sup, SUPERSCRIPTS, '^'))
+    .replace(/_\{([^}]*)\}/g, (_, sub) => toScript(sub, SUBSCRIPTS, '_'))
+    .replace(/([A-Za-z)\]])(\d+)/g, (_, atom, count) => atom + toScript(count, SUBSCRIPTS, '_'))
+    .replace(/\s*\+\s*/g, ' + ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+/**
+ * Plain-text approximation of a LaTeX expression
+ */
+const latexToUnicode = (tex) => {
+  let out = '';
+  let i = 0;
+
+  // Next argument: a {group}, a \command or a single character
+  const readArgument = () => {
+    while (tex[i] === ' ') i++;
+    if (tex[i] === '{') {
+      const end = readBalanced(tex, i);
+      const inner = end === -1 ? tex.slice(i + 1) : tex.slice(i + 1, end);
+      i = end === -1 ? tex.length : end + 1;
+      return inner;
+    }
+    if (tex[i] === '\\') {
+      const match = /^\\([A-Za-z]+|.)/.exec(tex.slice(i));
+      i += match ? match[0].length : 1;
+      return match ? match[0] : '';
+    }
+    return tex[i++] || '';
+  };
+
+  // Parenthesise compound arguments: \frac{a+b}{2} -> (a+b)/2
+  const group = (value) => {
+    const converted = latexToUnicode(value);
+    return /[^\p{L}\p{N}.]/u.test(converted) ? `(${converted})` : converted;
+  };
+
+  while (i < tex.length) {
+    const char = tex[i];
+
+    if (char === '\\') {
+      const match = /^\\([A-Za-z]+|.)/.exec(tex.slice(i));
+      const name = match ? match[1] : '';
+      i += match ? match[0].length : 1;
+
+      if (name === 'ce' || name === 'pu') {
+        out += mhchemToUnicode(readArgument());
+      } else if (['frac', 'dfrac', 'tfrac'].includes(name)) {
+        const numerator = readArgument();
+        const denominator = readArgument();
+        out += `${group(numerator)}/${group(denominator)}`;
+      } else if (name === 'sqrt') {
+        let index = '';
+        if (tex[i] === '[') {
+          const end = tex.indexOf(']', i);
+          index = end === -1 ? '' : tex.slice(i + 1, end);
+          i = end === -1 ? i : end + 1;
+        }
+        out += `${index ? toScript(index, SUPERSCRIPTS, '') : ''}√${group(readArgument())}`;
+      } else if (TEXT_COMMANDS.includes(name)) {
+        out += name.startsWith('text') || name === 'mbox' ? readArgument() : latexToUnicode(readArgument());
+      } else if (name === 'vec' || name === 'overrightarrow') {
+        out += `${latexToUnicode(readArgument())}⃗`;
+      } else if (name === 'hat') {
+        out += `${latexToUnicode(readArgument())}̂`;
+      } else if (name === 'bar' || name === 'overline') {
+        out += `${latexToUnicode(readArgument())}̅`;
+      } else if (name === 'left' || name === 'right') {
+        const delimiter = readArgument();
+        out += delimiter === '.' ? '' : latexToUnicode(delimiter);
+      } else if (LATEX_SYMBOLS[name] !== undefined) {
+        out += LATEX_SYMBOLS[name];
+      } else {
+        // Unknown command (\sin, \log, ...): keep its name
+        out += name;
+      }
+      continue;
+    }
+
+    if (char === '^' || char === '_') {
+      i++;
+      const argument = readArgument();
+      const converted = argument === '\\circ' ? '°' : latexToUnicode(argument);
+      out += converted === '°' ? '°' : toScript(converted, char === '^' ? SUPERSCRIPTS : SUBSCRIPTS, char);
+      continue;
+    }
+
+    if (char === '{' || char === '}') {
+      i++;
+      continue;
+    }
+
+    if (char === '~') {
+      out += ' ';
+      i++;
+      continue;
+    }
+
+    out += char;
+    i++;
+  }
+
+  return out;
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+const htmlToPlain = (html) =>
+  html
+    .replace(/<sub>([\s\S]*?)<\/sub>/gi, (_, sub) => toScript(sub, SUBSCRIPTS, '_'))
+    .replace(/<sup>([\s\S]*?)<\/sup>/gi, (_, sup) => toScript(sup, SUPERSCRIPTS, '^'))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '• ')
+    .replace(/<\/(p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+      if (ENTITIES[code] !== undefined) return ENTITIES[code];
+      if (code.startsWith('#x')) return String.fromCodePoint(parseInt(code.slice(2), 16));
+      if (code.startsWith('#')) return String.fromCodePoint(Number(code.slice(1)));
+      return entity;
+    })
+    .replace(/\n{3,}/g, '\n\n');
+
+/**
+ * Render content as plain text for PDF export
+ * Formulae are approximated with Unicode (H₂SO₄, x², α → β); HTML tags
+ * are stripped. Content without markup is returned unchanged.
+ * @param {string|null} text
+ * @returns {string}
+ */
+export const renderRichTextPlain = (text) => {
+  if (!text) return '';
+  const value = String(text);
+  if (!/[$\\<&]/.test(value)) return value;
+
+  const { segments } = splitRichText(value);
+  const isHtml = HTML_TAG.test(segments.filter(s => s.type === 'text').map(s => s.source).join(''));
+
+  return segments.map(segment => {
+    if (segment.type === 'math') {
+      const plain = latexToUnicode(segment.tex).replace(/\s{2,}/g, ' ').trim();
+      return segment.display ? `\n${plain}\n` : plain;
+    }
+    const source = segment.source.replace(/\\\$/g, '$');
+    return isHtml ? htmlToPlain(sanitizeHtml(source, SANITIZE_OPTIONS)) : source;
+  }).join('').trim();
+};
@@ -0,0 +1,114 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Section Service - sectioned tests (e.g. Physics Section A / Section B)
+ * Sections can carry an optional time limit and an "attempt any N" rule.
+ *
+ * Timing: timed sections run back to back in section_order, starting at
+ * session_start. Untimed sections are open for the whole test.
+ * Attempt limits: only the first N answered questions of a section (by
+ * question order) are evaluated, matching the NTA rule for Section B.
+ */
+
+/**
+ * Load a test's sections with their question IDs
+ * @param {number} testId - tests.test_id
+ * @returns {Promise<Array>} Sections ordered by section_order ([] for unsectioned tests)
+ */
+export const loadTestSections = async (testId) => {
+  const { data: sections, error } = await supabase
+    .from('test_sections')
+    .select('section_id, section_name, section_order, duration_minutes, max_attempts')
+    .eq('test_id', testId)
+    .order('section_order', { ascending: true });
+
+  if (error) {
+    console.error('loadTestSections error:', error);
+    return [];
+  }
+
+  if (!sections || sections.length === 0) return [];
+
+  const { data: tqRows = [] } = await supabase
+    .from('test_questions')
+    .select('question_id, question_order, section_id')
+    .eq('test_id', testId)
+    .not('section_id', 'is', null)
+    .order('question_order', { ascending: true });
+
+  return sections.map((s) => ({
+    sectionId: s.section_id,
+    name: s.section_name,
+    order: s.section_order,
+    durationMinutes: s.duration_minutes,
+    maxAttempts: s.max_attempts,
+    questionIds: (tqRows || [])
+      .filter((tq) => tq.section_id === s.section_id)
+      .map((tq) => tq.question_id),
+  }));
+};
+
+/**
+ * Compute the open/close times of timed sections
+ * @param {Array} sections - From loadTestSections
+ * @param {string} sessionStart - test_sessions.session_start
+ * @returns {Map<number, { opensAt: Date, closesAt: Date }>} Windows for timed sections only
+ */
+export const getSectionWindows = (sections, sessionStart) => {
+  const windows = new Map();
+  if (!sessionStart) return windows;
+
+  let offsetMs = new Date(sessionStart).getTime();
+  for (const section of sections) {
+    const minutes = Number(section.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) continue;
+
+    const opensAt = new Date(offsetMs);
+    offsetMs += minutes * 60 * 1000;
+    windows.set(section.sectionId, { opensAt, closesAt: new Date(offsetMs) });
+  }
+  return windows;
+};
+
+/**
+ * Map each question to its section
+ * @param {Array} sections - From loadTestSections
+ * @returns {Map<number, object>} question_id -> section
+ */
+export const getSectionByQuestion = (sections) => {
+  const map = new Map();
+  for (const section of sections) {
+    for (const questionId of section.questionIds) map.set(questionId, section);
+  }
+  return map;
+};
+
+/**
+ * Find answered questions that fall outside a section's "attempt any N" limit
+ * @param {Array} sections - From loadTestSections
+ * @param {Set<number>} answeredQuestionIds - Questions with a response
+ * @returns {Set<number>} Question IDs that must not be evaluated
+ */
+export const getExcessAttempts = (sections, answeredQuestionIds) => {
+  const excess = new Set();
+  for (const section of sections) {
+    if (!section.maxAttempts) continue;
+    const answeredInSection = section.questionIds.filter((qid) => answeredQuestionIds.has(qid));
+    answeredInSection.slice(section.maxAttempts).forEach((qid) => excess.add(qid));
+  }
+  return excess;
+};
+
+/**
+ * Maximum marks a section can contribute, honouring its attempt limit
+ * @param {object} section - From loadTestSections
+ * @param {Map<number, { marks: number }>} marksMap - question_id -> marks info
+ * @returns {number}
+ */
+export const getSectionMaxMarks = (section, marksMap) => {
+  const marks = section.questionIds
+    .map((qid) => marksMap.get(qid)?.marks || 0)
+    .sort((a, b) => b - a);
+  const counted = section.maxAttempts ? marks.slice(0, section.maxAttempts) : marks;
+  return counted.reduce((sum, m) => sum + m, 0);
+};
@@ -0,0 +1,112 @@
+import { supabase } from '../config/supabase.js';
+import {
+  finalizeAttempt,
+  getSessionDeadline,
+  isPastGracePeriod
+} from './attemptService.js';
+
+/**
+ * Session Sweeper - auto-submits abandoned in_progress attempts
+ * Runs on an interval inside the API process and grades any attempt whose
+ * timer (plus grace period) has run out, using the same path as submitSession
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS || '60000');
+const SWEEP_BATCH_SIZE = 100;
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * Find and auto-submit expired attempts
+ * @returns {Promise<number>} Number of attempts submitted in this sweep
+ */
+export const sweepExpiredSessions = async () => {
+  if (sweepInProgress) return 0;
+  sweepInProgress = true;
+
+  try {
+    const now = new Date();
+    let submitted = 0;
+    let lastAttemptId = 0;
+
+    // Keyset pages over live attempts of timed tests, so attempts that aren't
+    // due yet (or keep failing to finalize) never block the ones behind them
+    for (;;) {
+      const { data: attempts, error } = await supabase
+        .from('test_attempts')
+        .select('*, tests!inner(duration_minutes)')
+        .eq('attempt_status', 'in_progress')
+        .gt('tests.duration_minutes', 0)
+        .gt('attempt_id', lastAttemptId)
+        .order('attempt_id', { ascending: true })
+        .limit(SWEEP_BATCH_SIZE);
+
+      if (error) {
+        console.error('Session sweeper: error fetching attempts:', error);
+        break;
+      }
+
+      if (!attempts || attempts.length === 0) break;
+      lastAttemptId = attempts[attempts.length - 1].attempt_id;
+
+      // Deadlines are measured from session_start when the session row exists
+      const { data: sessions } = await supabase
+        .from('test_sessions')
+        .select('attempt_id, session_start')
+        .in('attempt_id', attempts.map(a => a.attempt_id));
+
+      const sessionStartMap = new Map(
+        (sessions || []).map(s => [s.attempt_id, s.session_start])
+      );
+
+      for (const attempt of attempts) {
+        const deadline = getSessionDeadline(
+          sessionStartMap.get(attempt.attempt_id) || attempt.start_time,
+          attempt.tests?.duration_minutes
+        );
+        if (!isPastGracePeriod(deadline, now)) continue;
+
+        try {
+          const { tests, ...attemptRow } = attempt;
+          const result = await finalizeAttempt(attemptRow, { autoSubmitted: true });
+          if (result) submitted++;
+        } catch (err) {
+          console.error(`Session sweeper: failed to submit attempt ${attempt.attempt_id}:`, err);
+        }
+      }
+
+      if (attempts.length < SWEEP_BATCH_SIZE) break;
+    }
+
+    if (submitted > 0) {
+      console.log(`Session sweeper: auto-submitted ${submitted} expired attempt(s)`);
+    }
+
+    return submitted;
+  } catch (error) {
+    console.error('Session sweeper error:', error);
+    return 0;
+  } finally {
+    sweepInProgress = false;
+  }
+};
+
+/**
+ * Start the periodic sweep (no-op if already running)
+ */
+export const startSessionSweeper = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepExpiredSessions, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the periodic sweep
+ */
+export const stopSessionSweeper = () => {
+  if (!sweepTimer) return;
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
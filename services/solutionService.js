@@ -0,0 +1,77 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Solution Service - media attached to question explanations
+ * Uploaded images live in the private solution-media bucket, so students only
+ * reach them through short-lived signed URLs handed out with a result they
+ * are entitled to. Videos are external links (YouTube, Vimeo, a CDN).
+ */
+
+export const SOLUTION_MEDIA_BUCKET = 'solution-media';
+export const SOLUTION_MEDIA_TYPES = ['image', 'video'];
+
+// Long enough to read through a result page
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Validate a linked video URL
+ * @param {*} url
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateVideoUrl = (url) => {
+  if (typeof url !== 'string' || !url.trim()) return 'url is required';
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'https:') return 'url must use https';
+  } catch {
+    return 'url must be a valid URL';
+  }
+  return null;
+};
+
+/**
+ * Load solution media for some questions, with URLs ready to show
+ * @param {number[]} questionIds - questions.question_id values
+ * @returns {Promise<Map<number, Array>>} question_id -> [{ mediaId, type, url, fileName, caption }]
+ */
+export const loadSolutionMedia = async (questionIds) => {
+  const mediaByQuestion = new Map();
+  if (!questionIds || questionIds.length === 0) return mediaByQuestion;
+
+  const { data: rows, error } = await supabase
+    .from('solution_media')
+    .select('media_id, question_id, media_type, file_path, url, file_name, caption, display_order')
+    .in('question_id', questionIds)
+    .order('display_order', { ascending: true })
+    .order('media_id', { ascending: true });
+
+  if (error) throw error;
+
+  const paths = (rows || []).filter(m => m.file_path).map(m => m.file_path);
+  const signedUrls = new Map();
+  if (paths.length > 0) {
+    const { data: signed, error: signError } = await supabase.storage
+      .from(SOLUTION_MEDIA_BUCKET)
+      .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+    if (signError) console.error('Error signing solution media URLs', signError);
+    for (const entry of signed || []) {
+      if (entry.signedUrl) signedUrls.set(entry.path, entry.signedUrl);
+    }
+  }
+
+  for (const m of rows || []) {
+    const url = m.file_path ? signedUrls.get(m.file_path) : m.url;
+    if (!url) continue;
+    if (!mediaByQuestion.has(m.question_id)) mediaByQuestion.set(m.question_id, []);
+    mediaByQuestion.get(m.question_id).push({
+      mediaId: m.media_id,
+      type: m.media_type,
+      url,
+      fileName: m.file_name,
+      caption: m.caption
+    });
+  }
+
+  return mediaByQuestion;
+};
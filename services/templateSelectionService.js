@@ -0,0 +1,204 @@
+import { supabase } from '../config/supabase.js';
+import { seededShuffle, generateShuffleSeed } from '../utils/shuffle.js';
+
+/**
+ * Template Selection Service - pick bank questions for a template's chapter targets
+ * Each chapter's target is split across difficulties by the template's
+ * difficulty mix; a short difficulty bucket is topped up from the others
+ * (medium first) before the chapter is reported as short.
+ */
+
+export const DEFAULT_DIFFICULTY_MIX = { easy: 30, medium: 50, hard: 20 };
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Days a question stays "recently seen" by a plan's students after appearing in a test
+export const RECENT_QUESTION_WINDOW_DAYS = parseInt(process.env.RECENT_QUESTION_WINDOW_DAYS || '60');
+
+/**
+ * Validate a difficulty mix ({ easy, medium, hard } weights)
+ * @param {object} input - Mix from the request body or template metadata
+ * @returns {{ mix: object|null, error: string|null }}
+ */
+export const parseDifficultyMix = (input) => {
+  if (!input) return { mix: { ...DEFAULT_DIFFICULTY_MIX }, error: null };
+  const mix = {};
+  for (const level of DIFFICULTIES) {
+    const weight = Number(input[level] ?? 0);
+    if (!Number.isFinite(weight) || weight < 0) {
+      return { mix: null, error: `difficultyMix.${level} must be a non-negative number` };
+    }
+    mix[level] = weight;
+  }
+  if (DIFFICULTIES.every(level => mix[level] === 0)) {
+    return { mix: null, error: 'difficultyMix needs at least one positive weight' };
+  }
+  return { mix, error: null };
+};
+
+/**
+ * Split a question count across difficulties (largest remainder)
+ * @param {number} count - Questions needed
+ * @param {object} mix - { easy, medium, hard } weights
+ * @returns {{ easy: number, medium: number, hard: number }}
+ */
+export const allocateByDifficulty = (count, mix) => {
+  const total = DIFFICULTIES.reduce((sum, level) => sum + mix[level], 0);
+  const exact = DIFFICULTIES.map(level => ({ level, value: (count * mix[level]) / total }));
+  const allocation = Object.fromEntries(exact.map(e => [e.level, Math.floor(e.value)]));
+  let remaining = count - Object.values(allocation).reduce((a, b) => a + b, 0);
+
+  exact
+    .sort((a, b) => (b.value % 1) - (a.value % 1))
+    .forEach(e => {
+      if (remaining > 0) {
+        allocation[e.level]++;
+        remaining--;
+      }
+    });
+  return allocation;
+};
+
+/**
+ * Flatten template metadata into chapter requirements
+ * Supports multi-subject templates (subjectDistributions) and the older
+ * Biology-only class11Distribution / class12Distribution format
+ * @param {object} metadata - tests.metadata
+ * @param {Map<string, number>} subjectIdsByName - subjects.name -> subject_id
+ * @param {number|null} fallbackSubjectId - Test's subject for Biology-only templates
+ * @returns {Array<{ subjectName: string|null, subjectId: number|null, chapter: string, min: number, target: number, max: number }>}
+ */
+export const getTemplateRequirements = (metadata, subjectIdsByName, fallbackSubjectId) => {
+  const requirements = [];
+  const add = (subjectName, subjectId, distributions) => {
+    for (const [chapter, distribution] of Object.entries(distributions || {})) {
+      const target = Number(distribution.target || 0);
+      if (target <= 0) continue;
+      requirements.push({
+        subjectName,
+        subjectId,
+        chapter,
+        min: Number(distribution.min ?? target),
+        target,
+        max: Number(distribution.max ?? target)
+      });
+    }
+  };
+
+  if (metadata.subjectDistributions && Object.keys(metadata.subjectDistributions).length > 0) {
+    for (const [subjectName, chapters] of Object.entries(metadata.subjectDistributions)) {
+      add(subjectName, subjectIdsByName.get(subjectName) ?? null, chapters);
+    }
+  } else {
+    add(null, fallbackSubjectId, metadata.class11Distribution);
+    add(null, fallbackSubjectId, metadata.class12Distribution);
+  }
+  return requirements;
+};
+
+/**
+ * Pick questions for one chapter
+ * @param {Array} candidates - Eligible questions rows for the chapter
+ * @param {number} target - Questions wanted
+ * @param {object} mix - Difficulty weights
+ * @param {number} [seed] - Shuffle seed (random when omitted)
+ * @returns {{ selected: Array, byDifficulty: object }}
+ */
+export const selectChapterQuestions = (candidates, target, mix, seed = generateShuffleSeed()) => {
+  const buckets = Object.fromEntries(DIFFICULTIES.map(level => [
+    level,
+    seededShuffle(
+      candidates.filter(q => (q.difficulty_level || 'medium') === level),
+      seed
+    )
+  ]));
+  const wanted = allocateByDifficulty(target, mix);
+  const selected = [];
+  const byDifficulty = { easy: 0, medium: 0, hard: 0 };
+
+  for (const level of DIFFICULTIES) {
+    const picked = buckets[level].splice(0, wanted[level]);
+    selected.push(...picked);
+    byDifficulty[level] += picked.length;
+  }
+
+  // Top up from whatever is left, closest difficulty (medium) first
+  for (const level of ['medium', 'easy', 'hard']) {
+    while (selected.length < target && buckets[level].length > 0) {
+      selected.push(buckets[level].shift());
+      byDifficulty[level]++;
+    }
+  }
+
+  return { selected, byDifficulty };
+};
+
+/**
+ * Questions the test's cohort has recently seen
+ * The cohort is the students of the test's required plan: any question
+ * used by another test for that plan with an attempt inside the window.
+ * @param {number} testId - Test being generated (excluded)
+ * @param {number|null} requiredPlanId - tests.required_plan_id
+ * @param {number} days - Window length
+ * @returns {Promise<Set<number>>} question_ids to avoid
+ */
+export const loadRecentlySeenQuestionIds = async (testId, requiredPlanId, days = RECENT_QUESTION_WINDOW_DAYS) => {
+  if (!days || days <= 0) return new Set();
+
+  // Every select is paged: PostgREST caps a response at 1000 rows
+  const PAGE_SIZE = 1000;
+
+  const cohortTestIds = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let testsQuery = supabase
+      .from('tests')
+      .select('test_id')
+      .neq('test_id', testId);
+    testsQuery = requiredPlanId
+      ? testsQuery.eq('required_plan_id', requiredPlanId)
+      : testsQuery.is('required_plan_id', null);
+
+    const { data: page, error: testsError } = await testsQuery
+      .order('test_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (testsError) throw testsError;
+
+    cohortTestIds.push(...(page || []).map(t => t.test_id));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+  if (cohortTestIds.length === 0) return new Set();
+
+  // One row per attempt, so a busy test can fill many pages on its own
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const seenTestIds = new Set();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error: attemptsError } = await supabase
+      .from('test_attempts')
+      .select('test_id')
+      .in('test_id', cohortTestIds)
+      .gte('start_time', since)
+      .order('attempt_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (attemptsError) throw attemptsError;
+
+    (page || []).forEach(a => seenTestIds.add(a.test_id));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+  if (seenTestIds.size === 0) return new Set();
+
+  const seenQuestionIds = new Set();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error: seenError } = await supabase
+      .from('test_questions')
+      .select('question_id')
+      .in('test_id', [...seenTestIds])
+      .order('test_id', { ascending: true })
+      .order('question_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (seenError) throw seenError;
+
+    (page || []).forEach(tq => seenQuestionIds.add(tq.question_id));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+
+  return seenQuestionIds;
+};
@@ -0,0 +1,190 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Translation Service - multilingual question content
+ * English lives on the questions / question_options rows; other languages
+ * are stored in question_translations (one row per question and language).
+ * Students get their preferred language (student_profiles.preferences.language)
+ * when the test offers it, with English as the fallback for any question
+ * that hasn't been translated yet.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Languages NEET is conducted in
+export const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  as: 'Assamese',
+  bn: 'Bengali',
+  gu: 'Gujarati',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+  mr: 'Marathi',
+  or: 'Odia',
+  pa: 'Punjabi',
+  ta: 'Tamil',
+  te: 'Telugu',
+  ur: 'Urdu'
+};
+
+/**
+ * Normalize a language code ('HI', ' hi ' -> 'hi')
+ * @param {*} code
+ * @returns {string|null} Supported code, or null
+ */
+export const normalizeLanguage = (code) => {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toLowerCase();
+  return SUPPORTED_LANGUAGES[normalized] ? normalized : null;
+};
+
+/**
+ * Validate a test's language list
+ * English is always offered, since it is the source content.
+ * @param {*} input - Array of language codes
+ * @returns {{ languages: string[]|null, error: string|null }}
+ */
+export const parseTestLanguages = (input) => {
+  if (!Array.isArray(input)) {
+    return { languages: null, error: 'languages must be an array of language codes' };
+  }
+
+  const invalid = input.filter(code => !normalizeLanguage(code));
+  if (invalid.length > 0) {
+    return {
+      languages: null,
+      error: `Unsupported language(s): ${invalid.join(', ')}. Use: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+    };
+  }
+
+  return {
+    languages: [...new Set([DEFAULT_LANGUAGE, ...input.map(normalizeLanguage)])],
+    error: null
+  };
+};
+
+/**
+ * Student's preferred content language from their profile
+ * @param {number} userId - users.user_id
+ * @returns {Promise<string>} Language code (English when unset)
+ */
+export const getPreferredLanguage = async (userId) => {
+  const { data: profile } = await supabase
+    .from('student_profiles')
+    .select('preferences')
+    .eq('user_id', userId)
+    .single();
+
+  return normalizeLanguage(profile?.preferences?.language) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Pick the language to show: the requested one if the test offers it, else English
+ * @param {string|null} requested - Language code
+ * @param {string[]} offered - tests.languages
+ * @returns {string}
+ */
+export const resolveLanguage = (requested, offered) => {
+  const language = normalizeLanguage(requested);
+  return language && (offered || []).includes(language) ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Load translations for questions
+ * @param {number[]} questionIds - questions.question_id values
+ * @param {string[]} [languages] - Only these languages (all when omitted)
+ * @returns {Promise<Map<number, Map<string, object>>>} question_id -> language -> question_translations row
+ */
+export const loadTranslations = async (questionIds, languages = null) => {
+  const translations = new Map();
+  if (!questionIds || questionIds.length === 0) return translations;
+
+  const nonDefault = languages ? languages.filter(code => code !== DEFAULT_LANGUAGE) : null;
+  if (nonDefault && nonDefault.length === 0) return translations;
+
+  // A paper in every language runs past PostgREST's 1000-row cap, so page
+  const PAGE_SIZE = 1000;
+  const data = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('question_translations')
+      .select('question_id, language_code, question_text, explanation, option_texts, updated_at')
+      .in('question_id', questionIds);
+    if (nonDefault) query = query.in('language_code', nonDefault);
+
+    const { data: page, error } = await query
+      .order('question_id', { ascending: true })
+      .order('language_code', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    data.push(...(page || []));
+    if (!page || page.length < PAGE_SIZE) break;
+  }
+
+  for (const row of data) {
+    if (!translations.has(row.question_id)) translations.set(row.question_id, new Map());
+    translations.get(row.question_id).set(row.language_code, row);
+  }
+  return translations;
+};
+
+/**
+ * Content of a question in one language, falling back to English per field
+ * @param {object} source - { questionText, explanation, options: [{ optionId, text }] } in English
+ * @param {object|null} translation - question_translations row
+ * @returns {{ questionText: string, explanation: string|null, options: Array<{ optionId, text }>, language: string|null }}
+ *   language is null when the English content was used
+ */
+export const applyTranslation = (source, translation) => {
+  if (!translation) return { ...source, language: null };
+
+  const optionTexts = translation.option_texts || {};
+  return {
+    questionText: translation.question_text || source.questionText,
+    explanation: translation.explanation || source.explanation,
+    options: (source.options || []).map(opt => ({
+      ...opt,
+      text: optionTexts[opt.optionId] || opt.text
+    })),
+    language: translation.language_code
+  };
+};
+
+/**
+ * API shape of a question_translations row
+ * @param {object} row
+ * @returns {object}
+ */
+export const formatTranslation = (row) => ({
+  language: row.language_code,
+  languageName: SUPPORTED_LANGUAGES[row.language_code] || row.language_code,
+  questionText: row.question_text,
+  explanation: row.explanation,
+  optionTexts: row.option_texts || {},
+  updatedAt: row.updated_at
+});
+
+/**
+ * Which parts of a question still need translating
+ * @param {object} source - { explanation, options: [{ optionId }] } in English
+ * @param {Map<string, object>|undefined} byLanguage - From loadTranslations
+ * @param {string[]} languages - Languages required (English is skipped)
+ * @returns {Array<{ language: string, missing: string[] }>} Empty when complete
+ *   missing: 'question' (no translation at all), 'explanation', 'options'
+ */
+export const getMissingTranslations = (source, byLanguage, languages) =>
+  languages
+    .filter(code => code !== DEFAULT_LANGUAGE)
+    .map(code => {
+      const translation = byLanguage?.get(code);
+      if (!translation) return { language: code, missing: ['question'] };
+
+      const missing = [];
+      if (source.explanation && !translation.explanation) missing.push('explanation');
+      const optionTexts = translation.option_texts || {};
+      if ((source.options || []).some(opt => !optionTexts[opt.optionId])) missing.push('options');
+      return { language: code, missing };
+    })
+    .filter(entry => entry.missing.length > 0);
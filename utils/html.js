@@ -0,0 +1,12 @@
+/**
+ * Escape text for interpolation into HTML (element content or a quoted attribute)
+ * @param {*} value - null/undefined become an empty string
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
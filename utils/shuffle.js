@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+/**
+ * Deterministic shuffling for per-student question and option order
+ * The same seed always produces the same order, so a resumed session
+ * and the result review show the paper exactly as the student saw it
+ */
+
+export const SHUFFLE_MODES = ['none', 'questions', 'options', 'both'];
+
+/**
+ * Generate a random seed to store on a new test session
+ * @returns {number} Positive 31-bit integer
+ */
+export const generateShuffleSeed = () => crypto.randomInt(1, 2147483647);
+
+// mulberry32 - small, fast seeded PRNG (good enough for ordering, not for security)
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Shuffle a copy of an array with a seeded Fisher-Yates shuffle
+ * @param {Array} items - Items in canonical order
+ * @param {number} seed - Shuffle seed
+ * @returns {Array} New array in shuffled order
+ */
+export const seededShuffle = (items, seed) => {
+    const result = [...items];
+    const random = createRandom(seed);
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Per-question seed so each question's options get an independent order
+const deriveSeed = (seed, salt) =>
+    (Number(seed) ^ Math.imul(Number(salt) || 0, 2654435761)) >>> 0;
+
+/**
+ * Work out the order a student sees questions and options in
+ * @param {Array<number>} questionIds - Question IDs in canonical (question_order) order
+ * @param {Map<number, Array<number>>} optionIdsByQuestion - Option IDs per question in option_order
+ * @param {string} mode - 'none' | 'questions' | 'options' | 'both'
+ * @param {number|null} seed - test_sessions.shuffle_seed
+ * @returns {{ questionIds: Array<number>, optionIdsByQuestion: Map<number, Array<number>> }}
+ */
+export const getShuffledOrder = (questionIds, optionIdsByQuestion, mode, seed) => {
+    const active = seed != null && SHUFFLE_MODES.includes(mode) && mode !== 'none';
+    const shuffleQuestions = active && (mode === 'questions' || mode === 'both');
+    const shuffleOptions = active && (mode === 'options' || mode === 'both');
+
+    const orderedOptions = new Map();
+    for (const [questionId, optionIds] of optionIdsByQuestion) {
+        orderedOptions.set(
+            questionId,
+            shuffleOptions ? seededShuffle(optionIds, deriveSeed(seed, questionId)) : [...optionIds]
+        );
+    }
+
+    return {
+        questionIds: shuffleQuestions ? seededShuffle(questionIds, seed) : [...questionIds],
+        optionIdsByQuestion: orderedOptions
+    };
+};